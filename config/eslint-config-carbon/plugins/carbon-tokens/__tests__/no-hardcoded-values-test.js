@@ -0,0 +1,235 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment node
+ */
+
+'use strict';
+
+const { RuleTester } = require('eslint');
+const rule = require('../rules/no-hardcoded-values');
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('no-hardcoded-values', rule, {
+  valid: [
+    `import { blue60 } from '@carbon/colors';
+const style = { color: blue60 };`,
+    'const style = { margin: 0, padding: "0" };',
+    'const style = { margin: "auto", width: 16 };',
+    'const style = { [property]: "#0f62fe" };',
+    {
+      code: 'const style = { border: "1px solid #0f62fe" };',
+      options: [{ allow: ['1px', '#0f62fe'] }],
+    },
+    {
+      code: 'const style = { color: "#0f62fe" };',
+      options: [{ colors: false }],
+    },
+    {
+      code: 'const style = { marginTop: -16 };',
+      options: [{ spacing: false }],
+    },
+    {
+      code: 'const style = { fontSize: 14 };',
+      options: [{ type: false }],
+    },
+  ],
+  invalid: [
+    {
+      code: 'const style = { color: "#0f62fe" };',
+      output: `import { blue60 } from '@carbon/colors';
+const style = { color: blue60 };`,
+      errors: [
+        {
+          messageId: 'exact',
+          data: {
+            source: '@carbon/colors',
+            token: 'blue60',
+            value: '#0f62fe',
+          },
+        },
+      ],
+    },
+    {
+      // Colors in shorthands and colors that are not opaque are not replaced
+      code: 'const style = { border: "1px solid #0f62fe", fill: "#0f62fe80" };',
+      output: null,
+      errors: [
+        {
+          messageId: 'nearest',
+          data: {
+            source: '@carbon/colors',
+            token: 'blue60',
+            tokenValue: '#0f62fe',
+            value: '#0f62fe',
+          },
+        },
+        {
+          messageId: 'nearest',
+          data: {
+            source: '@carbon/colors',
+            token: 'blue60',
+            tokenValue: '#0f62fe',
+            value: '#0f62fe80',
+          },
+        },
+      ],
+    },
+    {
+      code: `import { blue60 as blue } from '@carbon/colors';
+const style = { backgroundColor: "#0f62fe" };`,
+      output: `import { blue60 as blue } from '@carbon/colors';
+const style = { backgroundColor: blue };`,
+      errors: [{ messageId: 'exact' }],
+    },
+    {
+      code: `import { white } from '@carbon/colors';
+const style = { color: "#0f62fe" };`,
+      output: `import { white, blue60 } from '@carbon/colors';
+const style = { color: blue60 };`,
+      errors: [{ messageId: 'exact' }],
+    },
+    {
+      code: `import React from 'react';
+const style = { padding: 16 };`,
+      output: `import React from 'react';
+import { spacing05 } from '@carbon/layout';
+const style = { padding: spacing05 };`,
+      errors: [
+        {
+          messageId: 'exact',
+          data: {
+            source: '@carbon/layout',
+            token: 'spacing05',
+            value: '16',
+          },
+        },
+      ],
+    },
+    {
+      code: 'const style = { "margin-top": "1rem" };',
+      output: `import { spacing05 } from '@carbon/layout';
+const style = { "margin-top": spacing05 };`,
+      errors: [{ messageId: 'exact' }],
+    },
+    {
+      code: 'const style = { marginTop: -16 };',
+      output: `import { spacing05 } from '@carbon/layout';
+const style = { marginTop: \`-\${spacing05}\` };`,
+      errors: [
+        {
+          messageId: 'exact',
+          data: {
+            source: '@carbon/layout',
+            token: 'spacing05',
+            value: '-16',
+          },
+        },
+      ],
+    },
+    {
+      code: 'const style = { marginInline: "-0.5rem" };',
+      output: `import { spacing03 } from '@carbon/layout';
+const style = { marginInline: \`-\${spacing03}\` };`,
+      errors: [{ messageId: 'exact' }],
+    },
+    {
+      code: 'const style = { padding: 15 };',
+      output: null,
+      errors: [
+        {
+          messageId: 'nearest',
+          data: {
+            source: '@carbon/layout',
+            token: 'spacing05',
+            tokenValue: '1rem',
+            value: '15',
+          },
+        },
+      ],
+    },
+    {
+      // Each length of a shorthand is reported, but the shorthand is not
+      // replaced
+      code: 'const style = { padding: "16px 8px" };',
+      output: null,
+      errors: [
+        {
+          messageId: 'nearest',
+          data: {
+            source: '@carbon/layout',
+            token: 'spacing05',
+            tokenValue: '1rem',
+            value: '16px',
+          },
+        },
+        {
+          messageId: 'nearest',
+          data: {
+            source: '@carbon/layout',
+            token: 'spacing03',
+            tokenValue: '0.5rem',
+            value: '8px',
+          },
+        },
+      ],
+    },
+    {
+      code: 'const style = { fontSize: "0.875rem" };',
+      output: `import { scale } from '@carbon/type';
+const style = { fontSize: scale[1] };`,
+      errors: [
+        {
+          messageId: 'exact',
+          data: {
+            source: '@carbon/type',
+            token: 'scale[1]',
+            value: '0.875rem',
+          },
+        },
+      ],
+    },
+    {
+      code: 'const style = { fontSize: 15 };',
+      output: null,
+      errors: [
+        {
+          messageId: 'nearest',
+          data: {
+            source: '@carbon/type',
+            token: 'scale[1]',
+            tokenValue: '14px',
+            value: '15',
+          },
+        },
+      ],
+    },
+    {
+      // Tokens can't be imported in scripts
+      code: 'const style = { color: "#0f62fe" };',
+      languageOptions: { sourceType: 'script' },
+      output: null,
+      errors: [{ messageId: 'exact' }],
+    },
+    {
+      code: 'const style = { padding: "1px", margin: "15px" };',
+      options: [{ allow: ['1px'] }],
+      output: null,
+      errors: [
+        {
+          messageId: 'nearest',
+          data: {
+            source: '@carbon/layout',
+            token: 'spacing05',
+            tokenValue: '1rem',
+            value: '15px',
+          },
+        },
+      ],
+    },
+  ],
+});
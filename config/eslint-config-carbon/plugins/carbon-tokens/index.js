@@ -0,0 +1,31 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const plugin = {
+  meta: {
+    name: 'carbon-tokens',
+  },
+  rules: {
+    'no-hardcoded-values': require('./rules/no-hardcoded-values'),
+  },
+};
+
+plugin.configs = {
+  // Flat config, for `eslint.config.js`
+  recommended: {
+    plugins: {
+      'carbon-tokens': plugin,
+    },
+    rules: {
+      'carbon-tokens/no-hardcoded-values': 'warn',
+    },
+  },
+};
+
+module.exports = plugin;
@@ -0,0 +1,260 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const {
+  findColors,
+  matchColor,
+  matchFontSize,
+  matchSpacing,
+  toPx,
+} = require('../tokens');
+
+const colorProperty =
+  /^(color|background|border|outline|fill|stroke|boxShadow|textShadow|caretColor|columnRule|textDecoration)|Color$/;
+const spacingProperty = /^(margin|padding|gap|rowGap|columnGap)/;
+
+const toCamelCase = (name) =>
+  name.replace(/-([a-z])/g, (_, character) => character.toUpperCase());
+
+function getPropertyName(node) {
+  if (node.computed) {
+    return null;
+  }
+  if (node.key.type === 'Identifier') {
+    return node.key.name;
+  }
+  if (node.key.type === 'Literal' && typeof node.key.value === 'string') {
+    return toCamelCase(node.key.value);
+  }
+  return null;
+}
+
+/**
+ * Replace a literal with a token, and import the token from its package
+ * @param {object} context
+ * @param {object} node
+ * @param {string} replacement the expression that replaces the literal, like
+ * `blue60` or `scale[1]`
+ * @param {string} name the name to import
+ * @param {string} source the package to import the name from
+ * @returns {Function}
+ */
+function fixWithImport(context, node, replacement, name, source) {
+  const sourceCode = context.sourceCode ?? context.getSourceCode();
+  const program = sourceCode.ast;
+
+  return (fixer) => {
+    const imports = program.body.filter(
+      (statement) => statement.type === 'ImportDeclaration'
+    );
+    const declaration = imports.find(
+      (statement) => statement.source.value === source
+    );
+    const specifiers = declaration
+      ? declaration.specifiers.filter(
+          (specifier) => specifier.type === 'ImportSpecifier'
+        )
+      : [];
+    const existing = specifiers.find(
+      (specifier) => specifier.imported.name === name
+    );
+
+    if (existing) {
+      return fixer.replaceText(
+        node,
+        replacement.replace(name, existing.local.name)
+      );
+    }
+
+    const fixes = [fixer.replaceText(node, replacement)];
+    if (specifiers.length > 0) {
+      fixes.push(
+        fixer.insertTextAfter(specifiers[specifiers.length - 1], `, ${name}`)
+      );
+    } else {
+      const statement = `import { ${name} } from '${source}';`;
+      const last = imports[imports.length - 1];
+      fixes.push(
+        last
+          ? fixer.insertTextAfter(last, `\n${statement}`)
+          : fixer.insertTextBefore(program.body[0], `${statement}\n`)
+      );
+    }
+    return fixes;
+  };
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description:
+        'Disallow hardcoded colors, spacing and font sizes in style objects that should use Carbon tokens',
+    },
+    fixable: 'code',
+    messages: {
+      exact:
+        'Use `{{token}}` from `{{source}}` instead of the hardcoded value `{{value}}`',
+      nearest:
+        'Avoid the hardcoded value `{{value}}`. The nearest token is `{{token}}` from `{{source}}`, which is `{{tokenValue}}`',
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          allow: {
+            type: 'array',
+            items: { type: ['string', 'number'] },
+          },
+          colors: { type: 'boolean' },
+          spacing: { type: 'boolean' },
+          type: { type: 'boolean' },
+        },
+        additionalProperties: false,
+      },
+    ],
+  },
+
+  create(context) {
+    const {
+      allow = [],
+      colors = true,
+      spacing = true,
+      type = true,
+    } = context.options[0] ?? {};
+    const sourceCode = context.sourceCode ?? context.getSourceCode();
+    const canImport = sourceCode.ast.sourceType === 'module';
+
+    function report(node, value, match, source, replacement, importName) {
+      const data = {
+        source,
+        token: match.name,
+        tokenValue: match.value,
+        value,
+      };
+
+      if (match.exact) {
+        context.report({
+          node,
+          messageId: 'exact',
+          data,
+          fix: canImport
+            ? fixWithImport(context, node, replacement, importName, source)
+            : null,
+        });
+        return;
+      }
+
+      context.report({ node, messageId: 'nearest', data });
+    }
+
+    function checkColor(node) {
+      const value = node.value.trim();
+      for (const color of findColors(value)) {
+        const match = matchColor(color);
+        if (!match || allow.includes(color)) {
+          continue;
+        }
+        // The literal can only be replaced when it is the color itself, not
+        // a shorthand like `1px solid #0f62fe`
+        report(
+          node,
+          color,
+          color === value ? match : { ...match, exact: false },
+          '@carbon/colors',
+          match.name,
+          match.name
+        );
+      }
+    }
+
+    function checkLength(node, length, match, source, importName) {
+      const values =
+        typeof length === 'number' ? [length] : length.split(/\s+/);
+
+      for (const value of values) {
+        const px = toPx(value);
+        if (px === null || px === 0 || allow.includes(value)) {
+          continue;
+        }
+        // Font sizes can't be negative
+        if (px < 0 && match === matchFontSize) {
+          continue;
+        }
+        const result = match(px);
+        // Spacing tokens are strings like `1rem`, so a negative length is
+        // replaced with a template literal
+        const replacement = px < 0 ? `\`-\${${result.name}}\`` : result.name;
+        report(
+          node,
+          String(value),
+          values.length === 1 ? result : { ...result, exact: false },
+          source,
+          replacement,
+          importName ?? result.name
+        );
+      }
+    }
+
+    return {
+      Property(node) {
+        const property = getPropertyName(node);
+        if (!property) {
+          return;
+        }
+
+        // A negative number, like `marginTop: -16`, is a unary expression of
+        // a literal
+        const isNegative =
+          node.value.type === 'UnaryExpression' &&
+          node.value.operator === '-' &&
+          node.value.argument.type === 'Literal' &&
+          typeof node.value.argument.value === 'number';
+        const value = isNegative ? node.value.argument : node.value;
+        if (value.type !== 'Literal') {
+          return;
+        }
+        const length = isNegative ? -value.value : value.value;
+        if (allow.includes(length)) {
+          return;
+        }
+
+        if (
+          colors &&
+          typeof value.value === 'string' &&
+          colorProperty.test(property)
+        ) {
+          checkColor(value);
+        }
+
+        if (
+          typeof value.value !== 'string' &&
+          typeof value.value !== 'number'
+        ) {
+          return;
+        }
+
+        if (spacing && spacingProperty.test(property)) {
+          checkLength(node.value, length, matchSpacing, '@carbon/layout');
+        }
+
+        if (type && property === 'fontSize') {
+          checkLength(
+            node.value,
+            length,
+            matchFontSize,
+            '@carbon/type',
+            'scale'
+          );
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,131 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+// The `carbon-tokens` plugin of `stylelint-config-carbon` has a copy of this module, so that
+// both rules report the same tokens. Keep the two copies in sync.
+
+const { getNearestSwatch, parseColor } = require('@carbon/colors');
+const { baseFontSize, spacing } = require('@carbon/layout');
+const { scale } = require('@carbon/type');
+
+const colorPattern =
+  /#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})\b|(?:rgba?|hsla?)\([^)]*\)/gi;
+const lengthPattern = /^(-?\d*\.?\d+)(px|rem)?$/;
+
+/**
+ * Find every color in a string, like `#0f62fe` or `rgb(15, 98, 254)`
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function findColors(value) {
+  return value.match(colorPattern) ?? [];
+}
+
+/**
+ * Get the token of `@carbon/colors` that is closest to a color. The match is
+ * exact when the color is opaque and equal to the token.
+ * @param {string} value
+ * @returns {{ name: string, value: string, exact: boolean } | null}
+ */
+function matchColor(value) {
+  let color;
+  try {
+    color = parseColor(value);
+  } catch (error) {
+    return null;
+  }
+  const swatch = getNearestSwatch(color);
+  return {
+    name: swatch.name,
+    value: swatch.hex,
+    exact: swatch.distance === 0 && color.alpha === 1,
+  };
+}
+
+/**
+ * Convert a length in `px` or `rem`, or a number of pixels, to pixels
+ * @param {string | number} value
+ * @returns {number | null}
+ */
+function toPx(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = String(value).trim().match(lengthPattern);
+  if (!match) {
+    return null;
+  }
+  const [, number, unit] = match;
+  // Unitless strings other than `0` are not lengths
+  if (!unit && parseFloat(number) !== 0) {
+    return null;
+  }
+  return unit === 'rem'
+    ? parseFloat(number) * baseFontSize
+    : parseFloat(number);
+}
+
+/**
+ * Get the index of the value that is closest to a number of pixels
+ * @param {Array<number>} values
+ * @param {number} px
+ * @returns {number}
+ */
+function getNearest(values, px) {
+  let index = 0;
+  values.forEach((value, i) => {
+    if (Math.abs(value - px) < Math.abs(values[index] - px)) {
+      index = i;
+    }
+  });
+  return index;
+}
+
+const spacingPx = spacing.map(toPx);
+
+/**
+ * Get the spacing token of `@carbon/layout` that is closest to a length. A
+ * negative length is matched by the size of the length, so that `-16px` is an
+ * exact match of `spacing05`.
+ * @param {number} px
+ * @returns {{ index: number, name: string, value: string, exact: boolean }}
+ */
+function matchSpacing(px) {
+  const index = getNearest(spacingPx, Math.abs(px));
+  return {
+    index,
+    name: `spacing${String(index + 1).padStart(2, '0')}`,
+    value: spacing[index],
+    exact: spacingPx[index] === Math.abs(px),
+  };
+}
+
+/**
+ * Get the step of the type scale of `@carbon/type` that is closest to a font
+ * size
+ * @param {number} px
+ * @returns {{ index: number, name: string, value: string, exact: boolean }}
+ */
+function matchFontSize(px) {
+  const index = getNearest(scale, px);
+  return {
+    index,
+    name: `scale[${index}]`,
+    value: `${scale[index]}px`,
+    exact: scale[index] === px,
+  };
+}
+
+module.exports = {
+  findColors,
+  matchColor,
+  matchFontSize,
+  matchSpacing,
+  toPx,
+};
@@ -53,7 +53,10 @@ module.exports = {
     '/es/',
     '/lib/',
     '/umd/',
-    '[/\\\\]node_modules[/\\\\].+\\.(js|jsx)$',
+    // Dependencies are not transformed. This includes their `.cjs` files,
+    // which are CommonJS already and may use syntax that the Babel preset does
+    // not enable, like the private methods of the dependencies of ESLint.
+    '[/\\\\]node_modules[/\\\\].+\\.(js|jsx|cjs)$',
   ],
   watchPathIgnorePatterns: [
     '/.avt/',
@@ -0,0 +1,160 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment node
+ */
+
+'use strict';
+
+const stylelint = require('stylelint');
+
+const ruleName = 'carbon-tokens/no-hardcoded-values';
+
+async function lint(
+  code,
+  { options, fix = false, filename = 'test.scss' } = {}
+) {
+  const { results, output } = await stylelint.lint({
+    code,
+    codeFilename: filename,
+    config: {
+      plugins: [require.resolve('../')],
+      customSyntax: 'postcss-scss',
+      rules: {
+        [ruleName]: options ? [true, options] : true,
+      },
+    },
+    fix,
+  });
+  return {
+    output,
+    warnings: results[0].warnings.map((warning) => warning.text),
+  };
+}
+
+describe('carbon-tokens/no-hardcoded-values', () => {
+  it('should allow tokens and values that are not tokens', async () => {
+    const { warnings } = await lint(`
+@use '@carbon/layout';
+
+.a {
+  margin: 0 auto;
+  padding: layout.$spacing-05;
+  width: 100px;
+  background: url('#0f62fe.png');
+  $color: #0f62fe;
+  --color: #0f62fe;
+}
+`);
+    expect(warnings).toEqual([]);
+  });
+
+  it('should report the token of an exact match', async () => {
+    const { warnings } = await lint('.a { color: #0f62fe; padding: 1rem; }');
+    expect(warnings).toEqual([
+      `Use the token \`colors.$blue-60\` instead of the hardcoded value \`#0f62fe\` (${ruleName})`,
+      `Use the token \`layout.$spacing-05\` instead of the hardcoded value \`1rem\` (${ruleName})`,
+    ]);
+  });
+
+  it('should report the nearest token of other values', async () => {
+    const { warnings } = await lint(
+      '.a { color: rgba(15, 98, 254, 0.5); font-size: 15px; }'
+    );
+    expect(warnings).toEqual([
+      `Avoid the hardcoded value \`rgba(15, 98, 254, 0.5)\`. The nearest token is \`colors.$blue-60\`, which is \`#0f62fe\` (${ruleName})`,
+      `Avoid the hardcoded value \`15px\`. The nearest token is \`type.type-scale(2)\`, which is \`14px\` (${ruleName})`,
+    ]);
+  });
+
+  it('should check each value of a shorthand', async () => {
+    const { warnings } = await lint(
+      '.a { border: 1px solid #0f62fe; margin: 16px 0 -8px; }'
+    );
+    expect(warnings).toEqual([
+      `Use the token \`colors.$blue-60\` instead of the hardcoded value \`#0f62fe\` (${ruleName})`,
+      `Use the token \`layout.$spacing-05\` instead of the hardcoded value \`16px\` (${ruleName})`,
+      `Use the token \`-layout.$spacing-03\` instead of the hardcoded value \`-8px\` (${ruleName})`,
+    ]);
+  });
+
+  it('should replace exact matches and add the `@use` of their module', async () => {
+    const { output } = await lint(
+      `@use '@carbon/styles/scss/theme';
+
+.a {
+  margin: 16px 0 -8px calc(100% - 2rem);
+  color: #0f62fe;
+  font-size: 14px;
+}
+`,
+      { fix: true }
+    );
+    expect(output).toBe(`@use '@carbon/styles/scss/theme';
+@use '@carbon/layout';
+@use '@carbon/colors';
+@use '@carbon/type';
+
+.a {
+  margin: layout.$spacing-05 0 -layout.$spacing-03 calc(100% - layout.$spacing-07);
+  color: colors.$blue-60;
+  font-size: type.type-scale(2);
+}
+`);
+  });
+
+  it('should use the namespace of an existing `@use`', async () => {
+    const { output } = await lint(
+      `@use '@carbon/styles/scss/spacing' as *;
+@use '@carbon/colors' as c;
+
+.a {
+  padding: 8px;
+  color: #ffffff;
+}
+`,
+      { fix: true }
+    );
+    expect(output).toBe(`@use '@carbon/styles/scss/spacing' as *;
+@use '@carbon/colors' as c;
+
+.a {
+  padding: $spacing-03;
+  color: c.$white-0;
+}
+`);
+  });
+
+  it('should add the `@use` of a module at the start of the stylesheet', async () => {
+    const { output } = await lint('.a {\n  padding: 16px;\n}\n', {
+      fix: true,
+    });
+    expect(output).toBe(
+      "@use '@carbon/layout';\n\n.a {\n  padding: layout.$spacing-05;\n}\n"
+    );
+  });
+
+  it('should not replace values in CSS files', async () => {
+    const code = '.a { padding: 16px; }';
+    const { output } = await lint(code, { fix: true, filename: 'test.css' });
+    expect(output).toBe(code);
+  });
+
+  it('should support the `allow` option', async () => {
+    const { warnings } = await lint('.a { border: 1px solid #0f62fe; }', {
+      options: { allow: ['1px', '#0f62fe'] },
+    });
+    expect(warnings).toEqual([]);
+  });
+
+  it('should support turning off a kind of check', async () => {
+    const code = '.a { color: #0f62fe; padding: 16px; font-size: 14px; }';
+    const { warnings } = await lint(code, {
+      options: { colors: false, spacing: false, type: false },
+    });
+    expect(warnings).toEqual([]);
+  });
+});
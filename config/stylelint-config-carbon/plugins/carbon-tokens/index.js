@@ -0,0 +1,287 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const {
+  matchColor,
+  matchFontSize,
+  matchSpacing,
+  toPx,
+} = require('./tokens');
+const stylelint = require('stylelint');
+const valueParser = require('postcss-value-parser');
+
+const {
+  createPlugin,
+  utils: { report, ruleMessages, validateOptions },
+} = stylelint;
+
+const ruleName = 'carbon-tokens/no-hardcoded-values';
+
+const messages = ruleMessages(ruleName, {
+  exact: (value, token) =>
+    `Use the token \`${token}\` instead of the hardcoded value \`${value}\``,
+  nearest: (value, token, tokenValue) =>
+    `Avoid the hardcoded value \`${value}\`. The nearest token is \`${token}\`, which is \`${tokenValue}\``,
+});
+
+const meta = {
+  url: 'https://github.com/carbon-design-system/carbon/tree/main/config/stylelint-config-carbon#token-usage',
+  fixable: true,
+};
+
+// The Sass modules that provide each kind of token. A fix uses the namespace of
+// an existing `@use` of one of these modules, or adds a `@use` of the first one.
+const modules = {
+  colors: [
+    '@carbon/colors',
+    '@carbon/styles/scss/colors',
+    '@carbon/react/scss/colors',
+  ],
+  spacing: [
+    '@carbon/layout',
+    '@carbon/styles/scss/spacing',
+    '@carbon/react/scss/spacing',
+  ],
+  type: ['@carbon/type'],
+};
+
+const spacingProperty = /^(margin|padding|gap|row-gap|column-gap)(-|$)/;
+const colorFunctions = new Set(['rgb', 'rgba', 'hsl', 'hsla']);
+const mathFunctions = new Set(['calc', 'min', 'max', 'clamp']);
+const hexColor = /^#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})$/i;
+
+const toKebabCase = (name) =>
+  name.replace(/([a-z])([A-Z0-9])/g, '$1-$2').toLowerCase();
+
+const matchers = {
+  colors(value) {
+    const match = matchColor(value);
+    if (!match) {
+      return null;
+    }
+    return {
+      token: (namespace) => `${namespace}$${toKebabCase(match.name)}`,
+      value: match.value,
+      exact: match.exact,
+    };
+  },
+
+  spacing(value) {
+    const px = toPx(value);
+    if (px === null || px === 0) {
+      return null;
+    }
+    const { index, value: tokenValue, exact } = matchSpacing(px);
+    const step = String(index + 1).padStart(2, '0');
+    // A negative length uses the negation of the token, like `-$spacing-05`
+    const sign = px < 0 ? '-' : '';
+    return {
+      token: (namespace) => `${sign}${namespace}$spacing-${step}`,
+      value: tokenValue,
+      exact,
+    };
+  },
+
+  type(value) {
+    const px = toPx(value);
+    if (px === null || px <= 0) {
+      return null;
+    }
+    const { index, value: tokenValue, exact } = matchFontSize(px);
+    return {
+      token: (namespace) => `${namespace}type-scale(${index + 1})`,
+      value: tokenValue,
+      exact,
+    };
+  },
+};
+
+/**
+ * Get the namespace of an existing `@use` of one of the given modules, like
+ * `colors.` for `@use '@carbon/colors';`, or an empty string for
+ * `@use '@carbon/colors' as *;`
+ * @param {import('postcss').Root} root
+ * @param {Array<string>} urls
+ * @returns {string | null}
+ */
+function getNamespace(root, urls) {
+  let namespace = null;
+  root.walkAtRules('use', (atRule) => {
+    const match = atRule.params.match(/^(['"])(.+?)\1(?:\s+as\s+([\w-]+|\*))?/);
+    if (!match || !urls.includes(match[2])) {
+      return;
+    }
+    const [, , url, alias] = match;
+    if (alias === '*') {
+      namespace = '';
+    } else {
+      const name = alias ?? url.split('/').pop().replace(/^_/, '');
+      namespace = `${name}.`;
+    }
+    return false;
+  });
+  return namespace;
+}
+
+const getDefaultNamespace = (url) => `${url.split('/').pop()}.`;
+
+/**
+ * Add a `@use` of a module after the last `@use` of the stylesheet, or at the
+ * start of the stylesheet
+ * @param {import('postcss').Root} root
+ * @param {string} url
+ * @returns {string} the namespace of the module
+ */
+function addUse(root, url) {
+  const atRule = { name: 'use', params: `'${url}'` };
+  const uses = root.nodes.filter(
+    (node) => node.type === 'atrule' && node.name === 'use'
+  );
+  if (uses.length > 0) {
+    uses[uses.length - 1].after({ ...atRule, raws: { before: '\n' } });
+  } else {
+    const { first } = root;
+    root.prepend({ ...atRule, raws: { before: '' } });
+    // Keep a blank line between the `@use` and the rest of the stylesheet
+    if (first) {
+      first.raws.before = '\n\n';
+    }
+  }
+  return getDefaultNamespace(url);
+}
+
+/** @type {import('stylelint').Rule} */
+const rule = (primary, secondaryOptions = {}, context = {}) => {
+  return (root, result) => {
+    const validOptions = validateOptions(
+      result,
+      ruleName,
+      { actual: primary, possible: [true] },
+      {
+        actual: secondaryOptions,
+        possible: {
+          allow: [(value) => typeof value === 'string'],
+          colors: [(value) => typeof value === 'boolean'],
+          spacing: [(value) => typeof value === 'boolean'],
+          type: [(value) => typeof value === 'boolean'],
+        },
+        optional: true,
+      }
+    );
+
+    if (!validOptions) {
+      return;
+    }
+
+    const {
+      allow = [],
+      colors = true,
+      spacing: checkSpacing = true,
+      type = true,
+    } = secondaryOptions;
+    // Tokens are Sass variables and functions, so fixes are only applied to
+    // Sass stylesheets
+    const isScss = /\.scss$/.test(root.source?.input?.file ?? '');
+    const namespaces = {};
+
+    function getNamespaceOf(kind) {
+      if (!(kind in namespaces)) {
+        namespaces[kind] = getNamespace(root, modules[kind]);
+      }
+      return namespaces[kind];
+    }
+
+    root.walkDecls((decl) => {
+      const property = decl.prop.toLowerCase();
+      // Skip the definitions of Sass variables and CSS custom properties
+      if (property.startsWith('$') || property.startsWith('--')) {
+        return;
+      }
+
+      const kinds = [];
+      if (colors) {
+        kinds.push('colors');
+      }
+      if (checkSpacing && spacingProperty.test(property)) {
+        kinds.push('spacing');
+      }
+      if (type && property === 'font-size') {
+        kinds.push('type');
+      }
+
+      const parsed = valueParser(decl.value);
+      let needsFix = false;
+
+      parsed.walk((node) => {
+        if (node.type === 'function' && !colorFunctions.has(node.value)) {
+          // Only look into functions that compute lengths, not into functions
+          // like `url()` or Sass functions like `rem()`
+          return mathFunctions.has(node.value) ? undefined : false;
+        }
+
+        const value = valueParser.stringify(node);
+        if (allow.includes(value)) {
+          return false;
+        }
+
+        for (const kind of kinds) {
+          if (
+            kind === 'colors' &&
+            node.type === 'word' &&
+            !hexColor.test(value)
+          ) {
+            continue;
+          }
+          if (kind !== 'colors' && node.type !== 'word') {
+            continue;
+          }
+
+          const match = matchers[kind](value);
+          if (!match) {
+            continue;
+          }
+
+          if (match.exact && isScss && context.fix) {
+            if (getNamespaceOf(kind) === null) {
+              namespaces[kind] = addUse(root, modules[kind][0]);
+            }
+            node.type = 'word';
+            node.value = match.token(namespaces[kind]);
+            needsFix = true;
+            return false;
+          }
+
+          const token = match.token(
+            getNamespaceOf(kind) ?? getDefaultNamespace(modules[kind][0])
+          );
+          report({
+            message: match.exact
+              ? messages.exact(value, token)
+              : messages.nearest(value, token, match.value),
+            node: decl,
+            word: value,
+            result,
+            ruleName,
+          });
+          return false;
+        }
+      });
+
+      if (needsFix) {
+        decl.value = parsed.toString();
+      }
+    });
+  };
+};
+
+rule.ruleName = ruleName;
+rule.messages = messages;
+rule.meta = meta;
+
+module.exports = createPlugin(ruleName, rule);
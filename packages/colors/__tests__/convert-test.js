@@ -0,0 +1,112 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment node
+ */
+
+import {
+  blue60,
+  getContrastRatio,
+  mix,
+  parseColor,
+  rgba,
+  shade,
+  tint,
+  toHex,
+  toHsl,
+  toOklch,
+  toRgb,
+} from '../src';
+
+describe('parseColor', () => {
+  test.each([
+    ['#0f62fe', { r: 15, g: 98, b: 254, alpha: 1 }],
+    ['#FFF', { r: 255, g: 255, b: 255, alpha: 1 }],
+    ['#0f62fe80', { r: 15, g: 98, b: 254, alpha: 128 / 255 }],
+    ['rgb(15, 98, 254)', { r: 15, g: 98, b: 254, alpha: 1 }],
+    ['rgba(15, 98, 254, 0.5)', { r: 15, g: 98, b: 254, alpha: 0.5 }],
+    ['rgb(15 98 254 / 50%)', { r: 15, g: 98, b: 254, alpha: 0.5 }],
+    ['rgb(100% 0% 0%)', { r: 255, g: 0, b: 0, alpha: 1 }],
+    ['hsl(0, 100%, 50%)', { r: 255, g: 0, b: 0, alpha: 1 }],
+    ['hsla(120deg 100% 25% / 0.5)', { r: 0, g: 127.5, b: 0, alpha: 0.5 }],
+  ])('%s', (color, expected) => {
+    const { r, g, b, alpha } = parseColor(color);
+    expect(r).toBeCloseTo(expected.r);
+    expect(g).toBeCloseTo(expected.g);
+    expect(b).toBeCloseTo(expected.b);
+    expect(alpha).toBeCloseTo(expected.alpha);
+  });
+
+  test('oklch', () => {
+    expect(toHex('oklch(100% 0 0)')).toBe('#ffffff');
+    expect(toHex('oklch(0 0 0)')).toBe('#000000');
+    expect(toHex(toOklch(blue60))).toBe(blue60);
+  });
+
+  test.each([
+    '',
+    'blue',
+    '#12',
+    'rgb(1, 2)',
+    'hsl(a, b, c)',
+    'rgb(1 2 3 / 4 / 5)',
+  ])('throws for `%s`', (color) => {
+    expect(() => parseColor(color)).toThrow('Unable to parse the color');
+  });
+});
+
+describe('formatting', () => {
+  test('converts between formats', () => {
+    expect(toHex('rgb(15, 98, 254)')).toBe(blue60);
+    expect(toHex('rgba(15, 98, 254, 0.5)')).toBe('#0f62fe80');
+    expect(toRgb(blue60)).toBe('rgb(15, 98, 254)');
+    expect(toRgb('#0f62fe80')).toBe('rgba(15, 98, 254, 0.502)');
+    expect(toHsl('#ff0000')).toBe('hsl(0, 100%, 50%)');
+    expect(toHsl(blue60)).toBe('hsl(219.2, 99.2%, 52.7%)');
+    expect(toOklch('#ffffff')).toBe('oklch(100% 0 0)');
+    expect(toOklch(blue60)).toMatch(/^oklch\(5\d\.\d+% 0\.2\d+ 2\d\d\.\d+\)$/);
+  });
+
+  test('rgba supports short hex codes', () => {
+    expect(rgba('#0f62fe', 0.5)).toBe('rgba(15, 98, 254, 0.5)');
+    expect(rgba('#fff', 0.1)).toBe('rgba(255, 255, 255, 0.1)');
+  });
+});
+
+describe('mix', () => {
+  test('mixes colors in sRGB', () => {
+    expect(mix('#ffffff', '#000000')).toBe('#808080');
+    expect(mix('#ff0000', '#0000ff', 0.25)).toBe('#4000bf');
+    expect(tint('#000000', 0.2)).toBe('#333333');
+    expect(shade('#ffffff', 0.2)).toBe('#cccccc');
+  });
+
+  test('mixes colors in OKLab', () => {
+    expect(mix('#ffffff', '#000000', 1, { space: 'oklab' })).toBe('#ffffff');
+    expect(mix('#ffffff', '#000000', 0.5, { space: 'oklab' })).toBe('#636363');
+  });
+
+  test('validates its arguments', () => {
+    expect(() => mix('#fff', '#000', 2)).toThrow(
+      'Expected a weight from 0 to 1'
+    );
+    expect(() => mix('#fff', '#000', 0.5, { space: 'lab' })).toThrow(
+      'Unknown color space: `lab`'
+    );
+  });
+});
+
+describe('getContrastRatio', () => {
+  test('returns the WCAG 2.x contrast ratio', () => {
+    expect(getContrastRatio('#000000', '#ffffff')).toBeCloseTo(21);
+    expect(getContrastRatio('#ffffff', '#ffffff')).toBeCloseTo(1);
+    expect(getContrastRatio(blue60, '#ffffff')).toBeCloseTo(5, 1);
+  });
+
+  test('composites translucent colors over the background', () => {
+    expect(getContrastRatio('rgba(0, 0, 0, 0)', '#ffffff')).toBeCloseTo(1);
+  });
+});
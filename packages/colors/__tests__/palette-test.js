@@ -0,0 +1,121 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment node
+ */
+
+import {
+  blue,
+  blue60,
+  families,
+  getAccessibility,
+  getCategoricalPalette,
+  getNearestSwatch,
+  getSequentialPalette,
+  white,
+} from '../src';
+
+describe('getNearestSwatch', () => {
+  test('returns the swatch of a palette color', () => {
+    expect(getNearestSwatch(blue60)).toEqual({
+      family: 'blue',
+      grade: 60,
+      name: 'blue60',
+      hex: blue60,
+      distance: 0,
+    });
+  });
+
+  test('maps a color to the closest palette step', () => {
+    expect(getNearestSwatch('#1060fa').name).toBe('blue60');
+    expect(getNearestSwatch('rgb(254, 254, 254)').name).toBe('white0');
+  });
+
+  test('limits the search to some families', () => {
+    const swatch = getNearestSwatch(blue60, { families: ['cyan', 'purple'] });
+    expect(['cyan', 'purple']).toContain(swatch.family);
+    expect(swatch.distance).toBeGreaterThan(0);
+    expect(() => getNearestSwatch(blue60, { families: ['pink'] })).toThrow(
+      'Unable to find a swatch in the families: pink'
+    );
+  });
+});
+
+describe('getAccessibility', () => {
+  test('returns contrast metadata', () => {
+    expect(getAccessibility(white)).toEqual({
+      contrast: { light: 1, dark: 18.1 },
+      nonTextContrast: { light: false, dark: true },
+      textColor: '#000000',
+      textContrast: 21,
+    });
+    expect(getAccessibility(blue60).textColor).toBe('#ffffff');
+  });
+});
+
+describe('getCategoricalPalette', () => {
+  test('returns the colors in order', () => {
+    expect(getCategoricalPalette(3).map(({ name }) => name)).toEqual([
+      'purple70',
+      'cyan50',
+      'teal70',
+    ]);
+    expect(
+      getCategoricalPalette(2, { theme: 'dark' }).map(({ name }) => name)
+    ).toEqual(['purple60', 'cyan40']);
+  });
+
+  test('every color meets the non-text contrast of its theme', () => {
+    for (const theme of ['light', 'dark']) {
+      for (const color of getCategoricalPalette(14, { theme })) {
+        expect(color.nonTextContrast[theme]).toBe(true);
+      }
+    }
+  });
+
+  test('validates its arguments', () => {
+    expect(() => getCategoricalPalette(15)).toThrow(
+      'Expected a number of colors from 1 to 14, instead received: 15'
+    );
+    expect(() => getCategoricalPalette(2, { theme: 'g90' })).toThrow(
+      'Unknown theme: `g90`'
+    );
+  });
+});
+
+describe('getSequentialPalette', () => {
+  test('returns the grades of a family', () => {
+    const palette = getSequentialPalette('blue', 10);
+    expect(palette.map(({ hex }) => hex)).toEqual(Object.values(blue));
+    expect(
+      getSequentialPalette('blue', 3, { from: 20, to: 60 }).map(
+        ({ name }) => name
+      )
+    ).toEqual(['blue20', 'blue40', 'blue60']);
+  });
+
+  test('interpolates steps between grades', () => {
+    const palette = getSequentialPalette('blue', 3, { from: 10, to: 20 });
+    expect(palette[0].name).toBe('blue10');
+    expect(palette[1].name).toBe(null);
+    expect(palette[1].hex).toMatch(/^#[0-9a-f]{6}$/);
+    expect(palette[2].name).toBe('blue20');
+  });
+
+  test('validates its arguments', () => {
+    expect(families).toContain('warmGray');
+    expect(families).not.toContain('black');
+    expect(() => getSequentialPalette('pink', 5)).toThrow(
+      'Unknown family: `pink`'
+    );
+    expect(() => getSequentialPalette('blue', 1)).toThrow(
+      'Expected a number of colors of at least 2'
+    );
+    expect(() => getSequentialPalette('blue', 5, { from: 5 })).toThrow(
+      'Expected grades from 10 to 100'
+    );
+  });
+});
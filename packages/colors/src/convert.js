@@ -0,0 +1,351 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * A color in the sRGB color space, where each channel is a number from 0 to
+ * 255 and `alpha` is a number from 0 to 1
+ * @typedef {object} RGBColor
+ * @property {number} r
+ * @property {number} g
+ * @property {number} b
+ * @property {number} [alpha]
+ */
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const round = (value, precision = 0) => {
+  const factor = Math.pow(10, precision);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Parse a number, or a percentage of the given maximum value
+ * @param {string} value
+ * @param {number} max
+ * @returns {number}
+ */
+function parseValue(value, max) {
+  if (value.endsWith('%')) {
+    return (parseFloat(value) / 100) * max;
+  }
+  return parseFloat(value);
+}
+
+function parseHue(value) {
+  if (value.endsWith('turn')) {
+    return parseFloat(value) * 360;
+  }
+  if (value.endsWith('rad')) {
+    return (parseFloat(value) * 180) / Math.PI;
+  }
+  return parseFloat(value);
+}
+
+function parseHex(hexcode) {
+  let value = hexcode.slice(1);
+  if (value.length <= 4) {
+    value = value
+      .split('')
+      .map((character) => character + character)
+      .join('');
+  }
+  const [r, g, b, alpha = 255] = value
+    .match(/.{2}/g)
+    .map((pair) => parseInt(pair, 16));
+  return { r, g, b, alpha: alpha / 255 };
+}
+
+const functionPattern = /^(rgba?|hsla?|oklch)\((.*)\)$/;
+const numberPattern = /^-?(\d+\.?\d*|\.\d+)(e-?\d+)?(%|deg|rad|turn)?$/;
+
+/**
+ * Parse a color into its red, green, blue and alpha channels. Supports hex
+ * codes with 3, 4, 6 or 8 digits, and the `rgb()`, `hsl()` and `oklch()`
+ * functions with either comma or space separated arguments.
+ * @param {string | RGBColor} color
+ * @returns {RGBColor}
+ */
+export function parseColor(color) {
+  if (color !== null && typeof color === 'object') {
+    const { r, g, b, alpha = 1 } = color;
+    return { r, g, b, alpha };
+  }
+
+  const value = typeof color === 'string' ? color.trim().toLowerCase() : '';
+
+  if (/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(value)) {
+    return parseHex(value);
+  }
+
+  const match = value.match(functionPattern);
+  if (match) {
+    const [, name, body] = match;
+    const [channels, alpha, ...rest] = body.split('/');
+    const args = channels.trim().split(/\s*,\s*|\s+/);
+    // The alpha channel is either the fourth argument, like in
+    // `rgba(0, 0, 0, 0.5)`, or follows a slash, like in `rgb(0 0 0 / 50%)`
+    if (alpha !== undefined) {
+      args.push(alpha.trim());
+    } else if (args.length === 3) {
+      args.push('1');
+    }
+
+    if (
+      args.length === 4 &&
+      rest.length === 0 &&
+      args.every((arg) => numberPattern.test(arg))
+    ) {
+      const [first, second, third, fourth] = args;
+      const parsedAlpha = clamp(parseValue(fourth, 1), 0, 1);
+
+      if (name.startsWith('rgb')) {
+        const [r, g, b] = [first, second, third].map((channel) =>
+          clamp(parseValue(channel, 255), 0, 255)
+        );
+        return { r, g, b, alpha: parsedAlpha };
+      }
+
+      if (name.startsWith('hsl')) {
+        return {
+          ...hslToRgb({
+            h: parseHue(first),
+            s: clamp(parseFloat(second), 0, 100),
+            l: clamp(parseFloat(third), 0, 100),
+          }),
+          alpha: parsedAlpha,
+        };
+      }
+
+      return {
+        ...oklchToRgb({
+          l: clamp(parseValue(first, 1), 0, 1),
+          c: Math.max(parseValue(second, 0.4), 0),
+          h: parseHue(third),
+        }),
+        alpha: parsedAlpha,
+      };
+    }
+  }
+
+  throw new Error(`Unable to parse the color: \`${color}\``);
+}
+
+/**
+ * Convert a color from sRGB to HSL, where `h` is a number of degrees from 0 to
+ * 360 and `s` and `l` are percentages from 0 to 100
+ * @param {RGBColor} color
+ * @returns {{ h: number, s: number, l: number }}
+ */
+export function rgbToHsl({ r, g, b }) {
+  const [red, green, blue] = [r, g, b].map((channel) => channel / 255);
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const l = (max + min) / 2;
+  const delta = max - min;
+
+  if (delta === 0) {
+    return { h: 0, s: 0, l: l * 100 };
+  }
+
+  const s = delta / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === red) {
+    h = ((green - blue) / delta) % 6;
+  } else if (max === green) {
+    h = (blue - red) / delta + 2;
+  } else {
+    h = (red - green) / delta + 4;
+  }
+
+  return { h: (h * 60 + 360) % 360, s: s * 100, l: l * 100 };
+}
+
+/**
+ * Convert a color from HSL to sRGB
+ * @param {{ h: number, s: number, l: number }} color
+ * @returns {RGBColor}
+ */
+export function hslToRgb({ h, s, l }) {
+  const hue = ((h % 360) + 360) % 360;
+  const saturation = s / 100;
+  const lightness = l / 100;
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const x = chroma * (1 - Math.abs(((hue / 60) % 2) - 1));
+  const m = lightness - chroma / 2;
+  const [red, green, blue] =
+    hue < 60
+      ? [chroma, x, 0]
+      : hue < 120
+      ? [x, chroma, 0]
+      : hue < 180
+      ? [0, chroma, x]
+      : hue < 240
+      ? [0, x, chroma]
+      : hue < 300
+      ? [x, 0, chroma]
+      : [chroma, 0, x];
+
+  return {
+    r: (red + m) * 255,
+    g: (green + m) * 255,
+    b: (blue + m) * 255,
+  };
+}
+
+/**
+ * Convert a channel of an sRGB color, from 0 to 255, to linear light
+ * @param {number} channel
+ * @returns {number} a number from 0 to 1
+ */
+export function toLinear(channel) {
+  const value = channel / 255;
+  return value <= 0.04045
+    ? value / 12.92
+    : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+const fromLinear = (value) => {
+  const channel =
+    value <= 0.0031308
+      ? value * 12.92
+      : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+  return clamp(channel * 255, 0, 255);
+};
+
+/**
+ * Convert a color from sRGB to OKLab, where `l` is the lightness from 0 to 1
+ * @see https://bottosson.github.io/posts/oklab/
+ * @param {RGBColor} color
+ * @returns {{ l: number, a: number, b: number }}
+ */
+export function rgbToOklab({ r, g, b }) {
+  const [red, green, blue] = [r, g, b].map(toLinear);
+  const l = Math.cbrt(
+    0.4122214708 * red + 0.5363325363 * green + 0.0514459929 * blue
+  );
+  const m = Math.cbrt(
+    0.2119034982 * red + 0.6806995451 * green + 0.1073969566 * blue
+  );
+  const s = Math.cbrt(
+    0.0883024619 * red + 0.2817188376 * green + 0.6299787005 * blue
+  );
+
+  return {
+    l: 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  };
+}
+
+/**
+ * Convert a color from OKLab to sRGB. Colors outside of the sRGB gamut are
+ * clipped to it.
+ * @param {{ l: number, a: number, b: number }} color
+ * @returns {RGBColor}
+ */
+export function oklabToRgb({ l, a, b }) {
+  const long = Math.pow(l + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const medium = Math.pow(l - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const short = Math.pow(l - 0.0894841775 * a - 1.291485548 * b, 3);
+
+  return {
+    r: fromLinear(
+      4.0767416621 * long - 3.3077115913 * medium + 0.2309699292 * short
+    ),
+    g: fromLinear(
+      -1.2684380046 * long + 2.6097574011 * medium - 0.3413193965 * short
+    ),
+    b: fromLinear(
+      -0.0041960863 * long - 0.7034186147 * medium + 1.707614701 * short
+    ),
+  };
+}
+
+/**
+ * Convert a color from sRGB to OKLCH, where `l` is the lightness from 0 to 1,
+ * `c` is the chroma and `h` is the hue in degrees
+ * @param {RGBColor} color
+ * @returns {{ l: number, c: number, h: number }}
+ */
+export function rgbToOklch(color) {
+  const { l, a, b } = rgbToOklab(color);
+  const c = Math.sqrt(a * a + b * b);
+  // The hue of achromatic colors is meaningless, so it is reported as 0
+  const h = c < 0.0001 ? 0 : ((Math.atan2(b, a) * 180) / Math.PI + 360) % 360;
+  return { l, c, h };
+}
+
+/**
+ * Convert a color from OKLCH to sRGB. Colors outside of the sRGB gamut are
+ * clipped to it.
+ * @param {{ l: number, c: number, h: number }} color
+ * @returns {RGBColor}
+ */
+export function oklchToRgb({ l, c, h }) {
+  const radians = (h * Math.PI) / 180;
+  return oklabToRgb({ l, a: c * Math.cos(radians), b: c * Math.sin(radians) });
+}
+
+const toHexPair = (value) => Math.round(value).toString(16).padStart(2, '0');
+
+/**
+ * Format a color as a hex code. The alpha channel is only included when the
+ * color is translucent.
+ * @param {string | RGBColor} color
+ * @returns {string}
+ */
+export function toHex(color) {
+  const { r, g, b, alpha } = parseColor(color);
+  const hexcode = `#${[r, g, b].map(toHexPair).join('')}`;
+  return alpha < 1 ? hexcode + toHexPair(alpha * 255) : hexcode;
+}
+
+/**
+ * Format a color with the `rgb()` function, or `rgba()` when the color is
+ * translucent
+ * @param {string | RGBColor} color
+ * @returns {string}
+ */
+export function toRgb(color) {
+  const { r, g, b, alpha } = parseColor(color);
+  const [red, green, blue] = [r, g, b].map((channel) => Math.round(channel));
+  if (alpha < 1) {
+    return `rgba(${red}, ${green}, ${blue}, ${round(alpha, 3)})`;
+  }
+  return `rgb(${red}, ${green}, ${blue})`;
+}
+
+/**
+ * Format a color with the `hsl()` function, or `hsla()` when the color is
+ * translucent
+ * @param {string | RGBColor} color
+ * @returns {string}
+ */
+export function toHsl(color) {
+  const parsed = parseColor(color);
+  const { h, s, l } = rgbToHsl(parsed);
+  const values = `${round(h, 1)}, ${round(s, 1)}%, ${round(l, 1)}%`;
+  if (parsed.alpha < 1) {
+    return `hsla(${values}, ${round(parsed.alpha, 3)})`;
+  }
+  return `hsl(${values})`;
+}
+
+/**
+ * Format a color with the `oklch()` function
+ * @param {string | RGBColor} color
+ * @returns {string}
+ */
+export function toOklch(color) {
+  const parsed = parseColor(color);
+  const { l, c, h } = rgbToOklch(parsed);
+  const values = `${round(l * 100, 2)}% ${round(c, 4)} ${round(h, 2)}`;
+  if (parsed.alpha < 1) {
+    return `oklch(${values} / ${round(parsed.alpha, 3)})`;
+  }
+  return `oklch(${values})`;
+}
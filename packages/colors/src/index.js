@@ -6,4 +6,7 @@
  */
 
 export * from './colors';
+export * from './convert';
+export * from './palette';
 export * from './rgb';
+export * from './tools';
@@ -0,0 +1,262 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { black, colors, gray100, white } from './colors';
+import { parseColor, rgbToOklab } from './convert';
+import { getContrastRatio, mix } from './tools';
+
+/**
+ * The families of the palette with a grade from 10 to 100
+ */
+export const families = Object.keys(colors).filter(
+  (family) => Object.keys(colors[family]).length > 1
+);
+
+/**
+ * The order of the categorical palettes for data visualization, for light and
+ * dark themes. Adjacent colors are distinct for color vision deficiencies.
+ * @see https://carbondesignsystem.com/data-visualization/color-palettes/#categorical-palettes
+ */
+export const categoricalOrder = {
+  light: [
+    'purple70',
+    'cyan50',
+    'teal70',
+    'magenta70',
+    'red50',
+    'red90',
+    'green60',
+    'blue80',
+    'magenta50',
+    'yellow50',
+    'teal50',
+    'cyan90',
+    'orange70',
+    'purple50',
+  ],
+  dark: [
+    'purple60',
+    'cyan40',
+    'teal60',
+    'magenta40',
+    'red50',
+    'red10',
+    'green30',
+    'blue50',
+    'magenta60',
+    'yellow30',
+    'teal40',
+    'cyan20',
+    'orange60',
+    'purple30',
+  ],
+};
+
+/**
+ * The backgrounds that the contrast of a palette color is measured against
+ */
+const backgrounds = {
+  light: white,
+  dark: gray100,
+};
+
+const swatches = Object.keys(colors).flatMap((family) =>
+  Object.keys(colors[family]).map((grade) => {
+    const hex = colors[family][grade];
+    return {
+      family,
+      grade: Number(grade),
+      name: `${family}${grade}`,
+      hex,
+      lab: rgbToOklab(parseColor(hex)),
+    };
+  })
+);
+
+const getSwatch = (name) => {
+  const swatch = swatches.find((swatch) => swatch.name === name);
+  if (!swatch) {
+    throw new Error(`Unable to find the color: \`${name}\``);
+  }
+  return swatch;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the accessibility metadata of a color: its WCAG 2.x contrast ratio on
+ * the light and dark backgrounds, whether it meets the 3:1 ratio for graphical
+ * objects on each of them, and whether black or white text is more legible on
+ * the color
+ * @see https://www.w3.org/TR/WCAG21/#non-text-contrast
+ * @param {string} color
+ * @returns {object}
+ */
+export function getAccessibility(color) {
+  const contrast = {
+    light: round(getContrastRatio(color, backgrounds.light)),
+    dark: round(getContrastRatio(color, backgrounds.dark)),
+  };
+  const onBlack = getContrastRatio(black, color);
+  const onWhite = getContrastRatio(white, color);
+
+  return {
+    contrast,
+    nonTextContrast: {
+      light: contrast.light >= 3,
+      dark: contrast.dark >= 3,
+    },
+    textColor: onWhite >= onBlack ? white : black,
+    textContrast: round(Math.max(onBlack, onWhite)),
+  };
+}
+
+/**
+ * Find the swatch of the palette that is closest to a color, measured as the
+ * distance between both colors in OKLab
+ * @param {string} color
+ * @param {object} [options]
+ * @param {Array<string>} [options.families] limit the search to these
+ * families, like `['blue', 'cyan']`
+ * @returns {{ family: string, grade: number, name: string, hex: string, distance: number }}
+ */
+export function getNearestSwatch(color, { families: include } = {}) {
+  const lab = rgbToOklab(parseColor(color));
+  const candidates = include
+    ? swatches.filter((swatch) => include.includes(swatch.family))
+    : swatches;
+  if (candidates.length === 0) {
+    throw new Error(
+      `Unable to find a swatch in the families: ${include.join(', ')}`
+    );
+  }
+
+  let nearest = null;
+  let distance = Infinity;
+  for (const swatch of candidates) {
+    const value = Math.hypot(
+      swatch.lab.l - lab.l,
+      swatch.lab.a - lab.a,
+      swatch.lab.b - lab.b
+    );
+    if (value < distance) {
+      nearest = swatch;
+      distance = value;
+    }
+  }
+
+  const { family, grade, name, hex } = nearest;
+  return {
+    family,
+    grade,
+    name,
+    hex,
+    distance: Math.round(distance * 1e4) / 1e4,
+  };
+}
+
+/**
+ * Get the first colors of the categorical palette for data visualization. Use
+ * the colors in order so that adjacent colors stay distinguishable.
+ * @param {number} count the number of colors, up to 14
+ * @param {object} [options]
+ * @param {'light' | 'dark'} [options.theme] the theme that the colors are
+ * displayed on
+ * @returns {Array<object>}
+ */
+export function getCategoricalPalette(count, { theme = 'light' } = {}) {
+  const order = categoricalOrder[theme];
+  if (!order) {
+    throw new Error(
+      `Unknown theme: \`${theme}\`. Expected one of: ${Object.keys(
+        categoricalOrder
+      ).join(', ')}`
+    );
+  }
+  if (!Number.isInteger(count) || count < 1 || count > order.length) {
+    throw new Error(
+      `Expected a number of colors from 1 to ${order.length}, instead received: ${count}`
+    );
+  }
+
+  return order.slice(0, count).map((name) => {
+    const { family, grade, hex } = getSwatch(name);
+    return { name, family, grade, hex, ...getAccessibility(hex) };
+  });
+}
+
+/**
+ * Get a sequence of colors from one family of the palette, from light to dark,
+ * for data visualization of ordered values. Colors are evenly spaced between
+ * two grades. Steps that fall between two grades are interpolated in OKLab and
+ * do not have a `name`.
+ * @param {string} family the family of the palette, like `blue`
+ * @param {number} count the number of colors, at least 2
+ * @param {object} [options]
+ * @param {number} [options.from] the first grade
+ * @param {number} [options.to] the last grade
+ * @returns {Array<object>}
+ */
+export function getSequentialPalette(
+  family,
+  count,
+  { from = 10, to = 100 } = {}
+) {
+  if (!families.includes(family)) {
+    throw new Error(
+      `Unknown family: \`${family}\`. Expected one of: ${families.join(', ')}`
+    );
+  }
+  if (!Number.isInteger(count) || count < 2) {
+    throw new Error(
+      `Expected a number of colors of at least 2, instead received: ${count}`
+    );
+  }
+  const grades = Object.keys(colors[family]).map(Number);
+  if (!grades.includes(from) || !grades.includes(to)) {
+    throw new Error(
+      `Expected grades from ${grades[0]} to ${
+        grades[grades.length - 1]
+      }, instead received: ${from} and ${to}`
+    );
+  }
+
+  const start = grades.indexOf(from);
+  const end = grades.indexOf(to);
+
+  return Array.from({ length: count }, (_, step) => {
+    const position = start + ((end - start) * step) / (count - 1);
+    const index = Math.round(position);
+
+    if (Math.abs(position - index) < 1e-9) {
+      const grade = grades[index];
+      const hex = colors[family][grade];
+      return {
+        name: `${family}${grade}`,
+        family,
+        grade,
+        hex,
+        ...getAccessibility(hex),
+      };
+    }
+
+    const lower = Math.floor(position);
+    const hex = mix(
+      colors[family][grades[lower + 1]],
+      colors[family][grades[lower]],
+      position - lower,
+      { space: 'oklab' }
+    );
+    return {
+      name: null,
+      family,
+      grade: null,
+      hex,
+      ...getAccessibility(hex),
+    };
+  });
+}
@@ -5,17 +5,18 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import { parseColor } from './convert';
+
 /**
  * Parse a given hexcode string into an rgba statement with the given opacity
- * @param {string} hexcode
+ * @param {string} hexcode a hex code with 3 or 6 digits, or any color supported
+ * by `parseColor`
  * @param {number} opacity
  * @returns {string}
  */
 export function rgba(hexcode, opacity) {
-  const values = [
-    hexcode.substring(1, 3),
-    hexcode.substring(3, 5),
-    hexcode.substring(5, 7),
-  ].map((string) => parseInt(string, 16));
+  const values = ['r', 'g', 'b'].map((channel) =>
+    Math.round(parseColor(hexcode)[channel])
+  );
   return `rgba(${values[0]}, ${values[1]}, ${values[2]}, ${opacity})`;
 }
@@ -0,0 +1,112 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { black, white } from './colors';
+import { oklabToRgb, parseColor, rgbToOklab, toHex, toLinear } from './convert';
+
+/**
+ * Mix two colors together, like the `mix()` function of Sass. The weight is
+ * the proportion of the first color, from 0 to 1. Colors are mixed in sRGB by
+ * default, or in OKLab for perceptually even steps.
+ * @param {string} color1
+ * @param {string} color2
+ * @param {number} [weight]
+ * @param {object} [options]
+ * @param {'rgb' | 'oklab'} [options.space]
+ * @returns {string} a hex code
+ */
+export function mix(color1, color2, weight = 0.5, { space = 'rgb' } = {}) {
+  if (weight < 0 || weight > 1) {
+    throw new Error(
+      `Expected a weight from 0 to 1, instead received: ${weight}`
+    );
+  }
+
+  const a = parseColor(color1);
+  const b = parseColor(color2);
+  const interpolate = (x, y) => x * weight + y * (1 - weight);
+  const alpha = interpolate(a.alpha, b.alpha);
+
+  if (space === 'oklab') {
+    const labA = rgbToOklab(a);
+    const labB = rgbToOklab(b);
+    return toHex({
+      ...oklabToRgb({
+        l: interpolate(labA.l, labB.l),
+        a: interpolate(labA.a, labB.a),
+        b: interpolate(labA.b, labB.b),
+      }),
+      alpha,
+    });
+  }
+
+  if (space !== 'rgb') {
+    throw new Error(
+      `Unknown color space: \`${space}\`. Expected one of: rgb, oklab`
+    );
+  }
+
+  return toHex({
+    r: interpolate(a.r, b.r),
+    g: interpolate(a.g, b.g),
+    b: interpolate(a.b, b.b),
+    alpha,
+  });
+}
+
+/**
+ * Mix a color with white. The weight is the proportion of white, from 0 to 1.
+ * @param {string} color
+ * @param {number} weight
+ * @returns {string} a hex code
+ */
+export function tint(color, weight) {
+  return mix(white, color, weight);
+}
+
+/**
+ * Mix a color with black. The weight is the proportion of black, from 0 to 1.
+ * @param {string} color
+ * @param {number} weight
+ * @returns {string} a hex code
+ */
+export function shade(color, weight) {
+  return mix(black, color, weight);
+}
+
+/**
+ * Get the relative luminance of a color, as defined by WCAG 2.x
+ * @see https://www.w3.org/TR/WCAG21/#dfn-relative-luminance
+ * @param {string} color
+ * @returns {number} a number from 0 for black to 1 for white
+ */
+export function getLuminance(color) {
+  const { r, g, b } = parseColor(color);
+  const [red, green, blue] = [r, g, b].map(toLinear);
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+/**
+ * Get the WCAG 2.x contrast ratio of two colors. A translucent foreground is
+ * composited over the background first.
+ * @see https://www.w3.org/TR/WCAG21/#dfn-contrast-ratio
+ * @param {string} foreground
+ * @param {string} background
+ * @returns {number} a ratio from 1 to 21
+ */
+export function getContrastRatio(foreground, background) {
+  const top = parseColor(foreground);
+  const bottom = parseColor(background);
+  const composite = (x, y) => x * top.alpha + y * (1 - top.alpha);
+  const a = getLuminance({
+    r: composite(top.r, bottom.r),
+    g: composite(top.g, bottom.g),
+    b: composite(top.b, bottom.b),
+  });
+  const b = getLuminance(bottom);
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
@@ -8,6 +8,9 @@
 export class FeatureFlagScope {
   constructor(flags) {
     this.flags = new Map();
+    this.overrides = new Map();
+    this.listeners = new Set();
+    this.parent = null;
 
     if (flags) {
       Object.keys(flags).forEach((key) => {
@@ -70,6 +73,9 @@ export class FeatureFlagScope {
   }
 
   /**
+   * Merge the flags of the given scope with the current set of feature flags.
+   * Flags of the current scope take precedence, while the overrides of the
+   * given scope keep applying to this scope.
    * @param {FeatureFlagScope} scope
    */
   mergeWithScope(scope) {
@@ -79,15 +85,112 @@ export class FeatureFlagScope {
       }
       this.flags.set(key, value);
     }
+    this.parent = scope;
   }
 
   /**
-   * Check if a feature flag is enabled
+   * Check if a feature flag is enabled. Overrides take precedence over the
+   * value of the flag.
    * @param {string} name
    * @returns {boolean}
    */
   enabled(name) {
     this.checkForFlag(name);
+    const override = this.getOverride(name);
+    if (override !== undefined) {
+      return override;
+    }
     return this.flags.get(name);
   }
+
+  /**
+   * Get the override of a feature flag, if any, from this scope or one of the
+   * scopes it was merged with
+   * @param {string} name
+   * @returns {boolean|undefined}
+   */
+  getOverride(name) {
+    if (this.overrides.has(name)) {
+      return this.overrides.get(name);
+    }
+    if (this.parent) {
+      return this.parent.getOverride(name);
+    }
+    return undefined;
+  }
+
+  /**
+   * Get all overrides that apply to this scope
+   * @returns {object}
+   */
+  getOverrides() {
+    const overrides = this.parent ? this.parent.getOverrides() : {};
+    for (const [key, value] of this.overrides) {
+      overrides[key] = value;
+    }
+    return overrides;
+  }
+
+  /**
+   * Override a feature flag, regardless of the value it was given with
+   * `enable`, `disable` or `merge`. Pass `undefined` to remove the override.
+   * @param {string} name
+   * @param {boolean|undefined} enabled
+   */
+  setOverride(name, enabled) {
+    this.checkForFlag(name);
+    if (enabled === undefined) {
+      this.overrides.delete(name);
+    } else {
+      this.overrides.set(name, enabled);
+    }
+    this.notify();
+  }
+
+  /**
+   * Replace all overrides of this scope with the given feature flags
+   * @param {object} overrides
+   */
+  setOverrides(overrides) {
+    Object.keys(overrides).forEach((key) => {
+      this.checkForFlag(key);
+    });
+    this.overrides = new Map(Object.entries(overrides));
+    this.notify();
+  }
+
+  /**
+   * Remove all overrides of this scope
+   */
+  clearOverrides() {
+    this.overrides.clear();
+    this.notify();
+  }
+
+  /**
+   * Subscribe to changes of the overrides that apply to this scope
+   * @param {Function} listener
+   * @returns {Function} a function that removes the listener
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    const unsubscribeParent = this.parent
+      ? this.parent.subscribe(listener)
+      : null;
+    return () => {
+      this.listeners.delete(listener);
+      if (unsubscribeParent) {
+        unsubscribeParent();
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  notify() {
+    this.listeners.forEach((listener) => {
+      listener();
+    });
+  }
 }
@@ -101,4 +101,75 @@ describe('@carbon/feature-flags', () => {
       expect(FeatureFlags.enabled('flag-b')).toBe(false);
     });
   });
+
+  describe('overrides', () => {
+    it('should take precedence over the value of a flag', () => {
+      FeatureFlags.add('flag-a', false);
+      FeatureFlags.FeatureFlags.setOverride('flag-a', true);
+      expect(FeatureFlags.enabled('flag-a')).toBe(true);
+
+      FeatureFlags.disable('flag-a');
+      expect(FeatureFlags.enabled('flag-a')).toBe(true);
+
+      FeatureFlags.FeatureFlags.setOverride('flag-a', undefined);
+      expect(FeatureFlags.enabled('flag-a')).toBe(false);
+    });
+
+    it('should apply the overrides of merged scopes', () => {
+      const parent = FeatureFlags.createScope({ 'flag-a': false });
+      const child = FeatureFlags.createScope({ 'flag-a': false });
+      child.mergeWithScope(parent);
+
+      const listener = jest.fn();
+      const unsubscribe = child.subscribe(listener);
+      parent.setOverrides({ 'flag-a': true });
+
+      expect(child.enabled('flag-a')).toBe(true);
+      expect(child.getOverrides()).toEqual({ 'flag-a': true });
+      expect(listener).toHaveBeenCalledTimes(1);
+
+      unsubscribe();
+      parent.clearOverrides();
+      expect(child.enabled('flag-a')).toBe(false);
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw if the given flag does not exist', () => {
+      expect(() => {
+        FeatureFlags.FeatureFlags.setOverride('flag-a', true);
+      }).toThrow();
+    });
+  });
+
+  describe('loadOverrides', () => {
+    it('should apply the overrides of each source to the global scope', () => {
+      const result = FeatureFlags.loadOverrides({
+        sources: [
+          FeatureFlags.createQuerySource({
+            search: '?carbon-flags=enable-v12-overflowmenu',
+          }),
+        ],
+      });
+
+      expect(result.overrides).toEqual({ 'enable-v12-overflowmenu': true });
+      expect(FeatureFlags.enabled('enable-v12-overflowmenu')).toBe(true);
+    });
+
+    it('should return invalid overrides without logging them', () => {
+      const spy = jest.spyOn(console, 'warn');
+      const result = FeatureFlags.loadOverrides({
+        sources: [
+          FeatureFlags.createQuerySource({ search: '?carbon-flags=flag-z' }),
+        ],
+      });
+      expect(result.errors).toEqual([
+        expect.objectContaining({
+          source: 'query',
+          message: 'Unable to find a feature flag with the name: `flag-z`',
+        }),
+      ]);
+      expect(spy).not.toHaveBeenCalled();
+      spy.mockRestore();
+    });
+  });
 });
@@ -0,0 +1,129 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  createEnvSource,
+  createQuerySource,
+  createStorageSource,
+  getEnvironmentVariable,
+  resolveOverrides,
+} from '../overrides';
+
+const createSource = (name, values) => ({ name, read: () => values });
+
+describe('overrides', () => {
+  describe('createQuerySource', () => {
+    it('should enable listed flags and disable flags prefixed with !', () => {
+      const source = createQuerySource({
+        search: '?carbon-flags=flag-a,!flag-b,,%20flag-c',
+      });
+      expect(source.read()).toEqual({
+        'flag-a': true,
+        'flag-b': false,
+        'flag-c': true,
+      });
+    });
+
+    it('should support a custom parameter', () => {
+      const source = createQuerySource({ param: 'flags', search: '?flags=a' });
+      expect(source.read()).toEqual({ a: true });
+      expect(createQuerySource({ search: '?flags=a' }).read()).toEqual({});
+    });
+
+    it('should default to the query of the current page', () => {
+      window.history.pushState({}, '', '/?carbon-flags=flag-a');
+      expect(createQuerySource().read()).toEqual({ 'flag-a': true });
+      window.history.pushState({}, '', '/');
+    });
+  });
+
+  describe('createStorageSource', () => {
+    afterEach(() => {
+      window.localStorage.clear();
+    });
+
+    it('should read and write overrides', () => {
+      const source = createStorageSource();
+      expect(source.read()).toEqual({});
+
+      source.write({ 'flag-a': false });
+      expect(window.localStorage.getItem('carbon-feature-flags')).toBe(
+        '{"flag-a":false}'
+      );
+      expect(source.read()).toEqual({ 'flag-a': false });
+
+      source.write({});
+      expect(window.localStorage.getItem('carbon-feature-flags')).toBe(null);
+    });
+
+    it('should throw for invalid JSON', () => {
+      window.localStorage.setItem('custom-key', '{');
+      expect(() => createStorageSource({ key: 'custom-key' }).read()).toThrow(
+        'Unable to parse the feature flags stored in `custom-key`'
+      );
+    });
+  });
+
+  describe('createEnvSource', () => {
+    it('should read the environment variable of each flag', () => {
+      expect(getEnvironmentVariable('enable-v12-overflowmenu')).toBe(
+        'CARBON_ENABLE_V12_OVERFLOWMENU'
+      );
+      const source = createEnvSource({
+        env: { CARBON_FLAG_A: 'true', CARBON_FLAG_B: '', OTHER: 'true' },
+      });
+      expect(source.read(['flag-a', 'flag-b', 'flag-c'])).toEqual({
+        'flag-a': 'true',
+      });
+    });
+  });
+
+  describe('resolveOverrides', () => {
+    it('should give precedence to later sources', () => {
+      const { overrides, origins, errors } = resolveOverrides({
+        flags: ['flag-a', 'flag-b'],
+        sources: [
+          createSource('env', { 'flag-a': 'true', 'flag-b': 'true' }),
+          createSource('query', { 'flag-b': false }),
+        ],
+      });
+      expect(overrides).toEqual({ 'flag-a': true, 'flag-b': false });
+      expect(origins).toEqual({ 'flag-a': 'env', 'flag-b': 'query' });
+      expect(errors).toEqual([]);
+    });
+
+    it('should report unknown flags and invalid values', () => {
+      const { overrides, errors } = resolveOverrides({
+        flags: ['flag-a'],
+        sources: [
+          createSource('query', { 'flag-a': 'yes', 'flag-z': true }),
+          {
+            name: 'storage',
+            read: () => {
+              throw new Error('Unable to read');
+            },
+          },
+        ],
+      });
+      expect(overrides).toEqual({});
+      expect(errors).toEqual([
+        {
+          source: 'query',
+          name: 'flag-a',
+          message:
+            'Expected `true` or `false` for the feature flag `flag-a`, received: `yes`',
+        },
+        {
+          source: 'query',
+          name: 'flag-z',
+          message: 'Unable to find a feature flag with the name: `flag-z`',
+        },
+        { source: 'storage', message: 'Unable to read' },
+      ]);
+    });
+  });
+});
@@ -7,6 +7,7 @@
 
 import { featureFlagInfo } from './generated/feature-flags';
 import { FeatureFlagScope } from './FeatureFlagScope';
+import { resolveOverrides } from './overrides';
 
 const FeatureFlags = createScope();
 
@@ -15,7 +16,17 @@ for (let i = 0; i < featureFlagInfo.length; i++) {
   FeatureFlags.add(featureFlag.name, featureFlag.enabled);
 }
 
-export { FeatureFlags };
+export { FeatureFlags, featureFlagInfo };
+export {
+  OVERRIDES_QUERY_PARAM,
+  OVERRIDES_STORAGE_KEY,
+  createEnvSource,
+  createQuerySource,
+  createStorageSource,
+  getDefaultSources,
+  getEnvironmentVariable,
+  resolveOverrides,
+} from './overrides';
 
 export function createScope(flags) {
   return new FeatureFlagScope(flags);
@@ -40,3 +51,26 @@ export function enabled(...args) {
 export function merge(...args) {
   return FeatureFlags.merge(...args);
 }
+
+/**
+ * Read overrides from environment variables, storage and the URL query, and
+ * apply them to a scope. Overrides take precedence over the values given in
+ * code, and only flags from `feature-flags.yml` can be overridden by default.
+ * Invalid entries are left out and returned in `errors` for the caller to
+ * report.
+ *
+ * @param {object} [options]
+ * @param {FeatureFlagScope} [options.scope] defaults to the global scope
+ * @param {Array<string>} [options.flags] the flags that can be overridden
+ * @param {Array<object>} [options.sources] defaults to `getDefaultSources()`
+ * @returns {{ overrides: object, origins: object, errors: Array<object> }}
+ */
+export function loadOverrides({
+  scope = FeatureFlags,
+  flags = featureFlagInfo.map((featureFlag) => featureFlag.name),
+  sources,
+} = {}) {
+  const result = resolveOverrides({ flags, sources });
+  scope.setOverrides(result.overrides);
+  return result;
+}
@@ -0,0 +1,220 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * The query parameter read by the query source, for example:
+ * `?carbon-flags=enable-v12-overflowmenu,!enable-treeview-controllable`
+ */
+export const OVERRIDES_QUERY_PARAM = 'carbon-flags';
+
+/**
+ * The `localStorage` key read and written by the storage source
+ */
+export const OVERRIDES_STORAGE_KEY = 'carbon-feature-flags';
+
+/**
+ * Create a source that reads overrides from the query of a URL. Flags listed in
+ * the parameter are enabled, and flags prefixed with `!` are disabled.
+ *
+ * @param {object} [options]
+ * @param {string} [options.param] the name of the query parameter
+ * @param {string} [options.search] the query to read, defaults to the one of
+ * the current page
+ * @returns {{ name: string, read: Function }}
+ */
+export function createQuerySource({
+  param = OVERRIDES_QUERY_PARAM,
+  search,
+} = {}) {
+  return {
+    name: 'query',
+    read() {
+      const query =
+        search ?? (typeof window !== 'undefined' ? window.location.search : '');
+      const value = new URLSearchParams(query).get(param);
+      if (!value) {
+        return {};
+      }
+      const overrides = {};
+      value
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean)
+        .forEach((name) => {
+          if (name.startsWith('!')) {
+            overrides[name.slice(1)] = false;
+          } else {
+            overrides[name] = true;
+          }
+        });
+      return overrides;
+    },
+  };
+}
+
+function getLocalStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    // Accessing `localStorage` throws when storage is disabled
+    return null;
+  }
+}
+
+/**
+ * Create a source that reads overrides from a JSON object in storage, and that
+ * can write them back so that they persist between page loads
+ *
+ * @param {object} [options]
+ * @param {string} [options.key] the storage key
+ * @param {Storage} [options.storage] defaults to `localStorage`
+ * @returns {{ name: string, read: Function, write: Function }}
+ */
+export function createStorageSource({
+  key = OVERRIDES_STORAGE_KEY,
+  storage = getLocalStorage(),
+} = {}) {
+  return {
+    name: 'storage',
+    read() {
+      const value = storage?.getItem(key);
+      if (!value) {
+        return {};
+      }
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        throw new Error(
+          `Unable to parse the feature flags stored in \`${key}\``
+        );
+      }
+    },
+    write(overrides) {
+      if (!storage) {
+        return;
+      }
+      if (Object.keys(overrides).length === 0) {
+        storage.removeItem(key);
+      } else {
+        storage.setItem(key, JSON.stringify(overrides));
+      }
+    },
+  };
+}
+
+/**
+ * Get the name of the environment variable of a feature flag, for example
+ * `CARBON_ENABLE_V12_OVERFLOWMENU` for `enable-v12-overflowmenu`
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function getEnvironmentVariable(name) {
+  return `CARBON_${name.toUpperCase().replace(/-/g, '_')}`;
+}
+
+/**
+ * Create a source that reads overrides from environment variables at runtime,
+ * like `CARBON_ENABLE_V12_OVERFLOWMENU=true`. Bundlers that replace
+ * `process.env` at build time already apply these variables to the defaults.
+ *
+ * @param {object} [options]
+ * @param {object} [options.env] defaults to `process.env`
+ * @returns {{ name: string, read: Function }}
+ */
+export function createEnvSource({ env } = {}) {
+  return {
+    name: 'env',
+    read(names) {
+      const variables =
+        env ?? (typeof process !== 'undefined' ? process.env : undefined);
+      const overrides = {};
+      if (!variables) {
+        return overrides;
+      }
+      names.forEach((name) => {
+        const value = variables[getEnvironmentVariable(name)];
+        if (value !== undefined && value !== '') {
+          overrides[name] = value;
+        }
+      });
+      return overrides;
+    },
+  };
+}
+
+/**
+ * The sources read by default, from lowest to highest precedence: environment
+ * variables, then storage, then the URL query
+ *
+ * @returns {Array<object>}
+ */
+export function getDefaultSources() {
+  return [createEnvSource(), createStorageSource(), createQuerySource()];
+}
+
+function toBoolean(value) {
+  if (value === true || value === 'true') {
+    return true;
+  }
+  if (value === false || value === 'false') {
+    return false;
+  }
+  return undefined;
+}
+
+/**
+ * Read the overrides of every source and validate them against the given
+ * flags. Sources are read in order, so later sources take precedence. Invalid
+ * entries are left out and reported in `errors`.
+ *
+ * @param {object} options
+ * @param {Array<string>} options.flags the names of the known feature flags
+ * @param {Array<object>} [options.sources]
+ * @returns {{ overrides: object, origins: object, errors: Array<object> }}
+ * where `origins` maps every overridden flag to the name of its source
+ */
+export function resolveOverrides({ flags, sources = getDefaultSources() }) {
+  const known = new Set(flags);
+  const overrides = {};
+  const origins = {};
+  const errors = [];
+
+  sources.forEach((source) => {
+    let values;
+    try {
+      values = source.read(flags) ?? {};
+    } catch (error) {
+      errors.push({ source: source.name, message: error.message });
+      return;
+    }
+
+    Object.keys(values).forEach((name) => {
+      if (!known.has(name)) {
+        errors.push({
+          source: source.name,
+          name,
+          message: `Unable to find a feature flag with the name: \`${name}\``,
+        });
+        return;
+      }
+      const value = toBoolean(values[name]);
+      if (value === undefined) {
+        errors.push({
+          source: source.name,
+          name,
+          message: `Expected \`true\` or \`false\` for the feature flag \`${name}\`, received: \`${values[name]}\``,
+        });
+        return;
+      }
+      overrides[name] = value;
+      origins[name] = source.name;
+    });
+  });
+
+  return { overrides, origins, errors };
+}
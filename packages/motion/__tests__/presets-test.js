@@ -0,0 +1,55 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment node
+ */
+
+import { easings, getPreset, presets, transition } from '../src';
+
+describe('presets', () => {
+  it('should pair an easing and a duration for each mode', () => {
+    for (const modes of Object.values(presets)) {
+      expect(Object.keys(modes)).toEqual(['productive', 'expressive']);
+      for (const { duration, easing } of Object.values(modes)) {
+        expect(duration).toMatch(/^\d+ms$/);
+        expect(Object.values(easings).flatMap(Object.values)).toContain(easing);
+      }
+      expect(parseInt(modes.expressive.duration, 10)).toBeGreaterThan(
+        parseInt(modes.productive.duration, 10)
+      );
+    }
+  });
+
+  it('should get a preset', () => {
+    expect(getPreset('enter', 'expressive')).toEqual({
+      duration: '240ms',
+      easing: 'cubic-bezier(0, 0, 0.3, 1)',
+    });
+    expect(getPreset('exit')).toEqual(presets.exit.productive);
+    expect(getPreset('enter', 'productive', { reducedMotion: true })).toEqual({
+      duration: '0ms',
+      easing: easings.entrance.productive,
+    });
+  });
+
+  it('should throw for unknown presets and modes', () => {
+    expect(() => getPreset('bounce')).toThrow(
+      'Unable to find the motion preset `bounce`. Expected one of: enter, exit, standard'
+    );
+    expect(() => getPreset('enter', 'playful')).toThrow(
+      'Unable to find a mode for the motion preset `enter` called: `playful`'
+    );
+  });
+
+  it('should format the transition property', () => {
+    expect(transition('opacity', 'exit')).toBe(
+      'opacity 110ms cubic-bezier(0.2, 0, 1, 0.9)'
+    );
+    expect(transition(['opacity', 'transform'], 'enter', 'expressive')).toBe(
+      'opacity 240ms cubic-bezier(0, 0, 0.3, 1), transform 240ms cubic-bezier(0, 0, 0.3, 1)'
+    );
+  });
+});
@@ -66,3 +66,102 @@ export function motion(name, mode) {
 
   return easing[mode];
 }
+
+/**
+ * The media query that matches when the user prefers reduced motion
+ */
+export const reducedMotionQuery = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Presets that pair an easing with a duration for elements that enter the
+ * page, exit the page, or move and change within the page. Productive motion
+ * is used for most of the interface, while expressive motion is used for
+ * significant moments like opening a modal.
+ */
+export const presets = {
+  enter: {
+    productive: {
+      duration: durationModerate01,
+      easing: easings.entrance.productive,
+    },
+    expressive: {
+      duration: durationModerate02,
+      easing: easings.entrance.expressive,
+    },
+  },
+  exit: {
+    productive: {
+      duration: durationFast02,
+      easing: easings.exit.productive,
+    },
+    expressive: {
+      duration: durationModerate01,
+      easing: easings.exit.expressive,
+    },
+  },
+  standard: {
+    productive: {
+      duration: durationFast02,
+      easing: easings.standard.productive,
+    },
+    expressive: {
+      duration: durationModerate02,
+      easing: easings.standard.expressive,
+    },
+  },
+};
+
+/**
+ * Get the duration and easing of a motion preset. With `reducedMotion`, the
+ * duration is `0ms` so that the element changes without moving.
+ *
+ * @param {string} name one of `enter`, `exit` or `standard`
+ * @param {string} [mode] `productive` or `expressive`
+ * @param {object} [options]
+ * @param {boolean} [options.reducedMotion]
+ * @returns {{ duration: string, easing: string }}
+ */
+export function getPreset(name, mode = 'productive', { reducedMotion } = {}) {
+  if (!presets[name]) {
+    throw new Error(
+      `Unable to find the motion preset \`${name}\`. Expected one of: ` +
+        Object.keys(presets).join(', ')
+    );
+  }
+
+  const preset = presets[name][mode];
+  if (!preset) {
+    throw new Error(
+      `Unable to find a mode for the motion preset \`${name}\` called: ` +
+        `\`${mode}\``
+    );
+  }
+
+  if (reducedMotion) {
+    return { ...preset, duration: '0ms' };
+  }
+  return preset;
+}
+
+/**
+ * Get the value of the CSS `transition` property for one or more properties
+ * with a motion preset
+ *
+ * @example
+ * transition(['opacity', 'transform'], 'enter', 'expressive');
+ * // opacity 240ms cubic-bezier(0, 0, 0.3, 1), transform 240ms cubic-bezier(0, 0, 0.3, 1)
+ *
+ * @param {string | Array<string>} properties
+ * @param {string} name one of `enter`, `exit` or `standard`
+ * @param {string} [mode] `productive` or `expressive`
+ * @param {object} [options]
+ * @param {boolean} [options.reducedMotion]
+ * @returns {string}
+ */
+export function transition(properties, name, mode, options) {
+  const { duration, easing } = getPreset(name, mode, options);
+  return []
+    .concat(properties)
+    .map((property) => `${property} ${duration} ${easing}`)
+    .join(', ');
+}
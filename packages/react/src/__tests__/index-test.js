@@ -109,6 +109,7 @@ describe('Carbon Components React', () => {
         "InlineNotification",
         "Layer",
         "Link",
+        "ListBoxMatch",
         "ListItem",
         "Loading",
         "Menu",
@@ -207,6 +208,8 @@ describe('Carbon Components React', () => {
         "TableExpandHeader",
         "TableExpandRow",
         "TableExpandedRow",
+        "TableFooter",
+        "TableGroupRow",
         "TableHead",
         "TableHeader",
         "TableRow",
@@ -215,9 +218,13 @@ describe('Carbon Components React', () => {
         "TableSlugRow",
         "TableToolbar",
         "TableToolbarAction",
+        "TableToolbarColumnChooser",
         "TableToolbarContent",
+        "TableToolbarExport",
+        "TableToolbarFilter",
         "TableToolbarMenu",
         "TableToolbarSearch",
+        "TableVirtualBody",
         "Tabs",
         "TabsSkeleton",
         "TabsVertical",
@@ -229,6 +236,9 @@ describe('Carbon Components React', () => {
         "TextInputSkeleton",
         "Theme",
         "ThemeContext",
+        "ThemePreferenceProvider",
+        "ThemePreferenceScript",
+        "ThemePreferenceToggle",
         "Tile",
         "TileAboveTheFoldContent",
         "TileBelowTheFoldContent",
@@ -245,11 +255,18 @@ describe('Carbon Components React', () => {
         "ToggletipContent",
         "ToggletipLabel",
         "Tooltip",
+        "Transition",
         "TreeNode",
         "TreeView",
         "UnorderedList",
         "VStack",
+        "deserializeColumnFilters",
+        "downloadTableData",
+        "exportTableData",
+        "fuzzyMatcher",
+        "serializeColumnFilters",
         "unstable_FeatureFlags",
+        "unstable_FeatureFlagsPanel",
         "unstable_Layout",
         "unstable_LayoutDirection",
         "unstable_OverflowMenuV2",
@@ -288,12 +305,18 @@ describe('Carbon Components React', () => {
         "unstable_useFeatureFlag",
         "unstable_useFeatureFlags",
         "unstable_useLayoutDirection",
+        "useBreakpoint",
+        "useBreakpointUp",
         "useContextMenu",
         "useIdPrefix",
         "useLayer",
         "usePrefersDarkScheme",
         "usePrefix",
+        "usePresence",
+        "useReducedMotion",
+        "useResponsiveValue",
         "useTheme",
+        "useThemePreference",
       ]
     `);
   });
@@ -6,7 +6,14 @@
  */
 
 import React from 'react';
-import { render, screen, within, fireEvent, act } from '@testing-library/react';
+import {
+  render,
+  screen,
+  within,
+  fireEvent,
+  act,
+  waitFor,
+} from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import {
   findListBoxNode,
@@ -18,6 +25,7 @@ import {
   waitForPosition,
 } from '../ListBox/test-helpers';
 import ComboBox from '../ComboBox';
+import { ListBoxMatch, fuzzyMatcher } from '../ListBox';
 import { AILabel } from '../AILabel';
 
 const findInputNode = () => screen.getByRole('combobox');
@@ -452,4 +460,358 @@ describe('ComboBox', () => {
       );
     });
   });
+
+  describe('matches', () => {
+    const getMarks = () =>
+      Array.from(
+        document.querySelectorAll(`mark.${prefix}--list-box__menu-item__match`)
+      ).map((mark) => mark.textContent);
+
+    it('should highlight the matches of the input value without filtering the items', async () => {
+      render(<ComboBox {...mockProps} />);
+      await userEvent.type(findInputNode(), 'item 3');
+      expect(screen.getAllByRole('option')).toHaveLength(5);
+      expect(getMarks()).toEqual(['Item 3']);
+    });
+
+    it('should not highlight the label of the selected item', async () => {
+      render(
+        <ComboBox {...mockProps} initialSelectedItem={mockProps.items[1]} />
+      );
+      await openMenu();
+      expect(getMarks()).toEqual([]);
+    });
+
+    it('should filter and rank the items with a `matcher`', async () => {
+      const items = ['Pineapple', 'Banana', 'Apple pie', 'Apple'];
+      render(<ComboBox {...mockProps} items={items} matcher={fuzzyMatcher} />);
+      await userEvent.type(findInputNode(), 'aple');
+
+      const options = screen.getAllByRole('option');
+      expect(options.map((option) => option.textContent)).toEqual([
+        'Apple',
+        'Apple pie',
+        'Pineapple',
+      ]);
+      expect(options[0]).toHaveClass(
+        `${prefix}--list-box__menu-item--highlighted`
+      );
+
+      await userEvent.keyboard('[Enter]');
+      expect(mockProps.onChange).toHaveBeenLastCalledWith({
+        selectedItem: 'Apple',
+      });
+    });
+
+    it('should highlight the matches in a custom `itemToElement`', async () => {
+      const items = [
+        { id: 'a', name: 'Ada Lovelace', email: 'ada@example.com' },
+        { id: 'b', name: 'Grace Hopper', email: 'grace@example.com' },
+      ];
+      render(
+        <ComboBox
+          {...mockProps}
+          items={items}
+          itemToString={(item) => (item ? item.name : '')}
+          itemToElement={({ name, email }) => (
+            <>
+              <ListBoxMatch>{name}</ListBoxMatch> (
+              <ListBoxMatch>{email}</ListBoxMatch>)
+            </>
+          )}
+        />
+      );
+      await userEvent.type(findInputNode(), 'grace');
+      expect(getMarks()).toEqual(['Grace', 'grace']);
+    });
+  });
+
+  describe('itemToGroup', () => {
+    const items = [
+      { label: 'Frankfurt', region: 'Europe' },
+      { label: 'Dallas', region: 'Americas' },
+      { label: 'London', region: 'Europe' },
+      { label: 'Toronto', region: 'Americas' },
+    ];
+    const itemToGroup = (item) => item.region;
+
+    it('should keep the groups of the filtered items', async () => {
+      render(
+        <ComboBox
+          {...mockProps}
+          items={items}
+          itemToGroup={itemToGroup}
+          shouldFilterItem={({ item, inputValue }) =>
+            item.label.toLowerCase().includes(inputValue.toLowerCase())
+          }
+        />
+      );
+      await userEvent.type(findInputNode(), 'on');
+
+      expect(screen.getByRole('group', { name: 'Europe' })).toHaveTextContent(
+        'London'
+      );
+      expect(screen.getByRole('group', { name: 'Americas' })).toHaveTextContent(
+        'Toronto'
+      );
+      expect(screen.getAllByRole('option')).toHaveLength(2);
+    });
+
+    it('should move the highlight across groups in the order of the menu', async () => {
+      render(
+        <ComboBox {...mockProps} items={items} itemToGroup={itemToGroup} />
+      );
+      await userEvent.click(findInputNode());
+      await userEvent.keyboard('[ArrowDown][ArrowDown][ArrowDown]');
+      expect(screen.getByText('Dallas').closest('li')).toHaveClass(
+        `${prefix}--list-box__menu-item--highlighted`
+      );
+
+      await userEvent.keyboard('[Enter]');
+      expect(mockProps.onChange).toHaveBeenLastCalledWith({
+        selectedItem: items[1],
+      });
+    });
+  });
+
+  describe('loadItems', () => {
+    const loadPage = (inputValue, { page }) =>
+      generateItems(5, (index) => ({
+        id: `${inputValue}-${page}-${index}`,
+        label: `${inputValue} ${page * 5 + index}`,
+      }));
+
+    beforeEach(() => {
+      delete mockProps.items;
+    });
+
+    it('should display a loading state until the items are loaded', async () => {
+      let resolve;
+      const loadItems = jest.fn(
+        () => new Promise((resolvePromise) => (resolve = resolvePromise))
+      );
+      render(
+        <ComboBox {...mockProps} loadItems={loadItems} loadItemsDebounce={0} />
+      );
+      await openMenu();
+
+      await waitFor(() => expect(loadItems).toHaveBeenCalledTimes(1));
+      expect(loadItems).toHaveBeenCalledWith('', {
+        signal: expect.any(AbortSignal),
+        page: 0,
+      });
+      expect(
+        screen.getByRole('listbox').querySelector(`.${prefix}--loading`)
+      ).toBeInTheDocument();
+      expect(screen.getByRole('status')).toHaveTextContent('Loading');
+      expect(screen.queryAllByRole('option')).toHaveLength(0);
+
+      await act(async () => {
+        resolve(loadPage('Item', { page: 0 }));
+      });
+      expect(screen.getAllByRole('option')).toHaveLength(5);
+      expect(screen.getByRole('status')).toHaveTextContent('');
+    });
+
+    it('should display an empty state when no items are loaded', async () => {
+      render(
+        <ComboBox
+          {...mockProps}
+          loadItems={() => Promise.resolve([])}
+          loadItemsDebounce={0}
+          translateWithId={(id) =>
+            ({ 'items.empty': 'Nothing here', 'open.menu': 'Open' }[id])
+          }
+        />
+      );
+      await openMenu();
+
+      await waitFor(() =>
+        expect(screen.getByRole('status')).toHaveTextContent('Nothing here')
+      );
+      expect(screen.getByRole('listbox')).toHaveTextContent('Nothing here');
+      expect(screen.queryAllByRole('option')).toHaveLength(0);
+    });
+
+    it('should display an error state when the items fail to load', async () => {
+      const error = new Error('Network error');
+      const loadItems = jest
+        .fn()
+        .mockRejectedValueOnce(error)
+        .mockImplementation((inputValue, options) =>
+          Promise.resolve(loadPage(inputValue, options))
+        );
+      const onLoadItemsError = jest.fn();
+      render(
+        <ComboBox
+          {...mockProps}
+          loadItems={loadItems}
+          loadItemsDebounce={0}
+          translateWithId={(id) =>
+            ({
+              'items.error': 'Unable to search',
+              'open.menu': 'Open',
+              'close.menu': 'Close',
+            }[id])
+          }
+          onLoadItemsError={onLoadItemsError}
+        />
+      );
+      await openMenu();
+
+      await waitFor(() =>
+        expect(screen.getByRole('status')).toHaveTextContent('Unable to search')
+      );
+      expect(screen.getByRole('listbox')).toHaveTextContent('Unable to search');
+      expect(screen.getByRole('listbox')).not.toHaveTextContent(
+        'No results found'
+      );
+      expect(onLoadItemsError).toHaveBeenCalledTimes(1);
+      expect(onLoadItemsError).toHaveBeenCalledWith(error, {
+        inputValue: '',
+        page: 0,
+      });
+
+      // The request is retried when the menu is opened again
+      await userEvent.click(screen.getByTitle('Close'));
+      await openMenu();
+      await waitFor(() =>
+        expect(screen.getAllByRole('option')).toHaveLength(5)
+      );
+      expect(loadItems).toHaveBeenCalledTimes(2);
+      expect(screen.getByRole('status')).toHaveTextContent('');
+    });
+
+    it('should debounce the requests while the user types', async () => {
+      const loadItems = jest.fn((inputValue, options) =>
+        Promise.resolve(loadPage(inputValue, options))
+      );
+      render(
+        <ComboBox
+          {...mockProps}
+          loadItems={loadItems}
+          loadItemsDebounce={100}
+        />
+      );
+      await userEvent.type(findInputNode(), 'Item');
+
+      await waitFor(() => expect(loadItems).toHaveBeenCalled());
+      expect(loadItems).toHaveBeenCalledTimes(1);
+      expect(loadItems).toHaveBeenCalledWith('Item', {
+        signal: expect.any(AbortSignal),
+        page: 0,
+      });
+      expect(await screen.findAllByRole('option')).toHaveLength(5);
+    });
+
+    it('should abort stale requests', async () => {
+      const signals = [];
+      const loadItems = jest.fn((inputValue, { signal }) => {
+        signals.push(signal);
+        return new Promise(() => {});
+      });
+      render(
+        <ComboBox {...mockProps} loadItems={loadItems} loadItemsDebounce={0} />
+      );
+      await userEvent.type(findInputNode(), 'a');
+      await waitFor(() =>
+        expect(loadItems).toHaveBeenLastCalledWith('a', expect.anything())
+      );
+
+      await userEvent.type(findInputNode(), 'b');
+      await waitFor(() =>
+        expect(loadItems).toHaveBeenLastCalledWith('ab', expect.anything())
+      );
+      expect(signals[signals.length - 2].aborted).toBe(true);
+      expect(signals[signals.length - 1].aborted).toBe(false);
+    });
+
+    it('should display the items of recent queries from the cache', async () => {
+      const loadItems = jest.fn((inputValue, options) =>
+        Promise.resolve(loadPage(inputValue, options))
+      );
+      render(
+        <ComboBox {...mockProps} loadItems={loadItems} loadItemsDebounce={0} />
+      );
+      const findFirstOption = async (text) =>
+        waitFor(() =>
+          expect(screen.getAllByRole('option')[0]).toHaveTextContent(text)
+        );
+      await userEvent.type(findInputNode(), 'a');
+      await findFirstOption('a 0');
+      await userEvent.type(findInputNode(), 'b');
+      await findFirstOption('ab 0');
+      const calls = loadItems.mock.calls.length;
+
+      await userEvent.type(findInputNode(), '{backspace}');
+      expect(screen.getAllByRole('option')[0]).toHaveTextContent('a 0');
+      expect(loadItems).toHaveBeenCalledTimes(calls);
+    });
+
+    it('should load the next page when the menu is scrolled to its end', async () => {
+      const loadItems = jest.fn((inputValue, options) =>
+        Promise.resolve({
+          items: loadPage(inputValue, options),
+          hasMore: options.page < 1,
+        })
+      );
+      render(
+        <ComboBox {...mockProps} loadItems={loadItems} loadItemsDebounce={0} />
+      );
+      await openMenu();
+      expect(await screen.findAllByRole('option')).toHaveLength(5);
+
+      const listbox = screen.getByRole('listbox');
+      Object.defineProperties(listbox, {
+        clientHeight: { value: 100, configurable: true },
+        scrollHeight: { value: 200, configurable: true },
+      });
+      listbox.scrollTop = 150;
+      fireEvent.scroll(listbox);
+
+      await waitFor(() =>
+        expect(screen.getAllByRole('option')).toHaveLength(10)
+      );
+      expect(loadItems).toHaveBeenLastCalledWith('', {
+        signal: expect.any(AbortSignal),
+        page: 1,
+      });
+
+      // There are no more pages to load
+      fireEvent.scroll(listbox);
+      expect(loadItems).toHaveBeenCalledTimes(2);
+    });
+
+    it('should load the next page when the last item is highlighted with the keyboard', async () => {
+      const loadItems = jest.fn((inputValue, options) =>
+        Promise.resolve({
+          items: loadPage(inputValue, options),
+          hasMore: true,
+        })
+      );
+      render(
+        <ComboBox {...mockProps} loadItems={loadItems} loadItemsDebounce={0} />
+      );
+      await openMenu();
+      await screen.findAllByRole('option');
+
+      await userEvent.keyboard('[ArrowDown]');
+      expect(screen.getAllByRole('option')[0]).toHaveClass(
+        `${prefix}--list-box__menu-item--highlighted`
+      );
+
+      await userEvent.keyboard('[ArrowDown][ArrowDown][ArrowDown][ArrowDown]');
+      await waitFor(() =>
+        expect(screen.getAllByRole('option')).toHaveLength(10)
+      );
+      expect(screen.getAllByRole('option')[4]).toHaveClass(
+        `${prefix}--list-box__menu-item--highlighted`
+      );
+
+      await userEvent.keyboard('[Enter]');
+      expect(mockProps.onChange).toHaveBeenLastCalledWith({
+        selectedItem: expect.objectContaining({ label: ' 4' }),
+      });
+    });
+  });
 });
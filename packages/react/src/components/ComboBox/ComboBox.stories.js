@@ -132,6 +132,77 @@ export const AllowCustomValue = (args) => {
     </div>
   );
 };
+const countries = [
+  'Argentina',
+  'Australia',
+  'Austria',
+  'Belgium',
+  'Brazil',
+  'Canada',
+  'Chile',
+  'China',
+  'Colombia',
+  'Denmark',
+  'Egypt',
+  'Finland',
+  'France',
+  'Germany',
+  'Greece',
+  'India',
+  'Indonesia',
+  'Ireland',
+  'Italy',
+  'Japan',
+  'Kenya',
+  'Mexico',
+  'Netherlands',
+  'New Zealand',
+  'Nigeria',
+  'Norway',
+  'Peru',
+  'Poland',
+  'Portugal',
+  'South Africa',
+  'South Korea',
+  'Spain',
+  'Sweden',
+  'Switzerland',
+  'Thailand',
+  'United Kingdom',
+  'United States',
+  'Vietnam',
+];
+
+// Simulates a search API that returns pages of 8 countries after a delay
+const loadCountries = (inputValue, { signal, page }) =>
+  new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      const results = countries.filter((country) =>
+        country.toLowerCase().includes(inputValue.toLowerCase())
+      );
+      resolve({
+        items: results.slice(page * 8, (page + 1) * 8),
+        hasMore: results.length > (page + 1) * 8,
+      });
+    }, 800);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timeoutId);
+      reject(signal.reason);
+    });
+  });
+
+export const LoadItems = () => (
+  <div style={{ width: 300 }}>
+    <ComboBox
+      onChange={() => {}}
+      id="carbon-combobox"
+      loadItems={loadCountries}
+      titleText="Country"
+      helperText="Countries are loaded from a simulated search API"
+    />
+  </div>
+);
+
 export const ExperimentalAutoAlign = () => (
   <div style={{ width: 400 }}>
     <div style={{ height: 300 }}></div>
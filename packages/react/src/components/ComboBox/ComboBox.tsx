@@ -26,6 +26,7 @@ import React, {
   type MouseEvent,
   type KeyboardEvent,
   type FocusEvent,
+  type UIEvent,
 } from 'react';
 import { Text } from '../Text';
 import {
@@ -34,19 +35,27 @@ import {
   WarningFilled,
 } from '@carbon/icons-react';
 import ListBox, {
+  type ItemToGroup,
+  ListBoxMatchContext,
   PropTypes as ListBoxPropTypes,
   ListBoxSize,
+  mapItemGroups,
+  rankItems,
+  sortItemsByGroup,
+  type Matcher,
 } from '../ListBox';
 import { ListBoxTrigger, ListBoxSelection } from '../ListBox/next';
 import { match, keys } from '../../internal/keyboard';
 import { useId } from '../../internal/useId';
 import mergeRefs from '../../tools/mergeRefs';
 import deprecate from '../../prop-types/deprecate';
+import isRequiredOneOf from '../../prop-types/isRequiredOneOf';
 import { usePrefix } from '../../internal/usePrefix';
 import { FormContext } from '../FluidForm';
 import { useFloating, flip, autoUpdate } from '@floating-ui/react';
 import { hide } from '@floating-ui/dom';
 import { TranslateWithId } from '../../types/common';
+import { useAsyncItems, type LoadItems } from './tools/useAsyncItems';
 
 const {
   InputBlur,
@@ -143,7 +152,23 @@ type TranslationKey =
   | 'close.menu'
   | 'open.menu'
   | 'clear.all'
-  | 'clear.selection';
+  | 'clear.selection'
+  | 'items.loading'
+  | 'items.empty'
+  | 'items.error';
+
+/**
+ * The messages of the menu status when the items are loaded with `loadItems`.
+ * The other messages default in the list box parts that display them.
+ */
+const defaultTranslations: Partial<Record<TranslationKey, string>> = {
+  'items.loading': 'Loading',
+  'items.empty': 'No results found',
+  'items.error': 'Unable to load items',
+};
+
+const defaultTranslateWithId = (id: TranslationKey): string =>
+  defaultTranslations[id] ?? '';
 
 type ItemToStringHandler<ItemType> = (item: ItemType | null) => string;
 export interface ComboBoxProps<ItemType>
@@ -248,6 +273,13 @@ export interface ComboBoxProps<ItemType>
    */
   itemToElement?: ComponentType<ItemType> | null;
 
+  /**
+   * Optionally return the label of the group of an item to render the items
+   * in labelled sections. Groups are in the order in which they first appear
+   * in `items`, and the items of a group stay together while filtering.
+   */
+  itemToGroup?: ItemToGroup<ItemType>;
+
   /**
    * Helper function passed to downshift that allows the library to render a
    * given item to a string label. By default, it extracts the `label` field
@@ -257,9 +289,10 @@ export interface ComboBoxProps<ItemType>
 
   /**
    * We try to stay as generic as possible here to allow individuals to pass
-   * in a collection of whatever kind of data structure they prefer
+   * in a collection of whatever kind of data structure they prefer.
+   * Required unless `loadItems` is provided.
    */
-  items: ItemType[];
+  items?: ItemType[];
 
   /**
    * @deprecated
@@ -267,6 +300,34 @@ export interface ComboBoxProps<ItemType>
    */
   light?: boolean;
 
+  /**
+   * Load the items from an asynchronous source instead of `items`, for
+   * example a search API. Called with the input value, an `AbortSignal` that
+   * is aborted when the request becomes stale, and the page to load, starting
+   * at 0. Resolve with an array of items, or with `{ items, hasMore }` to
+   * load the next page when the menu is scrolled to its end. Items are not
+   * filtered by `shouldFilterItem`.
+   * `(inputValue, { signal, page }) => Promise<ItemType[] | { items, hasMore }>`
+   */
+  loadItems?: LoadItems<ItemType>;
+
+  /**
+   * The number of milliseconds to wait after the input value changes before
+   * calling `loadItems`
+   */
+  loadItemsDebounce?: number;
+
+  /**
+   * Provide a function that matches an item against the input value, like
+   * `fuzzyMatcher`, to filter the items and list the best matches first. It
+   * receives the text of the item, the input value and `{ locale }`, and
+   * returns `null` when the item does not match, or `{ score, ranges }` where
+   * `ranges` are the `[start, end]` ranges of the text to highlight. By
+   * default, the items are not filtered and the matches of the input value are
+   * highlighted.
+   */
+  matcher?: Matcher;
+
   /**
    * `onChange` is a utility for this controlled component to communicate to a
    * consuming component when a specific dropdown item is selected.
@@ -283,6 +344,16 @@ export interface ComboBoxProps<ItemType>
    */
   onInputChange?: (inputText: string) => void;
 
+  /**
+   * Callback function that is called when `loadItems` rejects, unless the
+   * request was aborted
+   * `(error, { inputValue, page }) => void`
+   */
+  onLoadItemsError?: (
+    error: unknown,
+    options: { inputValue: string; page: number }
+  ) => void;
+
   /**
    * Callback function that fires when the combobox menu toggle is clicked
    * `(evt) => void`
@@ -363,12 +434,17 @@ const ComboBox = forwardRef(
       initialSelectedItem,
       invalid,
       invalidText,
-      items,
+      items = [],
       itemToElement = null,
+      itemToGroup,
       itemToString = defaultItemToString,
       light,
+      loadItems,
+      loadItemsDebounce = 300,
+      matcher,
       onChange,
       onInputChange,
+      onLoadItemsError,
       onToggleClick,
       placeholder,
       readOnly,
@@ -430,6 +506,14 @@ const ComboBox = forwardRef(
     const [doneInitialSelectedItem, setDoneInitialSelectedItem] =
       useState(false);
     const savedOnInputChange = useRef(onInputChange);
+    const [isMenuOpen, setIsMenuOpen] = useState(false);
+    const asyncItems = useAsyncItems(loadItems, {
+      debounce: loadItemsDebounce,
+      inputValue,
+      isOpen: isMenuOpen,
+      onError: onLoadItemsError,
+    });
+    const sourceItems = loadItems ? asyncItems.items : items;
 
     if (!doneInitialSelectedItem || prevSelectedItem !== selectedItemProp) {
       setDoneInitialSelectedItem(true);
@@ -448,8 +532,17 @@ const ComboBox = forwardRef(
       items: ItemType[],
       itemToString: ItemToStringHandler<ItemType>,
       inputValue: string | null
-    ) =>
-      items.filter((item) =>
+    ) => {
+      const groupItems = (filteredItems: ItemType[]) =>
+        itemToGroup
+          ? sortItemsByGroup(filteredItems, itemToGroup, items)
+          : filteredItems;
+
+      // Items from `loadItems` are already filtered by the source
+      if (loadItems) {
+        return groupItems(items);
+      }
+      const filteredItems = items.filter((item) =>
         shouldFilterItem
           ? shouldFilterItem({
               item,
@@ -458,6 +551,12 @@ const ComboBox = forwardRef(
             })
           : defaultShouldFilterItem()
       );
+      return groupItems(
+        matcher
+          ? rankItems(filteredItems, { inputValue, itemToString, matcher })
+          : filteredItems
+      );
+    };
 
     useEffect(() => {
       savedOnInputChange.current = onInputChange;
@@ -476,16 +575,23 @@ const ComboBox = forwardRef(
     };
 
     const filteredItems = (inputValue) =>
-      filterItems(items, itemToString, inputValue || null);
-
-    const indexToHighlight = (inputValue) =>
-      findHighlightedIndex(
+      filterItems(sourceItems, itemToString, inputValue || null);
+
+    const indexToHighlight = (inputValue) => {
+      if (matcher) {
+        // The items are ranked, so the best match is the first enabled item
+        return inputValue
+          ? filteredItems(inputValue).findIndex((item) => !item?.['disabled'])
+          : -1;
+      }
+      return findHighlightedIndex(
         {
           ...props,
           items: filteredItems(inputValue),
         },
         inputValue
       );
+    };
 
     const stateReducer = React.useCallback(
       (state, actionAndChanges) => {
@@ -658,14 +764,16 @@ const ComboBox = forwardRef(
       setInputValue: downshiftSetInputValue,
       toggleMenu,
     } = useCombobox({
-      items: filterItems(items, itemToString, inputValue),
+      items: filterItems(sourceItems, itemToString, inputValue),
       inputValue: inputValue,
       itemToString: (item) => {
         return itemToString(item);
       },
       onInputValueChange({ inputValue }) {
         setInputValue(inputValue || '');
-        setHighlightedIndex(indexToHighlight(inputValue));
+        // The loaded items are replaced when the input changes, so nothing is
+        // highlighted until the user navigates the new items
+        setHighlightedIndex(loadItems ? -1 : indexToHighlight(inputValue));
       },
       onSelectedItemChange({ selectedItem }) {
         onChange({ selectedItem });
@@ -683,6 +791,9 @@ const ComboBox = forwardRef(
             });
           }
         }
+        if (loadItems && highlightedIndex === sourceItems.length - 1) {
+          asyncItems.loadMore();
+        }
       },
       initialSelectedItem: initialSelectedItem,
       inputId: id,
@@ -693,6 +804,10 @@ const ComboBox = forwardRef(
       ...downshiftProps,
     });
 
+    useEffect(() => {
+      setIsMenuOpen(isOpen);
+    }, [isOpen]);
+
     useEffect(() => {
       // Used to expose the downshift actions to consumers for use with downshiftProps
       // An odd pattern, here we mutate the value stored in the ref provided from the consumer.
@@ -777,6 +892,38 @@ const ComboBox = forwardRef(
       ]
     );
 
+    // Highlight what the user typed, but not the label of the selected item
+    const matchContext = {
+      inputValue:
+        selectedItem && itemToString(selectedItem) === inputValue
+          ? null
+          : inputValue,
+      matcher,
+    };
+
+    let asyncStatus: 'loading' | 'empty' | 'error' | null = null;
+    if (loadItems && isOpen) {
+      if (asyncItems.loading) {
+        asyncStatus = 'loading';
+      } else if (asyncItems.error) {
+        asyncStatus = 'error';
+      } else if (asyncItems.empty) {
+        asyncStatus = 'empty';
+      }
+    }
+    const asyncStatusText =
+      asyncStatus &&
+      (translateWithId ?? defaultTranslateWithId)(`items.${asyncStatus}`);
+
+    const handleMenuScroll = (event: UIEvent<HTMLUListElement>) => {
+      const { clientHeight, scrollHeight, scrollTop } = event.currentTarget;
+      // Load the next page before the end of the menu is reached, when less
+      // than the height of the menu is left to scroll
+      if (loadItems && scrollHeight - scrollTop - clientHeight < clientHeight) {
+        asyncItems.loadMore();
+      }
+    };
+
     return (
       <div className={wrapperClasses}>
         {titleText && (
@@ -831,7 +978,7 @@ const ComboBox = forwardRef(
 
                     if (highlightedIndex !== -1) {
                       selectItem(
-                        filterItems(items, itemToString, inputValue)[
+                        filterItems(sourceItems, itemToString, inputValue)[
                           highlightedIndex
                         ]
                       );
@@ -913,54 +1060,69 @@ const ComboBox = forwardRef(
             />
           </div>
           {normalizedSlug}
-          <ListBox.Menu {...menuProps}>
-            {isOpen
-              ? filterItems(items, itemToString, inputValue).map(
-                  (item, index) => {
-                    const isObject = item !== null && typeof item === 'object';
-                    const title =
-                      isObject && 'text' in item && itemToElement
-                        ? item.text?.toString()
-                        : itemToString(item);
-                    const itemProps = getItemProps({
-                      item,
-                      index,
-                    });
-
-                    // The initial implementation using <Downshift> would place the disabled attribute
-                    // on disabled menu items. Conversely, useCombobox places aria-disabled instead.
-                    // To avoid any potential breaking changes, we avoid placing aria-disabled and
-                    // instead match the old behavior of placing the disabled attribute.
-                    const disabled = itemProps['aria-disabled'];
-                    const {
-                      'aria-disabled': unusedAriaDisabled, // eslint-disable-line @typescript-eslint/no-unused-vars
-                      ...modifiedItemProps
-                    } = itemProps;
-
-                    return (
-                      <ListBox.MenuItem
-                        key={itemProps.id}
-                        isActive={selectedItem === item}
-                        isHighlighted={highlightedIndex === index}
-                        title={title}
-                        disabled={disabled}
-                        {...modifiedItemProps}>
-                        {ItemToElement ? (
-                          <ItemToElement key={itemProps.id} {...item} />
-                        ) : (
-                          itemToString(item)
-                        )}
-                        {selectedItem === item && (
-                          <Checkmark
-                            className={`${prefix}--list-box__menu-item__selected-icon`}
-                          />
-                        )}
-                      </ListBox.MenuItem>
-                    );
-                  }
-                )
-              : null}
+          <ListBox.Menu {...menuProps} onScroll={handleMenuScroll}>
+            <ListBoxMatchContext.Provider value={matchContext}>
+              {isOpen
+                ? mapItemGroups(
+                    filterItems(sourceItems, itemToString, inputValue),
+                    itemToGroup,
+                    (item, index) => {
+                      const isObject =
+                        item !== null && typeof item === 'object';
+                      const title =
+                        isObject && 'text' in item && itemToElement
+                          ? item.text?.toString()
+                          : itemToString(item);
+                      const itemProps = getItemProps({
+                        item,
+                        index,
+                      });
+
+                      // The initial implementation using <Downshift> would place the disabled attribute
+                      // on disabled menu items. Conversely, useCombobox places aria-disabled instead.
+                      // To avoid any potential breaking changes, we avoid placing aria-disabled and
+                      // instead match the old behavior of placing the disabled attribute.
+                      const disabled = itemProps['aria-disabled'];
+                      const {
+                        'aria-disabled': unusedAriaDisabled, // eslint-disable-line @typescript-eslint/no-unused-vars
+                        ...modifiedItemProps
+                      } = itemProps;
+
+                      return (
+                        <ListBox.MenuItem
+                          key={itemProps.id}
+                          isActive={selectedItem === item}
+                          isHighlighted={highlightedIndex === index}
+                          title={title}
+                          disabled={disabled}
+                          {...modifiedItemProps}>
+                          {ItemToElement ? (
+                            <ItemToElement key={itemProps.id} {...item} />
+                          ) : (
+                            itemToString(item)
+                          )}
+                          {selectedItem === item && (
+                            <Checkmark
+                              className={`${prefix}--list-box__menu-item__selected-icon`}
+                            />
+                          )}
+                        </ListBox.MenuItem>
+                      );
+                    }
+                  )
+                : null}
+            </ListBoxMatchContext.Provider>
+            {asyncStatus && (
+              <ListBox.MenuStatus loading={asyncStatus === 'loading'}>
+                {asyncStatusText}
+              </ListBox.MenuStatus>
+            )}
           </ListBox.Menu>
+          {loadItems && (
+            <span className={`${prefix}--visually-hidden`} role="status">
+              {asyncStatusText}
+            </span>
+          )}
         </ListBox>
         {helperText && !invalid && !warn && !isFluid && (
           <Text as="div" id={helperTextId} className={helperClasses}>
@@ -1079,6 +1241,13 @@ ComboBox.propTypes = {
    */
   itemToElement: PropTypes.func,
 
+  /**
+   * Optionally return the label of the group of an item to render the items
+   * in labelled sections. Groups are in the order in which they first appear
+   * in `items`, and the items of a group stay together while filtering.
+   */
+  itemToGroup: PropTypes.func,
+
   /**
    * Helper function passed to downshift that allows the library to render a
    * given item to a string label. By default, it extracts the `label` field
@@ -1086,11 +1255,24 @@ ComboBox.propTypes = {
    */
   itemToString: PropTypes.func,
 
-  /**
-   * We try to stay as generic as possible here to allow individuals to pass
-   * in a collection of whatever kind of data structure they prefer
-   */
-  items: PropTypes.array.isRequired,
+  ...isRequiredOneOf({
+    /**
+     * We try to stay as generic as possible here to allow individuals to pass
+     * in a collection of whatever kind of data structure they prefer.
+     * Required unless `loadItems` is provided.
+     */
+    items: PropTypes.array,
+
+    /**
+     * Load the items from an asynchronous source instead of `items`, for
+     * example a search API. Called with the input value, an `AbortSignal` that
+     * is aborted when the request becomes stale, and the page to load, starting
+     * at 0. Resolve with an array of items, or with `{ items, hasMore }` to
+     * load the next page when the menu is scrolled to its end. Items are not
+     * filtered by `shouldFilterItem`.
+     */
+    loadItems: PropTypes.func,
+  }),
 
   /**
    * should use "light theme" (white background)?
@@ -1101,6 +1283,20 @@ ComboBox.propTypes = {
       'been deprecated in favor of the new `Layer` component. It will be removed in the next major release.'
   ),
 
+  /**
+   * The number of milliseconds to wait after the input value changes before
+   * calling `loadItems`
+   */
+  loadItemsDebounce: PropTypes.number,
+
+  /**
+   * Provide a function that matches an item against the input value, like
+   * `fuzzyMatcher`, to filter the items and list the best matches first. By
+   * default, the items are not filtered and the matches of the input value are
+   * highlighted.
+   */
+  matcher: PropTypes.func,
+
   /**
    * `onChange` is a utility for this controlled component to communicate to a
    * consuming component when a specific dropdown item is selected.
@@ -1117,6 +1313,13 @@ ComboBox.propTypes = {
    */
   onInputChange: PropTypes.func,
 
+  /**
+   * Callback function that is called when `loadItems` rejects, unless the
+   * request was aborted
+   * `(error, { inputValue, page }) => void`
+   */
+  onLoadItemsError: PropTypes.func,
+
   /**
    * Callback function that fires when the combobox menu toggle is clicked
    * `(evt) => void`
@@ -1169,7 +1372,9 @@ ComboBox.propTypes = {
 
   /**
    * Specify a custom translation function that takes in a message identifier
-   * and returns the localized string for the message
+   * and returns the localized string for the message, including the
+   * `items.loading`, `items.empty` and `items.error` messages of the menu when
+   * the items are loaded with `loadItems`
    */
   translateWithId: PropTypes.func,
 
@@ -5,10 +5,13 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-export const defaultFilterItems = (items, { itemToString, inputValue }) =>
-  items.filter((item) => {
-    if (!inputValue) {
-      return true;
-    }
-    return itemToString(item).toLowerCase().includes(inputValue.toLowerCase());
-  });
+import { rankItems } from '../../ListBox/tools/match';
+
+/**
+ * Keep the items that match the input value, from the best match to the worst
+ * one. Matches are accent insensitive and tolerate typos, see `fuzzyMatcher`.
+ */
+export const defaultFilterItems = (
+  items,
+  { itemToString, inputValue, locale, matcher }
+) => rankItems(items, { inputValue, itemToString, locale, matcher });
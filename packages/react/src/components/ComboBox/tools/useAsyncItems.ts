@@ -0,0 +1,224 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useSavedCallback } from '../../../internal/useSavedCallback';
+
+export interface LoadItemsOptions {
+  /**
+   * Aborted when the request is stale, for example when the input value
+   * changes before the request resolves
+   */
+  signal: AbortSignal;
+
+  /**
+   * The page to load, starting at 0 for the first page of a query
+   */
+  page: number;
+}
+
+/**
+ * Either the items of a page, in which case there are no more pages, or an
+ * object that specifies whether more pages are available
+ */
+export type LoadItemsResult<ItemType> =
+  | ItemType[]
+  | { items: ItemType[]; hasMore?: boolean };
+
+export type LoadItems<ItemType> = (
+  inputValue: string,
+  options: LoadItemsOptions
+) => Promise<LoadItemsResult<ItemType>>;
+
+interface Pages<ItemType> {
+  items: ItemType[];
+  hasMore: boolean;
+  page: number;
+}
+
+interface AsyncItemsState<ItemType> extends Pages<ItemType> {
+  error: unknown;
+  inputValue: string | null;
+  loading: boolean;
+}
+
+interface AsyncItemsOptions {
+  /**
+   * The number of milliseconds to wait after the input value changes before
+   * loading items
+   */
+  debounce?: number;
+
+  /**
+   * The current value of the input
+   */
+  inputValue: string;
+
+  /**
+   * Whether the menu is open. Items are only loaded while it is open.
+   */
+  isOpen: boolean;
+
+  /**
+   * The number of recent queries whose pages are kept in memory
+   */
+  cacheSize?: number;
+
+  /**
+   * Called with the error when a request rejects, unless it was aborted
+   */
+  onError?: (
+    error: unknown,
+    options: { inputValue: string; page: number }
+  ) => void;
+}
+
+const initialState = {
+  error: null,
+  inputValue: null,
+  items: [],
+  hasMore: false,
+  page: 0,
+  loading: false,
+};
+
+/**
+ * Load the items of a list box from an asynchronous source. Requests are
+ * debounced while typing, stale requests are aborted, and the pages of recent
+ * queries are cached so that they are displayed immediately when the same
+ * query is entered again. A request that rejects is not cached, and its error
+ * is returned until the next request.
+ */
+export function useAsyncItems<ItemType>(
+  loadItems: LoadItems<ItemType> | undefined,
+  {
+    debounce = 300,
+    inputValue,
+    isOpen,
+    cacheSize = 20,
+    onError,
+  }: AsyncItemsOptions
+) {
+  const enabled = typeof loadItems === 'function';
+  const savedLoadItems = useSavedCallback(loadItems);
+  const savedOnError = useSavedCallback(onError);
+  const cache = useRef(new Map<string, Pages<ItemType>>());
+  const controller = useRef<AbortController | null>(null);
+  const [state, setState] = useState<AsyncItemsState<ItemType>>(initialState);
+
+  const readCache = useCallback((query: string) => {
+    const pages = cache.current.get(query);
+    if (pages) {
+      // Move the query to the end so that the least recently used query is
+      // the first one to be evicted
+      cache.current.delete(query);
+      cache.current.set(query, pages);
+    }
+    return pages;
+  }, []);
+
+  const writeCache = useCallback(
+    (query: string, pages: Pages<ItemType>) => {
+      cache.current.delete(query);
+      cache.current.set(query, pages);
+      if (cache.current.size > cacheSize) {
+        cache.current.delete(cache.current.keys().next().value);
+      }
+    },
+    [cacheSize]
+  );
+
+  const abort = useCallback(() => {
+    controller.current?.abort();
+    controller.current = null;
+  }, []);
+
+  const load = useCallback(
+    async (query: string, page: number, previousItems: ItemType[]) => {
+      abort();
+      const current = new AbortController();
+      controller.current = current;
+      setState((state) => ({
+        ...state,
+        error: null,
+        inputValue: query,
+        loading: true,
+      }));
+
+      let pages: Pages<ItemType>;
+      let error: unknown = null;
+      try {
+        const result = await savedLoadItems(query, {
+          signal: current.signal,
+          page,
+        });
+        if (current.signal.aborted) {
+          return;
+        }
+        const { items = [], hasMore = false } = Array.isArray(result)
+          ? { items: result }
+          : result ?? {};
+        pages = { items: [...previousItems, ...items], hasMore, page };
+        writeCache(query, pages);
+      } catch (reason) {
+        if (current.signal.aborted) {
+          return;
+        }
+        // A failed request is not cached, so that it is retried the next time
+        // the query is entered
+        pages = { items: previousItems, hasMore: false, page };
+        error = reason ?? new Error('Unable to load items');
+        savedOnError(error, { inputValue: query, page });
+      }
+
+      controller.current = null;
+      setState({ error, inputValue: query, loading: false, ...pages });
+    },
+    [abort, savedLoadItems, savedOnError, writeCache]
+  );
+
+  useEffect(() => {
+    if (!enabled || !isOpen) {
+      return;
+    }
+
+    const cached = readCache(inputValue);
+    if (cached) {
+      abort();
+      setState({ error: null, inputValue, loading: false, ...cached });
+      return;
+    }
+
+    setState({ ...initialState, inputValue, loading: true });
+    const timeoutId = setTimeout(() => {
+      load(inputValue, 0, []);
+    }, debounce);
+
+    return () => {
+      clearTimeout(timeoutId);
+      abort();
+    };
+  }, [abort, debounce, enabled, inputValue, isOpen, load, readCache]);
+
+  const { error, hasMore, items, loading, page } = state;
+  const loaded = !loading && state.inputValue === inputValue;
+  const loadMore = useCallback(() => {
+    if (!enabled || !loaded || !hasMore || controller.current) {
+      return;
+    }
+    load(inputValue, page + 1, items);
+  }, [enabled, hasMore, inputValue, items, load, loaded, page]);
+
+  return {
+    items,
+    hasMore,
+    loading,
+    loadMore,
+    empty: loaded && !error && items.length === 0,
+    error: loaded ? error : null,
+  };
+}
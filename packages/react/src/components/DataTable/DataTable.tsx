@@ -10,11 +10,32 @@ import React from 'react';
 import isEqual from 'react-fast-compare';
 import getDerivedStateFromProps from './state/getDerivedStateFromProps';
 import { getNextSortState } from './state/sorting';
-import type { DataTableSortState } from './state/sortStates';
-import { getCellId } from './tools/cells';
+import { getColumnFilter, getNextColumnFilters } from './state/filtering';
+import type {
+  DataTableColumnFilter,
+  DataTableColumnFilterValue,
+} from './state/filterTypes';
+import type {
+  DataTableSortState,
+  DataTableSortStackEntry,
+} from './state/sortStates';
+import {
+  getColumnState,
+  getVisibleHeaders,
+  moveColumn,
+  moveColumnTo,
+  resizeColumn,
+  toggleColumn,
+} from './state/columns';
+import type { DataTableColumnState } from './state/columnTypes';
+import type { DataTableAggregate, DataTableGroup } from './state/groupTypes';
+import { getCellId, getRowIdForCell } from './tools/cells';
+import { validateCell, getCellErrors } from './tools/editing';
+import type { DataTableCellEditor } from './TableCellEditor';
 import denormalize from './tools/denormalize';
 import { composeEventHandlers } from '../../tools/events';
-import { defaultFilterRows } from './tools/filter';
+import { defaultFilterColumnRows, defaultFilterRows } from './tools/filter';
+import { flattenGroups, getAggregates, groupRows } from './tools/grouping';
 import setupGetInstanceId from '../../tools/setupGetInstanceId';
 import Table from './Table';
 import TableActionList from './TableActionList';
@@ -26,6 +47,8 @@ import TableContainer from './TableContainer';
 import TableExpandHeader from './TableExpandHeader';
 import TableExpandRow from './TableExpandRow';
 import TableExpandedRow from './TableExpandedRow';
+import TableFooter from './TableFooter';
+import TableGroupRow from './TableGroupRow';
 import TableHead from './TableHead';
 import TableHeader from './TableHeader';
 import TableRow from './TableRow';
@@ -34,10 +57,15 @@ import TableSelectRow from './TableSelectRow';
 import TableSlugRow from './TableSlugRow';
 import TableToolbar from './TableToolbar';
 import TableToolbarAction from './TableToolbarAction';
+import TableToolbarColumnChooser from './TableToolbarColumnChooser';
 import TableToolbarContent from './TableToolbarContent';
+import TableToolbarExport from './TableToolbarExport';
+import TableToolbarFilter from './TableToolbarFilter';
 import TableToolbarSearch from './TableToolbarSearch';
 import TableToolbarMenu from './TableToolbarMenu';
+import TableVirtualBody from './TableVirtualBody';
 import { TranslateWithId } from '../../types/common';
+import { warning } from '../../internal/warning';
 
 const getInstanceId = setupGetInstanceId();
 
@@ -98,8 +126,46 @@ export interface DataTableHeader {
   key: string;
   header: React.ReactNode;
   slug?: React.ReactElement;
+  editor?: DataTableCellEditor;
 }
 
+/**
+ * Describes a committed edit of a cell, reported through `onCellEdit`
+ */
+export interface DataTableCellEdit {
+  rowId: string;
+  headerKey: string;
+  value: unknown;
+  previousValue: unknown;
+}
+
+/**
+ * The combined sort, filter and pagination state of the table. This is
+ * reported through `onQueryChange` so that rows can be requested from a
+ * server when `isManual` is set.
+ */
+export interface DataTableQuery {
+  sort: Array<DataTableSortStackEntry>;
+  filter: {
+    search: string;
+    columns: Array<DataTableColumnFilter>;
+  };
+  page: number;
+  pageSize?: number;
+}
+
+/**
+ * An entry of `groupedRows`: either the header row of a group, or a row inside
+ * of a group at the given depth
+ */
+export type DataTableGroupedRow<RowType, ColTypes extends any[]> =
+  | { type: 'group'; group: DataTableGroup }
+  | {
+      type: 'row';
+      row: DataTableRow<ColTypes> & RowType;
+      depth: number;
+    };
+
 export interface DataTableRenderProps<RowType, ColTypes extends any[]> {
   headers: Array<DataTableHeader>;
   rows: Array<DataTableRow<ColTypes> & RowType>;
@@ -111,7 +177,11 @@ export interface DataTableRenderProps<RowType, ColTypes extends any[]> {
     isSortable?: boolean;
     onClick?: (
       e: React.MouseEvent<HTMLButtonElement>,
-      sortState: { sortHeaderKey: string; sortDirection: DataTableSortState }
+      sortState: {
+        sortHeaderKey: string;
+        sortDirection: DataTableSortState;
+        sortStack: Array<DataTableSortStackEntry>;
+      }
     ) => void;
     [key: string]: unknown;
   }) => {
@@ -119,7 +189,10 @@ export interface DataTableRenderProps<RowType, ColTypes extends any[]> {
     isSortHeader: boolean;
     key: string;
     onClick: (e: React.MouseEvent<HTMLButtonElement>) => void;
+    onResize?: (width: number) => void;
     sortDirection: DataTableSortState;
+    sortPriority?: number;
+    width?: number;
     [key: string]: unknown;
   };
   getExpandHeaderProps: (getExpandHeaderPropsArgs?: {
@@ -150,6 +223,32 @@ export interface DataTableRenderProps<RowType, ColTypes extends any[]> {
     onExpand: (e: React.MouseEvent<HTMLButtonElement>) => void;
     [key: string]: unknown;
   };
+  getGroupRowProps: (getGroupRowPropsArgs: {
+    group: DataTableGroup;
+    onClick?: (e: React.MouseEvent<HTMLButtonElement>) => void;
+    [key: string]: unknown;
+  }) => {
+    ['aria-label']: string;
+    group: DataTableGroup;
+    headers: Array<DataTableHeader>;
+    isExpanded: boolean;
+    key: string;
+    onExpand: (e: React.MouseEvent<HTMLButtonElement>) => void;
+    [key: string]: unknown;
+  };
+  getFooterProps: (getFooterPropsArgs?: { [key: string]: unknown }) => {
+    aggregates: Record<string, unknown>;
+    headers: Array<DataTableHeader>;
+    [key: string]: unknown;
+  };
+  getExportProps: (getExportPropsArgs?: {
+    selectedOnly?: boolean;
+    [key: string]: unknown;
+  }) => {
+    headers: Array<DataTableHeader>;
+    rows: Array<DataTableRow<ColTypes> & RowType>;
+    [key: string]: unknown;
+  };
   getExpandedRowProps: (getExpandedRowPropsArgs: {
     row: DataTableRow<ColTypes>;
     [key: string]: unknown;
@@ -189,7 +288,9 @@ export interface DataTableRenderProps<RowType, ColTypes extends any[]> {
   };
   getTableProps: () => {
     experimentalAutoAlign?: boolean;
+    isGrid?: boolean;
     isSortable?: boolean;
+    onSelectRow?: (rowId: string) => void;
     overflowMenuOnHover: boolean;
     size: DataTableSize;
     stickyHeader?: boolean;
@@ -204,6 +305,42 @@ export interface DataTableRenderProps<RowType, ColTypes extends any[]> {
     [key: string]: unknown;
     hasSlugHeader?: boolean;
   };
+  getFilterProps: (headerKey: string) => {
+    headerKey: string;
+    filter: DataTableColumnFilter | null;
+    onFilterChange: (filter: DataTableColumnFilterValue | null) => void;
+    onFilterClear: () => void;
+  };
+  getPaginationProps: (getPaginationPropsArgs?: {
+    onChange?: (data: { page: number; pageSize: number }) => void;
+    [key: string]: unknown;
+  }) => {
+    onChange: (data: { page: number; pageSize: number }) => void;
+    page: number;
+    pageSize?: number;
+    totalItems?: number;
+    [key: string]: unknown;
+  };
+  getColumnChooserProps: () => {
+    columns: Array<{
+      key: string;
+      header: React.ReactNode;
+      isVisible: boolean;
+    }>;
+    onToggleColumn: (key: string, isVisible: boolean) => void;
+    onMoveColumn: (key: string, offset: number) => void;
+    onResetColumns: () => void;
+  };
+  getSkeletonProps: (getSkeletonPropsArgs?: { [key: string]: unknown }) => {
+    columnCount: number;
+    compact: boolean;
+    headers: Array<DataTableHeader>;
+    rowCount: number;
+    showHeader: boolean;
+    showToolbar: boolean;
+    zebra: boolean;
+    [key: string]: unknown;
+  };
 
   // Custom event handlers
   onInputChange: (
@@ -212,7 +349,26 @@ export interface DataTableRenderProps<RowType, ColTypes extends any[]> {
   ) => void;
 
   // Expose internal state change actions
-  sortBy: (headerKey: string) => void;
+  sortBy: (headerKey: string, options?: { isMultiSort?: boolean }) => void;
+  sortStack: Array<DataTableSortStackEntry>;
+  setColumnFilter: (
+    headerKey: string,
+    filter: DataTableColumnFilterValue | null
+  ) => void;
+  clearColumnFilters: () => void;
+  columnFilters: Array<DataTableColumnFilter>;
+  resizeColumn: (headerKey: string, width: number) => void;
+  moveColumn: (headerKey: string, offset: number) => void;
+  toggleColumn: (headerKey: string, isVisible?: boolean) => void;
+  resetColumns: () => void;
+  columnState: DataTableColumnState;
+  groupBy: Array<string>;
+  setGroupBy: (groupBy: Array<string>) => void;
+  groupedRows: Array<DataTableGroupedRow<RowType, ColTypes>>;
+  aggregates: Record<string, unknown>;
+  expandGroup: (groupId: string) => void;
+  query: DataTableQuery;
+  isLoading: boolean;
   selectAll: () => void;
   selectRow: (rowId: string) => void;
   expandRow: (rowId: string) => void;
@@ -225,7 +381,20 @@ export interface DataTableProps<RowType, ColTypes extends any[]>
   children?: (
     renderProps: DataTableRenderProps<RowType, ColTypes>
   ) => React.ReactElement;
+  aggregates?: Record<string, DataTableAggregate>;
+  columnFilters?: Array<DataTableColumnFilter>;
+  columnState?: DataTableColumnState;
+  onCellEdit?: (
+    edit: DataTableCellEdit
+  ) => void | boolean | Promise<void | boolean>;
   experimentalAutoAlign?: boolean;
+  filterColumnRows?: (filterColumnRowsArgs: {
+    cellsById: Record<string, DataTableCell<ColTypes>>;
+    columnFilters: Array<DataTableColumnFilter>;
+    getCellId: (rowId: string, header: string) => string;
+    locale?: string;
+    rowIds: Array<string>;
+  }) => Array<string>;
   filterRows?: (filterRowsArgs: {
     cellsById: Record<string, DataTableCell<ColTypes>>;
     getCellId: (rowId: string, header: string) => string;
@@ -233,10 +402,24 @@ export interface DataTableProps<RowType, ColTypes extends any[]>
     inputValue: string;
     rowIds: Array<string>;
   }) => Array<string>;
+  groupBy?: Array<string>;
   headers: Array<DataTableHeader>;
+  isGrid?: boolean;
+  isLoading?: boolean;
+  isManual?: boolean;
+  isMultiSortable?: boolean;
+  isReorderable?: boolean;
+  isResizable?: boolean;
   isSortable?: boolean;
   locale?: string;
+  onColumnFiltersChange?: (columnFilters: Array<DataTableColumnFilter>) => void;
+  onColumnStateChange?: (columnState: DataTableColumnState) => void;
+  onGroupByChange?: (groupBy: Array<string>) => void;
+  onQueryChange?: (query: DataTableQuery) => void;
+  onSortStackChange?: (sortStack: Array<DataTableSortStackEntry>) => void;
   overflowMenuOnHover?: boolean;
+  page?: number;
+  pageSize?: number;
   radio?: boolean;
   render?: (
     renderProps: DataTableRenderProps<RowType, ColTypes>
@@ -252,21 +435,30 @@ export interface DataTableProps<RowType, ColTypes extends any[]>
       locale: string;
     }
   ) => number;
+  sortStack?: Array<DataTableSortStackEntry>;
   stickyHeader?: boolean;
+  totalItems?: number;
   useStaticWidth?: boolean;
   useZebraStyles?: boolean;
 }
 
 interface DataTableState<ColTypes extends any[]> {
   cellsById: Record<string, DataTableCell<ColTypes>>;
+  columnFilters: Array<DataTableColumnFilter>;
+  columnState: DataTableColumnState;
+  expandedGroups: Record<string, boolean>;
   filterInputValue: string | null;
+  groupBy: Array<string>;
   initialRowOrder: Array<string>;
   isExpandedAll: boolean;
+  page: number;
+  pageSize?: number;
   rowIds: Array<string>;
   rowsById: Record<string, DataTableRow<ColTypes>>;
   shouldShowBatchActions: boolean;
   sortDirection: DataTableSortState;
   sortHeaderKey: string | null;
+  sortStack: Array<DataTableSortStackEntry>;
 }
 
 /**
@@ -285,18 +477,81 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
 > {
   instanceId: number;
 
+  // Async work, like validating a cell, is ignored once the table unmounts
+  isTableMounted = false;
+
+  // The latest commit of each cell that is being edited, so that a slow
+  // validation does not apply a value that has been edited again since
+  cellEditCommits = new Map<string, number>();
+
+  /**
+   * The key of the header that is currently being dragged to a new position
+   */
+  draggedColumnKey: string | null = null;
+
   static propTypes = {
+    /**
+     * Provide the aggregates to compute for each column, by header key. Use
+     * one of `count`, `sum`, `avg`, `min` and `max`, or a function that is
+     * called with the values of the column and the ids of their rows.
+     * Aggregates are available for each group and, through `aggregates` and
+     * `getFooterProps`, for the whole table.
+     */
+    aggregates: PropTypes.objectOf(
+      PropTypes.oneOfType([
+        PropTypes.oneOf(['count', 'sum', 'avg', 'min', 'max']),
+        PropTypes.func,
+      ]).isRequired
+    ),
+
+    /**
+     * Provide the filters applied to individual columns. Providing this prop
+     * puts column filtering in controlled mode, where changes are only
+     * reported through `onColumnFiltersChange`.
+     */
+    columnFilters: PropTypes.arrayOf(
+      PropTypes.shape({
+        key: PropTypes.string.isRequired,
+        type: PropTypes.oneOf(['text', 'number', 'date', 'boolean', 'set'])
+          .isRequired,
+      })
+    ),
+
+    /**
+     * Provide the order, widths and visibility of the columns. Providing this
+     * prop puts the column layout in controlled mode, where changes are only
+     * reported through `onColumnStateChange`.
+     */
+    columnState: PropTypes.shape({
+      order: PropTypes.arrayOf(PropTypes.string.isRequired).isRequired,
+      widths: PropTypes.objectOf(PropTypes.number.isRequired).isRequired,
+      hidden: PropTypes.arrayOf(PropTypes.string.isRequired).isRequired,
+    }),
+
     /**
      * Experimental property. Allows table to align cell contents to the top if there is text wrapping in the content. Might have performance issues, intended for smaller tables
      */
     experimentalAutoAlign: PropTypes.bool,
 
+    /**
+     * Optional hook to manually control filtering of the rows by the filters
+     * set through `getFilterProps` or `setColumnFilter`
+     */
+    filterColumnRows: PropTypes.func,
+
     /**
      * Optional hook to manually control filtering of the rows from the
      * TableToolbarSearch component
      */
     filterRows: PropTypes.func,
 
+    /**
+     * Provide the header keys to group the rows by, in order. Providing this
+     * prop puts grouping in controlled mode, where changes are only reported
+     * through `onGroupByChange`.
+     */
+    groupBy: PropTypes.arrayOf(PropTypes.string.isRequired),
+
     /**
      * The `headers` prop represents the order in which the headers should
      * appear in the table. We expect an array of objects to be passed in, where
@@ -307,9 +562,57 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
       PropTypes.shape({
         key: PropTypes.string.isRequired,
         header: PropTypes.node.isRequired,
+        editor: PropTypes.shape({
+          type: PropTypes.oneOf(['text', 'number', 'select', 'date'])
+            .isRequired,
+          items: PropTypes.array,
+          placeholder: PropTypes.string,
+          validate: PropTypes.func,
+          props: PropTypes.object,
+        }),
       })
     ).isRequired,
 
+    /**
+     * Specify whether the table follows the ARIA grid pattern. Only one cell
+     * can be reached with Tab, the arrow keys, Home and End move focus between
+     * cells, Enter activates the content of a cell and Space selects its row.
+     * Spread `getRowProps` on rows so that they can be selected.
+     */
+    isGrid: PropTypes.bool,
+
+    /**
+     * Specify whether the rows are being loaded, for example while waiting on
+     * a server after `onQueryChange`. Use `isLoading` and `getSkeletonProps`
+     * from the render props to show a `DataTableSkeleton` in the meantime.
+     */
+    isLoading: PropTypes.bool,
+
+    /**
+     * Specify whether sorting, filtering and pagination are handled outside of
+     * the table, for example by a server. Changes are only reported through
+     * `onQueryChange` and the given `rows` are rendered as-is.
+     */
+    isManual: PropTypes.bool,
+
+    /**
+     * Specify whether the table can be sorted by more than one header at a
+     * time. When enabled, holding Shift while clicking a header adds it to, or
+     * transitions it within, the current sort stack.
+     */
+    isMultiSortable: PropTypes.bool,
+
+    /**
+     * Specify whether the columns can be reordered by dragging their headers
+     */
+    isReorderable: PropTypes.bool,
+
+    /**
+     * Specify whether the columns can be resized through a handle on their
+     * headers
+     */
+    isResizable: PropTypes.bool,
+
     /**
      * Specify whether the table should be able to be sorted by its headers
      */
@@ -320,11 +623,67 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
      */
     locale: PropTypes.string,
 
+    /**
+     * Optional callback invoked with the next column filters whenever a
+     * column filter changes. Required to update the table when
+     * `columnFilters` is controlled.
+     */
+    onColumnFiltersChange: PropTypes.func,
+
+    /**
+     * Optional callback invoked with `{ rowId, headerKey, value, previousValue }`
+     * when the edit of a cell is committed. The new value is shown right away.
+     * Return `false`, or a Promise that rejects or resolves to `false`, to roll
+     * the cell back to its previous value. Update `rows` to keep the value.
+     */
+    onCellEdit: PropTypes.func,
+
+    /**
+     * Optional callback invoked with the next column state whenever a column
+     * is resized, moved, shown or hidden. Useful to persist the layout of the
+     * table, and required to update the table when `columnState` is
+     * controlled.
+     */
+    onColumnStateChange: PropTypes.func,
+
+    /**
+     * Optional callback invoked with the next header keys to group by whenever
+     * `setGroupBy` is called. Required to update the table when `groupBy` is
+     * controlled.
+     */
+    onGroupByChange: PropTypes.func,
+
+    /**
+     * Optional callback invoked with the combined sort, filter and pagination
+     * query whenever one of them changes
+     */
+    onQueryChange: PropTypes.func,
+
+    /**
+     * Optional callback invoked with the next sort stack whenever the sort
+     * order changes. Required to update the table when `sortStack` is
+     * controlled.
+     */
+    onSortStackChange: PropTypes.func,
+
     /**
      * Specify whether the overflow menu (if it exists) should be shown always, or only on hover
      */
     overflowMenuOnHover: PropTypes.bool,
 
+    /**
+     * Provide the current page of the table, starting at 1. Providing this prop
+     * puts pagination in controlled mode, where changes are only reported
+     * through `onQueryChange`.
+     */
+    page: PropTypes.number,
+
+    /**
+     * Provide the number of rows in a page. Rows are only paginated when a
+     * page size is given.
+     */
+    pageSize: PropTypes.number,
+
     /**
      * Specify whether the control should be a radio button or inline checkbox
      */
@@ -355,12 +714,31 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
      */
     sortRow: PropTypes.func,
 
+    /**
+     * Provide the ordered list of headers and directions the table is sorted
+     * by. Providing this prop puts sorting in controlled mode, where changes
+     * are only reported through `onSortStackChange`.
+     */
+    sortStack: PropTypes.arrayOf(
+      PropTypes.shape({
+        key: PropTypes.string.isRequired,
+        sortDirection: PropTypes.oneOf(['ASC', 'DESC', 'NONE']).isRequired,
+      })
+    ),
+
     /**
      * Specify whether the header should be sticky.
      * Still experimental: may not work with every combination of table props
      */
     stickyHeader: PropTypes.bool,
 
+    /**
+     * Provide the total number of rows across all pages when `isManual` is
+     * set. The table only has the rows of the current page in that case, so
+     * it can not count them itself.
+     */
+    totalItems: PropTypes.number,
+
     /**
      * Optional method that takes in a message id and returns an
      * internationalized string. See `DataTable.translationKeys` for all
@@ -392,6 +770,8 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
   static TableExpandHeader: typeof TableExpandHeader;
   static TableExpandRow: typeof TableExpandRow;
   static TableExpandedRow: typeof TableExpandedRow;
+  static TableFooter: typeof TableFooter;
+  static TableGroupRow: typeof TableGroupRow;
   static TableHead: typeof TableHead;
   static TableHeader: typeof TableHeader;
   static TableRow: typeof TableRow;
@@ -400,9 +780,13 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
   static TableSlugRow: typeof TableSlugRow;
   static TableToolbar: typeof TableToolbar;
   static TableToolbarAction: typeof TableToolbarAction;
+  static TableToolbarColumnChooser: typeof TableToolbarColumnChooser;
   static TableToolbarContent: typeof TableToolbarContent;
+  static TableToolbarExport: typeof TableToolbarExport;
+  static TableToolbarFilter: typeof TableToolbarFilter;
   static TableToolbarSearch: typeof TableToolbarSearch;
   static TableToolbarMenu: typeof TableToolbarMenu;
+  static TableVirtualBody: typeof TableVirtualBody;
 
   constructor(props) {
     super(props);
@@ -413,6 +797,14 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
     this.instanceId = getInstanceId();
   }
 
+  componentDidMount() {
+    this.isTableMounted = true;
+  }
+
+  componentWillUnmount() {
+    this.isTableMounted = false;
+  }
+
   // if state needs to be updated then wait for only update after state is finished
   shouldComponentUpdate(nextProps) {
     if (this.props !== nextProps) {
@@ -436,6 +828,18 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
         this.setState((state) => getDerivedStateFromProps(this.props, state));
         return false;
       }
+
+      if (
+        !isEqual(nextProps.sortStack, this.props.sortStack) ||
+        !isEqual(nextProps.columnFilters, this.props.columnFilters) ||
+        !isEqual(nextProps.columnState, this.props.columnState) ||
+        !isEqual(nextProps.groupBy, this.props.groupBy) ||
+        nextProps.page !== this.props.page ||
+        nextProps.pageSize !== this.props.pageSize
+      ) {
+        this.setState((state) => getDerivedStateFromProps(this.props, state));
+        return false;
+      }
     }
     return true;
   }
@@ -459,34 +863,152 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
     header: DataTableHeader;
     onClick?: (
       e: React.MouseEvent<HTMLButtonElement>,
-      sortState: { sortHeaderKey: string; sortDirection: DataTableSortState }
+      sortState: {
+        sortHeaderKey: string;
+        sortDirection: DataTableSortState;
+        sortStack: Array<DataTableSortStackEntry>;
+      }
     ) => void;
     isSortable?: boolean;
     [key: string]: unknown;
   }) => {
-    const { sortDirection, sortHeaderKey } = this.state;
+    const { isMultiSortable } = this.props;
+    const { sortDirection, sortHeaderKey, sortStack, columnState } = this.state;
+    const sortIndex = sortStack.findIndex((entry) => entry.key === header.key);
+    const sortEntry = sortStack[sortIndex];
+    const multiSortProps =
+      isMultiSortable && sortStack.length > 1 && sortEntry
+        ? { sortPriority: sortIndex + 1 }
+        : {};
     return {
       ...rest,
+      ...multiSortProps,
+      ...this.getColumnLayoutProps(header.key, rest),
+      width: columnState.widths[header.key],
       key: header.key,
-      sortDirection,
+      sortDirection: sortEntry ? sortEntry.sortDirection : sortDirection,
       isSortable,
-      isSortHeader: sortHeaderKey === header.key,
+      isSortHeader: sortEntry !== undefined || sortHeaderKey === header.key,
       slug: header.slug,
       onClick: (event) => {
         const nextSortState = getNextSortState(this.props, this.state, {
           key: header.key,
+          isMultiSort: !!(isMultiSortable && event.shiftKey),
         });
-        this.setState(nextSortState, () => {
+        this.applySortState(nextSortState, () => {
           onClick &&
             this.handleOnHeaderClick(onClick, {
               sortHeaderKey: header.key,
               sortDirection: nextSortState.sortDirection,
+              sortStack: nextSortState.sortStack,
             })(event);
         });
       },
     };
   };
 
+  /**
+   * Get the props that let a header be resized or dragged to a new position,
+   * depending on `isResizable` and `isReorderable`. The drag handlers given to
+   * `getHeaderProps` are called first, and can prevent the default action of
+   * the event to skip the reordering.
+   *
+   * @param {string} headerKey
+   * @param {object} [handlers] the drag handlers given to `getHeaderProps`
+   * @returns {object}
+   */
+  getColumnLayoutProps = (
+    headerKey: string,
+    handlers: {
+      onDragStart?: React.DragEventHandler<HTMLElement>;
+      onDragOver?: React.DragEventHandler<HTMLElement>;
+      onDrop?: React.DragEventHandler<HTMLElement>;
+      onDragEnd?: React.DragEventHandler<HTMLElement>;
+    } = {}
+  ) => {
+    const { isResizable, isReorderable } = this.props;
+    const resizeProps = isResizable
+      ? {
+          onResize: (width: number) =>
+            this.handleResizeColumn(headerKey, width),
+        }
+      : {};
+    const reorderProps = isReorderable
+      ? {
+          draggable: true,
+          onDragStart: composeEventHandlers([
+            handlers.onDragStart,
+            (event: React.DragEvent<HTMLElement>) => {
+              this.draggedColumnKey = headerKey;
+              if (event.dataTransfer) {
+                event.dataTransfer.effectAllowed = 'move';
+                event.dataTransfer.setData('text/plain', headerKey);
+              }
+            },
+          ]),
+          onDragOver: composeEventHandlers([
+            handlers.onDragOver,
+            (event: React.DragEvent<HTMLElement>) => {
+              if (
+                this.draggedColumnKey === null ||
+                this.draggedColumnKey === headerKey
+              ) {
+                return;
+              }
+              event.preventDefault();
+              if (event.dataTransfer) {
+                event.dataTransfer.dropEffect = 'move';
+              }
+            },
+          ]),
+          onDrop: composeEventHandlers([
+            handlers.onDrop,
+            (event: React.DragEvent<HTMLElement>) => {
+              const { draggedColumnKey } = this;
+              if (draggedColumnKey === null) {
+                return;
+              }
+              event.preventDefault();
+              this.draggedColumnKey = null;
+              this.applyColumnState((columnState) =>
+                moveColumnTo(columnState, draggedColumnKey, headerKey)
+              );
+            },
+          ]),
+          onDragEnd: composeEventHandlers([
+            handlers.onDragEnd,
+            () => {
+              this.draggedColumnKey = null;
+            },
+          ]),
+        }
+      : {};
+    return { ...resizeProps, ...reorderProps };
+  };
+
+  /**
+   * Commit the given sort state. When `sortStack` is controlled through props
+   * we only notify the consumer, and the next state is derived from the
+   * updated prop instead.
+   *
+   * @param {object} nextSortState
+   * @param {Function} [callback] invoked once the sort state has been applied
+   */
+  applySortState = (nextSortState, callback?: () => void) => {
+    const { sortStack, onSortStackChange } = this.props;
+    if (sortStack) {
+      this.setState(this.getFirstPageState());
+      callback?.();
+    } else {
+      this.setState(
+        { ...nextSortState, ...this.getFirstPageState() },
+        callback
+      );
+    }
+    onSortStackChange?.(nextSortState.sortStack);
+    this.notifyQueryChange({ sort: nextSortState.sortStack, page: 1 });
+  };
+
   /**
    * Get the props associated with the given expand header.
    *
@@ -587,6 +1109,86 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
       'aria-controls': `expanded-row-${row.id}`,
       isSelected: row.isSelected,
       disabled: row.disabled,
+      // Lets the table select the row with Space in grid mode
+      ...(this.props.isGrid && { 'data-row-id': row.id }),
+    };
+  };
+
+  /**
+   * Get the props associated with the header row of a group, to be passed to
+   * `TableGroupRow`. Groups are expanded and collapsed like expandable rows.
+   *
+   * @param {object} config
+   * @param {object} config.group the group we want the props for
+   * @param {Function} config.onClick a custom click handler for the expand
+   * button
+   * @returns {object}
+   */
+  getGroupRowProps = ({
+    group,
+    onClick,
+    ...rest
+  }: {
+    group: DataTableGroup;
+    onClick?: (e: React.MouseEvent<HTMLButtonElement>) => void;
+    [key: string]: unknown;
+  }) => {
+    const { translateWithId: t = translateWithId } = this.props;
+    const translationKey = group.isExpanded
+      ? translationKeys.collapseRow
+      : translationKeys.expandRow;
+    return {
+      ...rest,
+      key: group.id,
+      group,
+      headers: getVisibleHeaders(this.props.headers, this.state.columnState),
+      onExpand: composeEventHandlers([
+        this.handleOnExpandGroup(group.id),
+        onClick,
+      ]),
+      isExpanded: group.isExpanded,
+      'aria-label': t(translationKey),
+    };
+  };
+
+  /**
+   * Get the props for a `TableFooter` that shows the aggregates of the whole
+   * table
+   *
+   * @param {object} props
+   * @returns {object}
+   */
+  getFooterProps = (props = {}) => {
+    return {
+      headers: getVisibleHeaders(this.props.headers, this.state.columnState),
+      aggregates: this.getAggregates(this.getFilteredRowIds()),
+      ...props,
+    };
+  };
+
+  /**
+   * Get the props for a `TableToolbarExport`, or for `exportTableData`, that
+   * export the table as it is shown: the filtered and sorted rows of every
+   * page, with the visible columns in their display order.
+   *
+   * @param {object} config
+   * @param {boolean} config.selectedOnly only export the selected rows
+   * @returns {object}
+   */
+  getExportProps = (
+    { selectedOnly = false, ...rest } = {} as {
+      selectedOnly?: boolean;
+      [key: string]: unknown;
+    }
+  ) => {
+    const { rowsById, cellsById, columnState } = this.state;
+    const rowIds = selectedOnly
+      ? this.getSelectedRows()
+      : this.getFilteredRowIds();
+    return {
+      ...rest,
+      headers: getVisibleHeaders(this.props.headers, columnState),
+      rows: denormalize(rowIds, rowsById, cellsById),
     };
   };
 
@@ -712,6 +1314,7 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
       stickyHeader,
       overflowMenuOnHover = false,
       experimentalAutoAlign,
+      isGrid,
     } = this.props;
     return {
       useZebraStyles,
@@ -721,6 +1324,7 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
       stickyHeader,
       overflowMenuOnHover,
       experimentalAutoAlign,
+      ...(isGrid && { isGrid, onSelectRow: this.handleGridSelectRow }),
     };
   };
 
@@ -744,12 +1348,169 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
    * @returns {object}
    */
   getCellProps = ({ cell, ...rest }) => {
+    if (!cell.isEditable) {
+      return {
+        ...rest,
+        hasSlugHeader: cell.hasSlugHeader,
+      };
+    }
+    const header = this.props.headers.find(
+      (header) => header.key === cell.info.header
+    );
     return {
       ...rest,
       hasSlugHeader: cell.hasSlugHeader,
+      editor: header?.editor,
+      editorLabel: header?.header,
+      value: cell.value,
+      errors: cell.errors,
+      isEditable: cell.isEditable,
+      isEditing: cell.isEditing,
+      isValid: cell.isValid,
+      onEditStart: () => this.handleStartCellEdit(cell.id),
+      onEditCancel: () => this.handleCancelCellEdit(cell.id),
+      onEditCommit: (value) => this.handleCommitCellEdit(cell.id, value),
+    };
+  };
+
+  /**
+   * Get the props used to filter the column for the given header key. These
+   * props can be used to build a custom filter control, or are passed to
+   * `TableToolbarFilter`.
+   *
+   * @param {string} headerKey the key of the header to filter by
+   * @returns {object}
+   */
+  getFilterProps = (headerKey: string) => {
+    return {
+      headerKey,
+      filter: getColumnFilter(this.state.columnFilters, headerKey),
+      onFilterChange: (filter) => this.handleSetColumnFilter(headerKey, filter),
+      onFilterClear: () => this.handleSetColumnFilter(headerKey, null),
+    };
+  };
+
+  /**
+   * Get the props for a `TableToolbarColumnChooser` that shows, hides and
+   * reorders the columns of the table.
+   *
+   * @returns {object}
+   */
+  getColumnChooserProps = () => {
+    const { headers } = this.props;
+    const { columnState } = this.state;
+    return {
+      columns: columnState.order.map((key) => {
+        const header = headers.find((header) => header.key === key);
+        return {
+          key,
+          header: header?.header,
+          isVisible: !columnState.hidden.includes(key),
+        };
+      }),
+      onToggleColumn: this.handleToggleColumn,
+      onMoveColumn: this.handleMoveColumn,
+      onResetColumns: this.handleResetColumns,
+    };
+  };
+
+  /**
+   * Get the props for a `Pagination` component that changes the page of the
+   * table. When `isManual` is not set, rows are paginated by the table itself.
+   *
+   * @param {object} config
+   * @param {Function} config.onChange a custom change handler for the pagination
+   * @returns {object}
+   */
+  getPaginationProps = (
+    { onChange, ...rest } = {} as {
+      onChange?: (data: { page: number; pageSize: number }) => void;
+      [key: string]: unknown;
+    }
+  ) => {
+    const { page, pageSize } = this.state;
+    // Only the rows of the current page are given in manual mode. Otherwise
+    // group rows are paginated along with the rows, so they are counted too
+    const totalItems = this.props.isManual
+      ? (rest.totalItems as number | undefined) ?? this.props.totalItems
+      : this.getGroupedRowIds(this.getFilteredRowIds()).length;
+    warning(
+      totalItems !== undefined,
+      '`DataTable` requires a `totalItems` prop for pagination when `isManual` ' +
+        'is set.'
+    );
+    return {
+      totalItems,
+      ...rest,
+      page,
+      pageSize,
+      onChange: (data) => {
+        this.handleOnPaginationChange(data);
+        onChange?.(data);
+      },
+    };
+  };
+
+  /**
+   * Get the props for a `DataTableSkeleton` to show while rows are loading.
+   *
+   * @param {object} props
+   * @returns {object}
+   */
+  getSkeletonProps = (props = {}) => {
+    const { size, useZebraStyles } = this.props;
+    const { pageSize, rowIds, columnState } = this.state;
+    const headers = getVisibleHeaders(this.props.headers, columnState);
+    return {
+      headers,
+      columnCount: headers.length,
+      rowCount: pageSize ?? (rowIds.length || 5),
+      compact: size === 'xs' || size === 'sm',
+      zebra: !!useZebraStyles,
+      showHeader: false,
+      showToolbar: false,
+      ...props,
     };
   };
 
+  /**
+   * Get the query describing the current sort, filter and pagination state.
+   *
+   * @returns {object}
+   */
+  getQuery = (): DataTableQuery => {
+    const { sortStack, filterInputValue, columnFilters, page, pageSize } =
+      this.state;
+    return {
+      sort: sortStack,
+      filter: {
+        search: filterInputValue ?? '',
+        columns: columnFilters,
+      },
+      page,
+      pageSize,
+    };
+  };
+
+  /**
+   * Notify the consumer of the next query. Changes that are not yet part of
+   * the state, for example when the state is controlled, are given as
+   * `changes`.
+   *
+   * @param {object} [changes]
+   */
+  notifyQueryChange = (changes: Partial<DataTableQuery> = {}) => {
+    this.props.onQueryChange?.({ ...this.getQuery(), ...changes });
+  };
+
+  /**
+   * Get the state that moves the table back to the first page, used whenever
+   * the rows are sorted or filtered again. Controlled pages are left as-is.
+   *
+   * @returns {object}
+   */
+  getFirstPageState = () => ({ page: this.props.page ?? 1 });
+
   /**
    * Helper utility to get all the currently selected rows
    * @returns {Array<string>} the array of rowIds that are currently selected
@@ -765,23 +1526,107 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
    * @returns {Array<string>} the array of rowIds that are currently included through the filter
    *  */
   getFilteredRowIds = () => {
-    const { filterRows = defaultFilterRows } = this.props;
-    const filteredRowIds =
+    // Rows are already sorted and filtered by the consumer
+    if (this.props.isManual) {
+      return this.state.initialRowOrder;
+    }
+    const {
+      filterRows = defaultFilterRows,
+      filterColumnRows = defaultFilterColumnRows,
+      locale,
+    } = this.props;
+    const { columnFilters, cellsById } = this.state;
+    const searchedRowIds =
       typeof this.state.filterInputValue === 'string'
         ? filterRows({
             rowIds: this.state.rowIds,
             headers: this.props.headers,
-            cellsById: this.state.cellsById,
+            cellsById,
             inputValue: this.state.filterInputValue,
             getCellId,
           })
         : this.state.rowIds;
+    const filteredRowIds =
+      columnFilters.length > 0
+        ? filterColumnRows({
+            rowIds: searchedRowIds,
+            cellsById,
+            columnFilters,
+            getCellId,
+            locale,
+          })
+        : searchedRowIds;
     if (filteredRowIds.length == 0) {
       return [];
     }
     return filteredRowIds;
   };
 
+  /**
+   * Compute the `aggregates` of the given rows
+   *
+   * @param {Array<string>} rowIds
+   * @returns {object} map of header key to aggregated value
+   */
+  getAggregates = (rowIds: Array<string>) =>
+    getAggregates({
+      rowIds,
+      aggregates: this.props.aggregates,
+      cellsById: this.state.cellsById,
+      getCellId,
+    });
+
+  /**
+   * Group the given rows by the `groupBy` header keys and flatten the groups
+   * into the group header rows and rows that should be rendered, skipping the
+   * rows of collapsed groups. Without any grouping, every row is an entry.
+   *
+   * @param {Array<string>} rowIds the filtered and sorted row ids
+   * @returns {Array<object>}
+   */
+  getGroupedRowIds = (rowIds: Array<string>) => {
+    const { headers, aggregates } = this.props;
+    const { groupBy, expandedGroups, cellsById } = this.state;
+    const groupByKeys = groupBy.filter((key) =>
+      headers.some((header) => header.key === key)
+    );
+    if (groupByKeys.length === 0) {
+      return rowIds.map((rowId) => ({
+        type: 'row' as const,
+        rowId,
+        depth: 0,
+      }));
+    }
+    const groups = groupRows({
+      rowIds,
+      groupBy: groupByKeys,
+      cellsById,
+      getCellId,
+      aggregates,
+    });
+    const isGroupExpanded = (groupId) => expandedGroups[groupId] !== false;
+    return flattenGroups(groups, isGroupExpanded).map((entry) => {
+      if (entry.type === 'row') {
+        return entry;
+      }
+      const { group } = entry;
+      return {
+        type: 'group' as const,
+        group: {
+          id: group.id,
+          headerKey: group.headerKey,
+          header: headers.find((header) => header.key === group.headerKey)
+            ?.header,
+          value: group.value,
+          depth: group.depth,
+          rowCount: group.rowIds.length,
+          aggregates: group.aggregates,
+          isExpanded: isGroupExpanded(group.id),
+        },
+      };
+    });
+  };
+
   /**
    * Helper for getting the table prefix for elements that require an
    * `id` attribute that is unique.
@@ -894,6 +1739,19 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
     });
   };
 
+  /**
+   * Handler for selecting a row with Space in grid mode. Disabled rows can't
+   * be selected.
+   *
+   * @param {string} rowId
+   */
+  handleGridSelectRow = (rowId: string) => {
+    const row = this.state.rowsById[rowId];
+    if (row && !row.disabled) {
+      this.handleOnSelectRow(rowId)();
+    }
+  };
+
   /**
    * Handler for toggling the expansion state of a given row.
    *
@@ -917,6 +1775,36 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
     });
   };
 
+  /**
+   * Handler for toggling the expansion state of a given group. Groups start
+   * out expanded.
+   *
+   * @param {string} groupId
+   * @returns {Function}
+   */
+  handleOnExpandGroup = (groupId) => () => {
+    this.setState((state) => ({
+      expandedGroups: {
+        ...state.expandedGroups,
+        [groupId]: state.expandedGroups[groupId] === false,
+      },
+    }));
+  };
+
+  /**
+   * Handler for changing the header keys the rows are grouped by. When
+   * `groupBy` is controlled through props we only notify the consumer.
+   *
+   * @param {Array<string>} groupBy
+   */
+  handleSetGroupBy = (groupBy: Array<string>) => {
+    const { groupBy: controlledGroupBy, onGroupByChange } = this.props;
+    if (!controlledGroupBy) {
+      this.setState({ groupBy });
+    }
+    onGroupByChange?.(groupBy);
+  };
+
   /**
    * Handler for changing the expansion state of all rows.
    */
@@ -943,14 +1831,313 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
    * Handler for transitioning to the next sort state of the table
    *
    * @param {string} headerKey the field for the header that we are sorting by
+   * @param {object} [options]
+   * @param {boolean} [options.isMultiSort] add the header to the current sort
+   * stack instead of replacing it
    * @returns {Function}
    */
-  handleSortBy = (headerKey) => () => {
-    this.setState((state) =>
-      getNextSortState(this.props, state, { key: headerKey })
+  handleSortBy =
+    (headerKey, { isMultiSort = false } = {}) =>
+    () => {
+      this.applySortState(
+        getNextSortState(this.props, this.state, {
+          key: headerKey,
+          isMultiSort: !!(this.props.isMultiSortable && isMultiSort),
+        })
+      );
+    };
+
+  /**
+   * Handler for changing the filter of a single column. Passing in `null`
+   * removes the filter for that column.
+   *
+   * @param {string} headerKey
+   * @param {object|null} filter
+   */
+  handleSetColumnFilter = (headerKey, filter) => {
+    this.applyColumnFilters((columnFilters) =>
+      getNextColumnFilters(columnFilters, headerKey, filter)
+    );
+  };
+
+  /**
+   * Handler for removing every column filter
+   */
+  handleClearColumnFilters = () => {
+    this.applyColumnFilters(() => []);
+  };
+
+  /**
+   * Commit the next column filters. When `columnFilters` is controlled
+   * through props we only notify the consumer, otherwise the update is applied
+   * to the latest state so that several changes in a row are not lost.
+   *
+   * @param {Function} getNextFilters derives the next filters from the current
+   * ones
+   */
+  applyColumnFilters = (getNextFilters) => {
+    const { columnFilters: controlledFilters, onColumnFiltersChange } =
+      this.props;
+    if (controlledFilters) {
+      const columnFilters = getNextFilters(controlledFilters);
+      onColumnFiltersChange?.(columnFilters);
+      this.setState(this.getFirstPageState());
+      this.notifyQueryChange({
+        filter: { ...this.getQuery().filter, columns: columnFilters },
+        page: 1,
+      });
+      return;
+    }
+    this.setState(
+      (state) => ({
+        columnFilters: getNextFilters(state.columnFilters),
+        ...this.getFirstPageState(),
+      }),
+      () => {
+        onColumnFiltersChange?.(this.state.columnFilters);
+        this.notifyQueryChange({ page: 1 });
+      }
+    );
+  };
+
+  /**
+   * Handler for changing the width of a column
+   *
+   * @param {string} headerKey
+   * @param {number} width in pixels
+   */
+  handleResizeColumn = (headerKey, width) => {
+    this.applyColumnState((columnState) =>
+      resizeColumn(columnState, headerKey, width)
+    );
+  };
+
+  /**
+   * Handler for moving a column by `offset` visible positions
+   *
+   * @param {string} headerKey
+   * @param {number} offset
+   */
+  handleMoveColumn = (headerKey, offset) => {
+    this.applyColumnState((columnState) =>
+      moveColumn(columnState, headerKey, offset)
+    );
+  };
+
+  /**
+   * Handler for showing or hiding a column
+   *
+   * @param {string} headerKey
+   * @param {boolean} [isVisible] defaults to toggling the current visibility
+   */
+  handleToggleColumn = (headerKey, isVisible?: boolean) => {
+    this.applyColumnState((columnState) =>
+      toggleColumn(columnState, headerKey, isVisible)
+    );
+  };
+
+  /**
+   * Handler for restoring the default order, widths and visibility of the
+   * columns
+   */
+  handleResetColumns = () => {
+    this.applyColumnState(() => getColumnState(this.props.headers));
+  };
+
+  /**
+   * Commit the next column state. When `columnState` is controlled through
+   * props we only notify the consumer, otherwise the update is applied to the
+   * latest state so that several changes in a row, like while resizing, are
+   * not lost.
+   *
+   * @param {Function} getNextColumnState derives the next column state from
+   * the current one
+   */
+  applyColumnState = (getNextColumnState) => {
+    const { columnState: controlledColumnState, onColumnStateChange } =
+      this.props;
+    if (controlledColumnState) {
+      const columnState = getNextColumnState(this.state.columnState);
+      if (!isEqual(columnState, this.state.columnState)) {
+        onColumnStateChange?.(columnState);
+      }
+      return;
+    }
+    const prevColumnState = this.state.columnState;
+    this.setState(
+      (state) => ({
+        columnState: getNextColumnState(state.columnState),
+      }),
+      () => {
+        if (!isEqual(prevColumnState, this.state.columnState)) {
+          onColumnStateChange?.(this.state.columnState);
+        }
+      }
     );
   };
 
+  /**
+   * Apply the given changes to a single cell. Changes are skipped if the cell
+   * no longer exists, for example after the rows were updated.
+   *
+   * @param {string} cellId
+   * @param {object|Function} changes or a function that derives them from the
+   * current cell
+   */
+  updateCell = (cellId, changes) => {
+    this.setState((state) => {
+      const cell = state.cellsById[cellId];
+      if (!cell) {
+        return null;
+      }
+      return {
+        cellsById: {
+          ...state.cellsById,
+          [cellId]: {
+            ...cell,
+            ...(typeof changes === 'function' ? changes(cell) : changes),
+          },
+        },
+      };
+    });
+  };
+
+  /**
+   * Handler for entering edit mode for a cell. Only one cell is edited at a
+   * time, so any other cell that is being edited is cancelled.
+   *
+   * @param {string} cellId
+   */
+  handleStartCellEdit = (cellId) => {
+    this.setState((state) => {
+      const cellsById = { ...state.cellsById };
+      Object.keys(cellsById).forEach((id) => {
+        if (cellsById[id].isEditing) {
+          cellsById[id] = {
+            ...cellsById[id],
+            isEditing: false,
+            isValid: true,
+            errors: null,
+          };
+        }
+      });
+      if (cellsById[cellId]) {
+        cellsById[cellId] = {
+          ...cellsById[cellId],
+          isEditing: true,
+          isValid: true,
+          errors: null,
+        };
+      }
+      return { cellsById };
+    });
+  };
+
+  /**
+   * Handler for leaving edit mode for a cell without changing its value
+   *
+   * @param {string} cellId
+   */
+  handleCancelCellEdit = (cellId) => {
+    this.updateCell(cellId, { isEditing: false, isValid: true, errors: null });
+  };
+
+  /**
+   * Handler for committing the next value of a cell. The value is validated
+   * first, then applied optimistically and reported through `onCellEdit`. If
+   * the consumer rejects the edit, the previous value is restored.
+   *
+   * @param {string} cellId
+   * @param {*} value
+   * @returns {Promise<boolean>} whether the value passed validation and was
+   * committed
+   */
+  handleCommitCellEdit = async (cellId, value) => {
+    const cell = this.state.cellsById[cellId];
+    if (!cell) {
+      return false;
+    }
+    const headerKey = cell.info.header;
+    const rowId = getRowIdForCell(cell);
+    const header = this.props.headers.find(
+      (header) => header.key === headerKey
+    );
+    const commit = (this.cellEditCommits.get(cellId) ?? 0) + 1;
+    this.cellEditCommits.set(cellId, commit);
+    const errors = await validateCell(header?.editor?.validate, value, {
+      rowId,
+      headerKey,
+    });
+    // Skip the result if the edit was cancelled or committed again while it
+    // was being validated
+    if (
+      !this.isTableMounted ||
+      this.cellEditCommits.get(cellId) !== commit ||
+      !this.state.cellsById[cellId]?.isEditing
+    ) {
+      return false;
+    }
+    if (errors) {
+      this.updateCell(cellId, { isValid: false, errors });
+      return false;
+    }
+
+    const previousValue = cell.value;
+    this.updateCell(cellId, {
+      value,
+      isEditing: false,
+      isValid: true,
+      errors: null,
+    });
+    if (isEqual(value, previousValue) || !this.props.onCellEdit) {
+      return true;
+    }
+
+    const rollback = (error?: unknown) => {
+      if (!this.isTableMounted) {
+        return;
+      }
+      this.updateCell(cellId, (cell) =>
+        // Skip the rollback if the cell has been changed in the meantime
+        isEqual(cell.value, value)
+          ? {
+              value: previousValue,
+              isValid: error === undefined,
+              errors: error === undefined ? null : getCellErrors(error),
+            }
+          : {}
+      );
+    };
+    const { onCellEdit } = this.props;
+    Promise.resolve()
+      .then(() => onCellEdit({ rowId, headerKey, value, previousValue }))
+      .then(
+        (result) => {
+          if (result === false) {
+            rollback();
+          }
+        },
+        (error) => rollback(error)
+      );
+    return true;
+  };
+
+  /**
+   * Handler for the `onChange` event of `Pagination`
+   *
+   * @param {object} data
+   * @param {number} data.page
+   * @param {number} data.pageSize
+   */
+  handleOnPaginationChange = ({ page, pageSize }) => {
+    // Controlled values are only reported through `onQueryChange`
+    this.setState((state) => ({
+      page: this.props.page === undefined ? page : state.page,
+      pageSize: this.props.pageSize === undefined ? pageSize : state.pageSize,
+    }));
+    this.notifyQueryChange({ page, pageSize });
+  };
+
   /**
    * Event handler for transitioning input value state changes for the table
    * filter component.
@@ -958,6 +2145,7 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
    * @param {Event} event
    */
   handleOnInputValueChange = (event, defaultValue) => {
+    const search = event.target ? event.target.value : defaultValue;
     if (event.target) {
       this.setState({ filterInputValue: event.target.value });
     }
@@ -965,36 +2153,75 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
     if (defaultValue) {
       this.setState({ filterInputValue: defaultValue });
     }
+
+    if (typeof search === 'string') {
+      this.setState(this.getFirstPageState());
+      this.notifyQueryChange({
+        filter: { ...this.getQuery().filter, search },
+        page: 1,
+      });
+    }
   };
 
   render() {
-    const {
-      children,
-      filterRows = defaultFilterRows,
-      headers,
-      render,
-    } = this.props;
-    const { filterInputValue, rowIds, rowsById, cellsById } = this.state;
-    const filteredRowIds =
-      typeof filterInputValue === 'string'
-        ? filterRows({
-            rowIds,
-            headers,
-            cellsById,
-            inputValue: filterInputValue,
-            getCellId,
-          })
-        : rowIds;
+    const { children, render, isLoading = false, isManual } = this.props;
+    const { rowsById, cellsById, page, pageSize, columnState } = this.state;
+    const visibleHeaders = getVisibleHeaders(this.props.headers, columnState);
+    const hasColumnLayout =
+      visibleHeaders.length !== this.props.headers.length ||
+      visibleHeaders.some(
+        (header, index) => header !== this.props.headers[index]
+      );
+    const headers = hasColumnLayout ? visibleHeaders : this.props.headers;
+    const denormalizeRows = (rowIds: Array<string>) => {
+      const rows = denormalize(rowIds, rowsById, cellsById);
+      if (!hasColumnLayout) {
+        return rows;
+      }
+      // Only render the cells of visible columns, in their display order
+      return rows.map((row) => ({
+        ...row,
+        cells: headers.map(
+          (header) => cellsById[getCellId(row.id, header.key)]
+        ),
+      }));
+    };
+    // Rows are paginated after grouping, so that group rows take up page
+    // slots and the rows of collapsed groups don't
+    const filteredRowIds = this.getFilteredRowIds();
+    const groupedRowIds = this.getGroupedRowIds(filteredRowIds);
+    const pageEntries =
+      !isManual && pageSize
+        ? groupedRowIds.slice((page - 1) * pageSize, page * pageSize)
+        : groupedRowIds;
+    const pageRows = denormalizeRows(
+      pageEntries.flatMap((entry) =>
+        entry.type === 'row' ? [entry.rowId] : []
+      )
+    );
+    const pageRowsById = new Map(pageRows.map((row) => [row.id, row]));
+    const groupedRows = pageEntries.map((entry) =>
+      entry.type === 'row'
+        ? {
+            type: entry.type,
+            row: pageRowsById.get(entry.rowId),
+            depth: entry.depth,
+          }
+        : entry
+    );
     const renderProps: DataTableRenderProps<RowType, ColTypes> = {
       // Data derived from state
-      rows: denormalize(filteredRowIds, rowsById, cellsById),
-      headers: this.props.headers,
-      selectedRows: denormalize(this.getSelectedRows(), rowsById, cellsById),
+      rows: pageRows,
+      headers,
+      selectedRows: denormalizeRows(this.getSelectedRows()),
 
       // Prop accessors/getters
       getHeaderProps: this.getHeaderProps,
       getExpandHeaderProps: this.getExpandHeaderProps,
       getRowProps: this.getRowProps,
+      getGroupRowProps: this.getGroupRowProps,
+      getFooterProps: this.getFooterProps,
+      getExportProps: this.getExportProps,
       getExpandedRowProps: this.getExpandedRowProps,
       getSelectionProps: this.getSelectionProps,
       getToolbarProps: this.getToolbarProps,
@@ -1002,12 +2229,32 @@ class DataTable<RowType, ColTypes extends any[]> extends React.Component<
       getTableProps: this.getTableProps,
       getTableContainerProps: this.getTableContainerProps,
       getCellProps: this.getCellProps,
+      getFilterProps: this.getFilterProps,
+      getPaginationProps: this.getPaginationProps,
+      getColumnChooserProps: this.getColumnChooserProps,
+      getSkeletonProps: this.getSkeletonProps,
 
       // Custom event handlers
       onInputChange: this.handleOnInputValueChange,
 
       // Expose internal state change actions
-      sortBy: (headerKey) => this.handleSortBy(headerKey)(),
+      sortBy: (headerKey, options) => this.handleSortBy(headerKey, options)(),
+      sortStack: this.state.sortStack,
+      setColumnFilter: this.handleSetColumnFilter,
+      clearColumnFilters: this.handleClearColumnFilters,
+      columnFilters: this.state.columnFilters,
+      resizeColumn: this.handleResizeColumn,
+      moveColumn: this.handleMoveColumn,
+      toggleColumn: this.handleToggleColumn,
+      resetColumns: this.handleResetColumns,
+      columnState,
+      groupBy: this.state.groupBy,
+      setGroupBy: this.handleSetGroupBy,
+      groupedRows,
+      aggregates: this.getAggregates(filteredRowIds),
+      expandGroup: (groupId) => this.handleOnExpandGroup(groupId)(),
+      query: this.getQuery(),
+      isLoading,
       selectAll: this.handleSelectAll,
       selectRow: (rowId) => this.handleOnSelectRow(rowId)(),
       expandRow: (rowId) => this.handleOnExpandRow(rowId)(),
@@ -1037,6 +2284,8 @@ DataTable.TableContainer = TableContainer;
 DataTable.TableExpandHeader = TableExpandHeader;
 DataTable.TableExpandRow = TableExpandRow;
 DataTable.TableExpandedRow = TableExpandedRow;
+DataTable.TableFooter = TableFooter;
+DataTable.TableGroupRow = TableGroupRow;
 DataTable.TableHead = TableHead;
 DataTable.TableHeader = TableHeader;
 DataTable.TableRow = TableRow;
@@ -1045,8 +2294,12 @@ DataTable.TableSelectRow = TableSelectRow;
 DataTable.TableSlugRow = TableSlugRow;
 DataTable.TableToolbar = TableToolbar;
 DataTable.TableToolbarAction = TableToolbarAction;
+DataTable.TableToolbarColumnChooser = TableToolbarColumnChooser;
 DataTable.TableToolbarContent = TableToolbarContent;
+DataTable.TableToolbarExport = TableToolbarExport;
+DataTable.TableToolbarFilter = TableToolbarFilter;
 DataTable.TableToolbarSearch = TableToolbarSearch;
 DataTable.TableToolbarMenu = TableToolbarMenu;
+DataTable.TableVirtualBody = TableVirtualBody;
 
 export default DataTable;
@@ -11,6 +11,8 @@ import React, {
   useRef,
   useCallback,
   useState,
+  type FocusEvent,
+  type KeyboardEvent,
 } from 'react';
 import PropTypes from 'prop-types';
 import cx from 'classnames';
@@ -19,17 +21,45 @@ import { usePrefix } from '../../internal/usePrefix';
 import { TableContext } from './TableContext';
 import { useWindowEvent } from '../../internal/useEvent';
 import useIsomorphicEffect from '../../internal/useIsomorphicEffect';
+import { Enter, Escape, Space } from '../../internal/keyboard/keys';
+import { matches } from '../../internal/keyboard/match';
+import { composeEventHandlers } from '../../tools/events';
+import {
+  activateGridCell,
+  getGridCell,
+  getGridPosition,
+  getGridRows,
+  getNextGridPosition,
+  restoreGridTabIndexes,
+  syncGridTabIndexes,
+} from './tools/grid';
 
 interface TableProps {
   experimentalAutoAlign?: boolean;
 
   className?: string;
 
+  /**
+   * `false` If true, the table follows the ARIA grid pattern: only one cell
+   * can be reached with Tab, and the arrow keys move focus between cells
+   */
+  isGrid?: boolean;
+
   /**
    * `false` If true, will apply sorting styles
    */
   isSortable?: boolean;
 
+  /**
+   * Handler called with the value of the `data-row-id` attribute of a row
+   * when Space is pressed on one of its cells in grid mode
+   */
+  onSelectRow?: (rowId: string) => void;
+
+  onFocus?: React.FocusEventHandler<HTMLTableElement>;
+
+  onKeyDown?: React.KeyboardEventHandler<HTMLTableElement>;
+
   /**
    * Specify whether the overflow menu (if it exists) should be shown always, or only on hover
    */
@@ -108,13 +138,20 @@ export const Table = ({
   stickyHeader,
   overflowMenuOnHover = true,
   experimentalAutoAlign = false,
+  isGrid = false,
+  onSelectRow,
+  onFocus,
+  onKeyDown,
   ...other
 }: PropsWithChildren<TableProps>) => {
   const { titleId, descriptionId } = useContext(TableContext);
   const prefix = usePrefix();
   const [isScrollable, setIsScrollable] = useState(false);
   const tableRef = useRef<HTMLTableElement>(null);
+  // The position of the cell that can be reached with Tab in grid mode
+  const activeCell = useRef({ row: 0, column: 0 });
   const componentClass = cx(`${prefix}--data-table`, className, {
+    [`${prefix}--data-table--grid`]: isGrid,
     [`${prefix}--data-table--${size}`]: size,
     [`${prefix}--data-table--sort`]: isSortable,
     [`${prefix}--data-table--zebra`]: useZebraStyles,
@@ -222,6 +259,86 @@ export const Table = ({
     setTableAlignment();
   }, [setTableAlignment, size]);
 
+  // Rows and cells can change with every render, for example when the table is
+  // sorted, so the roving tabindex is applied again after each one
+  useIsomorphicEffect(() => {
+    if (isGrid && tableRef.current) {
+      const rows = getGridRows(tableRef.current);
+      syncGridTabIndexes(rows, getGridCell(rows, activeCell.current));
+    }
+  });
+
+  // Give the cells and their content back the tabindex they had once grid
+  // mode is turned off
+  useIsomorphicEffect(() => {
+    const table = tableRef.current;
+    if (!isGrid || !table) {
+      return;
+    }
+    return () => restoreGridTabIndexes(table);
+  }, [isGrid]);
+
+  const focusGridCell = (rows: Array<Array<HTMLElement>>, position) => {
+    const cell = getGridCell(rows, position);
+    if (cell) {
+      activeCell.current = getGridPosition(rows, cell) ?? position;
+      syncGridTabIndexes(rows, cell);
+      cell.focus();
+    }
+  };
+
+  const handleGridFocus = (event: FocusEvent<HTMLTableElement>) => {
+    if (!isGrid || !tableRef.current) {
+      return;
+    }
+    const rows = getGridRows(tableRef.current);
+    const position = getGridPosition(rows, event.target);
+    if (position) {
+      activeCell.current = position;
+      syncGridTabIndexes(rows, getGridCell(rows, position));
+    }
+  };
+
+  const handleGridKeyDown = (event: KeyboardEvent<HTMLTableElement>) => {
+    if (!isGrid || !tableRef.current || event.defaultPrevented) {
+      return;
+    }
+    const rows = getGridRows(tableRef.current);
+    const target = event.target as HTMLElement;
+    const position = getGridPosition(rows, target);
+    const cell = position && getGridCell(rows, position);
+    if (!position || !cell) {
+      return;
+    }
+
+    // Keys are left to the content of a cell once it has focus, except for
+    // Escape which moves focus back to the cell
+    if (target !== cell) {
+      if (matches(event, [Escape])) {
+        event.preventDefault();
+        cell.focus();
+      }
+      return;
+    }
+
+    const isRtl = window.getComputedStyle(cell).direction === 'rtl';
+    const nextPosition = getNextGridPosition(event, position, rows, isRtl);
+    if (nextPosition) {
+      event.preventDefault();
+      focusGridCell(rows, nextPosition);
+    } else if (matches(event, [Enter])) {
+      if (activateGridCell(cell)) {
+        event.preventDefault();
+      }
+    } else if (matches(event, [Space])) {
+      const rowId = cell.parentElement?.getAttribute('data-row-id');
+      if (rowId && onSelectRow) {
+        event.preventDefault();
+        onSelectRow(rowId);
+      }
+    }
+  };
+
   const table = (
     <div
       className={`${prefix}--data-table-content`}
@@ -230,8 +347,11 @@ export const Table = ({
       <table
         aria-labelledby={titleId}
         aria-describedby={descriptionId}
+        role={isGrid ? 'grid' : undefined}
         {...other}
         className={componentClass}
+        onFocus={composeEventHandlers([onFocus, handleGridFocus])}
+        onKeyDown={composeEventHandlers([onKeyDown, handleGridKeyDown])}
         ref={tableRef}>
         {children}
       </table>
@@ -258,11 +378,23 @@ Table.propTypes = {
    */
   experimentalAutoAlign: PropTypes.bool,
 
+  /**
+   * `false` If true, the table follows the ARIA grid pattern: only one cell
+   * can be reached with Tab, and the arrow keys move focus between cells
+   */
+  isGrid: PropTypes.bool,
+
   /**
    * `false` If true, will apply sorting styles
    */
   isSortable: PropTypes.bool,
 
+  /**
+   * Handler called with the value of the `data-row-id` attribute of a row
+   * when Space is pressed on one of its cells in grid mode
+   */
+  onSelectRow: PropTypes.func,
+
   /**
    * Specify whether the overflow menu (if it exists) should be shown always, or only on hover
    */
@@ -5,9 +5,13 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import React from 'react';
+import React, { ReactNode, useEffect, useRef } from 'react';
 import classNames from 'classnames';
+import TableCellEditor, { type DataTableCellEditor } from './TableCellEditor';
+import { matches } from '../../internal/keyboard/match';
+import { Enter, F2 } from '../../internal/keyboard/keys';
 import { usePrefix } from '../../internal/usePrefix';
+import { composeEventHandlers } from '../../tools/events';
 import { ReactAttr } from '../../types/common';
 
 interface TableCellProps extends ReactAttr<HTMLTableCellElement> {
@@ -26,6 +30,23 @@ interface TableCellProps extends ReactAttr<HTMLTableCellElement> {
    */
   colSpan?: number;
 
+  /**
+   * Describes the input used to edit the cell. Provided by `getCellProps`
+   * for headers with an `editor`.
+   */
+  editor?: DataTableCellEditor;
+
+  /**
+   * The label of the input used to edit the cell, usually the header of the
+   * column
+   */
+  editorLabel?: ReactNode;
+
+  /**
+   * The errors of the last attempt to edit the cell
+   */
+  errors?: null | Array<Error>;
+
   /**
    * Specify if the table cell is in an AI column
    */
@@ -35,6 +56,43 @@ interface TableCellProps extends ReactAttr<HTMLTableCellElement> {
    * The id of the matching th node in the table head. Addresses a11y concerns outlined here: https://www.ibm.com/able/guidelines/ci162/info_and_relationships.html and https://www.w3.org/TR/WCAG20-TECHS/H43
    */
   headers?: string;
+
+  /**
+   * Specify whether the cell can be edited
+   */
+  isEditable?: boolean;
+
+  /**
+   * Specify whether the cell is currently being edited
+   */
+  isEditing?: boolean;
+
+  /**
+   * Specify whether the value of the cell is valid
+   */
+  isValid?: boolean;
+
+  /**
+   * Handler called when editing is cancelled
+   */
+  onEditCancel?: () => void;
+
+  /**
+   * Handler called with the next value of the cell. Resolves to whether the
+   * value was committed, or `false` when it failed validation.
+   */
+  onEditCommit?: (value: unknown) => Promise<boolean>;
+
+  /**
+   * Handler called when the cell enters edit mode, with Enter, F2 or a double
+   * click
+   */
+  onEditStart?: () => void;
+
+  /**
+   * The value of the cell that is edited
+   */
+  value?: unknown;
 }
 
 const TableCell = ({
@@ -42,19 +100,111 @@ const TableCell = ({
   className,
   hasSlugHeader,
   colSpan,
+  editor,
+  editorLabel,
+  errors,
+  isEditable = false,
+  isEditing = false,
+  isValid = true,
+  onEditCancel,
+  onEditCommit,
+  onEditStart,
+  onDoubleClick,
+  onKeyDown,
+  value,
   ...rest
 }: TableCellProps) => {
   const prefix = usePrefix();
+  const cellRef = useRef<HTMLTableCellElement>(null);
+  // The offset of the cell to focus once editing ends, or `null` when focus
+  // should stay where it is
+  const focusAfterEdit = useRef<number | null>(null);
+  const canEdit = isEditable && !!editor && !!onEditStart;
+
+  useEffect(() => {
+    const cell = cellRef.current;
+    const offset = focusAfterEdit.current;
+    if (isEditing || offset === null || !cell) {
+      return;
+    }
+    focusAfterEdit.current = null;
+    const cells = Array.from(cell.parentElement?.children ?? []).filter(
+      (element): element is HTMLElement =>
+        element.tagName === 'TD' && element.hasAttribute('tabindex')
+    );
+    const target = cells[cells.indexOf(cell) + offset] ?? cell;
+    target.focus();
+  }, [isEditing]);
+
+  const handleKeyDown = (event: React.KeyboardEvent<HTMLTableCellElement>) => {
+    if (
+      canEdit &&
+      !isEditing &&
+      event.target === event.currentTarget &&
+      matches(event, [Enter, F2])
+    ) {
+      event.preventDefault();
+      onEditStart?.();
+    }
+  };
+
+  const handleDoubleClick = () => {
+    if (canEdit && !isEditing) {
+      onEditStart?.();
+    }
+  };
 
   const tableCellClassNames = classNames(className, {
     [`${prefix}--table-cell--column-slug`]: hasSlugHeader,
+    [`${prefix}--table-cell--editable`]: canEdit,
+    [`${prefix}--table-cell--editing`]: canEdit && isEditing,
+    [`${prefix}--table-cell--invalid`]: canEdit && !isValid,
   });
+
+  let content = children;
+  if (canEdit && editor && isEditing) {
+    content = (
+      <TableCellEditor
+        editor={editor}
+        errors={errors}
+        label={editorLabel ?? ''}
+        value={value}
+        onCancel={() => {
+          focusAfterEdit.current = 0;
+          onEditCancel?.();
+        }}
+        onCommit={(nextValue, offset = 0) => {
+          focusAfterEdit.current = offset;
+          onEditCommit?.(nextValue).then((isCommitted) => {
+            if (!isCommitted) {
+              focusAfterEdit.current = null;
+            }
+          });
+        }}
+      />
+    );
+  } else if (canEdit && errors && errors.length > 0) {
+    content = (
+      <>
+        {children}
+        <div className={`${prefix}--table-cell__error`}>
+          {errors.map((error) => error.message).join(' ')}
+        </div>
+      </>
+    );
+  }
+
   return (
     <td
+      ref={cellRef}
       className={tableCellClassNames ? tableCellClassNames : undefined}
       colSpan={colSpan}
+      tabIndex={canEdit ? 0 : undefined}
+      aria-invalid={canEdit && !isValid ? true : undefined}
+      onKeyDown={composeEventHandlers([onKeyDown, handleKeyDown])}
+      onDoubleClick={composeEventHandlers([onDoubleClick, handleDoubleClick])}
       {...rest}>
-      {children}
+      {content}
     </td>
   );
 };
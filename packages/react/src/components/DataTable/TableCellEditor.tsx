@@ -0,0 +1,313 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from 'prop-types';
+import React, {
+  type KeyboardEvent,
+  ReactNode,
+  useEffect,
+  useRef,
+  useState,
+} from 'react';
+import { DatePicker } from '../DatePicker';
+import { DatePickerInput } from '../DatePickerInput';
+import { Dropdown } from '../Dropdown';
+import { NumberInput } from '../NumberInput';
+import { TextInput } from '../TextInput';
+import { matches } from '../../internal/keyboard/match';
+import { Enter, Escape, Tab } from '../../internal/keyboard/keys';
+import { useId } from '../../internal/useId';
+import { usePrefix } from '../../internal/usePrefix';
+
+export type DataTableCellEditorItem =
+  | string
+  | number
+  | { value: string | number; label: string };
+
+export type DataTableCellValidationResult =
+  | null
+  | undefined
+  | string
+  | Error
+  | Array<string | Error>;
+
+/**
+ * Describes how the cells of a column are edited. Provided through the
+ * `editor` field of a header.
+ */
+export interface DataTableCellEditor {
+  /**
+   * The kind of input used to edit the cell
+   */
+  type: 'text' | 'number' | 'select' | 'date';
+
+  /**
+   * The available values for `select` editors
+   */
+  items?: Array<DataTableCellEditorItem>;
+
+  /**
+   * Optional placeholder of the input. For `date` editors, it defaults to the
+   * `dateFormat` given through `props`, like `mm/dd/yyyy` for `m/d/Y`.
+   */
+  placeholder?: string;
+
+  /**
+   * Optional, possibly async, validator for the next value of a cell. Any
+   * messages or errors that are returned are shown with the editor and keep
+   * it open.
+   */
+  validate?: (
+    value: any,
+    context: { rowId: string; headerKey: string }
+  ) => DataTableCellValidationResult | Promise<DataTableCellValidationResult>;
+
+  /**
+   * Additional props for the underlying input component, for example `min`
+   * and `max` for `NumberInput` or `dateFormat` for `DatePicker`
+   */
+  props?: Record<string, unknown>;
+}
+
+export interface TableCellEditorProps {
+  /**
+   * Describes the input used to edit the cell
+   */
+  editor: DataTableCellEditor;
+
+  /**
+   * The errors of the last attempt to commit a value
+   */
+  errors?: null | Array<Error>;
+
+  /**
+   * The label of the input, usually the header of the column
+   */
+  label: NonNullable<ReactNode>;
+
+  /**
+   * Handler called when editing is cancelled with Escape
+   */
+  onCancel: () => void;
+
+  /**
+   * Handler called with the next value when it is committed with Enter or
+   * Tab. For Tab, `offset` is the direction focus should move in.
+   */
+  onCommit: (value: unknown, offset?: number) => void;
+
+  /**
+   * The current value of the cell
+   */
+  value: unknown;
+}
+
+const getItemValue = (item: DataTableCellEditorItem | null) =>
+  item !== null && typeof item === 'object' ? item.value : item;
+
+const getItemLabel = (item: DataTableCellEditorItem | null) =>
+  item !== null && typeof item === 'object' ? item.label : `${item ?? ''}`;
+
+const dateFormatPlaceholders = {
+  d: 'dd',
+  j: 'd',
+  m: 'mm',
+  n: 'm',
+  Y: 'yyyy',
+  y: 'yy',
+};
+
+/**
+ * Get a placeholder for a `DatePicker` date format, like `mm/dd/yyyy` for
+ * `m/d/Y`
+ */
+const getDatePlaceholder = (dateFormat: string) =>
+  dateFormat.replace(/[djmnYy]/g, (token) => dateFormatPlaceholders[token]);
+
+/**
+ * The input that is rendered by `TableCell` while a cell is being edited
+ */
+function TableCellEditor({
+  editor,
+  errors,
+  label,
+  onCancel,
+  onCommit,
+  value,
+}: TableCellEditorProps) {
+  const prefix = usePrefix();
+  const id = useId('table-cell-editor');
+  const ref = useRef<HTMLDivElement>(null);
+  const [draft, setDraft] = useState(value);
+  const invalid = !!errors && errors.length > 0;
+  const invalidText = errors?.map((error) => error.message).join(' ');
+  const { type, items = [], placeholder, props: editorProps } = editor;
+
+  useEffect(() => {
+    ref.current?.querySelector<HTMLElement>('input, button')?.focus();
+  }, []);
+
+  const getCommitValue = () => {
+    if (type === 'number') {
+      return draft === '' || draft === null || draft === undefined
+        ? null
+        : Number(draft);
+    }
+    return draft;
+  };
+
+  const handleKeyDown = (event: KeyboardEvent<HTMLDivElement>) => {
+    // Let open menus handle their own keyboard interactions
+    const target = event.target as HTMLElement;
+    if (target.getAttribute('aria-expanded') === 'true') {
+      return;
+    }
+
+    if (matches(event, [Escape])) {
+      event.preventDefault();
+      event.stopPropagation();
+      onCancel();
+    } else if (matches(event, [Tab])) {
+      event.preventDefault();
+      event.stopPropagation();
+      onCommit(getCommitValue(), event.shiftKey ? -1 : 1);
+    } else if (matches(event, [Enter]) && type !== 'select') {
+      event.preventDefault();
+      event.stopPropagation();
+      onCommit(getCommitValue());
+    }
+  };
+
+  let input: ReactNode = null;
+
+  if (type === 'number') {
+    input = (
+      <NumberInput
+        id={id}
+        label={label}
+        hideLabel
+        size="sm"
+        value={(draft as number | string | null) ?? ''}
+        invalid={invalid}
+        invalidText={invalidText}
+        placeholder={placeholder}
+        onChange={(_event, { value }) => setDraft(value)}
+        {...editorProps}
+      />
+    );
+  } else if (type === 'select') {
+    input = (
+      <Dropdown<DataTableCellEditorItem>
+        id={id}
+        titleText={label}
+        label=""
+        hideLabel
+        size="sm"
+        items={items}
+        itemToString={getItemLabel}
+        initialSelectedItem={items.find((item) => getItemValue(item) === draft)}
+        invalid={invalid}
+        invalidText={invalidText}
+        onChange={({ selectedItem }) => {
+          const next = getItemValue(selectedItem ?? null);
+          setDraft(next);
+          onCommit(next);
+        }}
+        {...editorProps}
+      />
+    );
+  } else if (type === 'date') {
+    input = (
+      <DatePicker
+        datePickerType="single"
+        value={draft as string | Date | undefined}
+        onChange={([date]) => setDraft(date ?? null)}
+        {...editorProps}>
+        <DatePickerInput
+          id={id}
+          labelText={label}
+          hideLabel
+          size="sm"
+          placeholder={
+            placeholder ??
+            getDatePlaceholder(
+              (editorProps?.dateFormat as string | undefined) ?? 'm/d/Y'
+            )
+          }
+          invalid={invalid}
+          invalidText={invalidText}
+        />
+      </DatePicker>
+    );
+  } else {
+    input = (
+      <TextInput
+        id={id}
+        labelText={label}
+        hideLabel
+        size="sm"
+        value={`${draft ?? ''}`}
+        invalid={invalid}
+        invalidText={invalidText}
+        placeholder={placeholder}
+        onChange={(event) => setDraft(event.target.value)}
+        {...editorProps}
+      />
+    );
+  }
+
+  return (
+    // eslint-disable-next-line jsx-a11y/no-static-element-interactions
+    <div
+      ref={ref}
+      className={`${prefix}--table-cell-editor`}
+      onKeyDown={handleKeyDown}>
+      {input}
+    </div>
+  );
+}
+
+TableCellEditor.propTypes = {
+  /**
+   * Describes the input used to edit the cell
+   */
+  editor: PropTypes.shape({
+    type: PropTypes.oneOf(['text', 'number', 'select', 'date']).isRequired,
+    items: PropTypes.array,
+    placeholder: PropTypes.string,
+    validate: PropTypes.func,
+    props: PropTypes.object,
+  }).isRequired,
+
+  /**
+   * The errors of the last attempt to commit a value
+   */
+  errors: PropTypes.arrayOf(PropTypes.instanceOf(Error)),
+
+  /**
+   * The label of the input, usually the header of the column
+   */
+  label: PropTypes.node.isRequired,
+
+  /**
+   * Handler called when editing is cancelled with Escape
+   */
+  onCancel: PropTypes.func.isRequired,
+
+  /**
+   * Handler called with the next value when it is committed with Enter or
+   * Tab. For Tab, `offset` is the direction focus should move in.
+   */
+  onCommit: PropTypes.func.isRequired,
+
+  /**
+   * The current value of the cell
+   */
+  value: PropTypes.any,
+};
+
+export default TableCellEditor;
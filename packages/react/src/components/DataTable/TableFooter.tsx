@@ -0,0 +1,136 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import cx from 'classnames';
+import PropTypes from 'prop-types';
+import React, { ReactNode } from 'react';
+import TableCell from './TableCell';
+import type { DataTableHeader } from './DataTable';
+import { formatAggregate } from './tools/grouping';
+import { usePrefix } from '../../internal/usePrefix';
+import { ReactAttr, TranslateWithId } from '../../types/common';
+
+/**
+ * Message ids that will be passed to translateWithId().
+ */
+export type TableFooterTranslationKey = 'carbon.table.footer.label';
+
+const translationKeys: Record<TableFooterTranslationKey, string> = {
+  'carbon.table.footer.label': 'Total',
+};
+
+const translateWithId = (id: TableFooterTranslationKey): string => {
+  return translationKeys[id];
+};
+
+export interface TableFooterProps
+  extends ReactAttr<HTMLTableSectionElement>,
+    TranslateWithId<TableFooterTranslationKey> {
+  /**
+   * The aggregated values of the whole table, by header key. Typically
+   * provided through `getFooterProps` from the `DataTable` render props.
+   */
+  aggregates: Record<string, unknown>;
+
+  /**
+   * Pass in cells to render before the cells of the columns, for example
+   * empty cells for the expand or selection columns
+   */
+  children?: ReactNode;
+
+  /**
+   * The headers of the table. The first one shows the label of the footer,
+   * the others show the aggregates of their column.
+   */
+  headers: Array<DataTableHeader>;
+
+  /**
+   * Optional function to render the aggregated value of a column. Numbers
+   * and dates are formatted with the current locale by default.
+   */
+  renderAggregate?: (value: unknown, headerKey: string) => ReactNode;
+}
+
+const TableFooter = ({
+  aggregates,
+  children,
+  className,
+  headers,
+  renderAggregate = (value) => formatAggregate(value),
+  translateWithId: t = translateWithId,
+  ...rest
+}: TableFooterProps) => {
+  const prefix = usePrefix();
+  const [labelHeader, ...aggregateHeaders] = headers;
+  return (
+    <tfoot {...rest} className={cx(`${prefix}--data-table-footer`, className)}>
+      <tr>
+        {children}
+        {labelHeader ? (
+          <TableCell className={`${prefix}--data-table-footer__label`}>
+            {t('carbon.table.footer.label')}
+          </TableCell>
+        ) : null}
+        {aggregateHeaders.map((header) => (
+          <TableCell key={header.key}>
+            {header.key in aggregates
+              ? renderAggregate(aggregates[header.key], header.key)
+              : null}
+          </TableCell>
+        ))}
+      </tr>
+    </tfoot>
+  );
+};
+
+TableFooter.propTypes = {
+  /**
+   * The aggregated values of the whole table, by header key. Typically
+   * provided through `getFooterProps` from the `DataTable` render props.
+   */
+  aggregates: PropTypes.object.isRequired,
+
+  /**
+   * Pass in cells to render before the cells of the columns, for example
+   * empty cells for the expand or selection columns
+   */
+  children: PropTypes.node,
+
+  /**
+   * Specify an optional className to be applied to the footer
+   */
+  className: PropTypes.string,
+
+  /**
+   * The headers of the table. The first one shows the label of the footer,
+   * the others show the aggregates of their column.
+   */
+  headers: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      header: PropTypes.node,
+    })
+  ).isRequired,
+
+  /**
+   * Optional function to render the aggregated value of a column. Numbers
+   * and dates are formatted with the current locale by default.
+   */
+  renderAggregate: PropTypes.func,
+
+  /**
+   * Supply a method to translate internal strings with your i18n tool of
+   * choice. Translation keys are available on the `translationKeys` field for
+   * this component.
+   */
+  translateWithId: PropTypes.func,
+};
+
+TableFooter.translationKeys = Object.keys(translationKeys);
+
+TableFooter.displayName = 'TableFooter';
+export default TableFooter;
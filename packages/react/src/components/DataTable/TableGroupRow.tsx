@@ -0,0 +1,218 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import cx from 'classnames';
+import PropTypes from 'prop-types';
+import React, { type MouseEventHandler, ReactNode } from 'react';
+import TableCell from './TableCell';
+import TableExpandRow from './TableExpandRow';
+import type { DataTableHeader } from './DataTable';
+import type { DataTableGroup } from './state/groupTypes';
+import { formatAggregate } from './tools/grouping';
+import { usePrefix } from '../../internal/usePrefix';
+import { ReactAttr, TranslateWithId } from '../../types/common';
+
+/**
+ * Message ids that will be passed to translateWithId().
+ */
+export type TableGroupRowTranslationKey = 'carbon.table.group.label';
+
+export interface TableGroupRowTranslationArgs {
+  header: ReactNode;
+  value: string;
+  rowCount: number;
+}
+
+const translateWithId = (
+  id: TableGroupRowTranslationKey,
+  args?: TableGroupRowTranslationArgs
+): string => {
+  if (args && id === 'carbon.table.group.label') {
+    return `${args.header}: ${args.value} (${args.rowCount})`;
+  }
+  return '';
+};
+
+export interface TableGroupRowProps
+  extends ReactAttr<HTMLTableRowElement>,
+    TranslateWithId<TableGroupRowTranslationKey, TableGroupRowTranslationArgs> {
+  /**
+   * Specify the string read by a voice reader when the expand trigger is
+   * focused
+   */
+  ['aria-label']: string;
+
+  /**
+   * Pass in cells to render between the expand button and the cells of the
+   * group, for example an empty cell for the selection column
+   */
+  children?: ReactNode;
+
+  /**
+   * The id of the matching th node in the table head. Addresses a11y concerns outlined here: https://www.ibm.com/able/guidelines/ci162/info_and_relationships.html and https://www.w3.org/TR/WCAG20-TECHS/H43
+   */
+  expandHeader?: string;
+
+  /**
+   * The group to render, from the `groupedRows` render prop
+   */
+  group: DataTableGroup;
+
+  /**
+   * The headers of the table. The first one shows the label of the group,
+   * the others show the aggregates of the group.
+   */
+  headers: Array<DataTableHeader>;
+
+  /**
+   * Specify whether the rows of the group are shown
+   */
+  isExpanded?: boolean;
+
+  /**
+   * Hook for when a listener initiates a request to expand the given group
+   */
+  onExpand: MouseEventHandler<HTMLButtonElement>;
+
+  /**
+   * Optional function to render the aggregated value of a column. Numbers
+   * and dates are formatted with the current locale by default.
+   */
+  renderAggregate?: (
+    value: unknown,
+    headerKey: string,
+    group: DataTableGroup
+  ) => ReactNode;
+}
+
+const TableGroupRow = React.forwardRef(function TableGroupRow(
+  {
+    children,
+    className,
+    group,
+    headers,
+    renderAggregate = (value) => formatAggregate(value),
+    translateWithId: t = translateWithId,
+    ...rest
+  }: TableGroupRowProps,
+  ref: React.Ref<HTMLTableRowElement>
+) {
+  const prefix = usePrefix();
+  const [labelHeader, ...aggregateHeaders] = headers;
+  const style = {};
+  style[`--${prefix}-table-group-depth`] = group.depth;
+
+  return (
+    <TableExpandRow
+      {...rest}
+      ref={ref as never}
+      className={cx(`${prefix}--table-group-row`, className)}>
+      {children}
+      {labelHeader ? (
+        <TableCell className={`${prefix}--table-group-row__label`}>
+          {/* eslint-disable-next-line react/forbid-dom-props */}
+          <span style={style}>
+            {t('carbon.table.group.label', {
+              header: group.header,
+              value: formatAggregate(group.value),
+              rowCount: group.rowCount,
+            })}
+          </span>
+        </TableCell>
+      ) : null}
+      {aggregateHeaders.map((header) => (
+        <TableCell
+          key={header.key}
+          className={`${prefix}--table-group-row__aggregate`}>
+          {header.key in group.aggregates
+            ? renderAggregate(group.aggregates[header.key], header.key, group)
+            : null}
+        </TableCell>
+      ))}
+    </TableExpandRow>
+  );
+});
+
+TableGroupRow.propTypes = {
+  /**
+   * Specify the string read by a voice reader when the expand trigger is
+   * focused
+   */
+  /**@ts-ignore*/
+  ['aria-label']: PropTypes.string.isRequired,
+
+  /**
+   * Pass in cells to render between the expand button and the cells of the
+   * group, for example an empty cell for the selection column
+   */
+  children: PropTypes.node,
+
+  /**
+   * Specify an optional className to be applied to the row
+   */
+  className: PropTypes.string,
+
+  /**
+   * The id of the matching th node in the table head. Addresses a11y concerns outlined here: https://www.ibm.com/able/guidelines/ci162/info_and_relationships.html and https://www.w3.org/TR/WCAG20-TECHS/H43
+   */
+  expandHeader: PropTypes.string,
+
+  /**
+   * The group to render, from the `groupedRows` render prop
+   */
+  /**@ts-ignore*/
+  group: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    headerKey: PropTypes.string.isRequired,
+    header: PropTypes.node,
+    value: PropTypes.any,
+    depth: PropTypes.number.isRequired,
+    rowCount: PropTypes.number.isRequired,
+    aggregates: PropTypes.object.isRequired,
+    isExpanded: PropTypes.bool,
+  }).isRequired,
+
+  /**
+   * The headers of the table. The first one shows the label of the group,
+   * the others show the aggregates of the group.
+   */
+  /**@ts-ignore*/
+  headers: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      header: PropTypes.node,
+    })
+  ).isRequired,
+
+  /**
+   * Specify whether the rows of the group are shown
+   */
+  isExpanded: PropTypes.bool,
+
+  /**
+   * Hook for when a listener initiates a request to expand the given group
+   */
+  onExpand: PropTypes.func.isRequired,
+
+  /**
+   * Optional function to render the aggregated value of a column. Numbers
+   * and dates are formatted with the current locale by default.
+   */
+  renderAggregate: PropTypes.func,
+
+  /**
+   * Supply a method to translate internal strings with your i18n tool of
+   * choice. Translation keys are available on the `translationKeys` field for
+   * this component.
+   */
+  translateWithId: PropTypes.func,
+};
+
+(TableGroupRow as any).translationKeys = ['carbon.table.group.label'];
+
+TableGroupRow.displayName = 'TableGroupRow';
+export default TableGroupRow;
@@ -7,33 +7,57 @@
 
 import cx from 'classnames';
 import PropTypes from 'prop-types';
-import React, { type MouseEventHandler, useRef, ReactNode } from 'react';
+import React, {
+  type DragEventHandler,
+  type KeyboardEvent,
+  type MouseEventHandler,
+  type PointerEvent,
+  useRef,
+  useState,
+  ReactNode,
+} from 'react';
 import {
   ArrowUp as Arrow,
   ArrowsVertical as Arrows,
 } from '@carbon/icons-react';
 import classNames from 'classnames';
 import { sortStates } from './state/sorting';
+import { maxColumnWidth, minColumnWidth } from './state/columns';
+import { composeEventHandlers } from '../../tools/events';
+import { matches } from '../../internal/keyboard/match';
+import { ArrowLeft, ArrowRight } from '../../internal/keyboard/keys';
 import { useId } from '../../internal/useId';
 import { usePrefix } from '../../internal/usePrefix';
+import useIsomorphicEffect from '../../internal/useIsomorphicEffect';
 import { TranslateWithId, ReactAttr } from '../../types/common';
 import { DataTableSortState } from './state/sortStates';
 
 const defaultScope = 'col';
 
-export type TableHeaderTranslationKey = 'carbon.table.header.icon.description';
+export type TableHeaderTranslationKey =
+  | 'carbon.table.header.icon.description'
+  | 'carbon.table.header.sort.priority'
+  | 'carbon.table.header.resize';
 
 export interface TableHeaderTranslationArgs {
   header: ReactNode;
   isSortHeader?: boolean;
   sortDirection?: DataTableSortState;
+  sortPriority?: number;
   sortStates: typeof sortStates;
 }
 
 const translationKeys: { [key: string]: TableHeaderTranslationKey } = {
   buttonDescription: 'carbon.table.header.icon.description',
+  sortPriority: 'carbon.table.header.sort.priority',
+  resize: 'carbon.table.header.resize',
 };
 
+/**
+ * The number of pixels a column is resized by with the arrow keys
+ */
+const resizeStep = 16;
+
 const translateWithId = (
   key: TableHeaderTranslationKey,
   args?: TableHeaderTranslationArgs
@@ -54,6 +78,14 @@ const translateWithId = (
     return `Click to sort rows by ${args.header} header in ascending order`;
   }
 
+  if (args && key === translationKeys.sortPriority) {
+    return `Sort priority ${args.sortPriority}`;
+  }
+
+  if (args && key === translationKeys.resize) {
+    return `Resize ${args.header} column`;
+  }
+
   return '';
 };
 
@@ -64,10 +96,10 @@ const sortDirections: { [key: string]: 'none' | 'ascending' | 'descending' } = {
 };
 
 interface TableHeaderProps
-  extends ReactAttr<HTMLTableCellElement & HTMLButtonElement>,
+  extends Omit<ReactAttr<HTMLTableCellElement & HTMLButtonElement>, 'onResize'>,
     TranslateWithId<
       TableHeaderTranslationKey,
-      { header; sortDirection; isSortHeader; sortStates }
+      { header; sortDirection; isSortHeader; sortPriority?; sortStates }
     > {
   /**
    * Pass in children that will be embedded in the table header label
@@ -106,6 +138,13 @@ interface TableHeaderProps
    */
   onClick?: MouseEventHandler<HTMLButtonElement>;
 
+  /**
+   * Optional handler that is called with the next width of the column, in
+   * pixels, when it is resized. Providing this prop renders a resize handle
+   * that can be dragged or moved with the arrow keys.
+   */
+  onResize?: (width: number) => void;
+
   /**
    * Specify the scope of this table header. You can find more info about this
    * attribute at the following URL:
@@ -123,6 +162,120 @@ interface TableHeaderProps
    * NONE, or ASC.
    */
   sortDirection?: string;
+
+  /**
+   * Specify the position of this header in a multi-column sort, starting at
+   * 1 for the primary sort header. When provided, a priority indicator is
+   * rendered next to the sort icon.
+   */
+  sortPriority?: number;
+
+  /**
+   * Specify the width of the column, in pixels
+   */
+  width?: number;
+}
+
+interface ResizeHandleProps {
+  label: string;
+  onResize: (width: number) => void;
+  width?: number;
+}
+
+/**
+ * A separator at the end of a header that resizes its column when it is
+ * dragged, or with the left and right arrow keys when it has focus
+ */
+function ResizeHandle({ label, onResize, width }: ResizeHandleProps) {
+  const prefix = usePrefix();
+  const handleRef = useRef<HTMLDivElement>(null);
+  const start = useRef<{ x: number; width: number; isRtl: boolean } | null>(
+    null
+  );
+
+  const getHeaderWidth = (element: HTMLElement) =>
+    width ?? element.closest('th')?.getBoundingClientRect().width ?? 0;
+
+  const [measuredWidth, setMeasuredWidth] = useState<number>();
+
+  // Columns that were never resized have no `width`, so their value is the
+  // rendered width of the header
+  useIsomorphicEffect(() => {
+    if (width !== undefined || !handleRef.current) {
+      return;
+    }
+    const headerWidth = getHeaderWidth(handleRef.current);
+    setMeasuredWidth(headerWidth > 0 ? Math.round(headerWidth) : undefined);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [width]);
+  const value = width ?? measuredWidth;
+
+  const handlePointerDown = (event: PointerEvent<HTMLDivElement>) => {
+    // Prevent text selection and dragging of the header while resizing
+    event.preventDefault();
+    event.stopPropagation();
+    const { currentTarget } = event;
+    currentTarget.focus();
+    currentTarget.setPointerCapture?.(event.pointerId);
+    start.current = {
+      x: event.clientX,
+      width: getHeaderWidth(currentTarget),
+      isRtl: window.getComputedStyle(currentTarget).direction === 'rtl',
+    };
+  };
+
+  const handlePointerMove = (event: PointerEvent<HTMLDivElement>) => {
+    if (!start.current) {
+      return;
+    }
+    const delta = event.clientX - start.current.x;
+    onResize(start.current.width + (start.current.isRtl ? -delta : delta));
+  };
+
+  const handlePointerUp = (event: PointerEvent<HTMLDivElement>) => {
+    event.currentTarget.releasePointerCapture?.(event.pointerId);
+    start.current = null;
+  };
+
+  const handleKeyDown = (event: KeyboardEvent<HTMLDivElement>) => {
+    const direction = matches(event, [ArrowLeft])
+      ? -1
+      : matches(event, [ArrowRight])
+      ? 1
+      : 0;
+    if (direction === 0) {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    const isRtl =
+      window.getComputedStyle(event.currentTarget).direction === 'rtl';
+    onResize(
+      getHeaderWidth(event.currentTarget) +
+        (isRtl ? -direction : direction) * resizeStep
+    );
+  };
+
+  return (
+    // eslint-disable-next-line jsx-a11y/no-noninteractive-tabindex
+    <div
+      ref={handleRef}
+      role="separator"
+      aria-label={label}
+      aria-orientation="vertical"
+      aria-valuemin={value === undefined ? undefined : minColumnWidth}
+      aria-valuemax={value === undefined ? undefined : maxColumnWidth}
+      aria-valuenow={value}
+      className={`${prefix}--table-header__resize-handle`}
+      tabIndex={0}
+      onClick={(event) => event.stopPropagation()}
+      onKeyDown={handleKeyDown}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    />
+  );
 }
 
 const TableHeader = React.forwardRef(function TableHeader(
@@ -133,17 +286,83 @@ const TableHeader = React.forwardRef(function TableHeader(
     isSortable = false,
     isSortHeader,
     onClick,
+    onResize,
     scope = defaultScope,
     sortDirection,
+    sortPriority,
     translateWithId: t = translateWithId,
     slug,
     id,
+    width,
+    draggable,
+    onDragStart,
+    onDragOver,
+    onDragLeave,
+    onDrop,
+    onDragEnd,
     ...rest
   }: TableHeaderProps,
   ref: React.Ref<HTMLTableCellElement>
 ) {
   const prefix = usePrefix();
   const uniqueId = useId('table-sort');
+  const [isDropTarget, setIsDropTarget] = useState(false);
+
+  // Props that apply to the column as a whole are placed on the `th` instead
+  // of the sort button, so that the whole header can be dragged and resized.
+  // They are only set for columns with a width or that can be dragged, and the
+  // `style` and drag handlers of the consumer are kept otherwise.
+  const dragProps = {
+    draggable,
+    onDragStart,
+    onDragOver,
+    onDragLeave,
+    onDrop,
+    onDragEnd,
+  };
+  const columnProps = {
+    ...(width && {
+      style: {
+        ...(isSortable ? undefined : rest.style),
+        inlineSize: width,
+        minInlineSize: width,
+      },
+    }),
+    ...(draggable && {
+      ...dragProps,
+      // The header is a drop target when the consumer accepts the drop by
+      // preventing the default action of the event
+      onDragOver: (event) => {
+        onDragOver?.(event);
+        setIsDropTarget(event.defaultPrevented);
+      },
+      onDragLeave: composeEventHandlers([
+        () => setIsDropTarget(false),
+        onDragLeave,
+      ]),
+      onDrop: composeEventHandlers([() => setIsDropTarget(false), onDrop]),
+    }),
+  };
+  const otherProps = draggable ? rest : { ...rest, ...dragProps };
+  const columnClassNames = {
+    [`${prefix}--table-header--resizable`]: !!onResize,
+    [`${prefix}--table-header--draggable`]: !!draggable,
+    [`${prefix}--table-header--drop-target`]: isDropTarget,
+  };
+  const resizeHandle = onResize ? (
+    <ResizeHandle
+      label={
+        t?.('carbon.table.header.resize', {
+          header: children,
+          sortDirection,
+          isSortHeader,
+          sortStates,
+        }) ?? ''
+      }
+      onResize={onResize}
+      width={width}
+    />
+  ) : null;
 
   // Slug is always size `mini`
   const slugRef = useRef<HTMLInputElement>(null);
@@ -163,9 +382,10 @@ const TableHeader = React.forwardRef(function TableHeader(
   if (!isSortable) {
     return (
       <th
-        {...rest}
+        {...otherProps}
+        {...columnProps}
         id={id}
-        className={headerClassName}
+        className={cx(headerClassName, columnClassNames) || undefined}
         scope={scope}
         colSpan={colSpan}
         ref={ref}>
@@ -175,6 +395,7 @@ const TableHeader = React.forwardRef(function TableHeader(
             {normalizedSlug}
           </div>
         ) : null}
+        {resizeHandle}
       </th>
     );
   }
@@ -197,8 +418,20 @@ const TableHeader = React.forwardRef(function TableHeader(
       sortStates,
     });
 
+  const sortPriorityDescription =
+    t &&
+    sortPriority !== undefined &&
+    t('carbon.table.header.sort.priority', {
+      header: children,
+      sortDirection,
+      isSortHeader,
+      sortPriority,
+      sortStates,
+    });
+
   const headerClasses = cx(headerClassName, `${prefix}--table-sort__header`, {
     [`${prefix}--table-sort__header--slug`]: slug,
+    ...columnClassNames,
   });
 
   const handleClick = (evt) => {
@@ -211,6 +444,7 @@ const TableHeader = React.forwardRef(function TableHeader(
 
   return (
     <th
+      {...columnProps}
       id={id}
       aria-sort={ariaSort}
       className={headerClasses}
@@ -219,16 +453,24 @@ const TableHeader = React.forwardRef(function TableHeader(
       scope={scope}>
       <div className={`${prefix}--table-sort__description`} id={uniqueId}>
         {sortDescription}
+        {sortPriorityDescription ? ` ${sortPriorityDescription}` : null}
       </div>
       <button
         type="button"
         aria-describedby={uniqueId}
         className={className}
         onClick={handleClick}
-        {...rest}>
+        {...otherProps}>
         <span className={`${prefix}--table-sort__flex`}>
           <div className={`${prefix}--table-header-label`}>{children}</div>
           <Arrow size={20} className={`${prefix}--table-sort__icon`} />
+          {sortPriority !== undefined && (
+            <span
+              className={`${prefix}--table-sort__priority`}
+              aria-hidden="true">
+              {sortPriority}
+            </span>
+          )}
           <Arrows
             size={20}
             className={`${prefix}--table-sort__icon-unsorted`}
@@ -236,6 +478,7 @@ const TableHeader = React.forwardRef(function TableHeader(
           {normalizedSlug}
         </span>
       </button>
+      {resizeHandle}
     </th>
   );
 });
@@ -278,6 +521,13 @@ TableHeader.propTypes = {
    */
   onClick: PropTypes.func,
 
+  /**
+   * Optional handler that is called with the next width of the column, in
+   * pixels, when it is resized. Providing this prop renders a resize handle
+   * that can be dragged or moved with the arrow keys.
+   */
+  onResize: PropTypes.func,
+
   /**
    * Specify the scope of this table header. You can find more info about this
    * attribute at the following URL:
@@ -291,12 +541,24 @@ TableHeader.propTypes = {
    */
   sortDirection: PropTypes.oneOf(Object.values(sortStates)),
 
+  /**
+   * Specify the position of this header in a multi-column sort, starting at
+   * 1 for the primary sort header. When provided, a priority indicator is
+   * rendered next to the sort icon.
+   */
+  sortPriority: PropTypes.number,
+
   /**
    * Supply a method to translate internal strings with your i18n tool of
    * choice. Translation keys are available on the `translationKeys` field for
    * this component.
    */
   translateWithId: PropTypes.func,
+
+  /**
+   * Specify the width of the column, in pixels
+   */
+  width: PropTypes.number,
 };
 
 (TableHeader as any).translationKeys = Object.values(translationKeys);
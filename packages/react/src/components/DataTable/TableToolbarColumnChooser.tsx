@@ -0,0 +1,274 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { ArrowDown, ArrowUp, Column } from '@carbon/icons-react';
+import cx from 'classnames';
+import PropTypes from 'prop-types';
+import React, { ReactNode } from 'react';
+import Button from '../Button';
+import Checkbox from '../Checkbox';
+import { IconButton } from '../IconButton';
+import TableToolbarMenu, { TableToolbarMenuProps } from './TableToolbarMenu';
+import { stopMenuKeyNavigation } from './tools/toolbarMenu';
+import { useId } from '../../internal/useId';
+import { usePrefix } from '../../internal/usePrefix';
+import { TranslateWithId } from '../../types/common';
+
+/**
+ * Message ids that will be passed to translateWithId().
+ */
+export type TableToolbarColumnChooserTranslationKey =
+  | 'carbon.table.toolbar.columns.label'
+  | 'carbon.table.toolbar.columns.move.up'
+  | 'carbon.table.toolbar.columns.move.down'
+  | 'carbon.table.toolbar.columns.reset';
+
+const translationKeys: Record<TableToolbarColumnChooserTranslationKey, string> =
+  {
+    'carbon.table.toolbar.columns.label': 'Edit columns',
+    'carbon.table.toolbar.columns.move.up': 'Move up',
+    'carbon.table.toolbar.columns.move.down': 'Move down',
+    'carbon.table.toolbar.columns.reset': 'Reset columns',
+  };
+
+const translateWithId = (
+  id: TableToolbarColumnChooserTranslationKey
+): string => {
+  return translationKeys[id];
+};
+
+export interface TableToolbarColumnChooserColumn {
+  /**
+   * The key of the header
+   */
+  key: string;
+
+  /**
+   * The label shown for the column inside the panel
+   */
+  header: ReactNode;
+
+  /**
+   * Whether the column is currently shown in the table
+   */
+  isVisible: boolean;
+}
+
+export interface TableToolbarColumnChooserProps
+  extends Omit<TableToolbarMenuProps, 'children'>,
+    TranslateWithId<TableToolbarColumnChooserTranslationKey> {
+  /**
+   * The columns of the table, in their display order. Typically provided
+   * through `getColumnChooserProps` from the `DataTable` render props.
+   */
+  columns: Array<TableToolbarColumnChooserColumn>;
+
+  /**
+   * Handler called with the key of a column and the number of visible
+   * positions to move it by
+   */
+  onMoveColumn: (key: string, offset: number) => void;
+
+  /**
+   * Handler called when the "Reset columns" button is clicked
+   */
+  onResetColumns?: () => void;
+
+  /**
+   * Handler called with the key of a column and whether it should be visible
+   */
+  onToggleColumn: (key: string, isVisible: boolean) => void;
+}
+
+type TableToolbarColumnChooserPanelProps = Pick<
+  TableToolbarColumnChooserProps,
+  'columns' | 'onMoveColumn' | 'onResetColumns' | 'onToggleColumn'
+> & {
+  t: (id: TableToolbarColumnChooserTranslationKey) => string;
+};
+
+const TableToolbarColumnChooserPanel = React.forwardRef(
+  function TableToolbarColumnChooserPanel(
+    {
+      columns,
+      onMoveColumn,
+      onResetColumns,
+      onToggleColumn,
+      t,
+    }: TableToolbarColumnChooserPanelProps,
+    ref: React.Ref<HTMLLIElement>
+  ) {
+    const prefix = usePrefix();
+    const id = useId('table-toolbar-columns');
+    const visibleColumns = columns.filter((column) => column.isVisible);
+
+    return (
+      // eslint-disable-next-line jsx-a11y/no-noninteractive-element-interactions
+      <li
+        ref={ref}
+        role="none"
+        className={`${prefix}--table-toolbar-columns`}
+        onKeyDown={stopMenuKeyNavigation}>
+        <ul className={`${prefix}--table-toolbar-columns__list`}>
+          {columns.map((column) => {
+            const visibleIndex = visibleColumns.indexOf(column);
+            const isLastVisible =
+              column.isVisible && visibleColumns.length === 1;
+            return (
+              <li
+                key={column.key}
+                role="group"
+                aria-label={
+                  typeof column.header === 'string' ? column.header : undefined
+                }
+                className={cx(`${prefix}--table-toolbar-columns__column`, {
+                  [`${prefix}--table-toolbar-columns__column--hidden`]:
+                    !column.isVisible,
+                })}>
+                <Checkbox
+                  id={`${id}-${column.key}`}
+                  labelText={column.header ?? column.key}
+                  checked={column.isVisible}
+                  disabled={isLastVisible}
+                  onChange={(_event, { checked }) =>
+                    onToggleColumn(column.key, checked)
+                  }
+                />
+                <IconButton
+                  align="top"
+                  kind="ghost"
+                  size="sm"
+                  label={t('carbon.table.toolbar.columns.move.up')}
+                  disabled={!column.isVisible || visibleIndex === 0}
+                  onClick={() => onMoveColumn(column.key, -1)}>
+                  <ArrowUp />
+                </IconButton>
+                <IconButton
+                  align="top"
+                  kind="ghost"
+                  size="sm"
+                  label={t('carbon.table.toolbar.columns.move.down')}
+                  disabled={
+                    !column.isVisible ||
+                    visibleIndex === visibleColumns.length - 1
+                  }
+                  onClick={() => onMoveColumn(column.key, 1)}>
+                  <ArrowDown />
+                </IconButton>
+              </li>
+            );
+          })}
+        </ul>
+        {onResetColumns ? (
+          <Button
+            kind="ghost"
+            size="sm"
+            className={`${prefix}--table-toolbar-columns__reset`}
+            onClick={onResetColumns}>
+            {t('carbon.table.toolbar.columns.reset')}
+          </Button>
+        ) : null}
+      </li>
+    );
+  }
+);
+
+const TableToolbarColumnChooser = ({
+  columns,
+  onMoveColumn,
+  onResetColumns,
+  onToggleColumn,
+  className,
+  menuOptionsClass,
+  renderIcon = Column,
+  iconDescription,
+  translateWithId: t = translateWithId,
+  ...rest
+}: TableToolbarColumnChooserProps) => {
+  const prefix = usePrefix();
+  const label = iconDescription ?? t('carbon.table.toolbar.columns.label');
+  return (
+    <TableToolbarMenu
+      className={cx(className, `${prefix}--table-toolbar-columns__trigger`)}
+      menuOptionsClass={cx(
+        menuOptionsClass,
+        `${prefix}--table-toolbar-columns__menu`
+      )}
+      renderIcon={renderIcon}
+      iconDescription={label}
+      {...rest}>
+      <TableToolbarColumnChooserPanel
+        columns={columns}
+        onMoveColumn={onMoveColumn}
+        onResetColumns={onResetColumns}
+        onToggleColumn={onToggleColumn}
+        t={t}
+      />
+    </TableToolbarMenu>
+  );
+};
+
+TableToolbarColumnChooser.propTypes = {
+  /**
+   * Provide an optional class name for the toolbar menu trigger button
+   */
+  className: PropTypes.string,
+
+  /**
+   * The columns of the table, in their display order. Typically provided
+   * through `getColumnChooserProps` from the `DataTable` render props.
+   */
+  columns: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      header: PropTypes.node,
+      isVisible: PropTypes.bool.isRequired,
+    })
+  ).isRequired,
+
+  /**
+   * The description of the menu icon.
+   */
+  iconDescription: PropTypes.string,
+
+  /**
+   * Provide an optional class name for the toolbar menu
+   */
+  menuOptionsClass: PropTypes.string,
+
+  /**
+   * Handler called with the key of a column and the number of visible
+   * positions to move it by
+   */
+  onMoveColumn: PropTypes.func.isRequired,
+
+  /**
+   * Handler called when the "Reset columns" button is clicked
+   */
+  onResetColumns: PropTypes.func,
+
+  /**
+   * Handler called with the key of a column and whether it should be visible
+   */
+  onToggleColumn: PropTypes.func.isRequired,
+
+  /**
+   * Optional prop to allow overriding the default menu icon
+   */
+  renderIcon: PropTypes.oneOfType([PropTypes.func, PropTypes.object]),
+
+  /**
+   * Supply a method to translate internal strings with your i18n tool of
+   * choice. Translation keys are available on the `translationKeys` field for
+   * this component.
+   */
+  translateWithId: PropTypes.func,
+};
+
+TableToolbarColumnChooser.translationKeys = Object.keys(translationKeys);
+
+export default TableToolbarColumnChooser;
@@ -0,0 +1,246 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from 'prop-types';
+import React, { ReactNode } from 'react';
+import TableToolbarAction, {
+  type TableToolbarActionProps,
+} from './TableToolbarAction';
+import type { DataTableCell, DataTableHeader, DataTableRow } from './DataTable';
+import { downloadTableData, exportTableData } from './tools/export';
+import { TranslateWithId } from '../../types/common';
+
+export type DataTableExportFormat = 'csv' | 'tsv' | 'json';
+
+/**
+ * Message ids that will be passed to translateWithId().
+ */
+export type TableToolbarExportTranslationKey = 'carbon.table.toolbar.export';
+
+export interface TableToolbarExportTranslationArgs {
+  format: DataTableExportFormat;
+}
+
+const translateWithId = (
+  id: TableToolbarExportTranslationKey,
+  args?: TableToolbarExportTranslationArgs
+): string => {
+  if (args && id === 'carbon.table.toolbar.export') {
+    return `Download as ${args.format.toUpperCase()}`;
+  }
+  return '';
+};
+
+export interface TableToolbarExportProps
+  extends Omit<TableToolbarActionProps, 'onClick'>,
+    TranslateWithId<
+      TableToolbarExportTranslationKey,
+      TableToolbarExportTranslationArgs
+    > {
+  /**
+   * Include a byte order mark in CSV and TSV files, so that spreadsheet
+   * applications detect that they are UTF-8 encoded
+   */
+  bom?: boolean;
+
+  /**
+   * Optional label of the action. Defaults to "Download as CSV" for the
+   * chosen `format`.
+   */
+  children?: ReactNode;
+
+  /**
+   * The name of the downloaded file, without extension
+   */
+  fileName?: string;
+
+  /**
+   * Optional function that converts the value of a cell before it is
+   * exported. By default React nodes are converted to their text content and
+   * dates to ISO strings.
+   */
+  formatCell?: (
+    value: any,
+    context: {
+      cell: DataTableCell<any> | undefined;
+      header: DataTableHeader;
+      row: DataTableRow<any[]>;
+      format: DataTableExportFormat;
+    }
+  ) => unknown;
+
+  /**
+   * Optional function that converts a header to the label used in the first
+   * row of CSV and TSV files
+   */
+  formatHeader?: (header: DataTableHeader) => string;
+
+  /**
+   * The format of the downloaded file
+   */
+  format?: DataTableExportFormat;
+
+  /**
+   * The headers of the columns to export. Typically provided through
+   * `getExportProps` from the `DataTable` render props.
+   */
+  headers: Array<DataTableHeader>;
+
+  /**
+   * Optional click handler. Call `event.preventDefault()` to skip the
+   * download.
+   */
+  onClick?: (event: React.MouseEvent<HTMLDivElement>) => void;
+
+  /**
+   * The rows to export. Typically provided through `getExportProps` from the
+   * `DataTable` render props.
+   */
+  rows: Array<DataTableRow<any[]>>;
+
+  /**
+   * Prefix text that starts with `=`, `+`, `-`, `@`, a tab or a carriage
+   * return with a single quote in CSV and TSV files, so that spreadsheet
+   * applications don't evaluate it as a formula
+   */
+  sanitize?: boolean;
+}
+
+const TableToolbarExport = React.forwardRef<
+  HTMLDivElement,
+  TableToolbarExportProps
+>(function TableToolbarExport(
+  {
+    bom = false,
+    children,
+    fileName = 'table',
+    format = 'csv',
+    formatCell,
+    formatHeader,
+    headers,
+    onClick,
+    rows,
+    sanitize = true,
+    translateWithId: t = translateWithId,
+    ...rest
+  },
+  ref
+) {
+  const handleClick = (event: React.MouseEvent<HTMLDivElement>) => {
+    onClick?.(event);
+    if (event.defaultPrevented) {
+      return;
+    }
+    const content = exportTableData({
+      rows,
+      headers,
+      format,
+      bom,
+      sanitize,
+      formatCell,
+      formatHeader,
+    });
+    downloadTableData(content, { fileName: `${fileName}.${format}`, format });
+  };
+
+  return (
+    <TableToolbarAction {...rest} ref={ref} onClick={handleClick}>
+      {children ?? t('carbon.table.toolbar.export', { format })}
+    </TableToolbarAction>
+  );
+});
+
+TableToolbarExport.propTypes = {
+  /**
+   * Include a byte order mark in CSV and TSV files, so that spreadsheet
+   * applications detect that they are UTF-8 encoded
+   */
+  bom: PropTypes.bool,
+
+  /**
+   * Optional label of the action. Defaults to "Download as CSV" for the
+   * chosen `format`.
+   */
+  children: PropTypes.node,
+
+  /**
+   * Specify an optional className to be applied to the action
+   */
+  className: PropTypes.string,
+
+  /**
+   * The name of the downloaded file, without extension
+   */
+  fileName: PropTypes.string,
+
+  /**
+   * The format of the downloaded file
+   */
+  format: PropTypes.oneOf(['csv', 'tsv', 'json']),
+
+  /**
+   * Optional function that converts the value of a cell before it is
+   * exported. By default React nodes are converted to their text content and
+   * dates to ISO strings.
+   */
+  formatCell: PropTypes.func,
+
+  /**
+   * Optional function that converts a header to the label used in the first
+   * row of CSV and TSV files
+   */
+  formatHeader: PropTypes.func,
+
+  /**
+   * The headers of the columns to export. Typically provided through
+   * `getExportProps` from the `DataTable` render props.
+   */
+  /**@ts-ignore*/
+  headers: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      header: PropTypes.node,
+    })
+  ).isRequired,
+
+  /**
+   * Optional click handler. Call `event.preventDefault()` to skip the
+   * download.
+   */
+  onClick: PropTypes.func,
+
+  /**
+   * The rows to export. Typically provided through `getExportProps` from the
+   * `DataTable` render props.
+   */
+  /**@ts-ignore*/
+  rows: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      cells: PropTypes.array.isRequired,
+    })
+  ).isRequired,
+
+  /**
+   * Prefix text that starts with `=`, `+`, `-`, `@`, a tab or a carriage
+   * return with a single quote in CSV and TSV files, so that spreadsheet
+   * applications don't evaluate it as a formula
+   */
+  sanitize: PropTypes.bool,
+
+  /**
+   * Supply a method to translate internal strings with your i18n tool of
+   * choice. Translation keys are available on the `translationKeys` field for
+   * this component.
+   */
+  translateWithId: PropTypes.func,
+};
+
+(TableToolbarExport as any).translationKeys = ['carbon.table.toolbar.export'];
+
+TableToolbarExport.displayName = 'TableToolbarExport';
+export default TableToolbarExport;
@@ -0,0 +1,477 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { Filter } from '@carbon/icons-react';
+import cx from 'classnames';
+import PropTypes from 'prop-types';
+import React, { ReactNode } from 'react';
+import Button from '../Button';
+import Checkbox from '../Checkbox';
+import Select from '../Select';
+import SelectItem from '../SelectItem';
+import TextInput from '../TextInput';
+import TableToolbarMenu, { TableToolbarMenuProps } from './TableToolbarMenu';
+import { isColumnFilterActive } from './tools/filter';
+import { stopMenuKeyNavigation } from './tools/toolbarMenu';
+import { useId } from '../../internal/useId';
+import { usePrefix } from '../../internal/usePrefix';
+import { TranslateWithId } from '../../types/common';
+import type {
+  DataTableColumnFilter,
+  DataTableColumnFilterValue,
+  DataTableFilterType,
+} from './state/filterTypes';
+
+/**
+ * Message ids that will be passed to translateWithId().
+ */
+export type TableToolbarFilterTranslationKey =
+  | 'carbon.table.toolbar.filter.label'
+  | 'carbon.table.toolbar.filter.clear'
+  | 'carbon.table.toolbar.filter.operator'
+  | 'carbon.table.toolbar.filter.contains'
+  | 'carbon.table.toolbar.filter.equals'
+  | 'carbon.table.toolbar.filter.value'
+  | 'carbon.table.toolbar.filter.min'
+  | 'carbon.table.toolbar.filter.max'
+  | 'carbon.table.toolbar.filter.from'
+  | 'carbon.table.toolbar.filter.to'
+  | 'carbon.table.toolbar.filter.any'
+  | 'carbon.table.toolbar.filter.true'
+  | 'carbon.table.toolbar.filter.false';
+
+const translationKeys: Record<TableToolbarFilterTranslationKey, string> = {
+  'carbon.table.toolbar.filter.label': 'Filter columns',
+  'carbon.table.toolbar.filter.clear': 'Clear filters',
+  'carbon.table.toolbar.filter.operator': 'Condition',
+  'carbon.table.toolbar.filter.contains': 'Contains',
+  'carbon.table.toolbar.filter.equals': 'Equals',
+  'carbon.table.toolbar.filter.value': 'Value',
+  'carbon.table.toolbar.filter.min': 'Minimum',
+  'carbon.table.toolbar.filter.max': 'Maximum',
+  'carbon.table.toolbar.filter.from': 'From',
+  'carbon.table.toolbar.filter.to': 'To',
+  'carbon.table.toolbar.filter.any': 'Any',
+  'carbon.table.toolbar.filter.true': 'Yes',
+  'carbon.table.toolbar.filter.false': 'No',
+};
+
+const translateWithId = (id: TableToolbarFilterTranslationKey): string => {
+  return translationKeys[id];
+};
+
+type FilterOptionValue = string | number | boolean;
+
+export interface TableToolbarFilterColumn {
+  /**
+   * The key of the header to filter by
+   */
+  key: string;
+
+  /**
+   * The label shown for the column inside the filter panel
+   */
+  header: ReactNode;
+
+  /**
+   * The kind of filter to render for the column
+   */
+  type: DataTableFilterType;
+
+  /**
+   * The available values for `set` filters
+   */
+  options?: Array<
+    | FilterOptionValue
+    | { value: FilterOptionValue; label: NonNullable<ReactNode> }
+  >;
+}
+
+export interface TableToolbarFilterProps
+  extends Omit<TableToolbarMenuProps, 'children'>,
+    TranslateWithId<TableToolbarFilterTranslationKey> {
+  /**
+   * The columns that can be filtered, in the order they should be shown
+   */
+  columns: Array<TableToolbarFilterColumn>;
+
+  /**
+   * The `getFilterProps` prop getter from the `DataTable` render props
+   */
+  getFilterProps: (headerKey: string) => {
+    headerKey: string;
+    filter: DataTableColumnFilter | null;
+    onFilterChange: (filter: DataTableColumnFilterValue | null) => void;
+    onFilterClear: () => void;
+  };
+
+  /**
+   * Optional handler called when the "Clear filters" button is clicked. Pass
+   * in `clearColumnFilters` from the `DataTable` render props when column
+   * filters are controlled, so that every filter is cleared in one update.
+   * Defaults to clearing the filter of each column in `columns`.
+   */
+  onClearFilters?: () => void;
+}
+
+interface FilterFieldProps {
+  column: TableToolbarFilterColumn;
+  filter: DataTableColumnFilter | null;
+  onChange: (filter: DataTableColumnFilterValue) => void;
+  t: (id: TableToolbarFilterTranslationKey) => string;
+}
+
+const toBound = (value: string, parse: (value: string) => number) => {
+  if (value === '') {
+    return null;
+  }
+  const parsed = parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+function FilterField({ column, filter, onChange, t }: FilterFieldProps) {
+  const prefix = usePrefix();
+  const id = useId('table-toolbar-filter');
+  const className = `${prefix}--table-toolbar-filter__row`;
+
+  switch (column.type) {
+    case 'text': {
+      const current = filter?.type === 'text' ? filter : null;
+      const operator = current?.operator ?? 'contains';
+      const value = current?.value ?? '';
+      return (
+        <div className={className}>
+          <Select
+            id={`${id}-operator`}
+            size="sm"
+            labelText={t('carbon.table.toolbar.filter.operator')}
+            value={operator}
+            onChange={(event) =>
+              onChange({
+                type: 'text',
+                operator: event.target.value as 'contains' | 'equals',
+                value,
+              })
+            }>
+            <SelectItem
+              value="contains"
+              text={t('carbon.table.toolbar.filter.contains')}
+            />
+            <SelectItem
+              value="equals"
+              text={t('carbon.table.toolbar.filter.equals')}
+            />
+          </Select>
+          <TextInput
+            id={`${id}-value`}
+            size="sm"
+            labelText={t('carbon.table.toolbar.filter.value')}
+            value={value}
+            onChange={(event) =>
+              onChange({ type: 'text', operator, value: event.target.value })
+            }
+          />
+        </div>
+      );
+    }
+    case 'number':
+    case 'date': {
+      const isNumber = column.type === 'number';
+      const current = filter?.type === column.type ? filter : null;
+      const lower = isNumber
+        ? (current as { min?: number | null } | null)?.min
+        : (current as { from?: string | null } | null)?.from;
+      const upper = isNumber
+        ? (current as { max?: number | null } | null)?.max
+        : (current as { to?: string | null } | null)?.to;
+      const update = (bound: 'lower' | 'upper', value: string) => {
+        const next = {
+          lower: bound === 'lower' ? value : `${lower ?? ''}`,
+          upper: bound === 'upper' ? value : `${upper ?? ''}`,
+        };
+        if (isNumber) {
+          onChange({
+            type: 'number',
+            min: toBound(next.lower, parseFloat),
+            max: toBound(next.upper, parseFloat),
+          });
+        } else {
+          onChange({
+            type: 'date',
+            from: next.lower || null,
+            to: next.upper || null,
+          });
+        }
+      };
+      return (
+        <div className={className}>
+          <TextInput
+            id={`${id}-lower`}
+            size="sm"
+            type={column.type}
+            labelText={t(
+              isNumber
+                ? 'carbon.table.toolbar.filter.min'
+                : 'carbon.table.toolbar.filter.from'
+            )}
+            value={lower ?? ''}
+            onChange={(event) => update('lower', event.target.value)}
+          />
+          <TextInput
+            id={`${id}-upper`}
+            size="sm"
+            type={column.type}
+            labelText={t(
+              isNumber
+                ? 'carbon.table.toolbar.filter.max'
+                : 'carbon.table.toolbar.filter.to'
+            )}
+            value={upper ?? ''}
+            onChange={(event) => update('upper', event.target.value)}
+          />
+        </div>
+      );
+    }
+    case 'boolean': {
+      const current = filter?.type === 'boolean' ? filter : null;
+      const value =
+        typeof current?.value === 'boolean' ? `${current.value}` : '';
+      return (
+        <div className={className}>
+          <Select
+            id={`${id}-value`}
+            size="sm"
+            labelText={t('carbon.table.toolbar.filter.value')}
+            value={value}
+            onChange={(event) =>
+              onChange({
+                type: 'boolean',
+                value:
+                  event.target.value === ''
+                    ? null
+                    : event.target.value === 'true',
+              })
+            }>
+            <SelectItem value="" text={t('carbon.table.toolbar.filter.any')} />
+            <SelectItem
+              value="true"
+              text={t('carbon.table.toolbar.filter.true')}
+            />
+            <SelectItem
+              value="false"
+              text={t('carbon.table.toolbar.filter.false')}
+            />
+          </Select>
+        </div>
+      );
+    }
+    case 'set': {
+      const current = filter?.type === 'set' ? filter : null;
+      const values = current?.values ?? [];
+      return (
+        <div className={className}>
+          {(column.options ?? []).map((option, index) => {
+            const { value, label } =
+              typeof option === 'object'
+                ? option
+                : { value: option, label: `${option}` };
+            return (
+              <Checkbox
+                key={`${value}`}
+                id={`${id}-option-${index}`}
+                labelText={label}
+                checked={values.includes(value)}
+                onChange={(_event, { checked }) =>
+                  onChange({
+                    type: 'set',
+                    values: checked
+                      ? [...values, value]
+                      : values.filter((entry) => entry !== value),
+                  })
+                }
+              />
+            );
+          })}
+        </div>
+      );
+    }
+    default:
+      return null;
+  }
+}
+
+interface TableToolbarFilterPanelProps {
+  columns: Array<TableToolbarFilterColumn>;
+  getFilterProps: TableToolbarFilterProps['getFilterProps'];
+  onClearFilters?: () => void;
+  t: (id: TableToolbarFilterTranslationKey) => string;
+}
+
+const TableToolbarFilterPanel = React.forwardRef(
+  function TableToolbarFilterPanel(
+    {
+      columns,
+      getFilterProps,
+      onClearFilters,
+      t,
+    }: TableToolbarFilterPanelProps,
+    ref: React.Ref<HTMLLIElement>
+  ) {
+    const prefix = usePrefix();
+
+    const filterProps = columns.map((column) => getFilterProps(column.key));
+    const hasActiveFilters = filterProps.some(({ filter }) =>
+      isColumnFilterActive(filter)
+    );
+
+    return (
+      // eslint-disable-next-line jsx-a11y/no-noninteractive-element-interactions
+      <li
+        ref={ref}
+        role="none"
+        className={`${prefix}--table-toolbar-filter`}
+        onKeyDown={stopMenuKeyNavigation}>
+        {columns.map((column, index) => {
+          const { filter, onFilterChange } = filterProps[index];
+          return (
+            <fieldset
+              key={column.key}
+              className={`${prefix}--table-toolbar-filter__column`}>
+              <legend className={`${prefix}--label`}>{column.header}</legend>
+              <FilterField
+                column={column}
+                filter={filter}
+                t={t}
+                onChange={onFilterChange}
+              />
+            </fieldset>
+          );
+        })}
+        <Button
+          kind="ghost"
+          size="sm"
+          className={`${prefix}--table-toolbar-filter__clear`}
+          disabled={!hasActiveFilters}
+          onClick={() => {
+            if (onClearFilters) {
+              onClearFilters();
+            } else {
+              filterProps.forEach(({ onFilterClear }) => onFilterClear());
+            }
+          }}>
+          {t('carbon.table.toolbar.filter.clear')}
+        </Button>
+      </li>
+    );
+  }
+);
+
+const TableToolbarFilter = ({
+  columns,
+  getFilterProps,
+  onClearFilters,
+  className,
+  menuOptionsClass,
+  renderIcon = Filter,
+  iconDescription,
+  translateWithId: t = translateWithId,
+  ...rest
+}: TableToolbarFilterProps) => {
+  const prefix = usePrefix();
+  const label = iconDescription ?? t('carbon.table.toolbar.filter.label');
+  return (
+    <TableToolbarMenu
+      className={cx(className, `${prefix}--table-toolbar-filter__trigger`)}
+      menuOptionsClass={cx(
+        menuOptionsClass,
+        `${prefix}--table-toolbar-filter__menu`
+      )}
+      renderIcon={renderIcon}
+      iconDescription={label}
+      {...rest}>
+      <TableToolbarFilterPanel
+        columns={columns}
+        getFilterProps={getFilterProps}
+        onClearFilters={onClearFilters}
+        t={t}
+      />
+    </TableToolbarMenu>
+  );
+};
+
+TableToolbarFilter.propTypes = {
+  /**
+   * Provide an optional class name for the toolbar menu trigger button
+   */
+  className: PropTypes.string,
+
+  /**
+   * The columns that can be filtered, in the order they should be shown
+   */
+  columns: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      header: PropTypes.node.isRequired,
+      type: PropTypes.oneOf(['text', 'number', 'date', 'boolean', 'set'])
+        .isRequired,
+      options: PropTypes.arrayOf(
+        PropTypes.oneOfType([
+          PropTypes.string,
+          PropTypes.number,
+          PropTypes.bool,
+          PropTypes.shape({
+            value: PropTypes.oneOfType([
+              PropTypes.string,
+              PropTypes.number,
+              PropTypes.bool,
+            ]).isRequired,
+            label: PropTypes.node,
+          }),
+        ])
+      ),
+    })
+  ).isRequired,
+
+  /**
+   * The `getFilterProps` prop getter from the `DataTable` render props
+   */
+  getFilterProps: PropTypes.func.isRequired,
+
+  /**
+   * The description of the menu icon.
+   */
+  iconDescription: PropTypes.string,
+
+  /**
+   * Provide an optional class name for the toolbar menu
+   */
+  menuOptionsClass: PropTypes.string,
+
+  /**
+   * Optional handler called when the "Clear filters" button is clicked. Pass
+   * in `clearColumnFilters` from the `DataTable` render props when column
+   * filters are controlled, so that every filter is cleared in one update.
+   * Defaults to clearing the filter of each column in `columns`.
+   */
+  onClearFilters: PropTypes.func,
+
+  /**
+   * Optional prop to allow overriding the default menu icon
+   */
+  renderIcon: PropTypes.oneOfType([PropTypes.func, PropTypes.object]),
+
+  /**
+   * Supply a method to translate internal strings with your i18n tool of
+   * choice. Translation keys are available on the `translationKeys` field for
+   * this component.
+   */
+  translateWithId: PropTypes.func,
+};
+
+TableToolbarFilter.translationKeys = Object.keys(translationKeys);
+
+export default TableToolbarFilter;
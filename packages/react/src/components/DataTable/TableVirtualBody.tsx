@@ -0,0 +1,418 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import cx from 'classnames';
+import PropTypes from 'prop-types';
+import React, {
+  ReactElement,
+  ReactNode,
+  useCallback,
+  useMemo,
+  useReducer,
+  useRef,
+  useState,
+} from 'react';
+import { usePrefix } from '../../internal/usePrefix';
+import { useMergedRefs } from '../../internal/useMergedRefs';
+import useIsomorphicEffect from '../../internal/useIsomorphicEffect';
+import { ReactAttr } from '../../types/common';
+
+type TableVirtualBodyRow = {
+  id?: string;
+  isExpanded?: boolean;
+  [key: string]: any;
+};
+
+export interface TableVirtualBodyProps
+  extends Omit<ReactAttr<HTMLTableSectionElement>, 'children'> {
+  /**
+   * Optionally provide the number of `<tr>` elements rendered for a row. This
+   * is used to compute `aria-rowcount` and `aria-rowindex` for rows that are
+   * not mounted. By default, expanded rows are expected to render a
+   * `TableExpandRow` and a `TableExpandedRow`
+   */
+  getRowSpan?: (row: TableVirtualBodyRow, index: number) => number;
+
+  /**
+   * Specify the number of rows to render above and below the visible area
+   */
+  overscan?: number;
+
+  /**
+   * Provide a function to render the `<tr>` elements for a row, for example a
+   * `TableRow` or a `TableExpandRow` followed by a `TableExpandedRow`
+   */
+  renderRow: (row: TableVirtualBodyRow, index: number) => ReactNode;
+
+  /**
+   * Specify the estimated height, in pixels, of a single row. Rows are
+   * measured once they are rendered
+   */
+  rowHeight?: number;
+
+  /**
+   * Provide the rows of the table, usually the `rows` given to the `render`
+   * prop of `DataTable`
+   */
+  rows: Array<TableVirtualBodyRow>;
+}
+
+interface Viewport {
+  top: number;
+  bottom: number;
+}
+
+interface RenderedRow {
+  key: string;
+  count: number;
+}
+
+const defaultGetRowSpan = (row: TableVirtualBodyRow) =>
+  row.isExpanded ? 2 : 1;
+
+const getRowKey = (row: TableVirtualBodyRow, index: number) =>
+  row.id ?? `${index}`;
+
+/**
+ * Find the closest ancestor of the given node that can scroll its content
+ * vertically. Returns `null` when the rows are scrolled by the window.
+ */
+const getScrollParent = (node: HTMLElement): HTMLElement | null => {
+  let parent = node.parentElement;
+  while (parent) {
+    const { overflowY } = window.getComputedStyle(parent);
+    if (/(auto|scroll)/.test(overflowY)) {
+      return parent;
+    }
+    parent = parent.parentElement;
+  }
+  return null;
+};
+
+/**
+ * Find the index of the first entry in the sorted `offsets` list that is
+ * greater than the given value
+ */
+const findIndex = (offsets: Array<number>, value: number) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (offsets[middle] > value) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+};
+
+/**
+ * Flatten the nodes returned by `renderRow` into the list of `<tr>` elements
+ * that will be added to the table body
+ */
+const getRowElements = (node: ReactNode): Array<ReactElement> =>
+  React.Children.toArray(node).flatMap((child) => {
+    if (!React.isValidElement(child)) {
+      return [];
+    }
+    if (child.type === React.Fragment) {
+      return getRowElements((child.props as { children?: ReactNode }).children);
+    }
+    return [child];
+  });
+
+const TableVirtualBody = React.forwardRef(function TableVirtualBody(
+  {
+    className,
+    getRowSpan = defaultGetRowSpan,
+    onBlur,
+    onFocus,
+    overscan = 5,
+    renderRow,
+    rowHeight = 48,
+    rows,
+    ...rest
+  }: TableVirtualBodyProps,
+  forwardedRef: React.ForwardedRef<HTMLTableSectionElement>
+) {
+  const prefix = usePrefix();
+  const bodyRef = useRef<HTMLTableSectionElement>(null);
+  const ref = useMergedRefs([forwardedRef, bodyRef]);
+  const viewport = useRef<Viewport>({ top: 0, bottom: 0 });
+  // `undefined` until the scroll parent is looked up, as `null` stands for
+  // the window
+  const scrollParent = useRef<HTMLElement | null | undefined>(undefined);
+  const heights = useRef(new Map<string, number>());
+  const renderedRows = useRef<Array<RenderedRow>>([]);
+  const [headerRowCount, setHeaderRowCount] = useState(1);
+  const [focusedKey, setFocusedKey] = useState<string | null>(null);
+  // Scrolling only updates the range of rendered rows, while measuring rows
+  // also moves the rows that follow them
+  const [, setRange] = useState({ start: 0, end: 0 });
+  const [measurements, remeasure] = useReducer((count) => count + 1, 0);
+
+  // The position of every row inside of the body, in pixels, along with the
+  // number of `<tr>` elements that come before it
+  const { offsets, rowOffsets } = useMemo(() => {
+    const offsets = [0];
+    const rowOffsets = [0];
+    rows.forEach((row, index) => {
+      const key = getRowKey(row, index);
+      const span = getRowSpan(row, index);
+      offsets.push(
+        offsets[index] + (heights.current.get(key) ?? rowHeight * span)
+      );
+      rowOffsets.push(rowOffsets[index] + span);
+    });
+    return { offsets, rowOffsets };
+    // `measurements` is used to recompute offsets once rows are measured
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rows, rowHeight, getRowSpan, measurements]);
+
+  const getRange = useCallback(() => {
+    const { top, bottom } = viewport.current;
+    const start = Math.max(0, findIndex(offsets, top) - 1 - overscan);
+    const end = Math.min(rows.length, findIndex(offsets, bottom) + overscan);
+    return { start, end: Math.max(start, end) };
+  }, [offsets, overscan, rows.length]);
+
+  const { start, end } = getRange();
+
+  const updateViewport = useCallback(() => {
+    const body = bodyRef.current;
+    if (!body) {
+      return;
+    }
+    if (scrollParent.current === undefined) {
+      scrollParent.current = getScrollParent(body);
+    }
+    const { top: bodyTop } = body.getBoundingClientRect();
+    const { top, bottom } = scrollParent.current
+      ? scrollParent.current.getBoundingClientRect()
+      : { top: 0, bottom: window.innerHeight };
+    viewport.current = { top: top - bodyTop, bottom: bottom - bodyTop };
+
+    const next = getRange();
+    if (next.start !== start || next.end !== end) {
+      setRange(next);
+    }
+  }, [getRange, start, end]);
+
+  const savedUpdateViewport = useRef(updateViewport);
+  savedUpdateViewport.current = updateViewport;
+
+  useIsomorphicEffect(() => {
+    const handleScroll = () => savedUpdateViewport.current();
+    // The layout around the table may change on resize, so the scroll parent
+    // is looked up again
+    const handleResize = () => {
+      scrollParent.current = undefined;
+      savedUpdateViewport.current();
+    };
+    // Scroll events do not bubble, listening during the capture phase lets us
+    // know about scrolling of the table as well as any of its ancestors
+    document.addEventListener('scroll', handleScroll, {
+      capture: true,
+      passive: true,
+    });
+    window.addEventListener('resize', handleResize);
+    handleScroll();
+
+    return () => {
+      document.removeEventListener('scroll', handleScroll, { capture: true });
+      window.removeEventListener('resize', handleResize);
+    };
+  }, []);
+
+  // Measure the rows that were rendered so that the position of the rows that
+  // follow them is accurate
+  useIsomorphicEffect(() => {
+    const body = bodyRef.current;
+    if (!body) {
+      return;
+    }
+    const elements = Array.from(body.children).filter(
+      (element) => !element.hasAttribute('data-virtual-spacer')
+    );
+    let changed = false;
+    let position = 0;
+    renderedRows.current.forEach(({ key, count }) => {
+      const height = elements
+        .slice(position, position + count)
+        .reduce(
+          (total, element) => total + element.getBoundingClientRect().height,
+          0
+        );
+      position += count;
+      if (
+        height > 0 &&
+        Math.abs((heights.current.get(key) ?? 0) - height) >= 1
+      ) {
+        heights.current.set(key, height);
+        changed = true;
+      }
+    });
+    if (changed) {
+      remeasure();
+    }
+
+    const table = body.closest('table');
+    setHeaderRowCount(table?.tHead?.rows.length ?? 1);
+  }, [rows, renderRow, start, end, focusedKey]);
+
+  const rowCount = headerRowCount + rowOffsets[rows.length];
+
+  useIsomorphicEffect(() => {
+    const table = bodyRef.current?.closest('table');
+    table?.setAttribute('aria-rowcount', `${rowCount}`);
+    return () => {
+      table?.removeAttribute('aria-rowcount');
+    };
+  }, [rowCount]);
+
+  // Keep track of the row that contains focus, so that it stays mounted when
+  // it is scrolled out of view
+  const handleOnFocus = (event: React.FocusEvent<HTMLTableSectionElement>) => {
+    onFocus?.(event);
+    const row = (event.target as HTMLElement).closest('tr[aria-rowindex]');
+    const rowIndex = Number(row?.getAttribute('aria-rowindex'));
+    if (!rowIndex) {
+      return;
+    }
+    const index = findIndex(rowOffsets, rowIndex - headerRowCount - 1) - 1;
+    if (rows[index]) {
+      setFocusedKey(getRowKey(rows[index], index));
+    }
+  };
+
+  const handleOnBlur = (event: React.FocusEvent<HTMLTableSectionElement>) => {
+    onBlur?.(event);
+    if (!event.currentTarget.contains(event.relatedTarget as Node | null)) {
+      setFocusedKey(null);
+    }
+  };
+
+  const focusedIndex =
+    focusedKey === null
+      ? -1
+      : rows.findIndex((row, index) => getRowKey(row, index) === focusedKey);
+
+  // The focused row is rendered on its own when it is outside of the range of
+  // visible rows
+  const segments: Array<[number, number]> = [];
+  if (focusedIndex !== -1 && focusedIndex < start) {
+    segments.push([focusedIndex, focusedIndex + 1]);
+  }
+  segments.push([start, end]);
+  if (focusedIndex !== -1 && focusedIndex >= end) {
+    segments.push([focusedIndex, focusedIndex + 1]);
+  }
+
+  const children: Array<ReactNode> = [];
+  const rendered: Array<RenderedRow> = [];
+  let domCount = 0;
+  let position = 0;
+
+  const addSpacer = (key: string, height: number) => {
+    if (height > 0) {
+      children.push(
+        <tr
+          key={key}
+          aria-hidden="true"
+          className={`${prefix}--table-virtual-body__spacer`}
+          data-virtual-spacer
+          style={{ blockSize: height }}>
+          <td />
+        </tr>
+      );
+      domCount += 1;
+    }
+  };
+
+  segments.forEach(([segmentStart, segmentEnd], segmentIndex) => {
+    addSpacer(`spacer-${segmentIndex}`, offsets[segmentStart] - position);
+
+    // Keep the parity of the rows the same as if every row was rendered so
+    // that zebra styles do not change while scrolling
+    if (domCount % 2 !== rowOffsets[segmentStart] % 2) {
+      children.push(
+        <tr key={`parity-${segmentIndex}`} data-virtual-spacer hidden />
+      );
+      domCount += 1;
+    }
+
+    for (let index = segmentStart; index < segmentEnd; index++) {
+      const row = rows[index];
+      const key = getRowKey(row, index);
+      const elements = getRowElements(renderRow(row, index)).map(
+        (element, offset) =>
+          React.cloneElement(element, {
+            'aria-rowindex': headerRowCount + rowOffsets[index] + offset + 1,
+          } as React.HTMLAttributes<HTMLElement>)
+      );
+      children.push(<React.Fragment key={key}>{elements}</React.Fragment>);
+      rendered.push({ key, count: elements.length });
+      domCount += elements.length;
+    }
+    position = offsets[segmentEnd];
+  });
+  addSpacer('spacer-end', offsets[rows.length] - position);
+
+  renderedRows.current = rendered;
+
+  return (
+    <tbody
+      {...rest}
+      ref={ref}
+      className={cx(`${prefix}--table-virtual-body`, className)}
+      onBlur={handleOnBlur}
+      onFocus={handleOnFocus}>
+      {children}
+    </tbody>
+  );
+});
+
+TableVirtualBody.propTypes = {
+  /**
+   * Specify an optional className to be applied to the container node
+   */
+  className: PropTypes.string,
+
+  /**
+   * Optionally provide the number of `<tr>` elements rendered for a row. This
+   * is used to compute `aria-rowcount` and `aria-rowindex` for rows that are
+   * not mounted. By default, expanded rows are expected to render a
+   * `TableExpandRow` and a `TableExpandedRow`
+   */
+  getRowSpan: PropTypes.func,
+
+  /**
+   * Specify the number of rows to render above and below the visible area
+   */
+  overscan: PropTypes.number,
+
+  /**
+   * Provide a function to render the `<tr>` elements for a row, for example a
+   * `TableRow` or a `TableExpandRow` followed by a `TableExpandedRow`
+   */
+  renderRow: PropTypes.func.isRequired,
+
+  /**
+   * Specify the estimated height, in pixels, of a single row. Rows are
+   * measured once they are rendered
+   */
+  rowHeight: PropTypes.number,
+
+  /**
+   * Provide the rows of the table, usually the `rows` given to the `render`
+   * prop of `DataTable`
+   */
+  rows: PropTypes.arrayOf(PropTypes.object.isRequired).isRequired,
+};
+
+export default TableVirtualBody;
@@ -7,6 +7,8 @@
 
 import React from 'react';
 import Button from '../../Button';
+import DataTableSkeleton from '../../DataTableSkeleton';
+import Pagination from '../../Pagination';
 import DataTable, {
   Table,
   TableBatchActions,
@@ -17,6 +19,8 @@ import DataTable, {
   TableExpandHeader,
   TableExpandRow,
   TableExpandedRow,
+  TableFooter,
+  TableGroupRow,
   TableHead,
   TableHeader,
   TableRow,
@@ -29,7 +33,7 @@ import DataTable, {
   TableToolbarMenu,
 } from '../';
 import userEvent from '@testing-library/user-event';
-import { render, screen, within } from '@testing-library/react';
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
 
 // Test helpers
 const getLastCallFor = (mocker) =>
@@ -983,5 +987,811 @@ describe('DataTable', () => {
         ]);
       });
     });
+
+    describe('multi-column sorting', () => {
+      const multiSortRows = [
+        { id: 'a', fieldA: 'Open', fieldB: '2' },
+        { id: 'b', fieldA: 'Closed', fieldB: '3' },
+        { id: 'c', fieldA: 'Open', fieldB: '1' },
+      ];
+
+      const cells = () =>
+        screen
+          .getAllByRole('row')
+          .slice(1)
+          .map((row) => row.textContent);
+
+      it('should add headers to the sort stack when shift-clicked', async () => {
+        render(
+          <DataTable
+            {...mockProps}
+            rows={multiSortRows}
+            isSortable
+            isMultiSortable
+          />
+        );
+        const [firstHeader, secondHeader] = screen
+          .getAllByRole('columnheader')
+          .map((header) => within(header).getByRole('button'));
+
+        const user = userEvent.setup();
+        await user.click(firstHeader);
+        await user.keyboard('{Shift>}');
+        await user.click(secondHeader);
+        await user.keyboard('{/Shift}');
+
+        expect(cells()).toEqual(['Closed3', 'Open1', 'Open2']);
+        expect(getLastCallFor(mockProps.render)[0].sortStack).toEqual([
+          { key: 'fieldA', sortDirection: 'ASC' },
+          { key: 'fieldB', sortDirection: 'ASC' },
+        ]);
+        expect(
+          document.querySelectorAll('.cds--table-sort__priority')
+        ).toHaveLength(2);
+
+        // A regular click resets the stack to the given header
+        await user.click(secondHeader);
+        expect(getLastCallFor(mockProps.render)[0].sortStack).toEqual([
+          { key: 'fieldB', sortDirection: 'ASC' },
+        ]);
+      });
+
+      it('should only report changes when the sort stack is controlled', async () => {
+        const onSortStackChange = jest.fn();
+        const { rerender } = render(
+          <DataTable
+            {...mockProps}
+            rows={multiSortRows}
+            isSortable
+            isMultiSortable
+            sortStack={[]}
+            onSortStackChange={onSortStackChange}
+          />
+        );
+        const header = within(screen.getAllByRole('columnheader')[0]).getByRole(
+          'button'
+        );
+
+        await userEvent.click(header);
+        expect(onSortStackChange).toHaveBeenCalledWith([
+          { key: 'fieldA', sortDirection: 'ASC' },
+        ]);
+        expect(cells()).toEqual(['Open2', 'Closed3', 'Open1']);
+
+        rerender(
+          <DataTable
+            {...mockProps}
+            rows={multiSortRows}
+            isSortable
+            isMultiSortable
+            sortStack={[
+              { key: 'fieldA', sortDirection: 'DESC' },
+              { key: 'fieldB', sortDirection: 'DESC' },
+            ]}
+            onSortStackChange={onSortStackChange}
+          />
+        );
+        expect(cells()).toEqual(['Open2', 'Open1', 'Closed3']);
+      });
+    });
+
+    describe('manual mode', () => {
+      const cells = () =>
+        screen
+          .getAllByRole('row')
+          .slice(1)
+          .map((row) => row.textContent);
+
+      const renderWithPagination = jest.fn(
+        ({
+          rows,
+          headers,
+          getHeaderProps,
+          getPaginationProps,
+          onInputChange,
+        }) => (
+          <>
+            <TableToolbarSearch persistent onChange={onInputChange} />
+            <Table>
+              <TableHead>
+                <TableRow>
+                  {headers.map((header) => (
+                    <TableHeader
+                      key={header.key}
+                      {...getHeaderProps({ header })}>
+                      {header.header}
+                    </TableHeader>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.map((row) => (
+                  <TableRow key={row.id}>
+                    {row.cells.map((cell) => (
+                      <TableCell key={cell.id}>{cell.value}</TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            <Pagination
+              {...getPaginationProps({ pageSizes: [2, 10], totalItems: 20 })}
+            />
+          </>
+        )
+      );
+
+      it('should report the query without sorting the rows', async () => {
+        const onQueryChange = jest.fn();
+        const sortRow = jest.fn(() => 0);
+        render(
+          <DataTable
+            {...mockProps}
+            isSortable
+            isManual
+            sortRow={sortRow}
+            onQueryChange={onQueryChange}
+          />
+        );
+        const header = within(screen.getAllByRole('columnheader')[0]).getByRole(
+          'button'
+        );
+
+        await userEvent.click(header);
+        expect(onQueryChange).toHaveBeenLastCalledWith({
+          sort: [{ key: 'fieldA', sortDirection: 'ASC' }],
+          filter: { search: '', columns: [] },
+          page: 1,
+          pageSize: undefined,
+        });
+        expect(cells()).toEqual([
+          'Field 2:AField 2:B',
+          'Field 1:AField 1:B',
+          'Field 3:AField 3:B',
+        ]);
+        expect(sortRow).not.toHaveBeenCalled();
+      });
+
+      it('should report the search without filtering the rows', async () => {
+        const onQueryChange = jest.fn();
+        render(
+          <DataTable {...mockProps} isManual onQueryChange={onQueryChange} />
+        );
+
+        await userEvent.type(screen.getByRole('searchbox'), 'Field 1');
+        expect(onQueryChange).toHaveBeenLastCalledWith(
+          expect.objectContaining({
+            filter: { search: 'Field 1', columns: [] },
+            page: 1,
+          })
+        );
+        expect(cells()).toHaveLength(3);
+      });
+
+      it('should report page changes from Pagination', async () => {
+        const onQueryChange = jest.fn();
+        render(
+          <DataTable
+            {...mockProps}
+            render={renderWithPagination}
+            isManual
+            pageSize={2}
+            onQueryChange={onQueryChange}
+          />
+        );
+
+        await userEvent.click(
+          screen.getByRole('button', { name: 'Next page' })
+        );
+        expect(onQueryChange).toHaveBeenLastCalledWith(
+          expect.objectContaining({ page: 2, pageSize: 2 })
+        );
+        expect(getLastCallFor(renderWithPagination)[0].query.page).toBe(2);
+        // All of the given rows are rendered as-is
+        expect(cells()).toHaveLength(3);
+      });
+
+      it('should take the total number of rows from `totalItems` in manual mode', () => {
+        render(
+          <DataTable
+            {...mockProps}
+            isManual
+            pageSize={2}
+            totalItems={40}
+            render={({ getPaginationProps }) => (
+              <Pagination {...getPaginationProps({ pageSizes: [2, 10] })} />
+            )}
+          />
+        );
+
+        expect(screen.getByText('1–2 of 40 items')).toBeInTheDocument();
+      });
+
+      it('should not change a controlled `pageSize`', async () => {
+        const onQueryChange = jest.fn();
+        render(
+          <DataTable
+            {...mockProps}
+            render={renderWithPagination}
+            pageSize={2}
+            onQueryChange={onQueryChange}
+          />
+        );
+
+        await userEvent.selectOptions(
+          screen.getByLabelText('Items per page:'),
+          '10'
+        );
+        expect(onQueryChange).toHaveBeenLastCalledWith(
+          expect.objectContaining({ pageSize: 10 })
+        );
+        expect(getLastCallFor(renderWithPagination)[0].query.pageSize).toBe(2);
+        expect(cells()).toHaveLength(2);
+      });
+
+      it('should paginate rows when not in manual mode', async () => {
+        render(
+          <DataTable
+            {...mockProps}
+            render={renderWithPagination}
+            pageSize={2}
+          />
+        );
+        expect(cells()).toEqual(['Field 2:AField 2:B', 'Field 1:AField 1:B']);
+
+        await userEvent.click(
+          screen.getByRole('button', { name: 'Next page' })
+        );
+        expect(cells()).toEqual(['Field 3:AField 3:B']);
+      });
+
+      it('should provide props for a loading skeleton', () => {
+        render(
+          <DataTable
+            {...mockProps}
+            isManual
+            isLoading
+            pageSize={4}
+            render={({ isLoading, getSkeletonProps }) =>
+              isLoading ? (
+                <DataTableSkeleton
+                  {...getSkeletonProps()}
+                  data-testid="skeleton"
+                />
+              ) : null
+            }
+          />
+        );
+
+        const skeleton = screen.getByTestId('skeleton');
+        expect(skeleton).toBeInTheDocument();
+        expect(skeleton.querySelectorAll('tbody tr')).toHaveLength(4);
+      });
+    });
+
+    describe('column layout', () => {
+      const headerText = () =>
+        screen.getAllByRole('columnheader').map((th) => th.textContent);
+
+      it('should resize columns from their headers', async () => {
+        const onColumnStateChange = jest.fn();
+        render(
+          <DataTable
+            {...mockProps}
+            isResizable
+            onColumnStateChange={onColumnStateChange}
+          />
+        );
+
+        const [handle] = screen.getAllByRole('separator', {
+          name: /Resize Field A/,
+        });
+        jest
+          .spyOn(HTMLElement.prototype, 'getBoundingClientRect')
+          .mockImplementation(() => ({ width: 200 }));
+        await userEvent.click(handle);
+        await userEvent.keyboard('{ArrowRight}');
+        jest.restoreAllMocks();
+
+        expect(onColumnStateChange).toHaveBeenLastCalledWith({
+          order: ['fieldA', 'fieldB'],
+          widths: { fieldA: 216 },
+          hidden: [],
+        });
+        expect(screen.getAllByRole('columnheader')[0]).toHaveStyle({
+          inlineSize: '216px',
+        });
+      });
+
+      it('should reorder columns by dragging their headers', () => {
+        render(<DataTable {...mockProps} isReorderable />);
+
+        const [fieldA, fieldB] = screen.getAllByRole('columnheader');
+        expect(fieldA).toHaveAttribute('draggable', 'true');
+        fireEvent.dragStart(fieldA);
+        fireEvent.dragOver(fieldB);
+        fireEvent.drop(fieldB);
+        fireEvent.dragEnd(fieldA);
+
+        expect(headerText()).toEqual(['Field B', 'Field A']);
+        expect(screen.getAllByRole('row')[1].textContent).toBe(
+          'Field 2:BField 2:A'
+        );
+      });
+
+      it('should call the drag handlers given to `getHeaderProps`', () => {
+        const onDragStart = jest.fn();
+        render(
+          <DataTable
+            {...mockProps}
+            isReorderable
+            render={({ headers, getHeaderProps }) => (
+              <Table>
+                <TableHead>
+                  <TableRow>
+                    {headers.map((header) => (
+                      <TableHeader
+                        key={header.key}
+                        {...getHeaderProps({ header, onDragStart })}>
+                        {header.header}
+                      </TableHeader>
+                    ))}
+                  </TableRow>
+                </TableHead>
+              </Table>
+            )}
+          />
+        );
+
+        const [fieldA, fieldB] = screen.getAllByRole('columnheader');
+        fireEvent.dragStart(fieldA);
+        fireEvent.dragOver(fieldB);
+        fireEvent.drop(fieldB);
+        expect(onDragStart).toHaveBeenCalledTimes(1);
+        expect(headerText()).toEqual(['Field B', 'Field A']);
+      });
+
+      it('should only report changes when column state is controlled', async () => {
+        const onColumnStateChange = jest.fn();
+        const columnState = { order: ['fieldB'], widths: {}, hidden: [] };
+        const { rerender } = render(
+          <DataTable
+            {...mockProps}
+            columnState={columnState}
+            onColumnStateChange={onColumnStateChange}
+            render={({ toggleColumn, ...renderProps }) => (
+              <>
+                <button type="button" onClick={() => toggleColumn('fieldA')}>
+                  Toggle
+                </button>
+                {mockProps.render(renderProps)}
+              </>
+            )}
+          />
+        );
+        expect(headerText()).toEqual(['Field B', 'Field A']);
+
+        await userEvent.click(screen.getByRole('button', { name: 'Toggle' }));
+        expect(onColumnStateChange).toHaveBeenCalledWith({
+          order: ['fieldB', 'fieldA'],
+          widths: {},
+          hidden: ['fieldA'],
+        });
+        expect(headerText()).toEqual(['Field B', 'Field A']);
+
+        rerender(
+          <DataTable
+            {...mockProps}
+            columnState={onColumnStateChange.mock.calls[0][0]}
+            onColumnStateChange={onColumnStateChange}
+          />
+        );
+        expect(headerText()).toEqual(['Field B']);
+      });
+    });
+
+    describe('cell editing', () => {
+      beforeAll(() => {
+        // Used by Dropdown to keep the highlighted item in view
+        window.HTMLElement.prototype.scrollIntoView = function () {};
+      });
+
+      const renderEditable = (props) =>
+        render(
+          <DataTable
+            rows={[
+              { id: 'a', name: 'Router', port: 80 },
+              { id: 'b', name: 'Switch', port: 443 },
+            ]}
+            headers={[
+              {
+                key: 'name',
+                header: 'Name',
+                editor: {
+                  type: 'text',
+                  validate: async (value) => (value ? null : 'Required'),
+                },
+              },
+              {
+                key: 'port',
+                header: 'Port',
+                editor: { type: 'select', items: [80, 443, 8080] },
+              },
+            ]}
+            {...props}>
+            {({ rows, getCellProps }) => (
+              <Table>
+                <TableBody>
+                  {rows.map((row) => (
+                    <TableRow key={row.id}>
+                      {row.cells.map((cell) => (
+                        <TableCell key={cell.id} {...getCellProps({ cell })}>
+                          {cell.value}
+                        </TableCell>
+                      ))}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </DataTable>
+        );
+
+      it('should edit and commit the value of a cell', async () => {
+        const onCellEdit = jest.fn();
+        renderEditable({ onCellEdit });
+
+        await userEvent.click(screen.getByText('Router'));
+        await userEvent.keyboard('{Enter}');
+        const input = screen.getByRole('textbox', { name: 'Name' });
+        await userEvent.clear(input);
+        await userEvent.type(input, 'Gateway{Enter}');
+
+        expect(await screen.findByText('Gateway')).toHaveFocus();
+        expect(onCellEdit).toHaveBeenCalledWith({
+          rowId: 'a',
+          headerKey: 'name',
+          value: 'Gateway',
+          previousValue: 'Router',
+        });
+      });
+
+      it('should keep the editor open when validation fails', async () => {
+        const onCellEdit = jest.fn();
+        renderEditable({ onCellEdit });
+
+        await userEvent.dblClick(screen.getByText('Router'));
+        await userEvent.clear(screen.getByRole('textbox', { name: 'Name' }));
+        await userEvent.keyboard('{Enter}');
+
+        expect(await screen.findByText('Required')).toBeInTheDocument();
+        expect(screen.getByRole('textbox', { name: 'Name' })).toHaveFocus();
+        expect(onCellEdit).not.toHaveBeenCalled();
+
+        await userEvent.keyboard('{Escape}');
+        expect(screen.getByText('Router')).toHaveFocus();
+        expect(screen.queryByText('Required')).not.toBeInTheDocument();
+      });
+
+      it('should move to the next cell when committing with Tab', async () => {
+        renderEditable();
+
+        await userEvent.dblClick(screen.getByText('Router'));
+        await userEvent.type(
+          screen.getByRole('textbox', { name: 'Name' }),
+          ' 2{Tab}'
+        );
+
+        expect(await screen.findByText('Router 2')).toBeInTheDocument();
+        expect(screen.getByText('80')).toHaveFocus();
+      });
+
+      it('should ignore a validation that finishes after editing is cancelled', async () => {
+        let resolveValidation;
+        const onCellEdit = jest.fn();
+        const headers = [
+          {
+            key: 'name',
+            header: 'Name',
+            editor: {
+              type: 'text',
+              validate: () =>
+                new Promise((resolve) => {
+                  resolveValidation = resolve;
+                }),
+            },
+          },
+        ];
+        const { unmount } = renderEditable({ headers, onCellEdit });
+
+        await userEvent.dblClick(screen.getByText('Router'));
+        await userEvent.type(
+          screen.getByRole('textbox', { name: 'Name' }),
+          ' 2{Enter}'
+        );
+        await userEvent.keyboard('{Escape}');
+        await act(async () => {
+          resolveValidation(null);
+        });
+        expect(screen.getByText('Router')).toBeInTheDocument();
+        expect(screen.queryByText('Router 2')).not.toBeInTheDocument();
+
+        await userEvent.dblClick(screen.getByText('Router'));
+        await userEvent.type(
+          screen.getByRole('textbox', { name: 'Name' }),
+          ' 3{Enter}'
+        );
+        unmount();
+        await act(async () => {
+          resolveValidation(null);
+        });
+        expect(onCellEdit).not.toHaveBeenCalled();
+      });
+
+      it('should roll back the value when the edit is rejected', async () => {
+        let rejectEdit;
+        const onCellEdit = jest.fn(
+          () =>
+            new Promise((_resolve, reject) => {
+              rejectEdit = reject;
+            })
+        );
+        renderEditable({ onCellEdit });
+
+        await userEvent.dblClick(screen.getByText('80'));
+        await userEvent.click(screen.getByRole('combobox', { name: 'Port' }));
+        await userEvent.click(screen.getByRole('option', { name: '8080' }));
+
+        expect(await screen.findByText('8080')).toBeInTheDocument();
+        expect(onCellEdit).toHaveBeenCalledWith({
+          rowId: 'a',
+          headerKey: 'port',
+          value: 8080,
+          previousValue: 80,
+        });
+
+        await act(async () => {
+          rejectEdit(new Error('Port is in use'));
+        });
+        expect(screen.getByText('80')).toBeInTheDocument();
+        expect(screen.getByText('Port is in use')).toBeInTheDocument();
+      });
+    });
+
+    describe('grouping', () => {
+      const renderGrouped = (props) =>
+        render(
+          <DataTable
+            rows={[
+              { id: 'a', name: 'Router', region: 'EU', port: 80 },
+              { id: 'b', name: 'Switch', region: 'US', port: 443 },
+              { id: 'c', name: 'Proxy', region: 'EU', port: 3000 },
+            ]}
+            headers={[
+              { key: 'name', header: 'Name' },
+              { key: 'region', header: 'Region' },
+              { key: 'port', header: 'Port' },
+            ]}
+            groupBy={['region']}
+            aggregates={{ port: 'sum' }}
+            {...props}>
+            {({ groupedRows, getGroupRowProps, getFooterProps }) => (
+              <Table>
+                <TableBody>
+                  {groupedRows.map((entry) =>
+                    entry.type === 'group' ? (
+                      <TableGroupRow
+                        {...getGroupRowProps({ group: entry.group })}
+                      />
+                    ) : (
+                      <TableRow key={entry.row.id}>
+                        <TableCell />
+                        {entry.row.cells.map((cell) => (
+                          <TableCell key={cell.id}>{cell.value}</TableCell>
+                        ))}
+                      </TableRow>
+                    )
+                  )}
+                </TableBody>
+                <TableFooter {...getFooterProps()}>
+                  <TableCell />
+                </TableFooter>
+              </Table>
+            )}
+          </DataTable>
+        );
+
+      const getRowText = () =>
+        screen
+          .getAllByRole('row')
+          .map((row) => row.textContent)
+          .filter(Boolean);
+
+      it('should render groups with their rows and aggregates', () => {
+        renderGrouped();
+
+        expect(getRowText()).toEqual([
+          'Region: EU (2)3,080',
+          'RouterEU80',
+          'ProxyEU3000',
+          'Region: US (1)443',
+          'SwitchUS443',
+          'Total3,523',
+        ]);
+      });
+
+      it('should collapse and expand a group', async () => {
+        renderGrouped();
+
+        const [collapseEU] = screen.getAllByRole('button', {
+          name: 'Collapse current row',
+        });
+        await userEvent.click(collapseEU);
+        expect(screen.queryByText('Router')).not.toBeInTheDocument();
+        expect(screen.getByText('Switch')).toBeInTheDocument();
+
+        await userEvent.click(
+          screen.getByRole('button', { name: 'Expand current row' })
+        );
+        expect(screen.getByText('Router')).toBeInTheDocument();
+      });
+
+      it('should paginate the grouped rows', async () => {
+        renderGrouped({ pageSize: 3 });
+
+        expect(getRowText()).toEqual([
+          'Region: EU (2)3,080',
+          'RouterEU80',
+          'ProxyEU3000',
+          'Total3,523',
+        ]);
+
+        const [collapseEU] = screen.getAllByRole('button', {
+          name: 'Collapse current row',
+        });
+        await userEvent.click(collapseEU);
+        expect(getRowText()).toEqual([
+          'Region: EU (2)3,080',
+          'Region: US (1)443',
+          'SwitchUS443',
+          'Total3,523',
+        ]);
+      });
+
+      it('should group rows through setGroupBy', async () => {
+        const onGroupByChange = jest.fn();
+        render(
+          <DataTable
+            rows={[
+              { id: 'a', name: 'Router', region: 'EU' },
+              { id: 'b', name: 'Switch', region: 'US' },
+            ]}
+            headers={[
+              { key: 'name', header: 'Name' },
+              { key: 'region', header: 'Region' },
+            ]}
+            onGroupByChange={onGroupByChange}>
+            {({ groupedRows, setGroupBy }) => (
+              <>
+                <Button onClick={() => setGroupBy(['region'])}>Group</Button>
+                <ul>
+                  {groupedRows.map((entry) => (
+                    <li key={entry.group?.id ?? entry.row.id}>
+                      {entry.type === 'group'
+                        ? entry.group.value
+                        : entry.row.id}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </DataTable>
+        );
+
+        const getItems = () =>
+          screen.getAllByRole('listitem').map((item) => item.textContent);
+        expect(getItems()).toEqual(['a', 'b']);
+
+        await userEvent.click(screen.getByText('Group'));
+        expect(onGroupByChange).toHaveBeenCalledWith(['region']);
+        expect(getItems()).toEqual(['EU', 'a', 'US', 'b']);
+      });
+    });
+
+    describe('grid', () => {
+      let spy;
+
+      beforeEach(() => {
+        // v12 TODO: Remove the mock of console.warn once we remove ariaLabel from DataTable
+        spy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        spy.mockRestore();
+      });
+
+      const renderGrid = (props) =>
+        render(
+          <DataTable
+            rows={[
+              { id: 'b', name: 'Switch' },
+              { id: 'a', name: 'Router', disabled: true },
+            ]}
+            headers={[{ key: 'name', header: 'Name' }]}
+            isGrid
+            isSortable
+            {...props}>
+            {({
+              rows,
+              headers,
+              getHeaderProps,
+              getRowProps,
+              getSelectionProps,
+              getTableProps,
+              selectedRows,
+            }) => (
+              <>
+                <p data-testid="selected">
+                  {selectedRows.map((row) => row.id).join(',')}
+                </p>
+                <Table {...getTableProps()} aria-label="Grid">
+                  <TableHead>
+                    <TableRow>
+                      <TableHeader />
+                      {headers.map((header) => (
+                        <TableHeader
+                          key={header.key}
+                          {...getHeaderProps({ header })}>
+                          {header.header}
+                        </TableHeader>
+                      ))}
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {rows.map((row) => (
+                      <TableRow key={row.id} {...getRowProps({ row })}>
+                        <TableSelectRow {...getSelectionProps({ row })} />
+                        {row.cells.map((cell) => (
+                          <TableCell key={cell.id}>{cell.value}</TableCell>
+                        ))}
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </>
+            )}
+          </DataTable>
+        );
+
+      it('should render a grid with a single tab stop', async () => {
+        renderGrid();
+        expect(screen.getByRole('grid')).toBeInTheDocument();
+
+        await userEvent.tab();
+        await userEvent.keyboard('[ArrowRight][ArrowDown]');
+        expect(screen.getByText('Switch')).toHaveFocus();
+        await userEvent.tab();
+        expect(document.body).toHaveFocus();
+      });
+
+      it('should select rows with Space', async () => {
+        renderGrid();
+        await userEvent.tab();
+        await userEvent.keyboard('[ArrowRight][ArrowDown][Space]');
+        expect(screen.getByTestId('selected')).toHaveTextContent('b');
+
+        await userEvent.keyboard('[ArrowDown][Space]');
+        expect(screen.getByTestId('selected')).toHaveTextContent(/^b$/);
+      });
+
+      it('should sort with Enter on a header', async () => {
+        renderGrid();
+        await userEvent.tab();
+        await userEvent.keyboard('[ArrowRight][Enter]');
+        const [first, second] = screen.getAllByRole('row').slice(1);
+        expect(first).toHaveTextContent('Router');
+        expect(second).toHaveTextContent('Switch');
+      });
+    });
   });
 });
@@ -6,6 +6,7 @@
  */
 
 import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import React from 'react';
 import {
   Table,
@@ -318,4 +319,113 @@ describe('Table', () => {
       );
     });
   });
+
+  describe('isGrid', () => {
+    const getGrid = (props) => (
+      <Table isGrid aria-label="Grid" {...props}>
+        <TableHead>
+          <TableRow>
+            <TableHeader>Name</TableHeader>
+            <TableHeader>Status</TableHeader>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          <TableRow data-row-id="a">
+            <TableCell>Load Balancer 1</TableCell>
+            <TableCell>
+              <button type="button">Restart</button>
+            </TableCell>
+          </TableRow>
+          <TableRow data-row-id="b">
+            <TableCell>Load Balancer 2</TableCell>
+            <TableCell>Active</TableCell>
+          </TableRow>
+        </TableBody>
+      </Table>
+    );
+
+    const renderGrid = (props) => render(getGrid(props));
+
+    it('should use the grid role', () => {
+      renderGrid();
+      expect(screen.getByRole('grid')).toHaveClass(
+        `${prefix}--data-table--grid`
+      );
+    });
+
+    it('should only put one cell in the tab order', async () => {
+      renderGrid();
+      await userEvent.tab();
+      expect(screen.getByRole('columnheader', { name: 'Name' })).toHaveFocus();
+      await userEvent.tab();
+      expect(document.body).toHaveFocus();
+    });
+
+    it('should restore the tab order when grid mode is turned off', () => {
+      const { rerender } = renderGrid();
+      const button = screen.getByRole('button', { name: 'Restart' });
+      expect(button).toHaveAttribute('tabindex', '-1');
+
+      rerender(getGrid({ isGrid: false }));
+      expect(button).not.toHaveAttribute('tabindex');
+      expect(screen.getByText('Load Balancer 1')).not.toHaveAttribute(
+        'tabindex'
+      );
+    });
+
+    it('should move focus between cells with the keyboard', async () => {
+      renderGrid();
+      await userEvent.tab();
+      await userEvent.keyboard('[ArrowDown]');
+      expect(screen.getByText('Load Balancer 1')).toHaveFocus();
+      await userEvent.keyboard('[ArrowRight]');
+      expect(
+        screen.getByRole('button', { name: 'Restart' }).parentElement
+      ).toHaveFocus();
+      await userEvent.keyboard('{Control>}[End]{/Control}');
+      expect(screen.getByText('Active')).toHaveFocus();
+      await userEvent.keyboard('[Home]');
+      expect(screen.getByText('Load Balancer 2')).toHaveFocus();
+      await userEvent.keyboard('{Control>}[Home]{/Control}');
+      expect(screen.getByRole('columnheader', { name: 'Name' })).toHaveFocus();
+    });
+
+    it('should activate the content of a cell with Enter', async () => {
+      const onClick = jest.fn();
+      renderGrid();
+      screen.getByRole('button', { name: 'Restart' }).onclick = onClick;
+      await userEvent.tab();
+      await userEvent.keyboard('[ArrowDown][ArrowRight][Enter]');
+      expect(onClick).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return focus to the cell with Escape', async () => {
+      renderGrid();
+      const button = screen.getByRole('button', { name: 'Restart' });
+      await userEvent.tab();
+      await userEvent.keyboard('[ArrowDown][ArrowRight]');
+      button.focus();
+      await userEvent.keyboard('[ArrowLeft]');
+      expect(button).toHaveFocus();
+      await userEvent.keyboard('[Escape]');
+      expect(button.parentElement).toHaveFocus();
+    });
+
+    it('should call `onSelectRow` with Space', async () => {
+      const onSelectRow = jest.fn();
+      renderGrid({ onSelectRow });
+      await userEvent.tab();
+      await userEvent.keyboard('[ArrowDown][Space]');
+      expect(onSelectRow).toHaveBeenCalledWith('a');
+    });
+
+    it('should leave keys that were handled to the consumer', async () => {
+      const onKeyDown = jest.fn((event) => event.preventDefault());
+      renderGrid({ onKeyDown });
+      await userEvent.tab();
+      await userEvent.keyboard('[ArrowDown]');
+      expect(onKeyDown).toHaveBeenCalled();
+      expect(screen.getByRole('columnheader', { name: 'Name' })).toHaveFocus();
+    });
+  });
 });
@@ -6,6 +6,7 @@
  */
 
 import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import React from 'react';
 import { Table, TableBody, TableRow, TableCell } from '../';
 
@@ -39,3 +40,101 @@ describe('TableCell', () => {
     );
   });
 });
+
+describe('TableCell editing', () => {
+  function EditableCell(props) {
+    return (
+      <Table>
+        <TableBody>
+          <TableRow>
+            <TableCell
+              data-testid="cell"
+              isEditable
+              editor={{ type: 'text' }}
+              editorLabel="Name"
+              value="Router"
+              onEditStart={() => {}}
+              onEditCancel={() => {}}
+              onEditCommit={() => Promise.resolve(true)}
+              {...props}>
+              Router
+            </TableCell>
+          </TableRow>
+        </TableBody>
+      </Table>
+    );
+  }
+
+  it('should start editing with Enter, F2 or a double click', async () => {
+    const onEditStart = jest.fn();
+    render(<EditableCell onEditStart={onEditStart} />);
+
+    const cell = screen.getByTestId('cell');
+    expect(cell).toHaveAttribute('tabindex', '0');
+    await userEvent.click(cell);
+    await userEvent.keyboard('{Enter}');
+    await userEvent.keyboard('{F2}');
+    await userEvent.dblClick(cell);
+    expect(onEditStart).toHaveBeenCalledTimes(3);
+  });
+
+  it('should cancel editing with Escape', async () => {
+    const onEditCancel = jest.fn();
+    render(<EditableCell isEditing onEditCancel={onEditCancel} />);
+
+    const input = screen.getByRole('textbox', { name: 'Name' });
+    expect(input).toHaveFocus();
+    await userEvent.keyboard('{Escape}');
+    expect(onEditCancel).toHaveBeenCalled();
+  });
+
+  it('should commit the next value with Enter and Tab', async () => {
+    const onEditCommit = jest.fn(() => Promise.resolve(true));
+    render(<EditableCell isEditing onEditCommit={onEditCommit} />);
+
+    await userEvent.clear(screen.getByRole('textbox', { name: 'Name' }));
+    await userEvent.keyboard('Switch{Enter}');
+    expect(onEditCommit).toHaveBeenLastCalledWith('Switch');
+
+    await userEvent.keyboard('{Tab}');
+    expect(onEditCommit).toHaveBeenCalledTimes(2);
+  });
+
+  it('should derive the placeholder of date editors from their format', () => {
+    const { rerender } = render(
+      <EditableCell
+        isEditing
+        value=""
+        editor={{ type: 'date', props: { dateFormat: 'd.m.Y' } }}
+      />
+    );
+    expect(screen.getByLabelText('Name')).toHaveAttribute(
+      'placeholder',
+      'dd.mm.yyyy'
+    );
+
+    rerender(
+      <EditableCell
+        isEditing
+        value=""
+        editor={{ type: 'date', placeholder: 'Pick a date' }}
+      />
+    );
+    expect(screen.getByLabelText('Name')).toHaveAttribute(
+      'placeholder',
+      'Pick a date'
+    );
+  });
+
+  it('should render errors', () => {
+    render(
+      <EditableCell
+        isEditing
+        isValid={false}
+        errors={[new Error('Name is taken')]}
+      />
+    );
+    expect(screen.getByText('Name is taken')).toBeInTheDocument();
+    expect(screen.getByTestId('cell')).toHaveAttribute('aria-invalid', 'true');
+  });
+});
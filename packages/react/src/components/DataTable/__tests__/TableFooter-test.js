@@ -0,0 +1,60 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { Table, TableCell, TableFooter } from '../';
+import { render, screen } from '@testing-library/react';
+
+const prefix = 'cds';
+
+describe('DataTable.TableFooter', () => {
+  const headers = [
+    { key: 'name', header: 'Name' },
+    { key: 'region', header: 'Region' },
+    { key: 'port', header: 'Port' },
+  ];
+
+  it('should render the aggregates of the table', () => {
+    const { container } = render(
+      <Table>
+        <TableFooter headers={headers} aggregates={{ port: 3523 }} />
+      </Table>
+    );
+
+    expect(container.querySelector('tfoot')).toHaveClass(
+      `${prefix}--data-table-footer`
+    );
+    const cells = screen.getAllByRole('cell');
+    expect(cells.map((cell) => cell.textContent)).toEqual([
+      'Total',
+      '',
+      '3,523',
+    ]);
+  });
+
+  it('should support leading cells, custom labels and aggregates', () => {
+    render(
+      <Table>
+        <TableFooter
+          headers={headers}
+          aggregates={{ region: 2 }}
+          renderAggregate={(value) => `${value} regions`}
+          translateWithId={() => 'Summary'}>
+          <TableCell />
+        </TableFooter>
+      </Table>
+    );
+
+    const cells = screen.getAllByRole('cell');
+    expect(cells.map((cell) => cell.textContent)).toEqual([
+      '',
+      'Summary',
+      '2 regions',
+      '',
+    ]);
+  });
+});
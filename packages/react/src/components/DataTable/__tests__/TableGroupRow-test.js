@@ -0,0 +1,86 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { Table, TableBody, TableCell, TableGroupRow } from '../';
+import userEvent from '@testing-library/user-event';
+import { render, screen } from '@testing-library/react';
+
+const prefix = 'cds';
+
+describe('DataTable.TableGroupRow', () => {
+  let mockProps;
+
+  beforeEach(() => {
+    mockProps = {
+      'aria-label': 'Collapse current row',
+      isExpanded: true,
+      onExpand: jest.fn(),
+      group: {
+        id: 'group:region=string:EU',
+        headerKey: 'region',
+        header: 'Region',
+        value: 'EU',
+        depth: 1,
+        rowCount: 3,
+        aggregates: { port: 3080.5 },
+        isExpanded: true,
+      },
+      headers: [
+        { key: 'name', header: 'Name' },
+        { key: 'region', header: 'Region' },
+        { key: 'port', header: 'Port' },
+      ],
+    };
+  });
+
+  const renderGroupRow = (props) =>
+    render(
+      <Table>
+        <TableBody>
+          <TableGroupRow {...mockProps} {...props} />
+        </TableBody>
+      </Table>
+    );
+
+  it('should render the label and aggregates of the group', () => {
+    renderGroupRow();
+
+    const row = screen.getAllByRole('row')[0];
+    expect(row).toHaveClass(`${prefix}--table-group-row`);
+    expect(screen.getByText('Region: EU (3)')).toBeInTheDocument();
+    expect(screen.getByText('3,080.5')).toBeInTheDocument();
+    expect(screen.getAllByRole('cell')).toHaveLength(4);
+  });
+
+  it('should expand and collapse the group through its button', async () => {
+    renderGroupRow();
+
+    const button = screen.getByRole('button', { name: 'Collapse current row' });
+    expect(button).toHaveAttribute('aria-expanded', 'true');
+    await userEvent.click(button);
+    expect(mockProps.onExpand).toHaveBeenCalledTimes(1);
+  });
+
+  it('should render leading cells before the cells of the group', () => {
+    renderGroupRow({ children: <TableCell>leading</TableCell> });
+
+    const cells = screen.getAllByRole('cell');
+    expect(cells[1]).toHaveTextContent('leading');
+    expect(cells[2]).toHaveTextContent('Region: EU (3)');
+  });
+
+  it('should support custom aggregates and labels', () => {
+    renderGroupRow({
+      renderAggregate: (value, headerKey) => `${headerKey}=${value}`,
+      translateWithId: (id, { value, rowCount }) => `${value} - ${rowCount}`,
+    });
+
+    expect(screen.getByText('EU - 3')).toBeInTheDocument();
+    expect(screen.getByText('port=3080.5')).toBeInTheDocument();
+  });
+});
@@ -8,7 +8,7 @@
 import React from 'react';
 import { Table, TableHead, TableRow, TableHeader } from '../';
 import userEvent from '@testing-library/user-event';
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 
 describe('TableHeader', () => {
   describe('renders as expected - Component API', () => {
@@ -132,6 +132,31 @@ describe('TableHeader', () => {
       expect(screen.getByTestId('test-id')).toHaveClass('cds--table-sort');
     });
 
+    it('should respect sortPriority prop', () => {
+      const { container } = render(
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableHeader
+                isSortHeader
+                isSortable
+                sortDirection={'ASC'}
+                sortPriority={2}>
+                Header
+              </TableHeader>
+            </TableRow>
+          </TableHead>
+        </Table>
+      );
+
+      expect(
+        container.querySelector('.cds--table-sort__priority')
+      ).toHaveTextContent('2');
+      expect(screen.getByRole('columnheader')).toHaveTextContent(
+        'Sort priority 2'
+      );
+    });
+
     it('should respect scope prop', () => {
       render(
         <Table>
@@ -167,6 +192,68 @@ describe('TableHeader', () => {
 
       expect(screen.getByText('id translation')).toBeInTheDocument();
     });
+    it('should keep the `style` and the drag handlers of the consumer', () => {
+      const onDragStart = jest.fn();
+      render(
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableHeader style={{ color: 'red' }} onDragStart={onDragStart}>
+                Name
+              </TableHeader>
+            </TableRow>
+          </TableHead>
+        </Table>
+      );
+
+      const header = screen.getByRole('columnheader');
+      expect(header).toHaveStyle({ color: 'red' });
+      fireEvent.dragStart(header);
+      expect(onDragStart).toHaveBeenCalled();
+    });
+
+    it('should merge the `style` of the consumer with the width of the column', () => {
+      render(
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableHeader style={{ color: 'red' }} width={120}>
+                Name
+              </TableHeader>
+            </TableRow>
+          </TableHead>
+        </Table>
+      );
+
+      expect(screen.getByRole('columnheader')).toHaveStyle({
+        color: 'red',
+        inlineSize: '120px',
+      });
+    });
+
+    it('should call the drag handlers of a draggable header', () => {
+      const onDragOver = jest.fn((event) => event.preventDefault());
+      const onDrop = jest.fn();
+      render(
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableHeader draggable onDragOver={onDragOver} onDrop={onDrop}>
+                Name
+              </TableHeader>
+            </TableRow>
+          </TableHead>
+        </Table>
+      );
+
+      const header = screen.getByRole('columnheader');
+      fireEvent.dragOver(header);
+      expect(onDragOver).toHaveBeenCalled();
+      expect(header).toHaveClass('cds--table-header--drop-target');
+      fireEvent.drop(header);
+      expect(onDrop).toHaveBeenCalled();
+      expect(header).not.toHaveClass('cds--table-header--drop-target');
+    });
   });
 
   describe('behaves as expected', () => {
@@ -187,3 +274,116 @@ describe('TableHeader', () => {
     });
   });
 });
+
+describe('TableHeader resizing', () => {
+  it('should render a resize handle when onResize is provided', () => {
+    render(
+      <Table>
+        <TableHead>
+          <TableRow>
+            <TableHeader width={120} onResize={() => {}}>
+              Name
+            </TableHeader>
+          </TableRow>
+        </TableHead>
+      </Table>
+    );
+
+    const handle = screen.getByRole('separator', {
+      name: 'Resize Name column',
+    });
+    expect(handle).toHaveAttribute('aria-valuenow', '120');
+    expect(handle).toHaveAttribute('aria-valuemin', '48');
+    expect(handle).toHaveAttribute('aria-valuemax', '1024');
+    expect(screen.getByRole('columnheader')).toHaveStyle({
+      inlineSize: '120px',
+    });
+  });
+
+  it('should use the rendered width of the header until it is resized', () => {
+    jest
+      .spyOn(HTMLElement.prototype, 'getBoundingClientRect')
+      .mockImplementation(function () {
+        return { width: this.tagName === 'TH' ? 180.4 : 0 };
+      });
+    render(
+      <Table>
+        <TableHead>
+          <TableRow>
+            <TableHeader onResize={() => {}}>Name</TableHeader>
+          </TableRow>
+        </TableHead>
+      </Table>
+    );
+
+    const handle = screen.getByRole('separator');
+    expect(handle).toHaveAttribute('aria-valuenow', '180');
+    expect(handle).toHaveAttribute('aria-valuemin');
+    jest.restoreAllMocks();
+  });
+
+  it('should omit the value of the handle until there is a width', () => {
+    render(
+      <Table>
+        <TableHead>
+          <TableRow>
+            <TableHeader onResize={() => {}}>Name</TableHeader>
+          </TableRow>
+        </TableHead>
+      </Table>
+    );
+
+    const handle = screen.getByRole('separator');
+    expect(handle).not.toHaveAttribute('aria-valuenow');
+    expect(handle).not.toHaveAttribute('aria-valuemin');
+    expect(handle).not.toHaveAttribute('aria-valuemax');
+  });
+
+  it('should resize with the arrow keys', async () => {
+    const onResize = jest.fn();
+    render(
+      <Table>
+        <TableHead>
+          <TableRow>
+            <TableHeader isSortable width={120} onResize={onResize}>
+              Name
+            </TableHeader>
+          </TableRow>
+        </TableHead>
+      </Table>
+    );
+
+    await userEvent.click(screen.getByRole('separator'));
+    await userEvent.keyboard('{ArrowRight}');
+    expect(onResize).toHaveBeenLastCalledWith(136);
+    await userEvent.keyboard('{ArrowLeft}');
+    expect(onResize).toHaveBeenLastCalledWith(104);
+  });
+
+  it('should resize when the handle is dragged', () => {
+    const onResize = jest.fn();
+    render(
+      <Table>
+        <TableHead>
+          <TableRow>
+            <TableHeader width={120} onResize={onResize}>
+              Name
+            </TableHeader>
+          </TableRow>
+        </TableHead>
+      </Table>
+    );
+
+    // jsdom does not implement PointerEvent, so mouse events are dispatched
+    // with the pointer event types instead
+    const pointer = (type, clientX) =>
+      fireEvent(handle, new MouseEvent(type, { bubbles: true, clientX }));
+    const handle = screen.getByRole('separator');
+    pointer('pointerdown', 100);
+    pointer('pointermove', 150);
+    expect(onResize).toHaveBeenLastCalledWith(170);
+    pointer('pointerup', 150);
+    pointer('pointermove', 200);
+    expect(onResize).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import DataTable, {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+  TableToolbar,
+  TableToolbarContent,
+  TableToolbarColumnChooser,
+} from '../';
+import userEvent from '@testing-library/user-event';
+import { render, screen } from '@testing-library/react';
+
+const rows = [
+  { id: 'a', name: 'Load Balancer 1', port: 80, status: 'Active' },
+  { id: 'b', name: 'Load Balancer 2', port: 443, status: 'Disabled' },
+];
+
+const headers = [
+  { key: 'name', header: 'Name' },
+  { key: 'port', header: 'Port' },
+  { key: 'status', header: 'Status' },
+];
+
+function renderTable(props) {
+  return render(
+    <DataTable rows={rows} headers={headers} {...props}>
+      {({ rows, headers, getHeaderProps, getColumnChooserProps }) => (
+        <>
+          <TableToolbar>
+            <TableToolbarContent>
+              <TableToolbarColumnChooser {...getColumnChooserProps()} />
+            </TableToolbarContent>
+          </TableToolbar>
+          <Table>
+            <TableHead>
+              <TableRow>
+                {headers.map((header) => (
+                  <TableHeader key={header.key} {...getHeaderProps({ header })}>
+                    {header.header}
+                  </TableHeader>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map((row) => (
+                <TableRow key={row.id} data-testid="row">
+                  {row.cells.map((cell) => (
+                    <TableCell key={cell.id}>{cell.value}</TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </>
+      )}
+    </DataTable>
+  );
+}
+
+function getColumnHeaders() {
+  return screen.getAllByRole('columnheader').map((th) => th.textContent);
+}
+
+describe('TableToolbarColumnChooser', () => {
+  // The overflow menu only keeps track of its menu body once it has been
+  // placed, which requires the menu to have a size
+  beforeEach(() => {
+    jest
+      .spyOn(HTMLElement.prototype, 'getBoundingClientRect')
+      .mockImplementation(() => ({
+        width: 100,
+        height: 100,
+        top: 0,
+        left: 0,
+        right: 100,
+        bottom: 100,
+      }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should render a column chooser trigger', () => {
+    renderTable();
+    expect(
+      screen.getByRole('button', { name: 'Edit columns' })
+    ).toBeInTheDocument();
+  });
+
+  it('should show and hide columns', async () => {
+    renderTable();
+    await userEvent.click(screen.getByRole('button', { name: 'Edit columns' }));
+
+    await userEvent.click(screen.getByRole('checkbox', { name: 'Port' }));
+    expect(getColumnHeaders()).toEqual(['Name', 'Status']);
+    expect(screen.getAllByTestId('row')[0]).toHaveTextContent(
+      'Load Balancer 1Active'
+    );
+
+    await userEvent.click(screen.getByRole('checkbox', { name: 'Port' }));
+    expect(getColumnHeaders()).toEqual(['Name', 'Port', 'Status']);
+  });
+
+  it('should not hide the last visible column', async () => {
+    renderTable();
+    await userEvent.click(screen.getByRole('button', { name: 'Edit columns' }));
+
+    await userEvent.click(screen.getByRole('checkbox', { name: 'Name' }));
+    await userEvent.click(screen.getByRole('checkbox', { name: 'Port' }));
+    expect(screen.getByRole('checkbox', { name: 'Status' })).toBeDisabled();
+  });
+
+  it('should reorder columns with the move buttons', async () => {
+    renderTable();
+    await userEvent.click(screen.getByRole('button', { name: 'Edit columns' }));
+
+    const nameGroup = screen.getByRole('group', { name: 'Name' });
+    expect(
+      nameGroup.querySelectorAll('button')[0].hasAttribute('disabled')
+    ).toBe(true);
+
+    await userEvent.click(nameGroup.querySelectorAll('button')[1]);
+    expect(getColumnHeaders()).toEqual(['Port', 'Name', 'Status']);
+    expect(screen.getAllByTestId('row')[0]).toHaveTextContent(
+      '80Load Balancer 1Active'
+    );
+
+    await userEvent.click(
+      screen.getByRole('button', { name: 'Reset columns' })
+    );
+    expect(getColumnHeaders()).toEqual(['Name', 'Port', 'Status']);
+  });
+
+  it('should report changes to the column state', async () => {
+    const onColumnStateChange = jest.fn();
+    renderTable({ onColumnStateChange });
+    await userEvent.click(screen.getByRole('button', { name: 'Edit columns' }));
+
+    await userEvent.click(screen.getByRole('checkbox', { name: 'Status' }));
+    expect(onColumnStateChange).toHaveBeenLastCalledWith({
+      order: ['name', 'port', 'status'],
+      widths: {},
+      hidden: ['status'],
+    });
+  });
+});
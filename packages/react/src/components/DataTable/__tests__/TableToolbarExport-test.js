@@ -0,0 +1,143 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import DataTable, { TableToolbarExport, TableToolbarMenu } from '../';
+import userEvent from '@testing-library/user-event';
+import { render, screen } from '@testing-library/react';
+
+const rows = [
+  { id: 'a', name: 'Load Balancer 1', port: 80, isSelected: true },
+  { id: 'b', name: 'Load Balancer 2', port: 443 },
+  { id: 'c', name: 'Load Balancer 3', port: 3000 },
+];
+
+const headers = [
+  { key: 'name', header: 'Name' },
+  { key: 'port', header: 'Port' },
+];
+
+const readBlob = (blob) =>
+  new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+
+describe('TableToolbarExport', () => {
+  let createObjectURL;
+  let click;
+
+  beforeEach(() => {
+    // The overflow menu only keeps track of its menu body once it has been
+    // placed, which requires the menu to have a size
+    jest
+      .spyOn(HTMLElement.prototype, 'getBoundingClientRect')
+      .mockImplementation(() => ({
+        width: 100,
+        height: 100,
+        top: 0,
+        left: 0,
+        right: 100,
+        bottom: 100,
+      }));
+    createObjectURL = jest.fn(() => 'blob:table');
+    Object.assign(URL, { createObjectURL, revokeObjectURL: jest.fn() });
+    click = jest
+      .spyOn(HTMLAnchorElement.prototype, 'click')
+      .mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const openMenu = () =>
+    userEvent.click(screen.getByRole('button', { name: 'Download' }));
+
+  const getDownload = async () => {
+    const [blob] = createObjectURL.mock.calls[0];
+    return {
+      fileName: click.mock.instances[0].download,
+      content: await readBlob(blob),
+    };
+  };
+
+  function renderExport({ exportProps, ...props } = {}) {
+    return render(
+      <DataTable rows={rows} headers={headers} pageSize={1} {...props}>
+        {({ getExportProps }) => (
+          <TableToolbarMenu iconDescription="Download">
+            <TableToolbarExport {...getExportProps(exportProps)} />
+          </TableToolbarMenu>
+        )}
+      </DataTable>
+    );
+  }
+
+  it('should download the rows of every page as CSV', async () => {
+    renderExport();
+
+    await openMenu();
+    await userEvent.click(screen.getByText('Download as CSV'));
+
+    expect(await getDownload()).toEqual({
+      fileName: 'table.csv',
+      content: [
+        'Name,Port',
+        'Load Balancer 1,80',
+        'Load Balancer 2,443',
+        'Load Balancer 3,3000',
+      ].join('\r\n'),
+    });
+  });
+
+  it('should download the selected rows in the given format', async () => {
+    renderExport({ exportProps: { selectedOnly: true, format: 'json' } });
+
+    await openMenu();
+    await userEvent.click(screen.getByText('Download as JSON'));
+
+    const { fileName, content } = await getDownload();
+    expect(fileName).toBe('table.json');
+    expect(JSON.parse(content)).toEqual([
+      { name: 'Load Balancer 1', port: 80 },
+    ]);
+  });
+
+  it('should only export visible columns, in their display order', async () => {
+    renderExport({
+      columnState: { order: ['port', 'name'], widths: {}, hidden: ['name'] },
+      exportProps: { fileName: 'ports', format: 'tsv' },
+    });
+
+    await openMenu();
+    await userEvent.click(screen.getByText('Download as TSV'));
+
+    expect(await getDownload()).toEqual({
+      fileName: 'ports.tsv',
+      content: 'Port\r\n80\r\n443\r\n3000',
+    });
+  });
+
+  it('should skip the download when the click is prevented', async () => {
+    const onClick = jest.fn((event) => event.preventDefault());
+    render(
+      <TableToolbarMenu iconDescription="Download">
+        <TableToolbarExport rows={[]} headers={headers} onClick={onClick}>
+          Export
+        </TableToolbarExport>
+      </TableToolbarMenu>
+    );
+    await openMenu();
+
+    await userEvent.click(screen.getByText('Export'));
+
+    expect(onClick).toHaveBeenCalledTimes(1);
+    expect(click).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import DataTable, {
+  Table,
+  TableBody,
+  TableCell,
+  TableRow,
+  TableToolbar,
+  TableToolbarContent,
+  TableToolbarFilter,
+} from '../';
+import userEvent from '@testing-library/user-event';
+import { render, screen } from '@testing-library/react';
+
+const rows = [
+  { id: 'a', name: 'Load Balancer 1', port: 80, status: 'Active' },
+  { id: 'b', name: 'Load Balancer 2', port: 443, status: 'Disabled' },
+  { id: 'c', name: 'Router', port: 8080, status: 'Active' },
+];
+
+const headers = [
+  { key: 'name', header: 'Name' },
+  { key: 'port', header: 'Port' },
+  { key: 'status', header: 'Status' },
+];
+
+const columns = [
+  { key: 'name', header: 'Name', type: 'text' },
+  { key: 'port', header: 'Port', type: 'number' },
+  {
+    key: 'status',
+    header: 'Status',
+    type: 'set',
+    options: ['Active', 'Disabled'],
+  },
+];
+
+function renderTable(props) {
+  return render(
+    <DataTable rows={rows} headers={headers} {...props}>
+      {({ rows, getFilterProps }) => (
+        <>
+          <TableToolbar>
+            <TableToolbarContent>
+              <TableToolbarFilter
+                columns={columns}
+                getFilterProps={getFilterProps}
+              />
+            </TableToolbarContent>
+          </TableToolbar>
+          <Table>
+            <TableBody>
+              {rows.map((row) => (
+                <TableRow key={row.id} data-testid="row">
+                  {row.cells.map((cell) => (
+                    <TableCell key={cell.id}>{cell.value}</TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </>
+      )}
+    </DataTable>
+  );
+}
+
+describe('TableToolbarFilter', () => {
+  // The overflow menu only keeps track of its menu body once it has been
+  // placed, which requires the menu to have a size
+  beforeEach(() => {
+    jest
+      .spyOn(HTMLElement.prototype, 'getBoundingClientRect')
+      .mockImplementation(() => ({
+        width: 100,
+        height: 100,
+        top: 0,
+        left: 0,
+        right: 100,
+        bottom: 100,
+      }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should render a filter trigger', () => {
+    renderTable();
+    expect(
+      screen.getByRole('button', { name: 'Filter columns' })
+    ).toBeInTheDocument();
+  });
+
+  it('should filter rows by the values entered in the panel', async () => {
+    renderTable();
+    await userEvent.click(
+      screen.getByRole('button', { name: 'Filter columns' })
+    );
+
+    await userEvent.type(screen.getAllByLabelText('Value')[0], 'balancer');
+    expect(screen.getAllByTestId('row')).toHaveLength(2);
+
+    await userEvent.click(screen.getByLabelText('Active'));
+    expect(screen.getAllByTestId('row')).toHaveLength(1);
+    expect(screen.getByTestId('row')).toHaveTextContent('Load Balancer 1');
+
+    await userEvent.click(
+      screen.getByRole('button', { name: 'Clear filters' })
+    );
+    expect(screen.getAllByTestId('row')).toHaveLength(3);
+  });
+
+  it('should filter numeric ranges', async () => {
+    renderTable();
+    await userEvent.click(
+      screen.getByRole('button', { name: 'Filter columns' })
+    );
+
+    await userEvent.type(screen.getByLabelText('Minimum'), '100');
+    expect(screen.getAllByTestId('row')).toHaveLength(2);
+
+    await userEvent.type(screen.getByLabelText('Maximum'), '1000');
+    expect(screen.getAllByTestId('row')).toHaveLength(1);
+    expect(screen.getByTestId('row')).toHaveTextContent('443');
+  });
+
+  it('should report changes when column filters are controlled', async () => {
+    const onColumnFiltersChange = jest.fn();
+    renderTable({
+      columnFilters: [{ key: 'status', type: 'set', values: ['Disabled'] }],
+      onColumnFiltersChange,
+    });
+    expect(screen.getAllByTestId('row')).toHaveLength(1);
+
+    await userEvent.click(
+      screen.getByRole('button', { name: 'Filter columns' })
+    );
+    await userEvent.click(screen.getByLabelText('Active'));
+
+    expect(onColumnFiltersChange).toHaveBeenCalledWith([
+      { key: 'status', type: 'set', values: ['Disabled', 'Active'] },
+    ]);
+    // The table only changes once the `columnFilters` prop is updated
+    expect(screen.getAllByTestId('row')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import React from 'react';
+import {
+  DataTable,
+  Table,
+  TableCell,
+  TableExpandRow,
+  TableExpandedRow,
+  TableHead,
+  TableHeader,
+  TableRow,
+  TableSelectAll,
+  TableSelectRow,
+  TableVirtualBody,
+} from '../';
+
+const prefix = 'cds';
+
+const rows = Array.from({ length: 1000 }, (_, index) => ({
+  id: `row-${index}`,
+  name: `Row ${index}`,
+}));
+
+function scrollBodyTo(offset) {
+  jest
+    .spyOn(HTMLElement.prototype, 'getBoundingClientRect')
+    .mockImplementation(function () {
+      const top = this.tagName === 'TBODY' ? -offset : 0;
+      return { top, bottom: top, height: 0, width: 0, left: 0, right: 0 };
+    });
+  act(() => {
+    fireEvent.scroll(document);
+  });
+}
+
+function VirtualTable(props) {
+  return (
+    <Table>
+      <TableHead>
+        <TableRow>
+          <TableHeader>Name</TableHeader>
+        </TableRow>
+      </TableHead>
+      <TableVirtualBody
+        rows={rows}
+        renderRow={(row) => (
+          <TableRow key={row.id}>
+            <TableCell>
+              <button type="button">{row.name}</button>
+            </TableCell>
+          </TableRow>
+        )}
+        {...props}
+      />
+    </Table>
+  );
+}
+
+describe('TableVirtualBody', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should support a custom className on the outermost element', () => {
+    render(
+      <Table>
+        <TableVirtualBody
+          className="custom-class"
+          data-testid="body"
+          rows={[]}
+          renderRow={() => null}
+        />
+      </Table>
+    );
+    expect(screen.getByTestId('body')).toHaveClass(
+      'custom-class',
+      `${prefix}--table-virtual-body`
+    );
+  });
+
+  it('should only render the rows that are visible', () => {
+    render(<VirtualTable />);
+
+    expect(screen.getByText('Row 0')).toBeInTheDocument();
+    expect(screen.queryByText('Row 999')).not.toBeInTheDocument();
+    expect(screen.getAllByRole('row').length).toBeLessThan(50);
+  });
+
+  it('should report the row count and the index of each row', () => {
+    render(<VirtualTable />);
+
+    expect(screen.getByRole('table')).toHaveAttribute('aria-rowcount', '1001');
+    expect(screen.getByText('Row 0').closest('tr')).toHaveAttribute(
+      'aria-rowindex',
+      '2'
+    );
+  });
+
+  it('should render the rows that are scrolled into view', () => {
+    render(<VirtualTable />);
+    scrollBodyTo(48 * 500);
+
+    expect(screen.queryByText('Row 0')).not.toBeInTheDocument();
+    expect(screen.getByText('Row 500').closest('tr')).toHaveAttribute(
+      'aria-rowindex',
+      '502'
+    );
+    expect(screen.getByRole('table')).toHaveAttribute('aria-rowcount', '1001');
+  });
+
+  it('should keep the parity of rendered rows for zebra styles', () => {
+    const { container } = render(<VirtualTable overscan={0} />);
+    scrollBodyTo(48 * 501);
+
+    const body = container.querySelector('tbody');
+    const row = screen.getByText('Row 501').closest('tr');
+    const position = Array.from(body.children).indexOf(row) + 1;
+    // Row 501 would be the 502nd child if every row was rendered
+    expect(position % 2).toBe(0);
+  });
+
+  it('should keep the focused row mounted when it is scrolled out of view', async () => {
+    render(<VirtualTable />);
+
+    await userEvent.click(screen.getByText('Row 1'));
+    expect(screen.getByText('Row 1')).toHaveFocus();
+
+    scrollBodyTo(48 * 500);
+
+    expect(screen.getByText('Row 1')).toHaveFocus();
+    expect(screen.getByText('Row 1').closest('tr')).toHaveAttribute(
+      'aria-rowindex',
+      '3'
+    );
+    expect(screen.queryByText('Row 2')).not.toBeInTheDocument();
+  });
+
+  it('should account for expanded rows', () => {
+    const expandableRows = rows.map((row, index) => ({
+      ...row,
+      isExpanded: index === 0,
+    }));
+
+    render(
+      <Table>
+        <TableVirtualBody
+          rows={expandableRows}
+          renderRow={(row) => (
+            <React.Fragment key={row.id}>
+              <TableExpandRow
+                aria-label="Expand"
+                isExpanded={row.isExpanded}
+                onExpand={() => {}}>
+                <TableCell>{row.name}</TableCell>
+              </TableExpandRow>
+              {row.isExpanded && (
+                <TableExpandedRow colSpan={2}>Details</TableExpandedRow>
+              )}
+            </React.Fragment>
+          )}
+        />
+      </Table>
+    );
+
+    expect(screen.getByRole('table')).toHaveAttribute('aria-rowcount', '1002');
+    expect(screen.getByText('Details').closest('tr')).toHaveAttribute(
+      'aria-rowindex',
+      '3'
+    );
+    expect(screen.getByText('Row 1').closest('tr')).toHaveAttribute(
+      'aria-rowindex',
+      '4'
+    );
+  });
+
+  it('should support selection through DataTable', async () => {
+    // v12 TODO: Remove the mock of console.warn once we remove ariaLabel from DataTable
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    render(
+      <DataTable rows={rows} headers={[{ key: 'name', header: 'Name' }]}>
+        {({ rows, headers, getSelectionProps, getRowProps, selectedRows }) => (
+          <>
+            <p>{selectedRows.length} selected</p>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableSelectAll {...getSelectionProps()} />
+                  {headers.map((header) => (
+                    <TableHeader key={header.key}>{header.header}</TableHeader>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableVirtualBody
+                rows={rows}
+                renderRow={(row) => (
+                  <TableRow {...getRowProps({ row })}>
+                    <TableSelectRow {...getSelectionProps({ row })} />
+                    {row.cells.map((cell) => (
+                      <TableCell key={cell.id}>{cell.value}</TableCell>
+                    ))}
+                  </TableRow>
+                )}
+              />
+            </Table>
+          </>
+        )}
+      </DataTable>
+    );
+
+    await userEvent.click(screen.getAllByRole('checkbox')[0]);
+    expect(screen.getByText('1000 selected')).toBeInTheDocument();
+
+    await userEvent.click(screen.getAllByRole('checkbox')[1]);
+    expect(screen.getByText('999 selected')).toBeInTheDocument();
+  });
+});
@@ -26,6 +26,7 @@ const blocklist = new Set([
   'stories',
   'next',
   'TableContext.tsx',
+  'TableCellEditor.tsx',
 ]);
 const components = fs
   .readdirSync(COMPONENT_PATH)
@@ -7,12 +7,16 @@
 
 import DataTable, {
   type DataTableCell,
+  type DataTableCellEdit,
+  type DataTableGroupedRow,
   type DataTableHeader,
   type DataTableRow,
   type DataTableProps,
+  type DataTableQuery,
   type DataTableRenderProps,
   type DataTableSize,
 } from './DataTable';
+import type { DataTableCellEditor } from './TableCellEditor';
 import Table from './Table';
 import TableActionList from './TableActionList';
 import TableBatchAction from './TableBatchAction';
@@ -23,6 +27,15 @@ import TableContainer from './TableContainer';
 import TableExpandHeader from './TableExpandHeader';
 import TableExpandRow from './TableExpandRow';
 import TableExpandedRow from './TableExpandedRow';
+import TableFooter, {
+  type TableFooterProps,
+  type TableFooterTranslationKey,
+} from './TableFooter';
+import TableGroupRow, {
+  type TableGroupRowProps,
+  type TableGroupRowTranslationArgs,
+  type TableGroupRowTranslationKey,
+} from './TableGroupRow';
 import TableHead from './TableHead';
 import TableHeader, {
   TableHeaderTranslationKey,
@@ -34,10 +47,48 @@ import TableSelectRow from './TableSelectRow';
 import TableSlugRow from './TableSlugRow';
 import TableToolbar from './TableToolbar';
 import TableToolbarAction from './TableToolbarAction';
+import TableToolbarColumnChooser, {
+  type TableToolbarColumnChooserColumn,
+  type TableToolbarColumnChooserProps,
+  type TableToolbarColumnChooserTranslationKey,
+} from './TableToolbarColumnChooser';
 import TableToolbarContent from './TableToolbarContent';
+import TableToolbarExport, {
+  type DataTableExportFormat,
+  type TableToolbarExportProps,
+  type TableToolbarExportTranslationArgs,
+  type TableToolbarExportTranslationKey,
+} from './TableToolbarExport';
+import TableToolbarFilter, {
+  type TableToolbarFilterColumn,
+  type TableToolbarFilterProps,
+  type TableToolbarFilterTranslationKey,
+} from './TableToolbarFilter';
 import TableToolbarSearch from './TableToolbarSearch';
 import TableToolbarMenu from './TableToolbarMenu';
-import type { DataTableSortState } from './state/sortStates';
+import TableVirtualBody, {
+  type TableVirtualBodyProps,
+} from './TableVirtualBody';
+import type {
+  DataTableSortState,
+  DataTableSortStackEntry,
+} from './state/sortStates';
+import type { DataTableColumnState } from './state/columnTypes';
+import type {
+  DataTableAggregate,
+  DataTableAggregateType,
+  DataTableGroup,
+} from './state/groupTypes';
+import type {
+  DataTableColumnFilter,
+  DataTableColumnFilterValue,
+  DataTableFilterType,
+} from './state/filterTypes';
+import {
+  serializeColumnFilters,
+  deserializeColumnFilters,
+} from './tools/filter';
+import { downloadTableData, exportTableData } from './tools/export';
 
 DataTable.Table = Table;
 DataTable.TableActionList = TableActionList;
@@ -49,6 +100,8 @@ DataTable.TableContainer = TableContainer;
 DataTable.TableExpandHeader = TableExpandHeader;
 DataTable.TableExpandRow = TableExpandRow;
 DataTable.TableExpandedRow = TableExpandedRow;
+DataTable.TableFooter = TableFooter;
+DataTable.TableGroupRow = TableGroupRow;
 DataTable.TableHead = TableHead;
 DataTable.TableHeader = TableHeader;
 DataTable.TableRow = TableRow;
@@ -57,17 +110,34 @@ DataTable.TableSelectRow = TableSelectRow;
 DataTable.TableSlugRow = TableSlugRow;
 DataTable.TableToolbar = TableToolbar;
 DataTable.TableToolbarAction = TableToolbarAction;
+DataTable.TableToolbarColumnChooser = TableToolbarColumnChooser;
 DataTable.TableToolbarContent = TableToolbarContent;
+DataTable.TableToolbarExport = TableToolbarExport;
+DataTable.TableToolbarFilter = TableToolbarFilter;
 DataTable.TableToolbarSearch = TableToolbarSearch;
 DataTable.TableToolbarMenu = TableToolbarMenu;
+DataTable.TableVirtualBody = TableVirtualBody;
 
 export {
   DataTable,
+  type DataTableAggregate,
+  type DataTableAggregateType,
   type DataTableCell,
+  type DataTableCellEdit,
+  type DataTableCellEditor,
+  type DataTableColumnFilter,
+  type DataTableColumnFilterValue,
+  type DataTableColumnState,
+  type DataTableExportFormat,
+  type DataTableFilterType,
+  type DataTableGroup,
+  type DataTableGroupedRow,
   type DataTableHeader,
   type DataTableProps,
+  type DataTableQuery,
   type DataTableRenderProps,
   type DataTableSortState,
+  type DataTableSortStackEntry,
   type DataTableRow,
   type DataTableSize,
   Table,
@@ -80,6 +150,13 @@ export {
   TableExpandHeader,
   TableExpandRow,
   TableExpandedRow,
+  TableFooter,
+  type TableFooterProps,
+  type TableFooterTranslationKey,
+  TableGroupRow,
+  type TableGroupRowProps,
+  type TableGroupRowTranslationArgs,
+  type TableGroupRowTranslationKey,
   TableHead,
   TableHeader,
   type TableHeaderTranslationKey,
@@ -90,9 +167,27 @@ export {
   TableSlugRow,
   TableToolbar,
   TableToolbarAction,
+  TableToolbarColumnChooser,
+  type TableToolbarColumnChooserColumn,
+  type TableToolbarColumnChooserProps,
+  type TableToolbarColumnChooserTranslationKey,
   TableToolbarContent,
+  TableToolbarExport,
+  type TableToolbarExportProps,
+  type TableToolbarExportTranslationArgs,
+  type TableToolbarExportTranslationKey,
+  TableToolbarFilter,
+  type TableToolbarFilterColumn,
+  type TableToolbarFilterProps,
+  type TableToolbarFilterTranslationKey,
   TableToolbarSearch,
   TableToolbarMenu,
+  TableVirtualBody,
+  type TableVirtualBodyProps,
+  serializeColumnFilters,
+  deserializeColumnFilters,
+  exportTableData,
+  downloadTableData,
 };
 
 export default DataTable;
@@ -0,0 +1,143 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  getColumnState,
+  getVisibleHeaders,
+  maxColumnWidth,
+  minColumnWidth,
+  moveColumn,
+  moveColumnTo,
+  resizeColumn,
+  toggleColumn,
+} from '../columns';
+
+const headers = [
+  { key: 'name', header: 'Name' },
+  { key: 'protocol', header: 'Protocol' },
+  { key: 'port', header: 'Port' },
+];
+
+describe('column state', () => {
+  describe('getColumnState', () => {
+    it('should default to the order of the headers', () => {
+      expect(getColumnState(headers)).toEqual({
+        order: ['name', 'protocol', 'port'],
+        widths: {},
+        hidden: [],
+      });
+    });
+
+    it('should drop unknown keys and add missing headers to the end', () => {
+      expect(
+        getColumnState(headers, {
+          order: ['port', 'removed', 'name'],
+          widths: { name: 200, removed: 100 },
+          hidden: ['removed', 'port'],
+        })
+      ).toEqual({
+        order: ['port', 'name', 'protocol'],
+        widths: { name: 200 },
+        hidden: ['port'],
+      });
+    });
+  });
+
+  describe('getVisibleHeaders', () => {
+    it('should return the visible headers in their display order', () => {
+      const columnState = {
+        order: ['port', 'name', 'protocol'],
+        widths: {},
+        hidden: ['name'],
+      };
+      expect(getVisibleHeaders(headers, columnState)).toEqual([
+        headers[2],
+        headers[1],
+      ]);
+    });
+  });
+
+  describe('moveColumn', () => {
+    it('should move a column by the given offset', () => {
+      const columnState = getColumnState(headers);
+      expect(moveColumn(columnState, 'name', 1).order).toEqual([
+        'protocol',
+        'name',
+        'port',
+      ]);
+      expect(moveColumn(columnState, 'port', -2).order).toEqual([
+        'port',
+        'name',
+        'protocol',
+      ]);
+    });
+
+    it('should skip hidden columns', () => {
+      const columnState = { ...getColumnState(headers), hidden: ['protocol'] };
+      expect(moveColumn(columnState, 'name', 1).order).toEqual([
+        'protocol',
+        'port',
+        'name',
+      ]);
+    });
+
+    it('should not move a column past either end', () => {
+      const columnState = getColumnState(headers);
+      expect(moveColumn(columnState, 'name', -1)).toBe(columnState);
+      expect(moveColumn(columnState, 'port', 1)).toBe(columnState);
+    });
+  });
+
+  describe('moveColumnTo', () => {
+    it('should move a column to the position of the target column', () => {
+      const columnState = getColumnState(headers);
+      expect(moveColumnTo(columnState, 'name', 'port').order).toEqual([
+        'protocol',
+        'port',
+        'name',
+      ]);
+      expect(moveColumnTo(columnState, 'port', 'name').order).toEqual([
+        'port',
+        'name',
+        'protocol',
+      ]);
+    });
+  });
+
+  describe('resizeColumn', () => {
+    it('should round widths and clamp them to the minimum and maximum widths', () => {
+      const columnState = getColumnState(headers);
+      expect(resizeColumn(columnState, 'name', 120.6).widths).toEqual({
+        name: 121,
+      });
+      expect(resizeColumn(columnState, 'name', 1).widths).toEqual({
+        name: minColumnWidth,
+      });
+      expect(resizeColumn(columnState, 'name', 5000).widths).toEqual({
+        name: maxColumnWidth,
+      });
+    });
+  });
+
+  describe('toggleColumn', () => {
+    it('should toggle the visibility of a column', () => {
+      const columnState = getColumnState(headers);
+      const hidden = toggleColumn(columnState, 'name');
+      expect(hidden.hidden).toEqual(['name']);
+      expect(toggleColumn(hidden, 'name').hidden).toEqual([]);
+      expect(toggleColumn(hidden, 'name', false).hidden).toEqual(['name']);
+    });
+
+    it('should not hide the last visible column', () => {
+      const columnState = {
+        ...getColumnState(headers),
+        hidden: ['name', 'protocol'],
+      };
+      expect(toggleColumn(columnState, 'port', false)).toBe(columnState);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { getColumnFilter, getNextColumnFilters } from '../filtering';
+
+describe('filtering state', () => {
+  describe('getNextColumnFilters', () => {
+    it('should add a filter for a new column', () => {
+      expect(
+        getNextColumnFilters([], 'name', { type: 'text', value: 'a' })
+      ).toEqual([{ key: 'name', type: 'text', value: 'a' }]);
+    });
+
+    it('should replace the filter for an existing column in place', () => {
+      const columnFilters = [
+        { key: 'name', type: 'text', value: 'a' },
+        { key: 'port', type: 'number', min: 1 },
+      ];
+      expect(
+        getNextColumnFilters(columnFilters, 'name', {
+          type: 'text',
+          value: 'b',
+        })
+      ).toEqual([
+        { key: 'name', type: 'text', value: 'b' },
+        { key: 'port', type: 'number', min: 1 },
+      ]);
+    });
+
+    it('should remove the filter for a column when given null', () => {
+      const columnFilters = [{ key: 'name', type: 'text', value: 'a' }];
+      expect(getNextColumnFilters(columnFilters, 'name', null)).toEqual([]);
+    });
+  });
+
+  describe('getColumnFilter', () => {
+    it('should return the filter for the given column or null', () => {
+      const filter = { key: 'name', type: 'text', value: 'a' };
+      expect(getColumnFilter([filter], 'name')).toBe(filter);
+      expect(getColumnFilter([filter], 'port')).toBe(null);
+    });
+  });
+});
@@ -93,5 +93,40 @@ describe('getDerivedStateFromProps', () => {
       const nextState = getDerivedStateFromProps(mockProps, prevState);
       expect(nextState.shouldShowBatchActions).toBe(true);
     });
+
+    it('should sort by a controlled sort stack', () => {
+      const nextState = getDerivedStateFromProps(
+        {
+          ...mockProps,
+          sortStack: [{ key: 'sortField', sortDirection: 'DESC' }],
+        },
+        {}
+      );
+      expect(nextState.rowIds).toEqual(['2', '1', '0']);
+      expect(nextState.sortHeaderKey).toBe('sortField');
+      expect(nextState.sortDirection).toBe('DESC');
+    });
+
+    it('should preserve the previous sort stack', () => {
+      const prevState = {
+        sortStack: [{ key: 'sortField', sortDirection: 'ASC' }],
+      };
+      const nextState = getDerivedStateFromProps(mockProps, prevState);
+      expect(nextState.sortStack).toEqual(prevState.sortStack);
+    });
+
+    it('should preserve the previous page unless it is controlled', () => {
+      const initialState = getDerivedStateFromProps(mockProps, {});
+      expect(initialState.page).toBe(1);
+      expect(initialState.pageSize).toBeUndefined();
+
+      const prevState = { page: 3, pageSize: 10 };
+      expect(getDerivedStateFromProps(mockProps, prevState)).toEqual(
+        expect.objectContaining(prevState)
+      );
+      expect(
+        getDerivedStateFromProps({ ...mockProps, page: 2 }, prevState)
+      ).toEqual(expect.objectContaining({ page: 2, pageSize: 10 }));
+    });
   });
 });
@@ -11,10 +11,12 @@ describe('sorting state', () => {
   let initialSortState;
   let getNextSortDirection;
   let getNextSortState;
+  let getNextSortStack;
 
   beforeEach(() => {
     jest.mock('../../tools/sorting', () => ({
       sortRows: jest.fn(() => ['b', 'a', 'c']),
+      sortRowsByStack: jest.fn(() => ['b', 'a', 'c']),
     }));
 
     sorting = require('../sorting');
@@ -22,6 +24,7 @@ describe('sorting state', () => {
     initialSortState = sorting.initialSortState;
     getNextSortDirection = sorting.getNextSortDirection;
     getNextSortState = sorting.getNextSortState;
+    getNextSortStack = sorting.getNextSortStack;
   });
 
   describe('sortStates', () => {
@@ -144,6 +147,7 @@ describe('sorting state', () => {
       ).toEqual({
         sortHeaderKey,
         sortDirection: sortStates.ASC,
+        sortStack: [{ key: sortHeaderKey, sortDirection: sortStates.ASC }],
         rowIds: ['b', 'a', 'c'],
       });
     });
@@ -176,19 +180,87 @@ describe('sorting state', () => {
       expect(nextState1).toEqual({
         sortHeaderKey,
         sortDirection: sortStates.ASC,
+        sortStack: [{ key: sortHeaderKey, sortDirection: sortStates.ASC }],
         rowIds: ['b', 'a', 'c'],
       });
       expect(nextState2).toEqual({
         sortHeaderKey,
         sortDirection: sortStates.DESC,
+        sortStack: [{ key: sortHeaderKey, sortDirection: sortStates.DESC }],
         rowIds: ['b', 'a', 'c'],
       });
       expect(nextState3).toEqual({
         sortHeaderKey,
         sortDirection: sortStates.NONE,
+        sortStack: [],
         // Initial row order
         rowIds: ['a', 'b', 'c'],
       });
     });
   });
+
+  describe('getNextSortStack', () => {
+    it('should replace the stack when not multi sorting', () => {
+      const sortStack = [
+        { key: 'a', sortDirection: sortStates.ASC },
+        { key: 'b', sortDirection: sortStates.DESC },
+      ];
+      expect(getNextSortStack(sortStack, 'b')).toEqual([
+        { key: 'b', sortDirection: sortStates.ASC },
+      ]);
+      expect(getNextSortStack(sortStack, 'a')).toEqual([
+        { key: 'a', sortDirection: sortStates.DESC },
+      ]);
+    });
+
+    it('should append new headers in ASC order when multi sorting', () => {
+      const sortStack = [{ key: 'a', sortDirection: sortStates.DESC }];
+      expect(getNextSortStack(sortStack, 'b', { isMultiSort: true })).toEqual([
+        { key: 'a', sortDirection: sortStates.DESC },
+        { key: 'b', sortDirection: sortStates.ASC },
+      ]);
+    });
+
+    it('should transition headers in place and remove them on NONE', () => {
+      const sortStack = [
+        { key: 'a', sortDirection: sortStates.ASC },
+        { key: 'b', sortDirection: sortStates.ASC },
+      ];
+      const nextStack1 = getNextSortStack(sortStack, 'a', {
+        isMultiSort: true,
+      });
+      const nextStack2 = getNextSortStack(nextStack1, 'a', {
+        isMultiSort: true,
+      });
+      expect(nextStack1).toEqual([
+        { key: 'a', sortDirection: sortStates.DESC },
+        { key: 'b', sortDirection: sortStates.ASC },
+      ]);
+      expect(nextStack2).toEqual([{ key: 'b', sortDirection: sortStates.ASC }]);
+    });
+  });
+
+  describe('getNextSortState with multi sort', () => {
+    it('should mirror the primary entry of the stack', () => {
+      const mockProps = { locale: 'en' };
+      const mockState = {
+        rowIds: ['a', 'b'],
+        initialRowOrder: ['a', 'b'],
+        cellsById: {},
+        sortHeaderKey: 'a',
+        sortDirection: sortStates.ASC,
+        sortStack: [{ key: 'a', sortDirection: sortStates.ASC }],
+      };
+      const nextState = getNextSortState(mockProps, mockState, {
+        key: 'b',
+        isMultiSort: true,
+      });
+      expect(nextState.sortHeaderKey).toBe('a');
+      expect(nextState.sortDirection).toBe(sortStates.ASC);
+      expect(nextState.sortStack).toEqual([
+        { key: 'a', sortDirection: sortStates.ASC },
+        { key: 'b', sortDirection: sortStates.ASC },
+      ]);
+    });
+  });
 });
@@ -0,0 +1,27 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * The layout of the columns of a table. Column state only contains plain
+ * values so that it can be saved, for example per user.
+ */
+export interface DataTableColumnState {
+  /**
+   * The header keys in the order that their columns are displayed
+   */
+  order: Array<string>;
+
+  /**
+   * The width of resized columns, in pixels, by header key
+   */
+  widths: Record<string, number>;
+
+  /**
+   * The header keys of the columns that are hidden
+   */
+  hidden: Array<string>;
+}
@@ -0,0 +1,138 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * The smallest width, in pixels, that a column can be resized to
+ */
+export const minColumnWidth = 48;
+
+/**
+ * The largest width, in pixels, that a column can be resized to
+ */
+export const maxColumnWidth = 1024;
+
+/**
+ * Get the column state for the given headers. Keys from the given column state
+ * that no longer match a header are dropped, and headers that are missing from
+ * its order are added at the end.
+ *
+ * @param {Array<object>} headers
+ * @param {object} [columnState]
+ * @returns {object}
+ */
+export const getColumnState = (headers, columnState) => {
+  const keys = headers.map((header) => header.key);
+  const { order = [], widths = {}, hidden = [] } = columnState || {};
+  const knownOrder = order.filter((key) => keys.includes(key));
+  return {
+    order: [...knownOrder, ...keys.filter((key) => !knownOrder.includes(key))],
+    widths: Object.keys(widths)
+      .filter((key) => keys.includes(key))
+      .reduce((acc, key) => ({ ...acc, [key]: widths[key] }), {}),
+    hidden: hidden.filter((key) => keys.includes(key)),
+  };
+};
+
+/**
+ * Get the headers that should be rendered for the given column state, in
+ * their display order.
+ *
+ * @param {Array<object>} headers
+ * @param {object} columnState
+ * @returns {Array<object>}
+ */
+export const getVisibleHeaders = (headers, columnState) => {
+  const { order } = getColumnState(headers, columnState);
+  return order
+    .filter((key) => !columnState.hidden.includes(key))
+    .map((key) => headers.find((header) => header.key === key));
+};
+
+/**
+ * Move the column with the given key by `offset` positions. Hidden columns
+ * are skipped so that every move is visible.
+ *
+ * @param {object} columnState
+ * @param {string} key
+ * @param {number} offset
+ * @returns {object}
+ */
+export const moveColumn = (columnState, key, offset) => {
+  const visible = columnState.order.filter(
+    (entry) => !columnState.hidden.includes(entry)
+  );
+  const target = visible[visible.indexOf(key) + offset];
+  if (target === undefined) {
+    return columnState;
+  }
+  return moveColumnTo(columnState, key, target);
+};
+
+/**
+ * Move the column with the given key to the position of the column with the
+ * `targetKey`.
+ *
+ * @param {object} columnState
+ * @param {string} key
+ * @param {string} targetKey
+ * @returns {object}
+ */
+export const moveColumnTo = (columnState, key, targetKey) => {
+  const { order } = columnState;
+  const from = order.indexOf(key);
+  const to = order.indexOf(targetKey);
+  if (from === -1 || to === -1 || from === to) {
+    return columnState;
+  }
+  const nextOrder = order.filter((entry) => entry !== key);
+  nextOrder.splice(to, 0, key);
+  return { ...columnState, order: nextOrder };
+};
+
+/**
+ * Set the width of the column with the given key, between `minColumnWidth`
+ * and `maxColumnWidth`
+ *
+ * @param {object} columnState
+ * @param {string} key
+ * @param {number} width
+ * @returns {object}
+ */
+export const resizeColumn = (columnState, key, width) => ({
+  ...columnState,
+  widths: {
+    ...columnState.widths,
+    [key]: Math.min(
+      maxColumnWidth,
+      Math.max(minColumnWidth, Math.round(width))
+    ),
+  },
+});
+
+/**
+ * Show or hide the column with the given key. The last visible column cannot
+ * be hidden.
+ *
+ * @param {object} columnState
+ * @param {string} key
+ * @param {boolean} [isVisible] defaults to toggling the current visibility
+ * @returns {object}
+ */
+export const toggleColumn = (
+  columnState,
+  key,
+  isVisible = columnState.hidden.includes(key)
+) => {
+  const hidden = columnState.hidden.filter((entry) => entry !== key);
+  if (isVisible) {
+    return { ...columnState, hidden };
+  }
+  if (hidden.length + 1 >= columnState.order.length) {
+    return columnState;
+  }
+  return { ...columnState, hidden: [...hidden, key] };
+};
@@ -0,0 +1,89 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+export type DataTableFilterType =
+  | 'text'
+  | 'number'
+  | 'date'
+  | 'boolean'
+  | 'set';
+
+/**
+ * We currently support the following per-column filter types: `text` for
+ * substring or exact matches, `number` and `date` for inclusive ranges,
+ * `boolean` for true/false cells, and `set` for enumerated values.
+ */
+export const filterTypes: Record<string, DataTableFilterType> = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  DATE: 'date',
+  BOOLEAN: 'boolean',
+  SET: 'set',
+};
+
+export type DataTableTextFilterOperator = 'contains' | 'equals';
+
+export interface DataTableTextFilter {
+  key: string;
+  type: 'text';
+  operator?: DataTableTextFilterOperator;
+  value: string;
+}
+
+export interface DataTableNumberFilter {
+  key: string;
+  type: 'number';
+  min?: number | null;
+  max?: number | null;
+}
+
+export interface DataTableDateFilter {
+  key: string;
+  type: 'date';
+  /**
+   * ISO 8601 date or date-time string, inclusive
+   */
+  from?: string | null;
+  /**
+   * ISO 8601 date or date-time string, inclusive
+   */
+  to?: string | null;
+}
+
+export interface DataTableBooleanFilter {
+  key: string;
+  type: 'boolean';
+  value: boolean | null;
+}
+
+export interface DataTableSetFilter {
+  key: string;
+  type: 'set';
+  values: Array<string | number | boolean>;
+}
+
+/**
+ * A filter applied to a single column. Filters only contain plain values so
+ * that they can be serialized, for example to a URL or to local storage.
+ */
+export type DataTableColumnFilter =
+  | DataTableTextFilter
+  | DataTableNumberFilter
+  | DataTableDateFilter
+  | DataTableBooleanFilter
+  | DataTableSetFilter;
+
+/**
+ * A column filter without its `key`, as passed to `onFilterChange` by the
+ * props returned from `getFilterProps`
+ */
+export type DataTableColumnFilterValue = {
+  [T in DataTableFilterType]: Omit<
+    Extract<DataTableColumnFilter, { type: T }>,
+    'key'
+  >;
+}[DataTableFilterType];
@@ -0,0 +1,43 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { filterTypes } from './filterTypes';
+export { filterTypes };
+
+/**
+ * Utility used to get the next list of column filters when the filter for a
+ * single column changes. Passing in `null` for the filter removes any existing
+ * filter for that column. Filters keep the order in which they were first
+ * added.
+ *
+ * @param {Array<object>} columnFilters the current column filters
+ * @param {string} key the header key of the column being filtered
+ * @param {object|null} filter the next filter for the column
+ * @returns {Array<object>}
+ */
+export const getNextColumnFilters = (columnFilters, key, filter) => {
+  if (!filter) {
+    return columnFilters.filter((entry) => entry.key !== key);
+  }
+
+  const nextFilter = { ...filter, key };
+  const index = columnFilters.findIndex((entry) => entry.key === key);
+  if (index === -1) {
+    return [...columnFilters, nextFilter];
+  }
+  return columnFilters.map((entry, i) => (i === index ? nextFilter : entry));
+};
+
+/**
+ * Get the filter for the given column, if one exists.
+ *
+ * @param {Array<object>} columnFilters
+ * @param {string} key
+ * @returns {object|null}
+ */
+export const getColumnFilter = (columnFilters, key) =>
+  columnFilters.find((entry) => entry.key === key) || null;
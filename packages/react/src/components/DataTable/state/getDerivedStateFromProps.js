@@ -5,8 +5,38 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import { initialSortState, getSortedState } from './sorting';
+import {
+  initialSortState,
+  getSortedState,
+  getSortStackState,
+  sortStates,
+} from './sorting';
 import normalize from '../tools/normalize';
+import { getColumnState } from './columns';
+
+/**
+ * Get the sort stack for the next state. A `sortStack` prop always wins so that
+ * the table can be controlled, otherwise we fall back to the stack from the
+ * previous state or build one from a previous single column sort.
+ */
+const getSortStack = (props, prevState) => {
+  if (props.sortStack) {
+    return props.sortStack;
+  }
+  if (prevState.sortStack) {
+    return prevState.sortStack;
+  }
+  if (
+    prevState.sortHeaderKey &&
+    prevState.sortDirection &&
+    prevState.sortDirection !== sortStates.NONE
+  ) {
+    return [
+      { key: prevState.sortHeaderKey, sortDirection: prevState.sortDirection },
+    ];
+  }
+  return [];
+};
 
 /**
  * Helper to derive the next state from the given props and the
@@ -27,17 +57,37 @@ const getDerivedStateFromProps = (props, prevState) => {
     cellsById,
     sortDirection: prevState.sortDirection || initialSortState,
     sortHeaderKey: prevState.sortHeaderKey || null,
+    sortStack: getSortStack(props, prevState),
     // Copy over rowIds so the reference doesn't mutate the stored
     // `initialRowOrder`
     initialRowOrder: rowIds.slice(),
     filterInputValue: prevState.filterInputValue || null,
+    columnFilters: props.columnFilters || prevState.columnFilters || [],
+    columnState: getColumnState(
+      props.headers,
+      props.columnState || prevState.columnState
+    ),
+    groupBy: props.groupBy || prevState.groupBy || [],
+    expandedGroups: prevState.expandedGroups || {},
+    page: props.page ?? prevState.page ?? 1,
+    pageSize: props.pageSize ?? prevState.pageSize,
 
     // Optional state field to indicate whether a consumer should show a
     // batch actions menu
     shouldShowBatchActions: prevState.shouldShowBatchActions || false,
   };
 
-  if (prevState.sortDirection && prevState.sortHeaderKey) {
+  if (props.sortStack || state.sortStack.length > 1) {
+    const { rowIds, sortHeaderKey, sortDirection } = getSortStackState(
+      props,
+      state,
+      state.sortStack,
+      state.sortHeaderKey
+    );
+    state.rowIds = rowIds;
+    state.sortHeaderKey = sortHeaderKey;
+    state.sortDirection = sortDirection;
+  } else if (prevState.sortDirection && prevState.sortHeaderKey) {
     const { rowIds } = getSortedState(
       props,
       state,
@@ -0,0 +1,68 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import type { ReactNode } from 'react';
+
+/**
+ * The built-in aggregates: `count` counts the cells that have a value, `sum`
+ * and `avg` only take numbers into account, and `min` and `max` compare
+ * numbers, dates or strings.
+ */
+export type DataTableAggregateType = 'count' | 'sum' | 'avg' | 'min' | 'max';
+
+/**
+ * The aggregate of a column, either the name of a built-in aggregate or a
+ * function called with the values of the column and the ids of their rows
+ */
+export type DataTableAggregate =
+  | DataTableAggregateType
+  | ((values: Array<any>, rowIds: Array<string>) => unknown);
+
+/**
+ * A group of rows that share the same value for one of the `groupBy` columns
+ */
+export interface DataTableGroup {
+  /**
+   * Unique id of the group, built from the values of the group and its parents
+   */
+  id: string;
+
+  /**
+   * The key of the header the rows are grouped by
+   */
+  headerKey: string;
+
+  /**
+   * The header the rows are grouped by
+   */
+  header: ReactNode;
+
+  /**
+   * The value that the rows of the group share
+   */
+  value: unknown;
+
+  /**
+   * The nesting level of the group, starting at 0
+   */
+  depth: number;
+
+  /**
+   * The number of rows in the group, across all pages
+   */
+  rowCount: number;
+
+  /**
+   * The aggregated values of the rows in the group, by header key
+   */
+  aggregates: Record<string, unknown>;
+
+  /**
+   * Whether the rows of the group are shown
+   */
+  isExpanded: boolean;
+}
@@ -17,3 +17,12 @@ export const sortStates: Record<DataTableSortState, DataTableSortState> = {
   DESC: 'DESC',
   ASC: 'ASC',
 };
+
+/**
+ * A single entry in a multi-column sort. Entries are ordered by priority, with
+ * the first entry being the primary sort header.
+ */
+export interface DataTableSortStackEntry {
+  key: string;
+  sortDirection: DataTableSortState;
+}
@@ -7,7 +7,7 @@
 
 import { sortStates } from './sortStates';
 export { sortStates };
-import { sortRows } from '../tools/sorting';
+import { sortRows, sortRowsByStack } from '../tools/sorting';
 
 // Our initialSortState should be `NONE`, unless a consumer has specified a
 // different initialSortState
@@ -41,8 +41,70 @@ export const getNextSortDirection = (prevHeader, header, prevState) => {
   return sortStates.ASC;
 };
 
-export const getNextSortState = (props, state, { key }) => {
-  const { sortDirection, sortHeaderKey } = state;
+/**
+ * Utility used to get the next sort stack when a header is selected. A sort
+ * stack is an ordered list of `{ key, sortDirection }` entries, where the first
+ * entry is the primary sort key.
+ *
+ * When `isMultiSort` is false, the stack is replaced with the given header
+ * using the same NONE -> ASC -> DESC -> NONE sequence as single column sorting.
+ * When `isMultiSort` is true, the header is either appended to the stack in
+ * ascending order or, if it is already in the stack, transitioned to its next
+ * direction in place. Headers that transition back to NONE are removed.
+ *
+ * @param {Array<{ key: string, sortDirection: string }>} sortStack
+ * @param {string} key the header key that was selected
+ * @param {object} [options]
+ * @param {boolean} [options.isMultiSort]
+ * @returns {Array<{ key: string, sortDirection: string }>}
+ */
+export const getNextSortStack = (
+  sortStack,
+  key,
+  { isMultiSort = false } = {}
+) => {
+  const index = sortStack.findIndex((entry) => entry.key === key);
+
+  if (!isMultiSort) {
+    const primary = sortStack[0];
+    const nextSortDirection = getNextSortDirection(
+      key,
+      primary ? primary.key : null,
+      primary ? primary.sortDirection : sortStates.NONE
+    );
+    return nextSortDirection === sortStates.NONE
+      ? []
+      : [{ key, sortDirection: nextSortDirection }];
+  }
+
+  if (index === -1) {
+    return [...sortStack, { key, sortDirection: sortStates.ASC }];
+  }
+
+  const nextSortDirection = getNextSortDirection(
+    key,
+    key,
+    sortStack[index].sortDirection
+  );
+  if (nextSortDirection === sortStates.NONE) {
+    return sortStack.filter((entry) => entry.key !== key);
+  }
+  return sortStack.map((entry) =>
+    entry.key === key ? { key, sortDirection: nextSortDirection } : entry
+  );
+};
+
+export const getNextSortState = (
+  props,
+  state,
+  { key, isMultiSort = false }
+) => {
+  const { sortDirection, sortHeaderKey, sortStack = [] } = state;
+
+  if (isMultiSort) {
+    const nextSortStack = getNextSortStack(sortStack, key, { isMultiSort });
+    return getSortStackState(props, state, nextSortStack, key);
+  }
 
   const nextSortDirection = getNextSortDirection(
     key,
@@ -61,6 +123,8 @@ export const getNextSortState = (props, state, { key }) => {
  * @param {string} props.locale The current locale
  * @param {Function} props.sortRows Method to handle sorting a collection of
  * rows
+ * @param {boolean} props.isManual Whether rows are already sorted by the
+ * consumer, in which case they keep their order
  * @param {object} state
  * @param {Array<string>} state.rowIds Array of row ids
  * @param {object} state.cellsById Lookup object for cells by id
@@ -73,9 +137,9 @@ export const getNextSortState = (props, state, { key }) => {
  */
 export const getSortedState = (props, state, key, sortDirection) => {
   const { rowIds, cellsById, initialRowOrder } = state;
-  const { locale, sortRow } = props;
+  const { isManual, locale, sortRow } = props;
   const nextRowIds =
-    sortDirection !== sortStates.NONE
+    !isManual && sortDirection !== sortStates.NONE
       ? sortRows({
           rowIds,
           cellsById,
@@ -88,6 +152,52 @@ export const getSortedState = (props, state, key, sortDirection) => {
   return {
     sortHeaderKey: key,
     sortDirection: sortDirection,
+    sortStack:
+      sortDirection !== sortStates.NONE ? [{ key, sortDirection }] : [],
+    rowIds: nextRowIds,
+  };
+};
+
+/**
+ * Derive the set of sorted state fields from props and state for the given
+ * sort stack. The `sortHeaderKey` and `sortDirection` fields mirror the primary
+ * entry of the stack so that single column consumers keep working.
+ *
+ * @param {object} props
+ * @param {string} props.locale The current locale
+ * @param {Function} props.sortRow Method to handle sorting a collection of
+ * rows
+ * @param {boolean} props.isManual Whether rows are already sorted by the
+ * consumer, in which case they keep their order
+ * @param {object} state
+ * @param {Array<string>} state.rowIds Array of row ids
+ * @param {object} state.cellsById Lookup object for cells by id
+ * @param {Array<string>} state.initialRowOrder Initial row order for the
+ * current set of rows
+ * @param {Array<{ key: string, sortDirection: string }>} sortStack The ordered
+ * list of headers to sort by
+ * @param {string} [lastKey] The most recently selected header key, used as the
+ * `sortHeaderKey` when the stack is empty
+ * @returns {object}
+ */
+export const getSortStackState = (props, state, sortStack, lastKey = null) => {
+  const { rowIds, cellsById, initialRowOrder } = state;
+  const { isManual, locale, sortRow } = props;
+  const [primary] = sortStack;
+  const nextRowIds =
+    !isManual && sortStack.length > 0
+      ? sortRowsByStack({
+          rowIds,
+          cellsById,
+          sortStack,
+          locale,
+          sortRow,
+        })
+      : initialRowOrder;
+  return {
+    sortHeaderKey: primary ? primary.key : lastKey,
+    sortDirection: primary ? primary.sortDirection : sortStates.NONE,
+    sortStack,
     rowIds: nextRowIds,
   };
 };
@@ -0,0 +1,108 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { action } from '@storybook/addon-actions';
+import DataTable, {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableHeader,
+  TableRow,
+  TableToolbar,
+  TableToolbarColumnChooser,
+  TableToolbarContent,
+} from '..';
+import { rows, headers } from './shared';
+import mdx from '../DataTable.mdx';
+
+export default {
+  title: 'Components/DataTable/Column layout',
+  component: DataTable,
+  subcomponents: {
+    TableToolbarColumnChooser,
+    TableContainer,
+    TableToolbar,
+    TableToolbarContent,
+    Table,
+    TableHead,
+    TableRow,
+    TableHeader,
+    TableBody,
+    TableCell,
+  },
+  parameters: {
+    docs: {
+      page: mdx,
+    },
+  },
+};
+
+export const Default = (args) => (
+  <DataTable
+    rows={rows}
+    headers={headers}
+    onColumnStateChange={action('onColumnStateChange')}
+    {...args}>
+    {({
+      rows,
+      headers,
+      getHeaderProps,
+      getRowProps,
+      getTableProps,
+      getTableContainerProps,
+      getColumnChooserProps,
+    }) => (
+      <TableContainer
+        title="DataTable"
+        description="With resizable, reorderable and hideable columns"
+        {...getTableContainerProps()}>
+        <TableToolbar>
+          <TableToolbarContent>
+            <TableToolbarColumnChooser {...getColumnChooserProps()} />
+          </TableToolbarContent>
+        </TableToolbar>
+        <Table {...getTableProps()} aria-label="sample table">
+          <TableHead>
+            <TableRow>
+              {headers.map((header) => (
+                <TableHeader key={header.key} {...getHeaderProps({ header })}>
+                  {header.header}
+                </TableHeader>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((row) => (
+              <TableRow key={row.id} {...getRowProps({ row })}>
+                {row.cells.map((cell) => (
+                  <TableCell key={cell.id}>{cell.value}</TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    )}
+  </DataTable>
+);
+
+Default.args = {
+  isResizable: true,
+  isReorderable: true,
+};
+
+Default.argTypes = {
+  isResizable: {
+    control: { type: 'boolean' },
+  },
+  isReorderable: {
+    control: { type: 'boolean' },
+  },
+};
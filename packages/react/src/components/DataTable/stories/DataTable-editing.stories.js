@@ -0,0 +1,171 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import { action } from '@storybook/addon-actions';
+import DataTable, {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '..';
+import mdx from '../DataTable.mdx';
+
+export default {
+  title: 'Components/DataTable/Editing',
+  component: DataTable,
+  subcomponents: {
+    TableContainer,
+    Table,
+    TableHead,
+    TableRow,
+    TableHeader,
+    TableBody,
+    TableCell,
+  },
+  parameters: {
+    docs: {
+      page: mdx,
+    },
+  },
+};
+
+const initialRows = [
+  {
+    id: 'a',
+    name: 'Load Balancer 3',
+    protocol: 'HTTP',
+    port: 3000,
+    created: '2024-03-12',
+  },
+  {
+    id: 'b',
+    name: 'Load Balancer 1',
+    protocol: 'HTTPS',
+    port: 443,
+    created: '2024-01-30',
+  },
+  {
+    id: 'c',
+    name: 'Load Balancer 2',
+    protocol: 'HTTP',
+    port: 80,
+    created: '2023-11-02',
+    disabled: true,
+  },
+];
+
+const headers = [
+  {
+    key: 'name',
+    header: 'Name',
+    editor: {
+      type: 'text',
+      // Simulates a request that checks whether the name is available
+      validate: (value) =>
+        new Promise((resolve) => {
+          setTimeout(() => {
+            if (!value) {
+              resolve('Name is required');
+            } else if (value === 'Load Balancer 4') {
+              resolve('Name is already taken');
+            } else {
+              resolve(null);
+            }
+          }, 300);
+        }),
+    },
+  },
+  {
+    key: 'protocol',
+    header: 'Protocol',
+    editor: { type: 'select', items: ['HTTP', 'HTTPS'] },
+  },
+  {
+    key: 'port',
+    header: 'Port',
+    editor: { type: 'number', props: { min: 1, max: 65535 } },
+  },
+  {
+    key: 'created',
+    header: 'Created',
+    editor: { type: 'date', props: { dateFormat: 'Y-m-d' } },
+  },
+];
+
+const formatValue = (value) =>
+  value instanceof Date ? value.toISOString().slice(0, 10) : value;
+
+export const Default = () => {
+  const [rows, setRows] = useState(initialRows);
+
+  // Simulates saving the edit to a server, which fails for port 8080
+  const handleCellEdit = (edit) => {
+    action('onCellEdit')(edit);
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        if (edit.headerKey === 'port' && edit.value === 8080) {
+          reject(new Error('Port 8080 is in use'));
+          return;
+        }
+        setRows((rows) =>
+          rows.map((row) =>
+            row.id === edit.rowId
+              ? { ...row, [edit.headerKey]: formatValue(edit.value) }
+              : row
+          )
+        );
+        resolve();
+      }, 500);
+    });
+  };
+
+  return (
+    <DataTable rows={rows} headers={headers} onCellEdit={handleCellEdit}>
+      {({
+        rows,
+        headers,
+        getHeaderProps,
+        getRowProps,
+        getCellProps,
+        getTableProps,
+        getTableContainerProps,
+      }) => (
+        <TableContainer
+          title="DataTable"
+          description="With inline editing"
+          {...getTableContainerProps()}>
+          <Table {...getTableProps()} aria-label="sample table">
+            <TableHead>
+              <TableRow>
+                {headers.map((header) => (
+                  <TableHeader key={header.key} {...getHeaderProps({ header })}>
+                    {header.header}
+                  </TableHeader>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map((row) => (
+                <TableRow key={row.id} {...getRowProps({ row })}>
+                  {row.cells.map((cell) => (
+                    <TableCell key={cell.id} {...getCellProps({ cell })}>
+                      {formatValue(cell.value)}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </DataTable>
+  );
+};
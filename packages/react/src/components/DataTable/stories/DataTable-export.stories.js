@@ -0,0 +1,119 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { Download } from '@carbon/icons-react';
+import DataTable, {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableHeader,
+  TableRow,
+  TableSelectAll,
+  TableSelectRow,
+  TableToolbar,
+  TableToolbarContent,
+  TableToolbarExport,
+  TableToolbarMenu,
+  TableToolbarSearch,
+} from '..';
+import { rows, headers } from './shared';
+import mdx from '../DataTable.mdx';
+
+export default {
+  title: 'Components/DataTable/Export',
+  component: DataTable,
+  subcomponents: {
+    TableToolbarExport,
+    TableToolbarMenu,
+    TableContainer,
+    TableToolbar,
+    TableToolbarContent,
+    Table,
+    TableHead,
+    TableRow,
+    TableHeader,
+    TableBody,
+    TableCell,
+  },
+  parameters: {
+    docs: {
+      page: mdx,
+    },
+  },
+};
+
+export const Default = () => (
+  <DataTable rows={rows} headers={headers} isSortable>
+    {({
+      rows,
+      headers,
+      selectedRows,
+      getHeaderProps,
+      getRowProps,
+      getSelectionProps,
+      getTableProps,
+      getTableContainerProps,
+      getExportProps,
+      onInputChange,
+    }) => (
+      <TableContainer
+        title="DataTable"
+        description="With export"
+        {...getTableContainerProps()}>
+        <TableToolbar>
+          <TableToolbarContent>
+            <TableToolbarSearch onChange={onInputChange} />
+            <TableToolbarMenu renderIcon={Download} iconDescription="Download">
+              <TableToolbarExport
+                {...getExportProps()}
+                fileName="load-balancers"
+                bom
+              />
+              <TableToolbarExport
+                {...getExportProps()}
+                fileName="load-balancers"
+                format="json"
+              />
+              {selectedRows.length > 0 ? (
+                <TableToolbarExport
+                  {...getExportProps({ selectedOnly: true })}
+                  fileName="selected-load-balancers">
+                  Download selected rows
+                </TableToolbarExport>
+              ) : null}
+            </TableToolbarMenu>
+          </TableToolbarContent>
+        </TableToolbar>
+        <Table {...getTableProps()} aria-label="sample table">
+          <TableHead>
+            <TableRow>
+              <TableSelectAll {...getSelectionProps()} />
+              {headers.map((header) => (
+                <TableHeader key={header.key} {...getHeaderProps({ header })}>
+                  {header.header}
+                </TableHeader>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((row) => (
+              <TableRow key={row.id} {...getRowProps({ row })}>
+                <TableSelectRow {...getSelectionProps({ row })} />
+                {row.cells.map((cell) => (
+                  <TableCell key={cell.id}>{cell.value}</TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    )}
+  </DataTable>
+);
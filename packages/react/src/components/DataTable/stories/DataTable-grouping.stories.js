@@ -0,0 +1,198 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { action } from '@storybook/addon-actions';
+import { Dropdown } from '../../Dropdown';
+import DataTable, {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableExpandHeader,
+  TableFooter,
+  TableGroupRow,
+  TableHead,
+  TableHeader,
+  TableRow,
+  TableToolbar,
+  TableToolbarContent,
+} from '..';
+import mdx from '../DataTable.mdx';
+
+export default {
+  title: 'Components/DataTable/Grouping',
+  component: DataTable,
+  subcomponents: {
+    TableGroupRow,
+    TableFooter,
+    TableContainer,
+    TableToolbar,
+    TableToolbarContent,
+    Table,
+    TableHead,
+    TableRow,
+    TableExpandHeader,
+    TableHeader,
+    TableBody,
+    TableCell,
+  },
+  parameters: {
+    docs: {
+      page: mdx,
+    },
+  },
+};
+
+const rows = [
+  {
+    id: 'a',
+    name: 'Load Balancer 1',
+    region: 'Dallas',
+    protocol: 'HTTP',
+    requests: 1200,
+    latency: 42,
+  },
+  {
+    id: 'b',
+    name: 'Load Balancer 2',
+    region: 'Frankfurt',
+    protocol: 'HTTPS',
+    requests: 3400,
+    latency: 38,
+  },
+  {
+    id: 'c',
+    name: 'Load Balancer 3',
+    region: 'Dallas',
+    protocol: 'HTTPS',
+    requests: 860,
+    latency: 51,
+  },
+  {
+    id: 'd',
+    name: 'Load Balancer 4',
+    region: 'Tokyo',
+    protocol: 'HTTP',
+    requests: 2100,
+    latency: 64,
+  },
+  {
+    id: 'e',
+    name: 'Load Balancer 5',
+    region: 'Frankfurt',
+    protocol: 'HTTPS',
+    requests: 540,
+    latency: 29,
+  },
+  {
+    id: 'f',
+    name: 'Load Balancer 6',
+    region: 'Dallas',
+    protocol: 'HTTP',
+    requests: 1750,
+    latency: 47,
+  },
+];
+
+const headers = [
+  { key: 'name', header: 'Name' },
+  { key: 'region', header: 'Region' },
+  { key: 'protocol', header: 'Protocol' },
+  { key: 'requests', header: 'Requests' },
+  { key: 'latency', header: 'Latency (ms)' },
+];
+
+const aggregates = {
+  requests: 'sum',
+  latency: 'avg',
+  // Custom aggregates receive the values of the column
+  protocol: (values) => `${new Set(values).size} protocols`,
+};
+
+const groupByItems = [
+  { id: 'none', text: 'No grouping', groupBy: [] },
+  { id: 'region', text: 'Region', groupBy: ['region'] },
+  { id: 'protocol', text: 'Protocol', groupBy: ['protocol'] },
+  {
+    id: 'region-protocol',
+    text: 'Region, then protocol',
+    groupBy: ['region', 'protocol'],
+  },
+];
+
+export const Default = () => (
+  <DataTable
+    rows={rows}
+    headers={headers}
+    aggregates={aggregates}
+    onGroupByChange={action('onGroupByChange')}
+    isSortable>
+    {({
+      headers,
+      groupedRows,
+      setGroupBy,
+      getHeaderProps,
+      getGroupRowProps,
+      getFooterProps,
+      getTableProps,
+      getTableContainerProps,
+    }) => (
+      <TableContainer
+        title="DataTable"
+        description="With grouping and aggregates"
+        {...getTableContainerProps()}>
+        <TableToolbar>
+          <TableToolbarContent>
+            <Dropdown
+              id="group-by"
+              titleText="Group by"
+              hideLabel
+              label="Group by"
+              type="inline"
+              items={groupByItems}
+              itemToString={(item) => (item ? item.text : '')}
+              initialSelectedItem={groupByItems[0]}
+              onChange={({ selectedItem }) =>
+                setGroupBy(selectedItem?.groupBy ?? [])
+              }
+            />
+          </TableToolbarContent>
+        </TableToolbar>
+        <Table {...getTableProps()} aria-label="sample table">
+          <TableHead>
+            <TableRow>
+              <TableExpandHeader aria-label="Groups" />
+              {headers.map((header) => (
+                <TableHeader key={header.key} {...getHeaderProps({ header })}>
+                  {header.header}
+                </TableHeader>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {groupedRows.map((entry) =>
+              entry.type === 'group' ? (
+                <TableGroupRow {...getGroupRowProps({ group: entry.group })} />
+              ) : (
+                <TableRow key={entry.row.id}>
+                  <TableCell />
+                  {entry.row.cells.map((cell) => (
+                    <TableCell key={cell.id}>{cell.value}</TableCell>
+                  ))}
+                </TableRow>
+              )
+            )}
+          </TableBody>
+          <TableFooter {...getFooterProps()}>
+            <TableCell />
+          </TableFooter>
+        </Table>
+      </TableContainer>
+    )}
+  </DataTable>
+);
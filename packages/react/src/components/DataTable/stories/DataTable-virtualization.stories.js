@@ -0,0 +1,107 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import DataTable, {
+  Table,
+  TableCell,
+  TableContainer,
+  TableExpandHeader,
+  TableExpandRow,
+  TableExpandedRow,
+  TableHead,
+  TableHeader,
+  TableRow,
+  TableSelectAll,
+  TableSelectRow,
+  TableVirtualBody,
+} from '..';
+import { headers } from './shared';
+import mdx from '../DataTable.mdx';
+
+export default {
+  title: 'Components/DataTable/Virtualization',
+  component: DataTable,
+  subcomponents: {
+    TableVirtualBody,
+    Table,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableHeader,
+    TableRow,
+  },
+  parameters: {
+    docs: {
+      page: mdx,
+    },
+  },
+};
+
+const rows = Array.from({ length: 20000 }, (_, index) => ({
+  id: `audit-${index}`,
+  name: `Load Balancer ${index + 1}`,
+  protocol: index % 2 === 0 ? 'HTTP' : 'HTTPS',
+  port: index % 2 === 0 ? 80 : 443,
+  rule: index % 3 === 0 ? 'Round robin' : 'DNS delegation',
+  attached_groups: `Group ${(index % 7) + 1}`,
+  status: index % 5 === 0 ? 'Disabled' : 'Active',
+}));
+
+export const Default = () => (
+  <DataTable rows={rows} headers={headers} stickyHeader>
+    {({
+      rows,
+      headers,
+      getHeaderProps,
+      getRowProps,
+      getSelectionProps,
+      getTableProps,
+      getTableContainerProps,
+    }) => (
+      <TableContainer
+        title="DataTable"
+        description="With 20,000 virtualized rows"
+        {...getTableContainerProps()}>
+        <Table {...getTableProps()} aria-label="sample table">
+          <TableHead>
+            <TableRow>
+              <TableExpandHeader aria-label="expand row" />
+              <TableSelectAll {...getSelectionProps()} />
+              {headers.map((header, i) => (
+                <TableHeader key={i} {...getHeaderProps({ header })}>
+                  {header.header}
+                </TableHeader>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableVirtualBody
+            rows={rows}
+            renderRow={(row) => (
+              <React.Fragment key={row.id}>
+                <TableExpandRow {...getRowProps({ row })}>
+                  <TableSelectRow {...getSelectionProps({ row })} />
+                  {row.cells.map((cell) => (
+                    <TableCell key={cell.id}>{cell.value}</TableCell>
+                  ))}
+                </TableExpandRow>
+                {row.isExpanded && (
+                  <TableExpandedRow
+                    id={`expanded-row-${row.id}`}
+                    colSpan={headers.length + 2}>
+                    <h6>Expandable row content</h6>
+                    <div>Description here</div>
+                  </TableExpandedRow>
+                )}
+              </React.Fragment>
+            )}
+          />
+        </Table>
+      </TableContainer>
+    )}
+  </DataTable>
+);
@@ -5,7 +5,7 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import { getCellId } from '../cells';
+import { getCellId, getRowIdForCell } from '../cells';
 
 describe('cells tools', () => {
   describe('getCellId', () => {
@@ -13,4 +13,14 @@ describe('cells tools', () => {
       expect(getCellId('a', 'header')).toBe('a:header');
     });
   });
+
+  describe('getRowIdForCell', () => {
+    it('should return the row id of the given cell', () => {
+      const cell = {
+        id: getCellId('a:b', 'header'),
+        info: { header: 'header' },
+      };
+      expect(getRowIdForCell(cell)).toBe('a:b');
+    });
+  });
 });
@@ -0,0 +1,54 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { getCellErrors, validateCell } from '../editing';
+
+describe('editing tools', () => {
+  describe('getCellErrors', () => {
+    it('should return null when there are no errors', () => {
+      expect(getCellErrors(undefined)).toBe(null);
+      expect(getCellErrors(null)).toBe(null);
+      expect(getCellErrors('')).toBe(null);
+      expect(getCellErrors([])).toBe(null);
+    });
+
+    it('should convert messages to errors', () => {
+      const error = new Error('Too long');
+      expect(getCellErrors('Required')).toEqual([new Error('Required')]);
+      expect(getCellErrors(['Required', error])).toEqual([
+        new Error('Required'),
+        error,
+      ]);
+    });
+  });
+
+  describe('validateCell', () => {
+    it('should resolve to null without a validator', async () => {
+      await expect(validateCell(undefined, 'a', {})).resolves.toBe(null);
+    });
+
+    it('should support async validators', async () => {
+      const validate = jest.fn(async (value) =>
+        value === '' ? 'Required' : null
+      );
+      const context = { rowId: 'a', headerKey: 'name' };
+
+      await expect(validateCell(validate, '', context)).resolves.toEqual([
+        new Error('Required'),
+      ]);
+      await expect(validateCell(validate, 'b', context)).resolves.toBe(null);
+      expect(validate).toHaveBeenCalledWith('b', context);
+    });
+
+    it('should treat validators that throw as failed validations', async () => {
+      const validate = () => Promise.reject(new Error('Unavailable'));
+      await expect(validateCell(validate, 'a', {})).resolves.toEqual([
+        new Error('Unavailable'),
+      ]);
+    });
+  });
+});
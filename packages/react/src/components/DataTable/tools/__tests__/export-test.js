@@ -0,0 +1,197 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { getCellId } from '../cells';
+import {
+  downloadTableData,
+  escapeFormula,
+  exportTableData,
+  getNodeText,
+  quoteField,
+} from '../export';
+
+const headers = [
+  { key: 'name', header: 'Name' },
+  { key: 'notes', header: <span>Notes</span> },
+  { key: 'port', header: 'Port' },
+];
+
+const createRow = (id, values) => ({
+  id,
+  cells: Object.keys(values).map((key) => ({
+    id: getCellId(id, key),
+    value: values[key],
+    info: { header: key },
+  })),
+});
+
+const rows = [
+  createRow('a', { name: 'Router', notes: 'Says "hi", twice', port: 80 }),
+  createRow('b', {
+    name: <a href="/b">Switch</a>,
+    notes: 'Line 1\nLine 2',
+    port: null,
+  }),
+];
+
+describe('export tools', () => {
+  describe('getNodeText', () => {
+    it('should get the text of nested nodes', () => {
+      expect(
+        getNodeText(
+          <span>
+            Load <strong>Balancer</strong> {1}
+            {false}
+          </span>
+        )
+      ).toBe('Load Balancer 1');
+      expect(getNodeText(null)).toBe('');
+    });
+  });
+
+  describe('quoteField', () => {
+    it('should only quote fields that need it', () => {
+      expect(quoteField('plain', ',')).toBe('plain');
+      expect(quoteField('a,b', ',')).toBe('"a,b"');
+      expect(quoteField('a,b', '\t')).toBe('a,b');
+      expect(quoteField('say "hi"', ',')).toBe('"say ""hi"""');
+      expect(quoteField('a\r\nb', '\t')).toBe('"a\r\nb"');
+    });
+  });
+
+  describe('escapeFormula', () => {
+    it('should prefix text that starts like a formula', () => {
+      expect(escapeFormula('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+      expect(escapeFormula('+1')).toBe("'+1");
+      expect(escapeFormula('-1')).toBe("'-1");
+      expect(escapeFormula('@cmd')).toBe("'@cmd");
+      expect(escapeFormula('\tindented')).toBe("'\tindented");
+      expect(escapeFormula('\rline')).toBe("'\rline");
+      expect(escapeFormula('a=b')).toBe('a=b');
+    });
+  });
+
+  describe('exportTableData', () => {
+    it('should export CSV', () => {
+      expect(exportTableData({ rows, headers })).toBe(
+        [
+          'Name,Notes,Port',
+          'Router,"Says ""hi"", twice",80',
+          'Switch,"Line 1\nLine 2",',
+        ].join('\r\n')
+      );
+    });
+
+    it('should export TSV with a byte order mark', () => {
+      const content = exportTableData({
+        rows: rows.slice(0, 1),
+        headers,
+        format: 'tsv',
+        bom: true,
+      });
+      expect(content).toBe(
+        '﻿Name\tNotes\tPort\r\nRouter\t"Says ""hi"", twice"\t80'
+      );
+    });
+
+    it('should export JSON with the values of the cells', () => {
+      expect(
+        JSON.parse(exportTableData({ rows, headers, format: 'json' }))
+      ).toEqual([
+        { name: 'Router', notes: 'Says "hi", twice', port: 80 },
+        { name: 'Switch', notes: 'Line 1\nLine 2', port: null },
+      ]);
+    });
+
+    it('should only export the given headers, in their order', () => {
+      expect(
+        exportTableData({
+          rows,
+          headers: [headers[2], headers[0]],
+          includeHeaders: false,
+        })
+      ).toBe('80,Router\r\n,Switch');
+    });
+
+    it('should support custom formatting of cells and headers', () => {
+      const formatCell = jest.fn((value, { header }) =>
+        header.key === 'port' ? `:${value ?? '-'}` : value
+      );
+      expect(
+        exportTableData({
+          rows: rows.slice(0, 1),
+          headers: [headers[2]],
+          formatCell,
+          formatHeader: (header) => header.key.toUpperCase(),
+        })
+      ).toBe('PORT\r\n:80');
+      expect(formatCell).toHaveBeenCalledWith(80, {
+        cell: rows[0].cells[2],
+        header: headers[2],
+        row: rows[0],
+        format: 'csv',
+      });
+    });
+
+    it('should escape text that starts like a formula', () => {
+      const formulaRows = [
+        createRow('a', {
+          name: '=HYPERLINK("http://x")',
+          notes: '@a',
+          port: -1,
+        }),
+      ];
+      expect(
+        exportTableData({ rows: formulaRows, headers, includeHeaders: false })
+      ).toBe(`"'=HYPERLINK(""http://x"")",'@a,-1`);
+      expect(
+        exportTableData({
+          rows: formulaRows,
+          headers,
+          includeHeaders: false,
+          sanitize: false,
+        })
+      ).toBe('"=HYPERLINK(""http://x"")",@a,-1');
+      expect(
+        JSON.parse(
+          exportTableData({ rows: formulaRows, headers, format: 'json' })
+        )
+      ).toEqual([{ name: '=HYPERLINK("http://x")', notes: '@a', port: -1 }]);
+    });
+
+    it('should throw for unknown formats', () => {
+      expect(() => exportTableData({ rows, headers, format: 'xls' })).toThrow(
+        'Unsupported export format: xls'
+      );
+    });
+  });
+
+  describe('downloadTableData', () => {
+    it('should download the content through a link', () => {
+      const createObjectURL = jest.fn(() => 'blob:table');
+      const revokeObjectURL = jest.fn();
+      Object.assign(URL, { createObjectURL, revokeObjectURL });
+      const click = jest
+        .spyOn(HTMLAnchorElement.prototype, 'click')
+        .mockImplementation(function () {
+          expect(this.download).toBe('table.csv');
+          expect(this.getAttribute('href')).toBe('blob:table');
+        });
+
+      downloadTableData('a,b', { fileName: 'table.csv', format: 'csv' });
+
+      expect(createObjectURL.mock.calls[0][0].type).toBe(
+        'text/csv;charset=utf-8'
+      );
+      expect(click).toHaveBeenCalledTimes(1);
+      expect(revokeObjectURL).toHaveBeenCalledWith('blob:table');
+      expect(document.querySelector('a')).toBe(null);
+      click.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  defaultFilterColumnRows,
+  deserializeColumnFilters,
+  isColumnFilterActive,
+  matchesColumnFilter,
+  serializeColumnFilters,
+} from '../filter';
+import { getCellId } from '../cells';
+
+describe('matchesColumnFilter', () => {
+  it('should match text filters by substring or exact value', () => {
+    const contains = { key: 'a', type: 'text', value: 'load' };
+    const equals = { key: 'a', type: 'text', operator: 'equals', value: 'lb' };
+    expect(matchesColumnFilter('Load Balancer', contains)).toBe(true);
+    expect(matchesColumnFilter('Router', contains)).toBe(false);
+    expect(matchesColumnFilter('LB', equals)).toBe(true);
+    expect(matchesColumnFilter('LB 2', equals)).toBe(false);
+  });
+
+  it('should match number filters by inclusive range', () => {
+    const filter = { key: 'a', type: 'number', min: 2, max: 4 };
+    expect(matchesColumnFilter(2, filter)).toBe(true);
+    expect(matchesColumnFilter('4', filter)).toBe(true);
+    expect(matchesColumnFilter(5, filter)).toBe(false);
+    expect(matchesColumnFilter('n/a', filter)).toBe(false);
+  });
+
+  it('should match date filters and include the whole end day', () => {
+    const filter = {
+      key: 'a',
+      type: 'date',
+      from: '2024-01-01',
+      to: '2024-01-31',
+    };
+    expect(matchesColumnFilter('2024-01-31T18:00:00', filter)).toBe(true);
+    expect(matchesColumnFilter(new Date(2024, 1, 1), filter)).toBe(false);
+    expect(matchesColumnFilter('2023-12-31', filter)).toBe(false);
+  });
+
+  it('should read date-only bounds as local midnight', () => {
+    const filter = {
+      key: 'a',
+      type: 'date',
+      from: '2024-01-01',
+      to: '2024-01-31',
+    };
+    expect(matchesColumnFilter('2024-01-01T00:00:00', filter)).toBe(true);
+    expect(matchesColumnFilter('2023-12-31T23:59:59', filter)).toBe(false);
+    expect(matchesColumnFilter('2024-01-31T23:59:59', filter)).toBe(true);
+    expect(matchesColumnFilter('2024-02-01T00:00:00', filter)).toBe(false);
+  });
+
+  it('should match boolean and set filters', () => {
+    expect(
+      matchesColumnFilter(false, { key: 'a', type: 'boolean', value: false })
+    ).toBe(true);
+    expect(
+      matchesColumnFilter(true, { key: 'a', type: 'boolean', value: false })
+    ).toBe(false);
+    expect(
+      matchesColumnFilter('Active', {
+        key: 'a',
+        type: 'set',
+        values: ['Active', 'Starting'],
+      })
+    ).toBe(true);
+    expect(
+      matchesColumnFilter('Disabled', {
+        key: 'a',
+        type: 'set',
+        values: ['Active'],
+      })
+    ).toBe(false);
+  });
+
+  it('should match everything when the filter is inactive', () => {
+    expect(isColumnFilterActive({ key: 'a', type: 'set', values: [] })).toBe(
+      false
+    );
+    expect(
+      matchesColumnFilter('anything', { key: 'a', type: 'text', value: '' })
+    ).toBe(true);
+  });
+});
+
+describe('defaultFilterColumnRows', () => {
+  it('should only include rows that match every filter', () => {
+    const cellsById = {
+      'a:status': { value: 'Active' },
+      'a:port': { value: 80 },
+      'b:status': { value: 'Active' },
+      'b:port': { value: 443 },
+      'c:status': { value: 'Disabled' },
+      'c:port': { value: 80 },
+    };
+    expect(
+      defaultFilterColumnRows({
+        rowIds: ['a', 'b', 'c'],
+        cellsById,
+        getCellId,
+        columnFilters: [
+          { key: 'status', type: 'set', values: ['Active'] },
+          { key: 'port', type: 'number', max: 100 },
+        ],
+      })
+    ).toEqual(['a']);
+  });
+});
+
+describe('serializeColumnFilters', () => {
+  it('should round-trip active filters', () => {
+    const columnFilters = [
+      { key: 'status', type: 'set', values: ['Active'] },
+      { key: 'name', type: 'text', value: '' },
+      { key: 'port', type: 'number', min: 1, max: null },
+    ];
+    const serialized = serializeColumnFilters(columnFilters);
+    expect(deserializeColumnFilters(serialized)).toEqual([
+      { key: 'status', type: 'set', values: ['Active'] },
+      { key: 'port', type: 'number', min: 1, max: null },
+    ]);
+  });
+
+  it('should ignore invalid input', () => {
+    expect(deserializeColumnFilters('not json')).toEqual([]);
+    expect(deserializeColumnFilters('{}')).toEqual([]);
+    expect(deserializeColumnFilters('[{"type":"text","value":"a"}]')).toEqual(
+      []
+    );
+  });
+});
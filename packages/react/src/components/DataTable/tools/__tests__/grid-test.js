@@ -0,0 +1,147 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  activateGridCell,
+  getGridCell,
+  getGridPosition,
+  getGridRows,
+  getNextGridPosition,
+  restoreGridTabIndexes,
+  syncGridTabIndexes,
+} from '../grid';
+
+const createTable = () => {
+  const table = document.createElement('table');
+  table.innerHTML = `
+    <thead>
+      <tr><th>Name</th><th><button type="button">Status</button></th></tr>
+    </thead>
+    <tbody>
+      <tr data-virtual-spacer><td colspan="2"></td></tr>
+      <tr><td>Load Balancer 1</td><td><input type="text" tabindex="2" /></td></tr>
+      <tr><td colspan="2">Details</td></tr>
+    </tbody>
+  `;
+  document.body.appendChild(table);
+  return table;
+};
+
+const key = (key, modifiers = {}) => ({ key, ...modifiers });
+
+describe('grid tools', () => {
+  let table;
+
+  beforeEach(() => {
+    table = createTable();
+  });
+
+  afterEach(() => {
+    table.remove();
+  });
+
+  it('should get the cells of the rows that are shown', () => {
+    const rows = getGridRows(table);
+    expect(rows.map((cells) => cells.length)).toEqual([2, 2, 1]);
+    expect(rows[1][0]).toHaveTextContent('Load Balancer 1');
+  });
+
+  it('should find the position of the cell containing an element', () => {
+    const rows = getGridRows(table);
+    expect(getGridPosition(rows, table.querySelector('button'))).toEqual({
+      row: 0,
+      column: 1,
+    });
+    expect(getGridPosition(rows, document.body)).toBe(null);
+  });
+
+  it('should clamp positions to the closest cell', () => {
+    const rows = getGridRows(table);
+    expect(getGridCell(rows, { row: 2, column: 1 })).toBe(rows[2][0]);
+    expect(getGridCell(rows, { row: 5, column: -1 })).toBe(rows[2][0]);
+    expect(getGridCell([], { row: 0, column: 0 })).toBe(null);
+  });
+
+  it('should get the next position for navigation keys', () => {
+    const rows = getGridRows(table);
+    const position = { row: 1, column: 0 };
+    expect(getNextGridPosition(key('ArrowUp'), position, rows)).toEqual({
+      row: 0,
+      column: 0,
+    });
+    expect(getNextGridPosition(key('ArrowRight'), position, rows)).toEqual({
+      row: 1,
+      column: 1,
+    });
+    expect(getNextGridPosition(key('ArrowLeft'), position, rows)).toEqual({
+      row: 1,
+      column: 0,
+    });
+    expect(getNextGridPosition(key('End'), position, rows)).toEqual({
+      row: 1,
+      column: 1,
+    });
+    expect(
+      getNextGridPosition(key('End', { ctrlKey: true }), position, rows)
+    ).toEqual({ row: 2, column: 0 });
+    expect(
+      getNextGridPosition(key('Home', { metaKey: true }), position, rows)
+    ).toEqual({ row: 0, column: 0 });
+    expect(getNextGridPosition(key('a'), position, rows)).toBe(null);
+  });
+
+  it('should swap the horizontal arrow keys in right-to-left tables', () => {
+    const rows = getGridRows(table);
+    expect(
+      getNextGridPosition(key('ArrowLeft'), { row: 0, column: 0 }, rows, true)
+    ).toEqual({ row: 0, column: 1 });
+  });
+
+  it('should only keep the active cell in the tab order', () => {
+    const rows = getGridRows(table);
+    syncGridTabIndexes(rows, rows[1][0]);
+    expect(rows[1][0].tabIndex).toBe(0);
+    expect(rows[0][0].tabIndex).toBe(-1);
+    expect(table.querySelector('button').tabIndex).toBe(-1);
+    expect(table.querySelector('input').tabIndex).toBe(-1);
+  });
+
+  it('should restore the tabindex of content in the active cell', () => {
+    const rows = getGridRows(table);
+    const input = table.querySelector('input');
+    syncGridTabIndexes(rows, rows[0][0]);
+    expect(input.tabIndex).toBe(-1);
+
+    syncGridTabIndexes(rows, rows[1][1]);
+    expect(input.tabIndex).toBe(2);
+    expect(table.querySelector('button').tabIndex).toBe(-1);
+  });
+
+  it('should restore the tabindex of every cell and its content', () => {
+    const rows = getGridRows(table);
+    syncGridTabIndexes(rows, rows[0][0]);
+    restoreGridTabIndexes(table);
+    expect(rows[0][0]).not.toHaveAttribute('tabindex');
+    expect(table.querySelector('button')).not.toHaveAttribute('tabindex');
+    expect(table.querySelector('input')).toHaveAttribute('tabindex', '2');
+    expect(table.querySelector('[data-grid-tabindex]')).toBe(null);
+  });
+
+  it('should activate the content of a cell', () => {
+    const rows = getGridRows(table);
+    const onClick = jest.fn();
+    table.querySelector('button').addEventListener('click', onClick);
+
+    expect(activateGridCell(rows[0][1])).toBe(true);
+    expect(onClick).toHaveBeenCalledTimes(1);
+
+    expect(activateGridCell(rows[1][1])).toBe(true);
+    expect(table.querySelector('input')).toHaveFocus();
+
+    expect(activateGridCell(rows[1][0])).toBe(false);
+  });
+});
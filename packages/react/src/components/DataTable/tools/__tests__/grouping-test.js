@@ -0,0 +1,192 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { getCellId } from '../cells';
+import {
+  aggregators,
+  flattenGroups,
+  formatAggregate,
+  getAggregates,
+  groupRows,
+} from '../grouping';
+
+const rows = [
+  { id: 'a', region: 'EU', status: 'Active', port: 80 },
+  { id: 'b', region: 'US', status: 'Active', port: 443 },
+  { id: 'c', region: 'EU', status: 'Disabled', port: 3000 },
+  { id: 'd', region: 'EU', status: 'Active', port: null },
+];
+const rowIds = rows.map((row) => row.id);
+const cellsById = rows.reduce((acc, row) => {
+  Object.keys(row).forEach((key) => {
+    acc[getCellId(row.id, key)] = { value: row[key] };
+  });
+  return acc;
+}, {});
+
+describe('grouping tools', () => {
+  describe('aggregators', () => {
+    it('should ignore empty values', () => {
+      const values = [3, null, 1, undefined, 2];
+      expect(aggregators.count(values)).toBe(3);
+      expect(aggregators.sum(values)).toBe(6);
+      expect(aggregators.avg(values)).toBe(2);
+      expect(aggregators.min(values)).toBe(1);
+      expect(aggregators.max(values)).toBe(3);
+    });
+
+    it('should compare strings and dates for min and max', () => {
+      const early = new Date(2020, 0, 1);
+      const late = new Date(2024, 0, 1);
+      expect(aggregators.min(['b', 'a', 'c'])).toBe('a');
+      expect(aggregators.max([early, late])).toBe(late);
+    });
+
+    it('should return null for the average of no numbers', () => {
+      expect(aggregators.avg([null, 'a'])).toBe(null);
+      expect(aggregators.min([])).toBe(null);
+    });
+  });
+
+  describe('getAggregates', () => {
+    it('should support built-in and custom aggregates', () => {
+      const custom = jest.fn((values) => values.join(','));
+      expect(
+        getAggregates({
+          rowIds,
+          aggregates: { port: 'sum', region: custom, status: 'unknown' },
+          cellsById,
+          getCellId,
+        })
+      ).toEqual({ port: 3523, region: 'EU,US,EU,EU' });
+      expect(custom).toHaveBeenCalledWith(['EU', 'US', 'EU', 'EU'], rowIds);
+    });
+
+    it('should return an empty object without aggregates', () => {
+      expect(getAggregates({ rowIds, cellsById, getCellId })).toEqual({});
+    });
+  });
+
+  describe('groupRows', () => {
+    it('should group rows in the order they first appear', () => {
+      const groups = groupRows({
+        rowIds,
+        groupBy: ['region'],
+        cellsById,
+        getCellId,
+        aggregates: { port: 'max' },
+      });
+      expect(groups).toEqual([
+        {
+          id: 'group:region=string:EU',
+          headerKey: 'region',
+          value: 'EU',
+          depth: 0,
+          rowIds: ['a', 'c', 'd'],
+          aggregates: { port: 3000 },
+          groups: [],
+        },
+        {
+          id: 'group:region=string:US',
+          headerKey: 'region',
+          value: 'US',
+          depth: 0,
+          rowIds: ['b'],
+          aggregates: { port: 443 },
+          groups: [],
+        },
+      ]);
+    });
+
+    it('should nest groups for every key to group by', () => {
+      const [eu] = groupRows({
+        rowIds,
+        groupBy: ['region', 'status'],
+        cellsById,
+        getCellId,
+      });
+      expect(eu.groups.map((group) => [group.id, group.depth])).toEqual([
+        ['group:region=string:EU/status=string:Active', 1],
+        ['group:region=string:EU/status=string:Disabled', 1],
+      ]);
+      expect(eu.groups[0].rowIds).toEqual(['a', 'd']);
+    });
+    it('should keep values of different types in different groups', () => {
+      const element = <strong>EU</strong>;
+      const values = [null, 'null', 1, '1', element, <strong>EU</strong>];
+      const typedCellsById = values.reduce(
+        (acc, value, index) => ({
+          ...acc,
+          [getCellId(`${index}`, 'region')]: { value },
+        }),
+        {
+          [getCellId('6', 'region')]: { value: element },
+        }
+      );
+      const groups = groupRows({
+        rowIds: ['0', '1', '2', '3', '4', '5', '6'],
+        groupBy: ['region'],
+        cellsById: typedCellsById,
+        getCellId,
+      });
+      expect(groups.map((group) => [group.id, group.rowIds])).toEqual([
+        ['group:region=null:null', ['0']],
+        ['group:region=string:null', ['1']],
+        ['group:region=number:1', ['2']],
+        ['group:region=string:1', ['3']],
+        ['group:region=object:0', ['4', '6']],
+        ['group:region=object:1', ['5']],
+      ]);
+    });
+  });
+
+  describe('flattenGroups', () => {
+    const groups = groupRows({
+      rowIds,
+      groupBy: ['region', 'status'],
+      cellsById,
+      getCellId,
+    });
+    const toIds = (entries) =>
+      entries.map((entry) =>
+        entry.type === 'group' ? entry.group.id : entry.rowId
+      );
+
+    it('should include the rows of expanded groups', () => {
+      expect(toIds(flattenGroups(groups, () => true))).toEqual([
+        'group:region=string:EU',
+        'group:region=string:EU/status=string:Active',
+        'a',
+        'd',
+        'group:region=string:EU/status=string:Disabled',
+        'c',
+        'group:region=string:US',
+        'group:region=string:US/status=string:Active',
+        'b',
+      ]);
+    });
+
+    it('should skip the contents of collapsed groups', () => {
+      const isExpanded = (id) => id !== 'group:region=string:EU';
+      expect(toIds(flattenGroups(groups, isExpanded))).toEqual([
+        'group:region=string:EU',
+        'group:region=string:US',
+        'group:region=string:US/status=string:Active',
+        'b',
+      ]);
+    });
+  });
+
+  describe('formatAggregate', () => {
+    it('should format values for display', () => {
+      expect(formatAggregate(null)).toBe('');
+      expect(formatAggregate(1234.567)).toBe('1,234.57');
+      expect(formatAggregate('EU')).toBe('EU');
+    });
+  });
+});
@@ -69,4 +69,34 @@ describe('normalize', () => {
     const { cellsById } = normalize(mockRows, mockHeaders);
     expect(cellsById).toMatchSnapshot();
   });
+
+  it('should mark cells of headers with an editor as editable', () => {
+    mockHeaders[0].editor = { type: 'text' };
+    mockRows[1].disabled = true;
+    const { cellsById } = normalize(mockRows, mockHeaders);
+    expect(cellsById['a:fieldA'].isEditable).toBe(true);
+    expect(cellsById['a:fieldB'].isEditable).toBe(false);
+    expect(cellsById['b:fieldA'].isEditable).toBe(false);
+  });
+
+  it('should keep the editing state of cells from the previous state', () => {
+    mockHeaders[0].editor = { type: 'text' };
+    const prevState = normalize(mockRows, mockHeaders);
+    prevState.cellsById['a:fieldA'] = {
+      ...prevState.cellsById['a:fieldA'],
+      isEditing: true,
+      isValid: false,
+      errors: [new Error('Required')],
+    };
+    mockRows[0].fieldA = 'next';
+    const { cellsById } = normalize(mockRows, mockHeaders, prevState);
+    expect(cellsById['a:fieldA']).toEqual(
+      expect.objectContaining({
+        value: 'next',
+        isEditing: true,
+        isValid: false,
+        errors: [new Error('Required')],
+      })
+    );
+  });
 });
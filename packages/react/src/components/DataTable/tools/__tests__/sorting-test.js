@@ -5,7 +5,7 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import { sortRows, defaultSortRow } from '../sorting';
+import { sortRows, sortRowsByStack, defaultSortRow } from '../sorting';
 import { sortStates } from '../../state/sorting';
 
 describe('sortRow', () => {
@@ -76,3 +76,66 @@ describe('defaultSortRow', () => {
     expect(defaultSortRow('1', '2', sortProps)).toBeGreaterThan(0);
   });
 });
+
+describe('sortRowsByStack', () => {
+  const rowIds = ['row1', 'row2', 'row3'];
+  const cellsById = {
+    'row1:status': { value: 'open' },
+    'row1:date': { value: '2024-01-02' },
+    'row2:status': { value: 'closed' },
+    'row2:date': { value: '2024-01-03' },
+    'row3:status': { value: 'open' },
+    'row3:date': { value: '2024-01-01' },
+  };
+
+  it('should sort by each entry in the stack in order', () => {
+    expect(
+      sortRowsByStack({
+        rowIds,
+        cellsById,
+        sortStack: [
+          { key: 'status', sortDirection: sortStates.DESC },
+          { key: 'date', sortDirection: sortStates.ASC },
+        ],
+        locale: 'en',
+      })
+    ).toEqual(['row3', 'row1', 'row2']);
+  });
+
+  it('should ignore entries without a sort direction', () => {
+    expect(
+      sortRowsByStack({
+        rowIds,
+        cellsById,
+        sortStack: [
+          { key: 'status', sortDirection: sortStates.NONE },
+          { key: 'date', sortDirection: sortStates.DESC },
+        ],
+        locale: 'en',
+      })
+    ).toEqual(['row2', 'row1', 'row3']);
+  });
+
+  it('should call the given sortRow for each compared key', () => {
+    const sortRow = jest.fn(() => 0);
+    sortRowsByStack({
+      rowIds: ['row1', 'row3'],
+      cellsById,
+      sortStack: [
+        { key: 'status', sortDirection: sortStates.ASC },
+        { key: 'date', sortDirection: sortStates.ASC },
+      ],
+      sortRow,
+    });
+    expect(sortRow).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.anything(),
+      expect.objectContaining({ key: 'status' })
+    );
+    expect(sortRow).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.anything(),
+      expect.objectContaining({ key: 'date' })
+    );
+  });
+});
@@ -15,3 +15,14 @@
  * @returns {string}
  */
 export const getCellId = (rowId, header) => `${rowId}:${header}`;
+
+/**
+ * Counterpart to `getCellId` that gets the id of the row that a cell belongs
+ * to. The header key is stored on the cell, so this works for row ids that
+ * contain a `:` as well.
+ *
+ * @param {object} cell
+ * @returns {string}
+ */
+export const getRowIdForCell = (cell) =>
+  cell.id.slice(0, -(cell.info.header.length + 1));
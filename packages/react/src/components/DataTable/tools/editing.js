@@ -0,0 +1,44 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Normalize the result of a cell validator into the `errors` of a cell. A
+ * validator can return nothing, a message, an Error, or a list of either.
+ *
+ * @param {*} result
+ * @returns {Array<Error>|null}
+ */
+export const getCellErrors = (result) => {
+  const results = Array.isArray(result) ? result : [result];
+  const errors = results
+    .filter((entry) => entry !== null && entry !== undefined && entry !== '')
+    .filter((entry) => typeof entry !== 'boolean')
+    .map((entry) => (entry instanceof Error ? entry : new Error(`${entry}`)));
+  return errors.length > 0 ? errors : null;
+};
+
+/**
+ * Run the given, possibly async, validator for the next value of a cell. A
+ * validator that throws or rejects is treated as a failed validation.
+ *
+ * @param {Function} [validate]
+ * @param {*} value
+ * @param {object} context
+ * @param {string} context.rowId
+ * @param {string} context.headerKey
+ * @returns {Promise<Array<Error>|null>}
+ */
+export const validateCell = async (validate, value, context) => {
+  if (!validate) {
+    return null;
+  }
+  try {
+    return getCellErrors(await validate(value, context));
+  } catch (error) {
+    return getCellErrors(error);
+  }
+};
@@ -0,0 +1,201 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { isValidElement } from 'react';
+
+const BOM = '\uFEFF';
+
+const delimiters = {
+  csv: ',',
+  tsv: '\t',
+};
+
+const mimeTypes = {
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values',
+  json: 'application/json',
+};
+
+/**
+ * Get the text content of a React node, for example a cell that renders a
+ * link or a tag
+ *
+ * @param {*} node
+ * @returns {string}
+ */
+export const getNodeText = (node) => {
+  if (node === null || node === undefined || typeof node === 'boolean') {
+    return '';
+  }
+  if (Array.isArray(node)) {
+    return node.map(getNodeText).join('');
+  }
+  if (isValidElement(node)) {
+    return getNodeText(node.props.children);
+  }
+  return `${node}`;
+};
+
+/**
+ * The default way the value of a cell is exported: React nodes are converted
+ * to their text content and dates to ISO strings, other values are kept as-is.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+export const defaultFormatCell = (value) => {
+  if (
+    isValidElement(value) ||
+    (Array.isArray(value) && value.some(isValidElement))
+  ) {
+    return getNodeText(value);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value;
+};
+
+const toText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return `${value}`;
+};
+
+/**
+ * Quote a field of a delimited file when it contains the delimiter, quotes or
+ * line breaks, doubling any quotes inside of it
+ *
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string}
+ */
+export const quoteField = (text, delimiter) => {
+  if (
+    text.includes(delimiter) ||
+    text.includes('"') ||
+    text.includes('\n') ||
+    text.includes('\r')
+  ) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Prefix text that spreadsheet applications would read as a formula with a
+ * single quote, so that exported values like `=HYPERLINK(...)` are shown as
+ * text instead of being evaluated
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export const escapeFormula = (text) =>
+  /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+
+/**
+ * Serialize the given rows to CSV, TSV or JSON. Only the cells of the given
+ * headers are included, in their order, so passing the `rows` and `headers`
+ * from the render props exports the table as it is shown.
+ *
+ * @param {object} config
+ * @param {Array<object>} config.rows the denormalized rows to export
+ * @param {Array<object>} config.headers the headers of the columns to export
+ * @param {'csv'|'tsv'|'json'} [config.format]
+ * @param {boolean} [config.bom] prefix CSV and TSV with a byte order mark so
+ * that spreadsheet applications detect UTF-8
+ * @param {boolean} [config.includeHeaders] include a row with the headers in
+ * CSV and TSV
+ * @param {boolean} [config.sanitize] escape text that starts like a formula in
+ * CSV and TSV, see `escapeFormula`
+ * @param {Function} [config.formatCell] converts the value of a cell, called
+ * with the value and `{ cell, header, row, format }`
+ * @param {Function} [config.formatHeader] converts a header to its label
+ * @returns {string}
+ */
+export const exportTableData = ({
+  rows,
+  headers,
+  format = 'csv',
+  bom = false,
+  includeHeaders = true,
+  sanitize = true,
+  formatCell = defaultFormatCell,
+  formatHeader = (header) => getNodeText(header.header),
+}) => {
+  const records = rows.map((row) =>
+    headers.map((header) => {
+      const cell = row.cells.find((cell) => cell.info.header === header.key);
+      return formatCell(cell?.value, { cell, header, row, format });
+    })
+  );
+
+  if (format === 'json') {
+    const data = records.map((values) =>
+      headers.reduce(
+        (acc, header, index) => ({ ...acc, [header.key]: values[index] }),
+        {}
+      )
+    );
+    return JSON.stringify(data, null, 2);
+  }
+
+  const delimiter = delimiters[format];
+  if (!delimiter) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  // Only text is escaped, so that negative numbers are exported as numbers
+  const toField = (value) =>
+    quoteField(
+      sanitize && typeof value === 'string'
+        ? escapeFormula(value)
+        : toText(value),
+      delimiter
+    );
+  const lines = records.map((values) => values.map(toField).join(delimiter));
+  if (includeHeaders) {
+    lines.unshift(
+      headers.map((header) => toField(formatHeader(header))).join(delimiter)
+    );
+  }
+  return `${bom ? BOM : ''}${lines.join('\r\n')}`;
+};
+
+/**
+ * Get the MIME type of an export format
+ *
+ * @param {'csv'|'tsv'|'json'} format
+ * @returns {string}
+ */
+export const getExportMimeType = (format) => mimeTypes[format];
+
+/**
+ * Save the given content as a file through a temporary link
+ *
+ * @param {string} content
+ * @param {object} config
+ * @param {string} config.fileName the name of the file, including extension
+ * @param {'csv'|'tsv'|'json'} config.format
+ */
+export const downloadTableData = (content, { fileName, format }) => {
+  const blob = new Blob([content], {
+    type: `${getExportMimeType(format)};charset=utf-8`,
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -37,3 +37,222 @@ export const defaultFilterRows = ({
         .includes(inputValue.toLowerCase());
     })
   );
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Get the text representation of a cell value. React elements with a string
+ * child are matched by that child, mirroring how we compare them when sorting.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const getCellText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object' && typeof value.props?.children === 'string') {
+    return value.props.children;
+  }
+  return '' + value;
+};
+
+/**
+ * Get the timestamp of local midnight of a date-only string, like
+ * `2024-01-31`, optionally some days later. `Date.parse` reads date-only
+ * strings as UTC but datetime strings as local time, so date-only bounds would
+ * otherwise be off by the UTC offset.
+ *
+ * @param {string} value
+ * @param {number} [days]
+ * @returns {number}
+ */
+const toLocalMidnight = (value, days = 0) => {
+  const [, year, month, day] = DATE_ONLY.exec(value);
+  return new Date(
+    Number(year),
+    Number(month) - 1,
+    Number(day) + days
+  ).getTime();
+};
+
+/**
+ * Parse a date-like value into a timestamp. Date-only strings are read as
+ * local midnight. Returns `NaN` if the value can not be parsed.
+ *
+ * @param {*} value
+ * @returns {number}
+ */
+const toTimestamp = (value) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && DATE_ONLY.test(value)) {
+    return toLocalMidnight(value);
+  }
+  if (typeof value === 'string' && value !== '') {
+    return Date.parse(value);
+  }
+  return NaN;
+};
+
+const isBound = (value) =>
+  value !== null && value !== undefined && value !== '';
+
+/**
+ * Determine whether the given column filter would exclude any rows. Filters
+ * with empty values are treated as inactive so that they can be kept in state
+ * while a user is still editing them.
+ *
+ * @param {object} filter
+ * @returns {boolean}
+ */
+export const isColumnFilterActive = (filter) => {
+  if (!filter) {
+    return false;
+  }
+  switch (filter.type) {
+    case 'text':
+      return typeof filter.value === 'string' && filter.value !== '';
+    case 'number':
+      return isBound(filter.min) || isBound(filter.max);
+    case 'date':
+      return isBound(filter.from) || isBound(filter.to);
+    case 'boolean':
+      return typeof filter.value === 'boolean';
+    case 'set':
+      return Array.isArray(filter.values) && filter.values.length > 0;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Determine whether a cell value matches the given column filter.
+ *
+ * @param {*} value the value of the cell
+ * @param {object} filter the column filter to match against
+ * @param {string} [locale] optional locale used to compare text
+ * @returns {boolean}
+ */
+export const matchesColumnFilter = (value, filter, locale = 'en') => {
+  if (!isColumnFilterActive(filter)) {
+    return true;
+  }
+
+  switch (filter.type) {
+    case 'text': {
+      const text = getCellText(value).toLocaleLowerCase(locale);
+      const query = filter.value.toLocaleLowerCase(locale);
+      return filter.operator === 'equals'
+        ? text === query
+        : text.includes(query);
+    }
+    case 'number': {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      if (Number.isNaN(number)) {
+        return false;
+      }
+      if (isBound(filter.min) && number < filter.min) {
+        return false;
+      }
+      if (isBound(filter.max) && number > filter.max) {
+        return false;
+      }
+      return true;
+    }
+    case 'date': {
+      const timestamp = toTimestamp(value);
+      if (Number.isNaN(timestamp)) {
+        return false;
+      }
+      if (isBound(filter.from) && timestamp < toTimestamp(filter.from)) {
+        return false;
+      }
+      if (isBound(filter.to)) {
+        // Date-only upper bounds include the whole day
+        const to = DATE_ONLY.test(filter.to)
+          ? toLocalMidnight(filter.to, 1) - 1
+          : toTimestamp(filter.to);
+        if (timestamp > to) {
+          return false;
+        }
+      }
+      return true;
+    }
+    case 'boolean':
+      return value === filter.value;
+    case 'set':
+      return filter.values.includes(value);
+    default:
+      return true;
+  }
+};
+
+/**
+ * Default implementation of how we filter rows by column. Every active filter
+ * has to match the cell in its column for a row to be included.
+ *
+ * @param {object} config
+ * @param {Array<string>} config.rowIds array of all the row ids in the table
+ * @param {object} config.cellsById object containing a map of cell id to cell
+ * @param {Array<object>} config.columnFilters the filters to apply
+ * @param {Function} config.getCellId
+ * @param {string} [config.locale] optional locale used to compare text
+ * @returns {Array<string>} rowIds
+ */
+export const defaultFilterColumnRows = ({
+  rowIds,
+  cellsById,
+  columnFilters,
+  getCellId,
+  locale = 'en',
+}) => {
+  const activeFilters = columnFilters.filter(isColumnFilterActive);
+  if (activeFilters.length === 0) {
+    return rowIds;
+  }
+  return rowIds.filter((rowId) =>
+    activeFilters.every((filter) => {
+      const cell = cellsById[getCellId(rowId, filter.key)];
+      return matchesColumnFilter(cell && cell.value, filter, locale);
+    })
+  );
+};
+
+/**
+ * Serialize the given column filters into a string. Inactive filters are
+ * dropped so that the result only describes filters that affect the table.
+ *
+ * @param {Array<object>} columnFilters
+ * @returns {string}
+ */
+export const serializeColumnFilters = (columnFilters) =>
+  JSON.stringify(columnFilters.filter(isColumnFilterActive));
+
+/**
+ * Restore column filters from a string created by `serializeColumnFilters`.
+ * Entries that are not valid column filters are ignored, and an invalid string
+ * results in an empty list of filters.
+ *
+ * @param {string} value
+ * @returns {Array<object>}
+ */
+export const deserializeColumnFilters = (value) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    return [];
+  }
+  if (!Array.isArray(parsed)) {
+    return [];
+  }
+  return parsed.filter(
+    (filter) =>
+      filter && typeof filter.key === 'string' && isColumnFilterActive(filter)
+  );
+};
@@ -0,0 +1,200 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  ArrowDown,
+  ArrowLeft,
+  ArrowRight,
+  ArrowUp,
+  End,
+  Home,
+} from '../../../internal/keyboard/keys';
+import { match } from '../../../internal/keyboard/match';
+import { selectorFocusable } from '../../../internal/keyboard/navigation';
+
+/**
+ * Get the cells of a table in grid mode, by row. Rows that are not shown, like
+ * the spacers of a virtual body, are left out.
+ *
+ * @param {HTMLTableElement} table
+ * @returns {Array<Array<HTMLElement>>}
+ */
+export const getGridRows = (table) =>
+  Array.from(table.rows)
+    .filter(
+      (row) =>
+        !row.hidden &&
+        !row.hasAttribute('data-virtual-spacer') &&
+        row.getAttribute('aria-hidden') !== 'true'
+    )
+    .map((row) => Array.from(row.cells))
+    .filter((cells) => cells.length > 0);
+
+/**
+ * Find the position of the cell that contains the given element
+ *
+ * @param {Array<Array<HTMLElement>>} rows
+ * @param {Element} element
+ * @returns {{ row: number, column: number }|null}
+ */
+export const getGridPosition = (rows, element) => {
+  for (let row = 0; row < rows.length; row++) {
+    const column = rows[row].findIndex((cell) => cell.contains(element));
+    if (column !== -1) {
+      return { row, column };
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the cell at the given position. Positions outside of the grid are
+ * clamped, so that moving between rows with a different number of cells, like
+ * an expanded row, lands on the closest cell.
+ *
+ * @param {Array<Array<HTMLElement>>} rows
+ * @param {{ row: number, column: number }} position
+ * @returns {HTMLElement|null}
+ */
+export const getGridCell = (rows, { row, column }) => {
+  if (rows.length === 0) {
+    return null;
+  }
+  const cells = rows[Math.min(Math.max(row, 0), rows.length - 1)];
+  return cells[Math.min(Math.max(column, 0), cells.length - 1)];
+};
+
+/**
+ * Get the position that focus moves to for the given key event: the arrow
+ * keys move by one cell, Home and End move to the start or end of the row,
+ * and Ctrl+Home and Ctrl+End to the first or last cell of the grid.
+ *
+ * @param {KeyboardEvent|React.KeyboardEvent} event
+ * @param {{ row: number, column: number }} position
+ * @param {Array<Array<HTMLElement>>} rows
+ * @param {boolean} [isRtl]
+ * @returns {{ row: number, column: number }|null} `null` when the key does
+ * not move focus
+ */
+export const getNextGridPosition = (event, position, rows, isRtl = false) => {
+  const { row, column } = position;
+  const lastRow = rows.length - 1;
+  const lastColumn = (index) => rows[index].length - 1;
+  const isControl = event.ctrlKey || event.metaKey;
+
+  if (match(event, ArrowUp)) {
+    return { row: Math.max(row - 1, 0), column };
+  }
+  if (match(event, ArrowDown)) {
+    return { row: Math.min(row + 1, lastRow), column };
+  }
+  if (match(event, isRtl ? ArrowRight : ArrowLeft)) {
+    return { row, column: Math.max(column - 1, 0) };
+  }
+  if (match(event, isRtl ? ArrowLeft : ArrowRight)) {
+    return { row, column: Math.min(column + 1, lastColumn(row)) };
+  }
+  if (match(event, Home)) {
+    return isControl ? { row: 0, column: 0 } : { row, column: 0 };
+  }
+  if (match(event, End)) {
+    return isControl
+      ? { row: lastRow, column: lastColumn(lastRow) }
+      : { row, column: lastColumn(row) };
+  }
+  return null;
+};
+
+const originalTabIndex = 'data-grid-tabindex';
+
+/**
+ * Set the tabindex of an element in grid mode, keeping the tabindex it had
+ * before so that it can be restored by `restoreGridTabIndexes`
+ *
+ * @param {HTMLElement} element
+ * @param {number} tabIndex
+ */
+const setGridTabIndex = (element, tabIndex) => {
+  if (element.tabIndex === tabIndex) {
+    return;
+  }
+  if (!element.hasAttribute(originalTabIndex)) {
+    element.setAttribute(
+      originalTabIndex,
+      element.getAttribute('tabindex') ?? ''
+    );
+  }
+  element.tabIndex = tabIndex;
+};
+
+/**
+ * Restore the tabindex that the descendants of an element had before they
+ * were changed by `syncGridTabIndexes`
+ *
+ * @param {HTMLElement} root
+ */
+export const restoreGridTabIndexes = (root) => {
+  root.querySelectorAll(`[${originalTabIndex}]`).forEach((element) => {
+    const tabIndex = element.getAttribute(originalTabIndex);
+    if (tabIndex) {
+      element.setAttribute('tabindex', tabIndex);
+    } else {
+      element.removeAttribute('tabindex');
+    }
+    element.removeAttribute(originalTabIndex);
+  });
+};
+
+/**
+ * Apply the roving tabindex: only the active cell can be reached with Tab,
+ * and the interactive content of every other cell is taken out of the tab
+ * order.
+ *
+ * @param {Array<Array<HTMLElement>>} rows
+ * @param {HTMLElement|null} activeCell
+ */
+export const syncGridTabIndexes = (rows, activeCell) => {
+  rows.forEach((cells) => {
+    cells.forEach((cell) => {
+      setGridTabIndex(cell, cell === activeCell ? 0 : -1);
+      if (cell === activeCell) {
+        restoreGridTabIndexes(cell);
+        return;
+      }
+      cell.querySelectorAll(selectorFocusable).forEach((element) => {
+        setGridTabIndex(element, -1);
+      });
+    });
+  });
+};
+
+const isTextEntry = (element) =>
+  element.tagName === 'TEXTAREA' ||
+  element.tagName === 'SELECT' ||
+  element.isContentEditable ||
+  (element.tagName === 'INPUT' &&
+    !['checkbox', 'radio', 'button', 'submit', 'reset'].includes(element.type));
+
+/**
+ * Activate the interactive content of a cell: buttons, links and checkboxes
+ * are clicked, and other inputs receive focus so they can be typed in.
+ *
+ * @param {HTMLElement} cell
+ * @returns {boolean} whether the cell had content to activate
+ */
+export const activateGridCell = (cell) => {
+  const element = cell.querySelector(selectorFocusable);
+  if (!element) {
+    return false;
+  }
+  if (isTextEntry(element)) {
+    element.focus();
+  } else {
+    element.click();
+  }
+  return true;
+};
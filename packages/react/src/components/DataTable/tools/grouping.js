@@ -0,0 +1,234 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const isPresent = (value) => value !== null && value !== undefined;
+
+const getNumbers = (values) =>
+  values.filter((value) => typeof value === 'number' && !Number.isNaN(value));
+
+const compareValues = (a, b) => {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() - b.getTime();
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return `${a}`.localeCompare(`${b}`);
+};
+
+/**
+ * The built-in aggregate functions that can be referred to by name. Each one
+ * receives the values of a column for the rows of a group, or the whole table.
+ */
+export const aggregators = {
+  count: (values) => values.filter(isPresent).length,
+  sum: (values) => getNumbers(values).reduce((sum, value) => sum + value, 0),
+  avg: (values) => {
+    const numbers = getNumbers(values);
+    return numbers.length > 0
+      ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length
+      : null;
+  },
+  min: (values) =>
+    values
+      .filter(isPresent)
+      .reduce(
+        (min, value) =>
+          min === null || compareValues(value, min) < 0 ? value : min,
+        null
+      ),
+  max: (values) =>
+    values
+      .filter(isPresent)
+      .reduce(
+        (max, value) =>
+          max === null || compareValues(value, max) > 0 ? value : max,
+        null
+      ),
+};
+
+/**
+ * Compute the aggregates of the given rows for each column that has an
+ * aggregate, either the name of a built-in aggregate or a custom function.
+ *
+ * @param {object} config
+ * @param {Array<string>} config.rowIds
+ * @param {object} config.aggregates map of header key to aggregate
+ * @param {object} config.cellsById
+ * @param {Function} config.getCellId
+ * @returns {object} map of header key to aggregated value
+ */
+export const getAggregates = ({ rowIds, aggregates, cellsById, getCellId }) => {
+  if (!aggregates) {
+    return {};
+  }
+  return Object.keys(aggregates).reduce((acc, key) => {
+    const aggregate = aggregates[key];
+    const fn =
+      typeof aggregate === 'function' ? aggregate : aggregators[aggregate];
+    if (!fn) {
+      return acc;
+    }
+    const values = rowIds.map(
+      (rowId) => cellsById[getCellId(rowId, key)]?.value
+    );
+    return { ...acc, [key]: fn(values, rowIds) };
+  }, {});
+};
+
+/**
+ * Get a key for the value that rows are grouped by, tagged with its type so
+ * that `null` and `'null'` or `1` and `'1'` end up in different groups.
+ * Objects, like React elements, are keyed by their index in `objectKeys`.
+ *
+ * @param {*} value
+ * @param {Map<object, number>} objectKeys
+ * @returns {string}
+ */
+const getValueKey = (value, objectKeys) => {
+  if (value instanceof Date) {
+    return `date:${value.getTime()}`;
+  }
+  if (
+    value !== null &&
+    (typeof value === 'object' || typeof value === 'function')
+  ) {
+    if (!objectKeys.has(value)) {
+      objectKeys.set(value, objectKeys.size);
+    }
+    return `object:${objectKeys.get(value)}`;
+  }
+  return `${value === null ? 'null' : typeof value}:${String(value)}`;
+};
+
+/**
+ * Get the id of a group from the id of its parent group and the value that
+ * it groups by
+ *
+ * @param {string|null} parentId
+ * @param {string} headerKey
+ * @param {*} value
+ * @param {Map<object, number>} [objectKeys] the keys of object values
+ * @returns {string}
+ */
+export const getGroupId = (
+  parentId,
+  headerKey,
+  value,
+  objectKeys = new Map()
+) =>
+  `${parentId ? `${parentId}/` : 'group:'}${headerKey}=${getValueKey(
+    value,
+    objectKeys
+  )}`;
+
+/**
+ * Group the given rows by the values of one or more columns. Groups are kept
+ * in the order their first row appears in, so that sorting the rows also
+ * sorts the groups.
+ *
+ * @param {object} config
+ * @param {Array<string>} config.rowIds the filtered and sorted row ids
+ * @param {Array<string>} config.groupBy the header keys to group by, in order
+ * @param {object} config.cellsById
+ * @param {Function} config.getCellId
+ * @param {object} [config.aggregates]
+ * @param {string|null} [config.parentId]
+ * @param {number} [config.depth]
+ * @returns {Array<object>} a tree of groups, with `rowIds` at every level
+ */
+export const groupRows = ({
+  rowIds,
+  groupBy,
+  cellsById,
+  getCellId,
+  aggregates,
+  parentId = null,
+  depth = 0,
+}) => {
+  const [headerKey, ...rest] = groupBy;
+  const groups = new Map();
+  const objectKeys = new Map();
+  rowIds.forEach((rowId) => {
+    const value = cellsById[getCellId(rowId, headerKey)]?.value;
+    const id = getGroupId(parentId, headerKey, value, objectKeys);
+    if (!groups.has(id)) {
+      groups.set(id, { id, headerKey, value, rowIds: [] });
+    }
+    groups.get(id).rowIds.push(rowId);
+  });
+
+  return Array.from(groups.values()).map((group) => ({
+    ...group,
+    depth,
+    aggregates: getAggregates({
+      rowIds: group.rowIds,
+      aggregates,
+      cellsById,
+      getCellId,
+    }),
+    groups:
+      rest.length > 0
+        ? groupRows({
+            rowIds: group.rowIds,
+            groupBy: rest,
+            cellsById,
+            getCellId,
+            aggregates,
+            parentId: group.id,
+            depth: depth + 1,
+          })
+        : [],
+  }));
+};
+
+/**
+ * Flatten a tree of groups into the list of group rows and rows that are
+ * rendered, skipping the contents of collapsed groups.
+ *
+ * @param {Array<object>} groups
+ * @param {Function} isGroupExpanded
+ * @returns {Array<object>} entries of `{ type: 'group', group }` or
+ * `{ type: 'row', rowId, depth }`
+ */
+export const flattenGroups = (groups, isGroupExpanded) =>
+  groups.flatMap((group) => {
+    const entry = { type: 'group', group };
+    if (!isGroupExpanded(group.id)) {
+      return [entry];
+    }
+    if (group.groups.length > 0) {
+      return [entry, ...flattenGroups(group.groups, isGroupExpanded)];
+    }
+    return [
+      entry,
+      ...group.rowIds.map((rowId) => ({
+        type: 'row',
+        rowId,
+        depth: group.depth + 1,
+      })),
+    ];
+  });
+
+/**
+ * The default way aggregated values and group values are displayed
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export const formatAggregate = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'number') {
+    return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+  }
+  if (value instanceof Date) {
+    return value.toLocaleDateString();
+  }
+  return `${value}`;
+};
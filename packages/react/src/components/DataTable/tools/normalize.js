@@ -15,7 +15,7 @@ import { getCellId } from './cells';
  * @returns {object}
  */
 const normalize = (rows, headers, prevState = {}) => {
-  const { rowsById: prevRowsByIds } = prevState;
+  const { rowsById: prevRowsByIds, cellsById: prevCellsById } = prevState;
   const rowIds = new Array(rows.length);
   const rowsById = {};
   const cellsById = {};
@@ -45,13 +45,13 @@ const normalize = (rows, headers, prevState = {}) => {
       rowsById[row.id].isExpanded = prevRowsByIds[row.id].isExpanded;
     }
 
-    headers.forEach(({ key, slug }, i) => {
+    headers.forEach(({ key, slug, editor }, i) => {
       const id = getCellId(row.id, key);
       // Initialize the cell info and state values, namely for editing
       cellsById[id] = {
         id,
         value: row[key],
-        isEditable: false,
+        isEditable: !!editor && !disabled,
         isEditing: false,
         isValid: true,
         errors: null,
@@ -61,8 +61,17 @@ const normalize = (rows, headers, prevState = {}) => {
         },
       };
 
-      // TODO: When working on inline edits, we'll need to derive the state
-      // values similarly to rows above.
+      // Similar to rows above, a cell that is being edited keeps its editing
+      // state when the rows are updated
+      if (
+        cellsById[id].isEditable &&
+        prevCellsById &&
+        prevCellsById[id] !== undefined
+      ) {
+        cellsById[id].isEditing = prevCellsById[id].isEditing;
+        cellsById[id].isValid = prevCellsById[id].isValid;
+        cellsById[id].errors = prevCellsById[id].errors;
+      }
 
       rowsById[row.id].cells[i] = id;
     });
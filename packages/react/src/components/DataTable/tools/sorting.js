@@ -120,3 +120,55 @@ export const defaultSortRow = (
 
   return compare(cellB, cellA, locale);
 };
+
+/**
+ * Sort rows by a stack of headers. The first entry in the stack is the primary
+ * sort key, and every following entry is only consulted when all of the
+ * previous keys compare as equal. Each entry is passed through the given
+ * `sortRow` hook so that custom sorting continues to work per column.
+ *
+ * @param {object} config
+ * @param {Array[string]} config.rowIds array of all the row ids in the table
+ * @param {object} config.cellsById object containing a mapping of cell id to
+ * cell
+ * @param {Array<{ key: string, sortDirection: string }>} config.sortStack the
+ * ordered list of headers and directions to sort by
+ * @param {string} [config.locale] optional locale used in the comparison
+ * function
+ * @param {Function} config.sortRow
+ * @returns {Array[string]} array of sorted rowIds
+ */
+export const sortRowsByStack = ({
+  rowIds,
+  cellsById,
+  sortStack,
+  locale = 'en',
+  sortRow = defaultSortRow,
+}) => {
+  const entries = sortStack.filter(
+    ({ sortDirection }) => sortDirection !== sortStates.NONE
+  );
+
+  if (entries.length === 0) {
+    return rowIds.slice();
+  }
+
+  return rowIds.slice().sort((a, b) => {
+    for (const { key, sortDirection } of entries) {
+      const cellA = cellsById[getCellId(a, key)];
+      const cellB = cellsById[getCellId(b, key)];
+      const result = sortRow(cellA && cellA.value, cellB && cellB.value, {
+        key,
+        sortDirection,
+        locale,
+        sortStates,
+        compare,
+        rowIds: [a, b],
+      });
+      if (result !== 0) {
+        return result;
+      }
+    }
+    return 0;
+  });
+};
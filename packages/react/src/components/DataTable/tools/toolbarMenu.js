@@ -0,0 +1,20 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Keep keyboard events inside of a panel rendered in a `TableToolbarMenu`.
+ * The overflow menu moves focus between items with the arrow keys, which would
+ * otherwise get in the way of the inputs and controls inside of the panel.
+ * `Escape` still reaches the menu so that it can be closed.
+ *
+ * @param {React.KeyboardEvent} event
+ */
+export const stopMenuKeyNavigation = (event) => {
+  if (event.key !== 'Escape') {
+    event.stopPropagation();
+  }
+};
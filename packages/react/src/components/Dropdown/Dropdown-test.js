@@ -192,6 +192,58 @@ describe('Dropdown', () => {
     });
   });
 
+  describe('itemToGroup', () => {
+    const items = [
+      { label: 'Frankfurt', region: 'Europe' },
+      { label: 'Dallas', region: 'Americas' },
+      { label: 'London', region: 'Europe' },
+    ];
+    const itemToGroup = (item) => item.region;
+
+    it('should render the items of each group in a labelled group', async () => {
+      render(
+        <Dropdown {...mockProps} items={items} itemToGroup={itemToGroup} />
+      );
+      await openMenu();
+
+      const europe = screen.getByRole('group', { name: 'Europe' });
+      expect(europe).toHaveTextContent('FrankfurtLondon');
+      expect(
+        screen.getAllByRole('option').map((option) => option.textContent)
+      ).toEqual(['Frankfurt', 'London', 'Dallas']);
+    });
+
+    it('should move the highlight across groups in the order of the menu', async () => {
+      window.HTMLElement.prototype.scrollIntoView = function () {};
+      render(
+        <Dropdown {...mockProps} items={items} itemToGroup={itemToGroup} />
+      );
+      await userEvent.tab();
+      await userEvent.keyboard('[ArrowDown]');
+      await userEvent.keyboard('[ArrowDown]');
+      await userEvent.keyboard('[ArrowDown]');
+      expect(screen.getByText('Dallas').closest('li')).toHaveClass(
+        `${prefix}--list-box__menu-item--highlighted`
+      );
+
+      await userEvent.keyboard('[Enter]');
+      expect(mockProps.onChange).toHaveBeenCalledWith({
+        selectedItem: items[1],
+      });
+    });
+
+    it('should highlight an item by typing its label', async () => {
+      render(
+        <Dropdown {...mockProps} items={items} itemToGroup={itemToGroup} />
+      );
+      await openMenu();
+      await userEvent.keyboard('l');
+      expect(screen.getByText('London').closest('li')).toHaveClass(
+        `${prefix}--list-box__menu-item--highlighted`
+      );
+    });
+  });
+
   describe('Component API', () => {
     window.HTMLElement.prototype.scrollIntoView = function () {};
     it('should accept a `ref` for the underlying button element', async () => {
@@ -30,10 +30,13 @@ import {
   WarningFilled,
 } from '@carbon/icons-react';
 import ListBox, {
+  type ItemToGroup,
   type ListBoxMenuIconTranslationKey,
   ListBoxSize,
   ListBoxType,
+  mapItemGroups,
   PropTypes as ListBoxPropTypes,
+  sortItemsByGroup,
 } from '../ListBox';
 import mergeRefs from '../../tools/mergeRefs';
 import deprecate from '../../prop-types/deprecate';
@@ -156,6 +159,13 @@ export interface DropdownProps<ItemType>
    */
   itemToElement?: React.JSXElementConstructor<ItemType> | null;
 
+  /**
+   * Optionally return the label of the group of an item to render the items
+   * in labelled sections. Groups are in the order in which they first appear
+   * in `items`, and items without a group are rendered without a heading.
+   */
+  itemToGroup?: ItemToGroup<ItemType>;
+
   /**
    * Helper function passed to downshift that allows the library to render a
    * given item to a string label. By default, it extracts the `label` field
@@ -251,6 +261,7 @@ const Dropdown = React.forwardRef(
       ariaLabel: deprecatedAriaLabel,
       itemToString = defaultItemToString,
       itemToElement = null,
+      itemToGroup,
       renderSelectedItem,
       type = 'default',
       size,
@@ -321,8 +332,15 @@ const Dropdown = React.forwardRef(
     const prefix = usePrefix();
     const { isFluid } = useContext(FormContext);
 
+    // The items of a group are next to each other, so that keyboard navigation
+    // and typeahead follow the order of the menu
+    const menuItems = useMemo(
+      () => (itemToGroup ? sortItemsByGroup(items, itemToGroup) : items),
+      [items, itemToGroup]
+    );
+
     const selectProps: UseSelectProps<ItemType> = {
-      items,
+      items: menuItems,
       itemToString,
       initialSelectedItem,
       onSelectedItemChange,
@@ -574,7 +592,7 @@ const Dropdown = React.forwardRef(
           {normalizedSlug}
           <ListBox.Menu {...menuProps}>
             {isOpen &&
-              items.map((item, index) => {
+              mapItemGroups(menuItems, itemToGroup, (item, index) => {
                 const isObject = item !== null && typeof item === 'object';
                 const itemProps = getItemProps({
                   item,
@@ -722,6 +740,13 @@ Dropdown.propTypes = {
    */
   itemToElement: PropTypes.func,
 
+  /**
+   * Optionally return the label of the group of an item to render the items
+   * in labelled sections. Groups are in the order in which they first appear
+   * in `items`, and items without a group are rendered without a heading.
+   */
+  itemToGroup: PropTypes.func,
+
   /**
    * Helper function passed to downshift that allows the library to render a
    * given item to a string label. By default, it extracts the `label` field
@@ -0,0 +1,180 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  createStorageSource,
+  featureFlagInfo,
+  OVERRIDES_STORAGE_KEY,
+} from '@carbon/feature-flags';
+import cx from 'classnames';
+import PropTypes from 'prop-types';
+import React from 'react';
+import Button from '../Button';
+import FormGroup from '../FormGroup';
+import { Stack } from '../Stack';
+import Toggle from '../Toggle';
+import { useId } from '../../internal/useId';
+import { usePrefix } from '../../internal/usePrefix';
+import { useFeatureFlags } from './';
+
+const translationIds = {
+  'carbon.feature-flags-panel.title': 'Feature flags',
+  'carbon.feature-flags-panel.reset': 'Reset overrides',
+  'carbon.feature-flags-panel.overridden': 'Overridden',
+};
+
+function translateWithId(id) {
+  return translationIds[id];
+}
+
+const descriptions = new Map(
+  featureFlagInfo.map((featureFlag) => [
+    featureFlag.name,
+    featureFlag.description.trim(),
+  ])
+);
+
+/**
+ * Get the given scope and the scopes it inherits overrides from, like the
+ * global scope that `loadOverrides` writes to
+ */
+function getScopeChain(scope) {
+  const scopes = [];
+  for (let current = scope; current; current = current.parent) {
+    scopes.push(current);
+  }
+  return scopes;
+}
+
+/**
+ * A developer panel that lists the feature flags of the current
+ * `FeatureFlagContext` and toggles them through overrides. The flags toggled
+ * in the panel are written to storage by default, so that they are applied
+ * again by `loadOverrides` on the next page load.
+ */
+function FeatureFlagsPanel({
+  className,
+  flags,
+  persist = true,
+  storageKey = OVERRIDES_STORAGE_KEY,
+  translateWithId: t = translateWithId,
+  ...rest
+}) {
+  const prefix = usePrefix();
+  const id = useId('feature-flags-panel');
+  const scope = useFeatureFlags();
+  const overrides = scope.getOverrides();
+  const names = flags ?? Array.from(scope.flags.keys());
+
+  function handleToggle(name, enabled) {
+    scope.setOverride(name, enabled);
+    if (persist) {
+      // Only the flags toggled in the panel are stored, so that overrides
+      // from other sources, like the URL query, are not kept after this page
+      const storage = createStorageSource({ key: storageKey });
+      let stored;
+      try {
+        stored = storage.read();
+      } catch (error) {
+        stored = {};
+      }
+      storage.write({ ...stored, [name]: enabled });
+    }
+  }
+
+  // Overrides that apply to this scope can come from the scopes it inherits
+  // from, so they are cleared in all of them
+  function handleReset() {
+    getScopeChain(scope).forEach((current) => current.clearOverrides());
+    if (persist) {
+      createStorageSource({ key: storageKey }).write({});
+    }
+  }
+
+  return (
+    <div {...rest} className={cx(`${prefix}--feature-flags-panel`, className)}>
+      <FormGroup legendText={t('carbon.feature-flags-panel.title')}>
+        <Stack gap={5}>
+          {names.map((name) => {
+            const description = descriptions.get(name);
+            const isOverridden = overrides[name] !== undefined;
+            const descriptionId = `${id}-${name}-description`;
+            return (
+              <div key={name}>
+                <Toggle
+                  id={`${id}-${name}`}
+                  size="sm"
+                  labelText={name}
+                  toggled={scope.enabled(name)}
+                  onToggle={(enabled) => handleToggle(name, enabled)}
+                  aria-describedby={
+                    description || isOverridden ? descriptionId : undefined
+                  }
+                />
+                {(description || isOverridden) && (
+                  <div
+                    id={descriptionId}
+                    className={`${prefix}--form__helper-text`}>
+                    {[
+                      description,
+                      isOverridden &&
+                        t('carbon.feature-flags-panel.overridden'),
+                    ]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </Stack>
+      </FormGroup>
+      <Button
+        kind="ghost"
+        size="sm"
+        disabled={Object.keys(overrides).length === 0}
+        onClick={handleReset}>
+        {t('carbon.feature-flags-panel.reset')}
+      </Button>
+    </div>
+  );
+}
+
+FeatureFlagsPanel.propTypes = {
+  /**
+   * Specify an optional className to be applied to the panel
+   */
+  className: PropTypes.string,
+
+  /**
+   * Optionally limit the panel to the given feature flags. Defaults to every
+   * flag of the current `FeatureFlagContext`.
+   */
+  flags: PropTypes.arrayOf(PropTypes.string),
+
+  /**
+   * Write the flags toggled in the panel to storage, so that they persist
+   * between page loads
+   */
+  persist: PropTypes.bool,
+
+  /**
+   * The storage key the overrides are written to
+   */
+  storageKey: PropTypes.string,
+
+  /**
+   * Supply a method to translate internal strings with your i18n tool of
+   * choice. Translation keys are available on the `translationKeys` field for
+   * this component.
+   */
+  translateWithId: PropTypes.func,
+};
+
+FeatureFlagsPanel.translationKeys = Object.keys(translationIds);
+
+export { FeatureFlagsPanel };
@@ -6,7 +6,7 @@
  */
 
 import * as GlobalFeatureFlags from '@carbon/feature-flags';
-import { render } from '@testing-library/react';
+import { act, render } from '@testing-library/react';
 import React from 'react';
 import { FeatureFlags, useFeatureFlags, useFeatureFlag } from '../';
 
@@ -171,6 +171,49 @@ describe('FeatureFlags', () => {
     });
   });
 
+  it('should keep overrides when the flags or the parent scope change', () => {
+    const checkFlag = jest.fn();
+    let scope;
+
+    function TestComponent() {
+      scope = useFeatureFlags();
+      checkFlag(useFeatureFlag('enable-v12-overflowmenu'));
+      return null;
+    }
+
+    const { rerender } = render(
+      <FeatureFlags>
+        <FeatureFlags enableV12Overflowmenu>
+          <TestComponent />
+        </FeatureFlags>
+      </FeatureFlags>
+    );
+
+    act(() => {
+      scope.setOverride('enable-v12-overflowmenu', false);
+    });
+    expect(checkFlag).toHaveBeenLastCalledWith(false);
+
+    rerender(
+      <FeatureFlags>
+        <FeatureFlags enableV12Overflowmenu enableTreeviewControllable>
+          <TestComponent />
+        </FeatureFlags>
+      </FeatureFlags>
+    );
+    expect(checkFlag).toHaveBeenLastCalledWith(false);
+
+    rerender(
+      <FeatureFlags enableV12TileDefaultIcons>
+        <FeatureFlags enableV12Overflowmenu enableTreeviewControllable>
+          <TestComponent />
+        </FeatureFlags>
+      </FeatureFlags>
+    );
+    expect(checkFlag).toHaveBeenLastCalledWith(false);
+    expect(scope.getOverrides()).toEqual({ 'enable-v12-overflowmenu': false });
+  });
+
   it('should merge scopes and overwrite duplicate keys', () => {
     const checkFlag = jest.fn();
 
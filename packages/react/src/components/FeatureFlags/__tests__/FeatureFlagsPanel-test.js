@@ -0,0 +1,140 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  createQuerySource,
+  createStorageSource,
+  FeatureFlags as GlobalFeatureFlags,
+  loadOverrides,
+} from '@carbon/feature-flags';
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import React from 'react';
+import { FeatureFlags, useFeatureFlag } from '../';
+import { FeatureFlagsPanel } from '../FeatureFlagsPanel';
+
+function OverflowMenuFlag() {
+  const enabled = useFeatureFlag('enable-v12-overflowmenu');
+  return <p data-testid="flag">{enabled ? 'on' : 'off'}</p>;
+}
+
+describe('FeatureFlagsPanel', () => {
+  afterEach(() => {
+    act(() => {
+      GlobalFeatureFlags.clearOverrides();
+    });
+    window.localStorage.clear();
+  });
+
+  it('should list the flags of the current scope', () => {
+    render(<FeatureFlagsPanel />);
+
+    expect(screen.getByRole('group', { name: 'Feature flags' })).toBeVisible();
+    expect(
+      screen.getByRole('switch', { name: 'enable-v12-overflowmenu' })
+    ).toHaveAccessibleDescription(
+      'Enable the use of the v12 OverflowMenu leveraging the Menu subcomponents'
+    );
+    expect(
+      screen.getByRole('switch', { name: 'enable-v11-release' })
+    ).toHaveAttribute('aria-checked', 'true');
+  });
+
+  it('should only list the given flags', () => {
+    render(<FeatureFlagsPanel flags={['enable-treeview-controllable']} />);
+    expect(screen.getAllByRole('switch')).toHaveLength(1);
+  });
+
+  it('should override flags and persist the overrides', async () => {
+    render(
+      <FeatureFlags enableTreeviewControllable>
+        <FeatureFlagsPanel />
+        <OverflowMenuFlag />
+      </FeatureFlags>
+    );
+
+    const toggle = screen.getByRole('switch', {
+      name: 'enable-v12-overflowmenu',
+    });
+    expect(screen.getByTestId('flag')).toHaveTextContent('off');
+
+    await userEvent.click(toggle);
+    expect(toggle).toHaveAttribute('aria-checked', 'true');
+    expect(toggle).toHaveAccessibleDescription(/Overridden$/);
+    expect(screen.getByTestId('flag')).toHaveTextContent('on');
+    expect(
+      JSON.parse(window.localStorage.getItem('carbon-feature-flags'))
+    ).toEqual({ 'enable-v12-overflowmenu': true });
+
+    await userEvent.click(
+      screen.getByRole('button', { name: 'Reset overrides' })
+    );
+    expect(screen.getByTestId('flag')).toHaveTextContent('off');
+    expect(window.localStorage.getItem('carbon-feature-flags')).toBe(null);
+  });
+
+  it('should reset the overrides that `loadOverrides` applied to the global scope', async () => {
+    window.localStorage.setItem(
+      'carbon-feature-flags',
+      JSON.stringify({ 'enable-treeview-controllable': true })
+    );
+    act(() => {
+      loadOverrides({
+        sources: [
+          createStorageSource(),
+          createQuerySource({
+            search: '?carbon-flags=enable-v12-overflowmenu',
+          }),
+        ],
+      });
+    });
+    render(
+      <FeatureFlags enableV12TileDefaultIcons>
+        <FeatureFlagsPanel />
+        <OverflowMenuFlag />
+      </FeatureFlags>
+    );
+    expect(screen.getByTestId('flag')).toHaveTextContent('on');
+
+    await userEvent.click(
+      screen.getByRole('switch', { name: 'enable-v12-tile-radio-icons' })
+    );
+    // The flag of the URL query is not stored
+    expect(
+      JSON.parse(window.localStorage.getItem('carbon-feature-flags'))
+    ).toEqual({
+      'enable-treeview-controllable': true,
+      'enable-v12-tile-radio-icons': true,
+    });
+
+    const reset = screen.getByRole('button', { name: 'Reset overrides' });
+    await userEvent.click(reset);
+    expect(screen.getByTestId('flag')).toHaveTextContent('off');
+    expect(
+      screen.getByRole('switch', { name: 'enable-treeview-controllable' })
+    ).toHaveAttribute('aria-checked', 'false');
+    expect(reset).toBeDisabled();
+    expect(window.localStorage.getItem('carbon-feature-flags')).toBe(null);
+  });
+
+  it('should apply overrides of the global scope in nested scopes', async () => {
+    render(
+      <>
+        <FeatureFlagsPanel persist={false} />
+        <FeatureFlags enableTreeviewControllable>
+          <OverflowMenuFlag />
+        </FeatureFlags>
+      </>
+    );
+
+    await userEvent.click(
+      screen.getByRole('switch', { name: 'enable-v12-overflowmenu' })
+    );
+    expect(screen.getByTestId('flag')).toHaveTextContent('on');
+    expect(window.localStorage.getItem('carbon-feature-flags')).toBe(null);
+  });
+});
@@ -14,6 +14,7 @@ import React, {
   createContext,
   useContext,
   useEffect,
+  useReducer,
   useRef,
   useState,
 } from 'react';
@@ -50,16 +51,12 @@ function FeatureFlags({
       enableExperimentalFocusWrapWithoutSentinels,
     ...flags,
   };
-  const [scope, updateScope] = useState(() => {
-    const scope = createScope(combinedFlags);
-    scope.mergeWithScope(parentScope);
-    return scope;
-  });
+  const [scope, updateScope] = useState(() =>
+    createFeatureFlagScope(combinedFlags, parentScope)
+  );
 
   if (parentScope !== prevParentScope) {
-    const scope = createScope(combinedFlags);
-    scope.mergeWithScope(parentScope);
-    updateScope(scope);
+    updateScope(createFeatureFlagScope(combinedFlags, parentScope, scope));
     setPrevParentScope(parentScope);
   }
 
@@ -67,9 +64,7 @@ function FeatureFlags({
   // for flags that are passed in. If they have changed, then we re-create the
   // FeatureFlagScope using the new flags
   useChangedValue(combinedFlags, isEqual, (changedFlags) => {
-    const scope = createScope(changedFlags);
-    scope.mergeWithScope(parentScope);
-    updateScope(scope);
+    updateScope(createFeatureFlagScope(changedFlags, parentScope, scope));
   });
 
   return (
@@ -98,6 +93,30 @@ FeatureFlags.propTypes = {
   enableExperimentalFocusWrapWithoutSentinels: PropTypes.bool,
 };
 
+/**
+ * Create the FeatureFlagScope of a `FeatureFlags` component from its flags and
+ * the scope of its parent. The overrides of the scope it replaces, for example
+ * ones set through `FeatureFlagsPanel`, are kept; overrides of the parent
+ * scope keep applying through `mergeWithScope`.
+ *
+ * @param {object} flags
+ * @param {FeatureFlagScope} parentScope
+ * @param {FeatureFlagScope} [previousScope]
+ * @returns {FeatureFlagScope}
+ */
+function createFeatureFlagScope(flags, parentScope, previousScope) {
+  const scope = createScope(flags);
+  scope.mergeWithScope(parentScope);
+  if (previousScope) {
+    scope.setOverrides(
+      Object.fromEntries(
+        [...previousScope.overrides].filter(([name]) => scope.flags.has(name))
+      )
+    );
+  }
+  return scope;
+}
+
 /**
  * This hook will store previous versions of the given `value` and compare the
  * current value to the previous one using the `compare` function. If the
@@ -140,18 +159,25 @@ function useChangedValue(value, compare, callback) {
  * @returns {boolean}
  */
 function useFeatureFlag(flag) {
-  const scope = useContext(FeatureFlagContext);
+  const scope = useFeatureFlags();
   //updated to return false for undefined flags
   return scope.enabled(flag) ?? false;
 }
 
 /**
- * Access all feature flag information for the given FeatureFlagContext
+ * Access all feature flag information for the given FeatureFlagContext. The
+ * component re-renders when the overrides of the scope change, for example
+ * through `FeatureFlagsPanel`.
  *
  * @returns {FeatureFlagScope}
  */
 function useFeatureFlags() {
-  return useContext(FeatureFlagContext);
+  const scope = useContext(FeatureFlagContext);
+  const [, forceUpdate] = useReducer((count) => count + 1, 0);
+
+  useEffect(() => scope.subscribe(forceUpdate), [scope]);
+
+  return scope;
 }
 
 /**
@@ -38,6 +38,14 @@ export interface FluidNumberInputProps {
    */
   disabled?: boolean;
 
+  /**
+   * Provide the `Intl.NumberFormat` options used to format the value, like
+   * `{ style: 'currency', currency: 'EUR' }`. When `locale` or `formatOptions`
+   * is set, the value is displayed formatted and the input is parsed back to a
+   * number.
+   */
+  formatOptions?: Intl.NumberFormatOptions;
+
   /**
    * Provide a description for up/down icons that can be read by screen readers
    */
@@ -64,6 +72,13 @@ export interface FluidNumberInputProps {
    */
   label?: React.ReactNode;
 
+  /**
+   * Specify the locale used to format the value and to parse the input, like
+   * `de-DE`. When `locale` or `formatOptions` is set, the value is displayed
+   * formatted and the input is parsed back to a number.
+   */
+  locale?: string;
+
   /**
    * The maximum value.
    */
@@ -157,6 +172,14 @@ FluidNumberInput.propTypes = {
    */
   disabled: PropTypes.bool,
 
+  /**
+   * Provide the `Intl.NumberFormat` options used to format the value, like
+   * `{ style: 'currency', currency: 'EUR' }`. When `locale` or `formatOptions`
+   * is set, the value is displayed formatted and the input is parsed back to a
+   * number.
+   */
+  formatOptions: PropTypes.object,
+
   /**
    * Provide a description for up/down icons that can be read by screen readers
    */
@@ -183,6 +206,13 @@ FluidNumberInput.propTypes = {
    */
   label: PropTypes.node,
 
+  /**
+   * Specify the locale used to format the value and to parse the input, like
+   * `de-DE`. When `locale` or `formatOptions` is set, the value is displayed
+   * formatted and the input is parsed back to a number.
+   */
+  locale: PropTypes.string,
+
   /**
    * The maximum value.
    */
@@ -7,7 +7,7 @@
 
 import React from 'react';
 import FluidNumberInput from '../FluidNumberInput';
-import { render } from '@testing-library/react';
+import { render, screen } from '@testing-library/react';
 
 const prefix = 'cds';
 
@@ -22,5 +22,19 @@ describe('FluidNumberInput', () => {
         `${prefix}--number-input--fluid`
       );
     });
+
+    it('should format the value for the `locale` and `formatOptions`', () => {
+      render(
+        <FluidNumberInput
+          id="input-1"
+          label="FluidTextInput label"
+          locale="de-DE"
+          formatOptions={{ maximumFractionDigits: 2 }}
+          value={1234.567}
+        />
+      );
+
+      expect(screen.getByRole('spinbutton')).toHaveValue('1.234,57');
+    });
   });
 });
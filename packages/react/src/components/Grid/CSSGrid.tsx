@@ -8,21 +8,26 @@
 import cx from 'classnames';
 import PropTypes from 'prop-types';
 import React from 'react';
+import { useResponsiveValue } from '../../internal/useBreakpoint';
 import { usePrefix } from '../../internal/usePrefix';
 import { PolymorphicProps } from '../../types/common';
 import { GridSettings, useGridSettings } from './GridContext';
 import { GridComponent, GridProps } from './GridTypes';
+import { responsiveValue } from '../../prop-types/responsiveValue';
 
 function CSSGrid<T extends React.ElementType>({
   as: BaseComponent = 'div' as T,
   children,
   className: customClassName,
-  condensed = false,
-  fullWidth = false,
-  narrow = false,
+  condensed: condensedProp = false,
+  fullWidth: fullWidthProp = false,
+  narrow: narrowProp = false,
   ...rest
 }: GridProps<T>) {
   const prefix = usePrefix();
+  const condensed = useResponsiveValue(condensedProp);
+  const fullWidth = useResponsiveValue(fullWidthProp);
+  const narrow = useResponsiveValue(narrowProp);
   const { subgrid } = useGridSettings();
   let mode: SubgridMode = 'wide';
   if (narrow) {
@@ -83,18 +88,18 @@ CSSGrid.propTypes = {
    * Collapse the gutter to 1px. Useful for fluid layouts.
    * Rows have 1px of margin between them to match gutter.
    */
-  condensed: PropTypes.bool,
+  condensed: responsiveValue(PropTypes.bool),
 
   /**
    * Remove the default max width that the grid has set
    */
-  fullWidth: PropTypes.bool,
+  fullWidth: responsiveValue(PropTypes.bool),
 
   /**
    * Container hangs 16px into the gutter. Useful for
    * typographic alignment with and without containers.
    */
-  narrow: PropTypes.bool,
+  narrow: responsiveValue(PropTypes.bool),
 };
 
 type SubgridMode = 'wide' | 'narrow' | 'condensed';
@@ -8,20 +8,25 @@
 import cx from 'classnames';
 import PropTypes from 'prop-types';
 import React from 'react';
+import { useResponsiveValue } from '../../internal/useBreakpoint';
 import { usePrefix } from '../../internal/usePrefix';
 import { GridSettings } from './GridContext';
 import { GridComponent, GridProps } from './GridTypes';
+import { responsiveValue } from '../../prop-types/responsiveValue';
 
 function FlexGrid<T extends React.ElementType>({
   as: BaseComponent = 'div' as T,
-  condensed = false,
-  narrow = false,
-  fullWidth = false,
+  condensed: condensedProp = false,
+  narrow: narrowProp = false,
+  fullWidth: fullWidthProp = false,
   className: containerClassName,
   children,
   ...rest
 }: GridProps<T>) {
   const prefix = usePrefix();
+  const condensed = useResponsiveValue(condensedProp);
+  const narrow = useResponsiveValue(narrowProp);
+  const fullWidth = useResponsiveValue(fullWidthProp);
   const className = cx(containerClassName, {
     [`${prefix}--grid`]: true,
     [`${prefix}--grid--condensed`]: condensed,
@@ -59,18 +64,18 @@ FlexGrid.propTypes = {
    * Collapse the gutter to 1px. Useful for fluid layouts.
    * Rows have 1px of margin between them to match gutter.
    */
-  condensed: PropTypes.bool,
+  condensed: responsiveValue(PropTypes.bool),
 
   /**
    * Remove the default max width that the grid has set
    */
-  fullWidth: PropTypes.bool,
+  fullWidth: responsiveValue(PropTypes.bool),
 
   /**
    * Container hangs 16px into the gutter. Useful for
    * typographic alignment with and without containers.
    */
-  narrow: PropTypes.bool,
+  narrow: responsiveValue(PropTypes.bool),
 };
 
 const FlexGridComponent = FlexGrid as GridComponent;
@@ -11,6 +11,7 @@ import { useFeatureFlag } from '../FeatureFlags';
 import { CSSGrid } from './CSSGrid';
 import { FlexGrid } from './FlexGrid';
 import { GridComponent, GridProps } from './GridTypes';
+import { responsiveValue } from '../../prop-types/responsiveValue';
 
 function Grid<T extends React.ElementType>(props: GridProps<T>) {
   const enableCSSGrid = useFeatureFlag('enable-css-grid');
@@ -40,18 +41,18 @@ Grid.propTypes = {
    * Collapse the gutter to 1px. Useful for fluid layouts.
    * Rows have 1px of margin between them to match gutter.
    */
-  condensed: PropTypes.bool,
+  condensed: responsiveValue(PropTypes.bool),
 
   /**
    * Remove the default max width that the grid has set
    */
-  fullWidth: PropTypes.bool,
+  fullWidth: responsiveValue(PropTypes.bool),
 
   /**
    * Container hangs 16px into the gutter. Useful for
    * typographic alignment with and without containers.
    */
-  narrow: PropTypes.bool,
+  narrow: responsiveValue(PropTypes.bool),
 };
 
 const GridAsGridComponent = Grid as GridComponent;
@@ -5,8 +5,13 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import { type ResponsiveValue } from '../../internal/useBreakpoint';
 import { PolymorphicProps } from '../../types/common';
 
+/**
+ * The `condensed`, `fullWidth` and `narrow` props also accept an object with a
+ * value for each breakpoint, like `{ sm: true, lg: false }`
+ */
 export interface GridBaseProps {
   /**
    * Pass in content that will be rendered within the `Grid`
@@ -22,18 +27,18 @@ export interface GridBaseProps {
    * Collapse the gutter to 1px. Useful for fluid layouts.
    * Rows have 1px of margin between them to match gutter.
    */
-  condensed?: boolean;
+  condensed?: boolean | ResponsiveValue<boolean>;
 
   /**
    * Remove the default max width that the grid has set
    */
-  fullWidth?: boolean;
+  fullWidth?: boolean | ResponsiveValue<boolean>;
 
   /**
    * Container hangs 16px into the gutter. Useful for
    * typographic alignment with and without containers.
    */
-  narrow?: boolean;
+  narrow?: boolean | ResponsiveValue<boolean>;
 }
 
 export type GridProps<T extends React.ElementType> = PolymorphicProps<
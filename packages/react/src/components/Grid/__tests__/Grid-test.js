@@ -43,6 +43,18 @@ describe('Grid', () => {
     );
   });
 
+  it('should support a value for each breakpoint in the `condensed` prop', () => {
+    const { container } = render(
+      <Grid condensed={{ sm: true, lg: false }} narrow={{ lg: true }} />
+    );
+    expect(container.firstChild.className).toEqual(
+      expect.stringContaining('grid--condensed')
+    );
+    expect(container.firstChild.className).not.toEqual(
+      expect.stringContaining('grid--narrow')
+    );
+  });
+
   it('should support setting the full-width class through the `fullWidth` prop', () => {
     const { container } = render(<Grid fullWidth />);
     expect(container.firstChild.className).toEqual(
@@ -0,0 +1,107 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { createContext, useContext } from 'react';
+import PropTypes from 'prop-types';
+import { usePrefix } from '../../internal/usePrefix';
+import { fuzzyMatcher, type Matcher, type MatchRange } from './tools/match';
+
+export interface ListBoxMatchContextValue {
+  /**
+   * The value that the user typed. Nothing is highlighted when it is empty.
+   */
+  inputValue?: string | null;
+
+  /**
+   * The locale that is passed to the matcher
+   */
+  locale?: string;
+
+  /**
+   * The matcher that finds the ranges to highlight
+   */
+  matcher?: Matcher;
+}
+
+/**
+ * Provided by the components that filter a list box, like `ComboBox`, so that
+ * the `ListBoxMatch` of each item highlights what the user typed
+ */
+export const ListBoxMatchContext = createContext<ListBoxMatchContextValue>({});
+
+export interface ListBoxMatchProps {
+  /**
+   * Provide the text in which matches are highlighted
+   */
+  children: string;
+
+  /**
+   * Optionally provide the ranges to highlight, instead of matching the text
+   * against the value that the user typed
+   */
+  ranges?: MatchRange[];
+}
+
+/**
+ * `ListBoxMatch` renders a text with the parts that match the value of a
+ * filterable list box highlighted. Use it to highlight matches in a custom
+ * `itemToElement` renderer.
+ */
+function ListBoxMatch({ children, ranges: rangesProp }: ListBoxMatchProps) {
+  const prefix = usePrefix();
+  const {
+    inputValue,
+    locale,
+    matcher = fuzzyMatcher,
+  } = useContext(ListBoxMatchContext);
+
+  if (typeof children !== 'string') {
+    return <>{children}</>;
+  }
+
+  const ranges =
+    rangesProp ??
+    (inputValue ? matcher(children, inputValue, { locale })?.ranges : null);
+
+  if (!ranges || ranges.length === 0) {
+    return <>{children}</>;
+  }
+
+  const parts: React.ReactNode[] = [];
+  let index = 0;
+  for (const [start, end] of ranges) {
+    if (start > index) {
+      parts.push(children.slice(index, start));
+    }
+    parts.push(
+      <mark key={start} className={`${prefix}--list-box__menu-item__match`}>
+        {children.slice(start, end)}
+      </mark>
+    );
+    index = end;
+  }
+  if (index < children.length) {
+    parts.push(children.slice(index));
+  }
+
+  return <>{parts}</>;
+}
+
+ListBoxMatch.propTypes = {
+  /**
+   * Provide the text in which matches are highlighted
+   */
+  children: PropTypes.string,
+
+  /**
+   * Optionally provide the ranges to highlight, instead of matching the text
+   * against the value that the user typed
+   */
+  ranges: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+};
+
+export default ListBoxMatch;
@@ -0,0 +1,152 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import cx from 'classnames';
+import React, { ForwardedRef, ReactNode } from 'react';
+import PropTypes from 'prop-types';
+import { useId } from '../../internal/useId';
+import { usePrefix } from '../../internal/usePrefix';
+import { ForwardRefReturn, ReactAttr } from '../../types/common';
+import {
+  getItemGroups,
+  type GroupOption,
+  isGroupOption,
+  type ItemToGroup,
+} from './tools/groups';
+
+export interface ListBoxMenuGroupProps extends ReactAttr<HTMLLIElement> {
+  /**
+   * Provide the `ListBoxMenuItem` components of the group
+   */
+  children?: ReactNode;
+
+  /**
+   * Specify whether the heading is visually hidden, for example when the
+   * first item of the group is an option that displays its label
+   */
+  hideLabel?: boolean;
+
+  /**
+   * Provide the heading of the group
+   */
+  label: NonNullable<ReactNode>;
+}
+
+export type ListBoxMenuGroupComponent = ForwardRefReturn<
+  HTMLLIElement,
+  ListBoxMenuGroupProps
+>;
+
+/**
+ * `ListBoxMenuGroup` is a labelled section of a `ListBoxMenu`. The heading is
+ * not an option, so keyboard navigation moves from the last item of a group
+ * to the first item of the next one.
+ */
+const ListBoxMenuGroup: ListBoxMenuGroupComponent = React.forwardRef(
+  function ListBoxMenuGroup(
+    {
+      children,
+      className,
+      hideLabel = false,
+      label,
+      ...rest
+    }: ListBoxMenuGroupProps,
+    ref: ForwardedRef<HTMLLIElement>
+  ) {
+    const prefix = usePrefix();
+    const labelId = `${prefix}-list-box-menu-group-${useId()}`;
+    return (
+      <li
+        {...rest}
+        ref={ref}
+        role="presentation"
+        className={cx(`${prefix}--list-box__menu-group`, className)}>
+        {/* The heading is announced as the name of the group, so it is hidden
+            to avoid reading it twice */}
+        <span
+          id={labelId}
+          aria-hidden="true"
+          className={cx(`${prefix}--list-box__menu-group__label`, {
+            [`${prefix}--visually-hidden`]: hideLabel,
+          })}>
+          {label}
+        </span>
+        <ul
+          role="group"
+          aria-labelledby={labelId}
+          className={`${prefix}--list-box__menu-group__items`}>
+          {children}
+        </ul>
+      </li>
+    );
+  }
+);
+
+ListBoxMenuGroup.displayName = 'ListBoxMenuGroup';
+ListBoxMenuGroup.propTypes = {
+  /**
+   * Provide the `ListBoxMenuItem` components of the group
+   */
+  children: PropTypes.node,
+
+  /**
+   * Specify an optional className to be applied to the node
+   */
+  className: PropTypes.string,
+
+  /**
+   * Specify whether the heading is visually hidden, for example when the
+   * first item of the group is an option that displays its label
+   */
+  hideLabel: PropTypes.bool,
+
+  /**
+   * Provide the heading of the group
+   */
+  label: PropTypes.node.isRequired,
+};
+
+/**
+ * Render the items of a list box menu, wrapping the items of each group in a
+ * `ListBoxMenuGroup`. `renderItem` receives the index of the item in `items`,
+ * which should be sorted with `sortItemsByGroup`. When a group starts with a
+ * `GroupOption`, the option displays the label of the group instead of the
+ * heading.
+ */
+export function mapItemGroups<
+  ItemType,
+  EntryType extends ItemType | GroupOption<ItemType> = ItemType
+>(
+  items: readonly EntryType[],
+  itemToGroup: ItemToGroup<ItemType> | undefined,
+  renderItem: (item: EntryType, index: number) => ReactNode
+): ReactNode[] {
+  if (!itemToGroup) {
+    return items.map(renderItem);
+  }
+  // The group of a `GroupOption` is the group whose items it selects
+  const entryToGroup = itemToGroup as ItemToGroup<EntryType>;
+  return getItemGroups(items, entryToGroup).flatMap<ReactNode>((group) => {
+    const rendered = group.items.map((item, index) =>
+      renderItem(item, group.start + index)
+    );
+    const { label } = group;
+    if (label === null) {
+      return rendered;
+    }
+    return [
+      <ListBoxMenuGroup
+        key={`group-${label}`}
+        label={label}
+        hideLabel={isGroupOption(group.items[0])}>
+        {rendered}
+      </ListBoxMenuGroup>,
+    ];
+  });
+}
+
+export default ListBoxMenuGroup;
@@ -16,6 +16,7 @@ import React, {
 import PropTypes from 'prop-types';
 import { usePrefix } from '../../internal/usePrefix';
 import { ForwardRefReturn, ReactAttr } from '../../types/common';
+import ListBoxMatch from './ListBoxMatch';
 
 function useIsTruncated(ref) {
   const [isTruncated, setIsTruncated] = useState(false);
@@ -70,12 +71,14 @@ export type ListBoxMenuItemComponent = ForwardRefReturn<
 /**
  * `ListBoxMenuItem` is a helper component for managing the container class
  * name, alongside any classes for any corresponding states, for a generic list
- * box menu item.
+ * box menu item. Text children highlight the value typed in a filterable list
+ * box, see `ListBoxMatch`.
  */
 const ListBoxMenuItem = React.forwardRef<HTMLLIElement, ListBoxMenuItemProps>(
   function ListBoxMenuItem(
     {
       children,
+      className: customClassName,
       isActive = false,
       isHighlighted = false,
       title,
@@ -86,7 +89,7 @@ const ListBoxMenuItem = React.forwardRef<HTMLLIElement, ListBoxMenuItemProps>(
     const prefix = usePrefix();
     const ref = useRef(null);
     const isTruncated = useIsTruncated(forwardedRef?.menuItemOptionRef || ref);
-    const className = cx(`${prefix}--list-box__menu-item`, {
+    const className = cx(`${prefix}--list-box__menu-item`, customClassName, {
       [`${prefix}--list-box__menu-item--active`]: isActive,
       [`${prefix}--list-box__menu-item--highlighted`]: isHighlighted,
     });
@@ -99,7 +102,13 @@ const ListBoxMenuItem = React.forwardRef<HTMLLIElement, ListBoxMenuItemProps>(
         <div
           className={`${prefix}--list-box__menu-item__option`}
           ref={forwardedRef?.menuItemOptionRef || ref}>
-          {children}
+          {React.Children.map(children, (child) =>
+            typeof child === 'string' ? (
+              <ListBoxMatch>{child}</ListBoxMatch>
+            ) : (
+              child
+            )
+          )}
         </div>
       </li>
     );
@@ -114,6 +123,11 @@ ListBoxMenuItem.propTypes = {
    */
   children: PropTypes.node,
 
+  /**
+   * Specify an optional className to be applied to the node
+   */
+  className: PropTypes.string,
+
   /**
    * Specify if the item should be disabled
    */
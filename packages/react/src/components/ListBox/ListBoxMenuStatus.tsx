@@ -0,0 +1,77 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import cx from 'classnames';
+import React, { ForwardedRef, ReactNode } from 'react';
+import PropTypes from 'prop-types';
+import Loading from '../Loading';
+import { usePrefix } from '../../internal/usePrefix';
+import { ForwardRefReturn, ReactAttr } from '../../types/common';
+
+export interface ListBoxMenuStatusProps extends ReactAttr<HTMLLIElement> {
+  /**
+   * Provide the message of the status, like "Loading" or "No results found"
+   */
+  children?: ReactNode;
+
+  /**
+   * Specify whether a loading indicator is displayed before the message
+   */
+  loading?: boolean;
+}
+
+export type ListBoxMenuStatusComponent = ForwardRefReturn<
+  HTMLLIElement,
+  ListBoxMenuStatusProps
+>;
+
+/**
+ * `ListBoxMenuStatus` is a non-selectable row of a list box menu that displays
+ * a status, like a loading or an empty state. It is hidden from assistive
+ * technologies, so the component that renders it is responsible for
+ * announcing the status.
+ */
+const ListBoxMenuStatus: ListBoxMenuStatusComponent = React.forwardRef(
+  function ListBoxMenuStatus(
+    { children, className, loading = false, ...rest }: ListBoxMenuStatusProps,
+    ref: ForwardedRef<HTMLLIElement>
+  ) {
+    const prefix = usePrefix();
+    return (
+      <li
+        {...rest}
+        ref={ref}
+        aria-hidden="true"
+        className={cx(`${prefix}--list-box__menu-status`, className)}>
+        {loading && <Loading small withOverlay={false} />}
+        <span className={`${prefix}--list-box__menu-status__text`}>
+          {children}
+        </span>
+      </li>
+    );
+  }
+);
+
+ListBoxMenuStatus.displayName = 'ListBoxMenuStatus';
+ListBoxMenuStatus.propTypes = {
+  /**
+   * Provide the message of the status, like "Loading" or "No results found"
+   */
+  children: PropTypes.node,
+
+  /**
+   * Specify an optional className to be applied to the node
+   */
+  className: PropTypes.string,
+
+  /**
+   * Specify whether a loading indicator is displayed before the message
+   */
+  loading: PropTypes.bool,
+};
+
+export default ListBoxMenuStatus;
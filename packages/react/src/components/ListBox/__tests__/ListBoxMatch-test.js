@@ -0,0 +1,70 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { render } from '@testing-library/react';
+import React from 'react';
+import ListBox, { ListBoxMatchContext } from '../';
+
+const prefix = 'cds';
+
+const getMarks = (container) =>
+  Array.from(
+    container.querySelectorAll(`mark.${prefix}--list-box__menu-item__match`)
+  ).map((mark) => mark.textContent);
+
+describe('ListBoxMatch', () => {
+  it('should render the text without highlights outside of a filterable list box', () => {
+    const { container } = render(<ListBox.Match>Apple pie</ListBox.Match>);
+    expect(container).toHaveTextContent('Apple pie');
+    expect(getMarks(container)).toEqual([]);
+  });
+
+  it('should highlight the matches of the input value', () => {
+    const { container } = render(
+      <ListBoxMatchContext.Provider value={{ inputValue: 'pie' }}>
+        <ListBox.Match>Apple pie</ListBox.Match>
+      </ListBoxMatchContext.Provider>
+    );
+    expect(container).toHaveTextContent('Apple pie');
+    expect(getMarks(container)).toEqual(['pie']);
+  });
+
+  it('should use the matcher and locale of the context', () => {
+    const matcher = jest.fn(() => ({ score: 1, ranges: [[0, 1]] }));
+    const { container } = render(
+      <ListBoxMatchContext.Provider
+        value={{ inputValue: 'x', locale: 'fr', matcher }}>
+        <ListBox.Match>Apple pie</ListBox.Match>
+      </ListBoxMatchContext.Provider>
+    );
+    expect(matcher).toHaveBeenCalledWith('Apple pie', 'x', { locale: 'fr' });
+    expect(getMarks(container)).toEqual(['A']);
+  });
+
+  it('should highlight the given `ranges`', () => {
+    const { container } = render(
+      <ListBox.Match
+        ranges={[
+          [0, 2],
+          [6, 9],
+        ]}>
+        Apple pie
+      </ListBox.Match>
+    );
+    expect(container).toHaveTextContent('Apple pie');
+    expect(getMarks(container)).toEqual(['Ap', 'pie']);
+  });
+
+  it('should highlight the text of a menu item', () => {
+    const { container } = render(
+      <ListBoxMatchContext.Provider value={{ inputValue: 'apple' }}>
+        <ListBox.MenuItem>Pineapple</ListBox.MenuItem>
+      </ListBoxMatchContext.Provider>
+    );
+    expect(getMarks(container)).toEqual(['apple']);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { render, screen } from '@testing-library/react';
+import React from 'react';
+import ListBox, { addGroupOptions, isGroupOption, mapItemGroups } from '../';
+
+const prefix = 'cds';
+
+describe('ListBoxMenuGroup', () => {
+  it('should render its items in a group labelled by its heading', () => {
+    render(
+      <ListBox.Menu id="test">
+        <ListBox.MenuGroup label="Europe">
+          <ListBox.MenuItem role="option">Frankfurt</ListBox.MenuItem>
+          <ListBox.MenuItem role="option">London</ListBox.MenuItem>
+        </ListBox.MenuGroup>
+      </ListBox.Menu>
+    );
+    const group = screen.getByRole('group', { name: 'Europe' });
+    expect(group.querySelectorAll('[role="option"]')).toHaveLength(2);
+    expect(screen.getByText('Europe')).toHaveClass(
+      `${prefix}--list-box__menu-group__label`
+    );
+    expect(screen.getAllByRole('option')).toHaveLength(2);
+  });
+
+  it('should spread extra props on the outermost element', () => {
+    const { container } = render(
+      <ListBox.MenuGroup label="Europe" className="custom" data-testid="test" />
+    );
+    expect(container.firstChild).toHaveClass(
+      `${prefix}--list-box__menu-group`,
+      'custom'
+    );
+    expect(container.firstChild).toHaveAttribute('data-testid', 'test');
+  });
+});
+
+describe('mapItemGroups', () => {
+  const items = [
+    { text: 'Global' },
+    { text: 'Frankfurt', region: 'Europe' },
+    { text: 'London', region: 'Europe' },
+    { text: 'Dallas', region: 'Americas' },
+  ];
+  const renderItem = (item, index) => (
+    <ListBox.MenuItem key={item.text} role="option" data-index={index}>
+      {item.text}
+    </ListBox.MenuItem>
+  );
+
+  it('should render the items without groups when there is no `itemToGroup`', () => {
+    render(
+      <ListBox.Menu id="test">
+        {mapItemGroups(items, undefined, renderItem)}
+      </ListBox.Menu>
+    );
+    expect(screen.queryAllByRole('group')).toHaveLength(0);
+    expect(screen.getAllByRole('option')).toHaveLength(4);
+  });
+
+  it('should wrap the items of each group and keep their index', () => {
+    render(
+      <ListBox.Menu id="test">
+        {mapItemGroups(items, (item) => item.region, renderItem)}
+      </ListBox.Menu>
+    );
+    expect(screen.getAllByRole('group')).toHaveLength(2);
+    const americas = screen.getByRole('group', { name: 'Americas' });
+    expect(americas.querySelector('[role="option"]')).toHaveAttribute(
+      'data-index',
+      '3'
+    );
+    expect(
+      screen.getByText('Global').closest('[role="group"]')
+    ).not.toBeInTheDocument();
+  });
+
+  it('should visually hide the heading of a group that starts with its option', () => {
+    const entries = addGroupOptions(items, (item) => item.region);
+    render(
+      <ListBox.Menu id="test">
+        {mapItemGroups(
+          entries,
+          (item) => item.region,
+          (entry, index) =>
+            isGroupOption(entry) ? (
+              <ListBox.MenuItem key={index} role="option">
+                {entry.label}
+              </ListBox.MenuItem>
+            ) : (
+              renderItem(entry, index)
+            )
+        )}
+      </ListBox.Menu>
+    );
+    const group = screen.getByRole('group', { name: 'Europe' });
+    expect(group.querySelectorAll('[role="option"]')).toHaveLength(3);
+    expect(screen.getByText('Europe', { selector: 'span' })).toHaveClass(
+      `${prefix}--visually-hidden`
+    );
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { render, screen } from '@testing-library/react';
+import React from 'react';
+import ListBox from '../';
+
+const prefix = 'cds';
+
+describe('ListBoxMenuStatus', () => {
+  it('should render its message in a row hidden from assistive technologies', () => {
+    render(
+      <ListBox.Menu id="test">
+        <ListBox.MenuStatus>No results found</ListBox.MenuStatus>
+      </ListBox.Menu>
+    );
+    const status = screen.getByText('No results found').closest('li');
+    expect(status).toHaveClass(`${prefix}--list-box__menu-status`);
+    expect(status).toHaveAttribute('aria-hidden', 'true');
+    expect(screen.queryAllByRole('option')).toHaveLength(0);
+  });
+
+  it('should render a loading indicator when `loading` is true', () => {
+    const { container, rerender } = render(
+      <ListBox.MenuStatus>Loading</ListBox.MenuStatus>
+    );
+    expect(container.querySelector(`.${prefix}--loading`)).toBeNull();
+
+    rerender(<ListBox.MenuStatus loading>Loading</ListBox.MenuStatus>);
+    expect(
+      container.querySelector(`.${prefix}--loading--small`)
+    ).toBeInTheDocument();
+  });
+
+  it('should spread extra props on the outermost element', () => {
+    const { container } = render(
+      <ListBox.MenuStatus className="custom" data-testid="test" />
+    );
+    expect(container.firstChild).toHaveClass('custom');
+    expect(container.firstChild).toHaveAttribute('data-testid', 'test');
+  });
+});
@@ -12,29 +12,63 @@ import ListBoxInternal, {
   ListBoxComponent as ListBoxPartialComponent,
 } from './ListBox';
 import ListBoxField, { ListBoxFieldComponent } from './ListBoxField';
+import ListBoxMatch from './ListBoxMatch';
 import ListBoxMenu, { ListBoxMenuComponent } from './ListBoxMenu';
+import ListBoxMenuGroup, {
+  ListBoxMenuGroupComponent,
+} from './ListBoxMenuGroup';
 import ListBoxMenuIcon, { ListBoxMenuIconComponent } from './ListBoxMenuIcon';
 import ListBoxMenuItem, { ListBoxMenuItemComponent } from './ListBoxMenuItem';
+import ListBoxMenuStatus, {
+  ListBoxMenuStatusComponent,
+} from './ListBoxMenuStatus';
 import ListBoxSelection, {
   ListBoxSelectionComponent,
 } from './ListBoxSelection';
 
 export interface ListBoxComponent extends ListBoxPartialComponent {
   readonly Field: ListBoxFieldComponent;
+  readonly Match: typeof ListBoxMatch;
   readonly Menu: ListBoxMenuComponent;
+  readonly MenuGroup: ListBoxMenuGroupComponent;
   readonly MenuIcon: ListBoxMenuIconComponent;
   readonly MenuItem: ListBoxMenuItemComponent;
+  readonly MenuStatus: ListBoxMenuStatusComponent;
   readonly Selection: ListBoxSelectionComponent;
 }
 
 const ListBox: ListBoxComponent = Object.assign(ListBoxInternal, {
   Field: ListBoxField,
+  Match: ListBoxMatch,
   Menu: ListBoxMenu,
+  MenuGroup: ListBoxMenuGroup,
   MenuIcon: ListBoxMenuIcon,
   MenuItem: ListBoxMenuItem,
+  MenuStatus: ListBoxMenuStatus,
   Selection: ListBoxSelection,
 });
 
 export default ListBox;
 
 export type { ListBoxMenuIconTranslationKey } from './ListBoxMenuIcon';
+
+export { ListBoxMatch };
+export { ListBoxMatchContext } from './ListBoxMatch';
+export type { ListBoxMatchProps } from './ListBoxMatch';
+export { fuzzyMatcher, rankItems } from './tools/match';
+export type {
+  Matcher,
+  MatcherOptions,
+  MatchRange,
+  MatchResult,
+} from './tools/match';
+
+export { mapItemGroups } from './ListBoxMenuGroup';
+export type { ListBoxMenuGroupProps } from './ListBoxMenuGroup';
+export {
+  addGroupOptions,
+  getItemGroups,
+  isGroupOption,
+  sortItemsByGroup,
+} from './tools/groups';
+export type { GroupOption, ItemGroup, ItemToGroup } from './tools/groups';
@@ -0,0 +1,133 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  addGroupOptions,
+  getItemGroups,
+  isGroupOption,
+  sortItemsByGroup,
+} from '../groups';
+
+const items = [
+  { text: 'Frankfurt', region: 'Europe' },
+  { text: 'Dallas', region: 'Americas' },
+  { text: 'Global' },
+  { text: 'London', region: 'Europe' },
+  { text: 'Toronto', region: 'Americas' },
+];
+const itemToGroup = (item) => item.region;
+const toText = (items) => items.map((item) => item.text);
+
+describe('sortItemsByGroup', () => {
+  it('should keep the items of a group next to each other in order', () => {
+    expect(toText(sortItemsByGroup(items, itemToGroup))).toEqual([
+      'Frankfurt',
+      'London',
+      'Dallas',
+      'Toronto',
+      'Global',
+    ]);
+  });
+
+  it('should order the groups by their first item in `reference`', () => {
+    const filtered = [items[3], items[1], items[2]];
+    expect(toText(sortItemsByGroup(filtered, itemToGroup, items))).toEqual([
+      'London',
+      'Dallas',
+      'Global',
+    ]);
+  });
+
+  it('should not change the items that are passed in', () => {
+    const copy = [...items];
+    sortItemsByGroup(items, itemToGroup);
+    expect(items).toEqual(copy);
+  });
+});
+
+describe('getItemGroups', () => {
+  it('should split sorted items into groups with the index of their first item', () => {
+    const groups = getItemGroups(
+      sortItemsByGroup(items, itemToGroup),
+      itemToGroup
+    );
+    expect(
+      groups.map(({ label, items, start }) => [label, toText(items), start])
+    ).toEqual([
+      ['Europe', ['Frankfurt', 'London'], 0],
+      ['Americas', ['Dallas', 'Toronto'], 2],
+      [null, ['Global'], 4],
+    ]);
+  });
+
+  it('should return no groups for no items', () => {
+    expect(getItemGroups([], itemToGroup)).toEqual([]);
+  });
+});
+
+describe('addGroupOptions', () => {
+  it('should insert an option before the items of each labelled group', () => {
+    const entries = addGroupOptions(
+      sortItemsByGroup(items, itemToGroup),
+      itemToGroup
+    );
+    expect(
+      entries.map((entry) =>
+        isGroupOption(entry) ? `[${entry.label}]` : entry.text
+      )
+    ).toEqual([
+      '[Europe]',
+      'Frankfurt',
+      'London',
+      '[Americas]',
+      'Dallas',
+      'Toronto',
+      'Global',
+    ]);
+    expect(entries[0]).toEqual({
+      isGroupOption: true,
+      label: 'Europe',
+      items: [items[0], items[3]],
+      disabled: false,
+    });
+  });
+
+  it('should keep the options in the group of their items', () => {
+    const entries = addGroupOptions(
+      sortItemsByGroup(items, itemToGroup),
+      itemToGroup
+    );
+    expect(
+      getItemGroups(entries, itemToGroup).map(({ label, items }) => [
+        label,
+        items.length,
+      ])
+    ).toEqual([
+      ['Europe', 3],
+      ['Americas', 3],
+      [null, 1],
+    ]);
+  });
+
+  it('should disable the option of a group whose items are all disabled', () => {
+    const [option] = addGroupOptions(
+      [{ text: 'Paris', region: 'Europe', disabled: true }],
+      itemToGroup
+    );
+    expect(option.disabled).toBe(true);
+  });
+});
+
+describe('isGroupOption', () => {
+  it('should only match the options of groups', () => {
+    const [option, item] = addGroupOptions([items[0]], itemToGroup);
+    expect(isGroupOption(option)).toBe(true);
+    expect(isGroupOption(item)).toBe(false);
+    expect(isGroupOption('Europe')).toBe(false);
+    expect(isGroupOption(null)).toBe(false);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { fuzzyMatcher, rankItems } from '../match';
+
+const highlight = (text, query, options = {}) => {
+  const match = fuzzyMatcher(text, query, options);
+  return match && match.ranges.map(([start, end]) => text.slice(start, end));
+};
+
+describe('fuzzyMatcher', () => {
+  it('should match every text when the query is empty', () => {
+    expect(fuzzyMatcher('Apple', '', {})).toEqual({ score: 0, ranges: [] });
+    expect(fuzzyMatcher('Apple', '  ', {})).toEqual({ score: 0, ranges: [] });
+  });
+
+  it('should ignore case and diacritics', () => {
+    expect(highlight('Crème brûlée', 'BRULEE')).toEqual(['brûlée']);
+    expect(highlight('Sao Paulo', 'são')).toEqual(['Sao']);
+  });
+
+  it('should match the words of the query in any order', () => {
+    expect(highlight('New York City', 'york new')).toEqual(['New York']);
+    expect(highlight('New York City', 'city new')).toEqual(['New', 'City']);
+    expect(fuzzyMatcher('New York City', 'york boston', {})).toBeNull();
+  });
+
+  it('should tolerate typos in longer words', () => {
+    expect(highlight('Germany', 'germny')).toEqual(['Germany']);
+    expect(highlight('Item 1', 'itme')).toEqual(['Item']);
+    expect(highlight('Switzerland', 'swtizerlnd')).toEqual(['Switzerland']);
+    // Short words must match exactly
+    expect(fuzzyMatcher('Cat', 'cta', {})).toBeNull();
+  });
+
+  it('should match abbreviations', () => {
+    expect(highlight('Developer', 'dvlp')).toEqual(['D', 'v', 'l', 'p']);
+    expect(fuzzyMatcher('Developer tools', 'dvs', {})).toBeNull();
+  });
+
+  it('should score better matches higher', () => {
+    const score = (text, query) => fuzzyMatcher(text, query, {}).score;
+    expect(score('Apple', 'apple')).toBeGreaterThan(
+      score('Apple pie', 'apple')
+    );
+    expect(score('Apple pie', 'apple')).toBeGreaterThan(
+      score('Pineapple', 'apple')
+    );
+    expect(score('Red apple', 'apple')).toBeGreaterThan(
+      score('Pineapple', 'apple')
+    );
+    expect(score('Pineapple', 'apple')).toBeGreaterThan(
+      score('Appel', 'apple')
+    );
+    expect(score('Appel', 'apple')).toBeGreaterThan(score('Apple', 'apl'));
+  });
+
+  it('should use the locale to compare the text and the query', () => {
+    const tr = fuzzyMatcher('DİYARBAKIR', 'diyarbakır', { locale: 'tr' });
+    const en = fuzzyMatcher('DİYARBAKIR', 'diyarbakır', { locale: 'en' });
+    expect(tr.ranges).toEqual([[0, 10]]);
+    // In English, the dotless `ı` is a typo of `I`
+    expect(tr.score).toBeGreaterThan(en.score);
+  });
+
+  it('should return ranges of the original text', () => {
+    // `ﬁ` is a single character that is not decomposed, while `é` is
+    // decomposed into two characters in the normalized text
+    expect(highlight('Café ﬁle', 'cafe')).toEqual(['Café']);
+    expect(highlight('Zoë Saldaña', 'saldana')).toEqual(['Saldaña']);
+  });
+});
+
+describe('rankItems', () => {
+  const items = ['Pineapple', 'Apple pie', 'Banana', 'Apple', 'Red apple'];
+  const itemToString = (item) => item;
+
+  it('should return every item when the input value is empty', () => {
+    expect(rankItems(items, { inputValue: '', itemToString })).toEqual(items);
+  });
+
+  it('should filter and rank the items', () => {
+    expect(rankItems(items, { inputValue: 'apple', itemToString })).toEqual([
+      'Apple',
+      'Apple pie',
+      'Red apple',
+      'Pineapple',
+    ]);
+  });
+
+  it('should support a custom matcher', () => {
+    const matcher = jest.fn((text, query) =>
+      text.startsWith(query) ? { score: 1, ranges: [] } : null
+    );
+    expect(
+      rankItems(items, {
+        inputValue: 'Ba',
+        itemToString,
+        locale: 'fr',
+        matcher,
+      })
+    ).toEqual(['Banana']);
+    expect(matcher).toHaveBeenCalledWith('Banana', 'Ba', { locale: 'fr' });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Return the label of the group of an item, or `null` or `undefined` for
+ * items that are not part of a group
+ */
+export type ItemToGroup<ItemType> = (
+  item: ItemType
+) => string | null | undefined;
+
+export interface ItemGroup<ItemType> {
+  /**
+   * The label of the group, or `null` for the items that are not grouped
+   */
+  label: string | null;
+
+  /**
+   * The items of the group, in order
+   */
+  items: ItemType[];
+
+  /**
+   * The index of the first item of the group in the list of all items
+   */
+  start: number;
+}
+
+/**
+ * An option of the menu, before the items of a group, that selects or
+ * deselects all of the items of the group
+ */
+export interface GroupOption<ItemType> {
+  isGroupOption: true;
+
+  /**
+   * The label of the group
+   */
+  label: string;
+
+  /**
+   * The items of the group
+   */
+  items: ItemType[];
+
+  /**
+   * Whether all of the items of the group are disabled
+   */
+  disabled: boolean;
+}
+
+export function isGroupOption<ItemType>(
+  item: ItemType | GroupOption<ItemType>
+): item is GroupOption<ItemType> {
+  return (
+    typeof item === 'object' &&
+    item !== null &&
+    (item as GroupOption<ItemType>).isGroupOption === true
+  );
+}
+
+const getLabel = <ItemType>(
+  item: ItemType,
+  itemToGroup: ItemToGroup<ItemType>
+) => (isGroupOption(item) ? item.label : itemToGroup(item) ?? null);
+
+/**
+ * Sort a list of items so that the items of a group are next to each other.
+ * Groups are in the order in which they first appear in `reference`, which
+ * defaults to the items themselves, and the items of a group keep their order.
+ * This keeps the list flat, so that the index of each item is the same in the
+ * menu and in the list that is passed to downshift.
+ */
+export function sortItemsByGroup<ItemType>(
+  items: readonly ItemType[],
+  itemToGroup: ItemToGroup<ItemType>,
+  reference: readonly ItemType[] = items
+): ItemType[] {
+  const order = new Map<string | null, number>();
+  for (const item of [...reference, ...items]) {
+    const label = getLabel(item, itemToGroup);
+    if (!order.has(label)) {
+      order.set(label, order.size);
+    }
+  }
+  return items
+    .map((item, index) => ({
+      item,
+      index,
+      group: order.get(getLabel(item, itemToGroup))!,
+    }))
+    .sort((a, b) => a.group - b.group || a.index - b.index)
+    .map(({ item }) => item);
+}
+
+/**
+ * Split a list of items, sorted with `sortItemsByGroup`, into the groups that
+ * are rendered in the menu
+ */
+export function getItemGroups<ItemType>(
+  items: readonly ItemType[],
+  itemToGroup: ItemToGroup<ItemType>
+): ItemGroup<ItemType>[] {
+  const groups: ItemGroup<ItemType>[] = [];
+  items.forEach((item, index) => {
+    const label = getLabel(item, itemToGroup);
+    const last = groups[groups.length - 1];
+    if (last && last.label === label) {
+      last.items.push(item);
+    } else {
+      groups.push({ label, items: [item], start: index });
+    }
+  });
+  return groups;
+}
+
+/**
+ * Insert a `GroupOption` before the items of each labelled group of a list of
+ * items sorted with `sortItemsByGroup`. The options are part of the list that
+ * is passed to downshift, so that they can be highlighted with the keyboard
+ * like the items.
+ */
+export function addGroupOptions<ItemType>(
+  items: readonly ItemType[],
+  itemToGroup: ItemToGroup<ItemType>
+): Array<ItemType | GroupOption<ItemType>> {
+  return getItemGroups(items, itemToGroup).flatMap<
+    ItemType | GroupOption<ItemType>
+  >(({ label, items }) => {
+    if (label === null) {
+      return items;
+    }
+    const option: GroupOption<ItemType> = {
+      isGroupOption: true,
+      label,
+      items,
+      disabled: items.every((item) => item?.['disabled']),
+    };
+    return [option, ...items];
+  });
+}
@@ -0,0 +1,296 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * A range of characters of a text, from `start` to `end` (exclusive)
+ */
+export type MatchRange = [start: number, end: number];
+
+export interface MatchResult {
+  /**
+   * How well the text matches the query. Items with a higher score are listed
+   * first.
+   */
+  score: number;
+
+  /**
+   * The ranges of the text that match the query, in order
+   */
+  ranges: MatchRange[];
+}
+
+export interface MatcherOptions {
+  /**
+   * The locale used to compare the text and the query, like `tr` for Turkish
+   * case conversions
+   */
+  locale?: string;
+}
+
+/**
+ * Match a text against the query that the user typed. Returns `null` when the
+ * text does not match.
+ */
+export type Matcher = (
+  text: string,
+  query: string,
+  options: MatcherOptions
+) => MatchResult | null;
+
+interface NormalizedText {
+  value: string;
+  // The range of the original text that each character of `value` comes from
+  starts: number[];
+  ends: number[];
+}
+
+const diacritics = /[\u0300-\u036f]/g;
+const separator = /[\s\-_.,;:!?/\\()[\]{}'"]/;
+
+/**
+ * Convert a text to lower case and remove its diacritics, while keeping track
+ * of the position of each character in the original text
+ */
+function normalize(text: string, locale?: string): NormalizedText {
+  const normalized: NormalizedText = { value: '', starts: [], ends: [] };
+  let index = 0;
+  for (const character of text) {
+    const value = character
+      .toLocaleLowerCase(locale)
+      .normalize('NFD')
+      .replace(diacritics, '');
+    for (let i = 0; i < value.length; i++) {
+      normalized.starts.push(index);
+      normalized.ends.push(index + character.length);
+    }
+    normalized.value += value;
+    index += character.length;
+  }
+  return normalized;
+}
+
+const isWordStart = (value: string, index: number) =>
+  index === 0 ||
+  (separator.test(value[index - 1]) && !separator.test(value[index]));
+
+/**
+ * The optimal string alignment distance between two strings: the number of
+ * insertions, deletions, substitutions and transpositions of adjacent
+ * characters that turn one into the other
+ */
+function getDistance(a: string, b: string): number {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) =>
+      i === 0 ? j : j === 0 ? i : 0
+    )
+  );
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// Short words must match exactly, since a single typo makes them ambiguous
+const getAllowedTypos = (word: string) =>
+  word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+
+/**
+ * Match a single word of the query against the text, from the best kind of
+ * match to the loosest one
+ */
+function matchWord(value: string, word: string): MatchResult | null {
+  let substring: number | null = null;
+  for (
+    let index = value.indexOf(word);
+    index !== -1;
+    index = value.indexOf(word, index + 1)
+  ) {
+    if (index === 0) {
+      return { score: 1, ranges: [[0, word.length]] };
+    }
+    if (isWordStart(value, index)) {
+      return { score: 0.9, ranges: [[index, index + word.length]] };
+    }
+    substring = substring ?? index;
+  }
+  if (substring !== null) {
+    return { score: 0.7, ranges: [[substring, substring + word.length]] };
+  }
+
+  // Compare the word with the start of each word of the text, allowing for
+  // typos
+  const allowedTypos = getAllowedTypos(word);
+  if (allowedTypos > 0) {
+    let best: { distance: number; range: MatchRange } | null = null;
+    for (let index = 0; index < value.length; index++) {
+      if (!isWordStart(value, index)) {
+        continue;
+      }
+      // Prefer a candidate of the same length as the word when the distances
+      // are equal
+      for (const length of [word.length, word.length - 1, word.length + 1]) {
+        const candidate = value.slice(index, index + length);
+        if (candidate.length !== length || separator.test(candidate)) {
+          continue;
+        }
+        const distance = getDistance(word, candidate);
+        if (distance <= allowedTypos && (!best || distance < best.distance)) {
+          best = { distance, range: [index, index + length] };
+        }
+      }
+    }
+    if (best) {
+      return { score: 0.5 - best.distance * 0.1, ranges: [best.range] };
+    }
+  }
+
+  // Find the characters of the word in order, like `dvlpr` for `developer`,
+  // as long as they are close to each other
+  if (word.length >= 3) {
+    for (
+      let start = value.indexOf(word[0]);
+      start !== -1;
+      start = value.indexOf(word[0], start + 1)
+    ) {
+      const ranges: MatchRange[] = [];
+      let index = start;
+      for (const character of word) {
+        index = value.indexOf(character, index);
+        if (index === -1) {
+          break;
+        }
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === index) {
+          last[1] = index + 1;
+        } else {
+          ranges.push([index, index + 1]);
+        }
+        index += 1;
+      }
+      if (index === -1) {
+        break;
+      }
+      const span = index - start;
+      if (span <= word.length * 2) {
+        return { score: (0.3 * word.length) / span, ranges };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Sort the ranges and merge the ones that overlap or are only separated by
+ * whitespace, so that `new york` is highlighted as a single range
+ */
+function mergeRanges(ranges: MatchRange[], value: string): MatchRange[] {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  return sorted.reduce<MatchRange[]>((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (
+      last &&
+      (range[0] <= last[1] || !value.slice(last[1], range[0]).trim())
+    ) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * The default matcher of list boxes. Matches are case and accent insensitive,
+ * the words of the query can be in any order, and words that are misspelled or
+ * abbreviated still match with a lower score. Items that start with the query
+ * are ranked first, then items with a word that starts with the query, then
+ * items that contain the query, then approximate matches.
+ */
+export const fuzzyMatcher: Matcher = (text, query, { locale } = {}) => {
+  const normalizedQuery = normalize(query, locale).value.trim();
+  if (!normalizedQuery) {
+    return { score: 0, ranges: [] };
+  }
+
+  const normalizedText = normalize(text, locale);
+  const words = normalizedQuery.split(/\s+/);
+  const ranges: MatchRange[] = [];
+  let score = 0;
+
+  for (const word of words) {
+    const match = matchWord(normalizedText.value, word);
+    if (!match) {
+      return null;
+    }
+    score += match.score;
+    ranges.push(...match.ranges);
+  }
+
+  const merged = mergeRanges(ranges, normalizedText.value);
+  score /= words.length;
+  if (normalizedText.value.trim() === normalizedQuery) {
+    score += 1;
+  }
+  // Among matches of the same kind, rank the texts that are covered the most
+  // by the query first, like `Apple` before `Apple pie`
+  const covered = merged.reduce(
+    (total, [start, end]) => total + end - start,
+    0
+  );
+  score += (0.05 * covered) / normalizedText.value.length;
+
+  return {
+    score,
+    ranges: merged.map(([start, end]) => [
+      normalizedText.starts[start],
+      normalizedText.ends[end - 1],
+    ]),
+  };
+};
+
+/**
+ * Filter a list of items with a matcher, and sort them from the best match to
+ * the worst one. Items with the same score keep their order.
+ */
+export function rankItems<ItemType>(
+  items: readonly ItemType[],
+  {
+    inputValue,
+    itemToString,
+    locale,
+    matcher = fuzzyMatcher,
+  }: {
+    inputValue: string | null;
+    itemToString: (item: ItemType) => string;
+    locale?: string;
+    matcher?: Matcher;
+  }
+): ItemType[] {
+  if (!inputValue) {
+    return [...items];
+  }
+  return items
+    .map((item, index) => ({
+      item,
+      index,
+      match: matcher(itemToString(item), inputValue, { locale }),
+    }))
+    .filter(({ match }) => match !== null)
+    .sort((a, b) => b.match!.score - a.match!.score || a.index - b.index)
+    .map(({ item }) => item);
+}
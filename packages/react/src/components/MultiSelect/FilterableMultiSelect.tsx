@@ -10,7 +10,6 @@ import cx from 'classnames';
 import Downshift, {
   useCombobox,
   useMultipleSelection,
-  type UseComboboxProps,
   type UseMultipleSelectionProps,
   UseComboboxInterface,
   UseComboboxStateChangeTypes,
@@ -27,6 +26,7 @@ import React, {
   FunctionComponent,
   ForwardedRef,
   type FocusEvent,
+  type ClipboardEvent,
   type KeyboardEvent,
   type MouseEvent,
   ReactElement,
@@ -39,8 +39,17 @@ import {
   sortingPropTypes,
 } from './MultiSelectPropTypes';
 import ListBox, {
+  addGroupOptions,
+  type GroupOption,
+  isGroupOption,
+  type ItemToGroup,
+  ListBoxMatch,
+  ListBoxMatchContext,
   ListBoxMenuIconTranslationKey,
+  mapItemGroups,
   PropTypes as ListBoxPropTypes,
+  sortItemsByGroup,
+  type Matcher,
 } from '../ListBox';
 import { ListBoxTrigger, ListBoxSelection } from '../ListBox/next';
 import { match, keys } from '../../internal/keyboard';
@@ -49,6 +58,7 @@ import mergeRefs from '../../tools/mergeRefs';
 import deprecate from '../../prop-types/deprecate';
 import { useId } from '../../internal/useId';
 import { defaultSortItems, defaultCompareItems } from './tools/sorting';
+import { findItemByText, splitValues } from './tools/creatable';
 import { usePrefix } from '../../internal/usePrefix';
 import { FormContext } from '../FluidForm';
 import { useSelection } from '../../internal/Selection';
@@ -60,6 +70,8 @@ import {
 } from '@floating-ui/react';
 import { hide } from '@floating-ui/dom';
 import { TranslateWithId } from '../../types/common';
+import Checkbox from '../Checkbox';
+import { DismissibleTag } from '../Tag';
 
 const {
   InputBlur,
@@ -98,11 +110,38 @@ type TranslationKey =
   | 'close.menu'
   | 'open.menu'
   | 'clear.all'
-  | 'clear.selection';
+  | 'clear.selection'
+  | 'create.item'
+  | 'remove.item';
+
+export interface FilterableMultiSelectTranslationArgs {
+  /**
+   * The input value of the option that creates an item, or the text of the
+   * item that a tag removes
+   */
+  value: string;
+}
+
+const defaultTranslateWithId = (
+  id: TranslationKey,
+  args?: FilterableMultiSelectTranslationArgs
+): string => {
+  if (args && id === 'create.item') {
+    return `Create "${args.value}"`;
+  }
+  if (args && id === 'remove.item') {
+    return `Remove ${args.value}`;
+  }
+  return '';
+};
+
+const defaultCreateItem = (value: string) => ({ id: value, label: value });
+
+const defaultValidateValue = () => true;
 
 export interface FilterableMultiSelectProps<ItemType>
   extends MultiSelectSortingProps<ItemType>,
-    TranslateWithId<TranslationKey> {
+    TranslateWithId<TranslationKey, FilterableMultiSelectTranslationArgs> {
   /**
    * Specify a label to be read by screen readers on the container node
    * @deprecated
@@ -130,6 +169,27 @@ export interface FilterableMultiSelectProps<ItemType>
    */
   clearSelectionText?: string;
 
+  /**
+   * Specify whether the user can create items that are not in `items` by
+   * typing or pasting them. The selected items are rendered as tags in the
+   * field.
+   */
+  creatable?: boolean;
+
+  /**
+   * Optionally provide a function that creates an item from a value entered
+   * in a creatable `FilterableMultiSelect`. By default, the item is
+   * `{ id: value, label: value }`.
+   */
+  createItem?(value: string): ItemType;
+
+  /**
+   * Optionally provide a function that returns the text of the option that
+   * creates an item from the input value. Defaults to the `create.item`
+   * message of `translateWithId`.
+   */
+  createText?(value: string): string;
+
   /**
    * Specify the direction of the multiselect dropdown.
    */
@@ -160,6 +220,8 @@ export interface FilterableMultiSelectProps<ItemType>
       itemToString: NonNullable<
         UseMultipleSelectionProps<ItemType>['itemToString']
       >;
+      locale?: string;
+      matcher?: Matcher;
     }
   ): ItemType[];
 
@@ -201,6 +263,13 @@ export interface FilterableMultiSelectProps<ItemType>
    */
   itemToElement?: FunctionComponent<ItemType>;
 
+  /**
+   * Optionally return the label of the group of an item to render the items
+   * in labelled sections. The heading of each group selects or deselects all
+   * of the items of the group.
+   */
+  itemToGroup?: ItemToGroup<ItemType>;
+
   /**
    * Helper function passed to downshift that allows the library to render
    * a given item to a string label.
@@ -224,10 +293,21 @@ export interface FilterableMultiSelectProps<ItemType>
   /**
    * Specify the locale of the control.
    * Used for the default `compareItems`,
-   * which is used for sorting the list of items in the control.
+   * which is used for sorting the list of items in the control,
+   * and for matching the items against the input value.
    */
   locale?: string;
 
+  /**
+   * Provide a function that matches an item against the input value. It
+   * receives the text of the item, the input value and `{ locale }`, and
+   * returns `null` when the item does not match, or `{ score, ranges }` where
+   * items with a higher `score` are listed first and `ranges` are the
+   * `[start, end]` ranges of the text to highlight. The default matcher is
+   * accent insensitive and tolerates typos.
+   */
+  matcher?: Matcher;
+
   /**
    * `onChange` is a utility for this controlled component to communicate to a
    * consuming component what kind of internal state changes are occurring.
@@ -238,7 +318,7 @@ export interface FilterableMultiSelectProps<ItemType>
    * A utility for this controlled component
    * to communicate to the currently typed input.
    */
-  onInputValueChange?: UseComboboxProps<ItemType>['onInputValueChange'];
+  onInputValueChange?(inputValue: string): void;
 
   /**
    * `onMenuChange` is a utility for this controlled component to communicate to a
@@ -294,6 +374,12 @@ export interface FilterableMultiSelectProps<ItemType>
    */
   useTitleInItem?: boolean;
 
+  /**
+   * Optionally provide a function that returns whether a value entered in a
+   * creatable `FilterableMultiSelect` can be created, like an email address
+   */
+  validateValue?(value: string): boolean;
+
   /**
    * Specify whether the control is currently in warning state
    */
@@ -313,7 +399,10 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
     className: containerClassName,
     clearSelectionDescription = 'Total items selected: ',
     clearSelectionText = 'To clear selection, press Delete or Backspace',
-    compareItems = defaultCompareItems,
+    compareItems: compareItemsProp,
+    creatable = false,
+    createItem = defaultCreateItem as (value: string) => ItemType,
+    createText,
     direction = 'bottom',
     disabled = false,
     downshiftProps,
@@ -326,9 +415,11 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
     invalidText,
     items,
     itemToElement: ItemToElement, // needs to be capitalized for react to render it correctly
+    itemToGroup,
     itemToString = defaultItemToString,
     light,
     locale = 'en',
+    matcher,
     onInputValueChange,
     open = false,
     onChange,
@@ -342,6 +433,7 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
     sortItems = defaultSortItems as FilterableMultiSelectProps<ItemType>['sortItems'],
     translateWithId,
     useTitleInItem,
+    validateValue = defaultValidateValue,
     warn,
     warnText,
     slug,
@@ -361,6 +453,8 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
   const {
     selectedItems: controlledSelectedItems,
     onItemChange,
+    onGroupChange,
+    addItems,
     clearSelection,
   } = useSelection({
     disabled,
@@ -415,6 +509,9 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
   const filterableMultiSelectInstanceId = useId();
 
   const prefix = usePrefix();
+  // The messages of the list box parts default in those parts, so
+  // `translateWithId` is passed to them as it is
+  const t = translateWithId ?? defaultTranslateWithId;
 
   if (prevOpen !== open) {
     setIsOpen(open);
@@ -422,9 +519,31 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
   }
 
   // memoize sorted items to reduce unnecessary expensive sort on rerender
-  const sortedItems = useMemo(() => {
+  const sortedItems = useMemo<Array<ItemType | GroupOption<ItemType>>>(() => {
+    const filteredItems = filterItems(items, {
+      itemToString,
+      inputValue,
+      locale,
+      matcher,
+    });
+
+    let compareItems = compareItemsProp ?? defaultCompareItems;
+    if (!compareItemsProp && inputValue) {
+      // While the user types, keep the order of the best matches first. The
+      // default `sortItems` compares the strings of the items.
+      const ranks = new Map<unknown, number>();
+      filteredItems.forEach((item, index) => {
+        const text = itemToString(item);
+        if (!ranks.has(text)) {
+          ranks.set(text, index);
+        }
+      });
+      compareItems = (itemA, itemB) =>
+        (ranks.get(itemA) ?? 0) - (ranks.get(itemB) ?? 0);
+    }
+
     // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
-    return sortItems!(filterItems(items, { itemToString, inputValue }), {
+    const sorted = sortItems!(filteredItems, {
       selectedItems: {
         top: controlledSelectedItems,
         fixed: [],
@@ -434,17 +553,68 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
       compareItems,
       locale,
     });
+
+    // The items of a group stay together, in the order of the groups in
+    // `items`, after an option that selects all of them
+    return itemToGroup
+      ? addGroupOptions(
+          sortItemsByGroup(sorted, itemToGroup, items),
+          itemToGroup
+        )
+      : sorted;
   }, [
     items,
+    itemToGroup,
     inputValue,
     controlledSelectedItems,
     topItems,
     selectionFeedback,
     itemToString,
-    compareItems,
+    compareItemsProp,
     locale,
+    matcher,
   ]);
 
+  // The item that can be created from the input value, which is offered as the
+  // first option of the menu
+  const creatableItem = useMemo(() => {
+    const value = inputValue.trim();
+    if (
+      !creatable ||
+      !value ||
+      !validateValue(value) ||
+      findItemByText([...items, ...controlledSelectedItems], value, {
+        itemToString,
+        locale,
+      })
+    ) {
+      return null;
+    }
+    return createItem(value);
+  }, [
+    creatable,
+    inputValue,
+    items,
+    controlledSelectedItems,
+    itemToString,
+    locale,
+    validateValue,
+    createItem,
+  ]);
+
+  const menuItems = useMemo(
+    () =>
+      (creatableItem
+        ? [creatableItem, ...sortedItems]
+        : sortedItems) as ItemType[],
+    [creatableItem, sortedItems]
+  );
+
+  const matchContext = useMemo(
+    () => ({ inputValue, locale, matcher }),
+    [inputValue, locale, matcher]
+  );
+
   const inline = type === 'inline';
   const showWarning = !invalid && warn;
 
@@ -525,9 +695,10 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
     isOpen: isMenuOpen,
   } = useCombobox<ItemType>({
     isOpen,
-    items: sortedItems,
+    items: menuItems,
     // defaultHighlightedIndex: 0, // after selection, highlight the first item.
-    itemToString,
+    itemToString: (item) =>
+      isGroupOption(item) ? item.label : itemToString(item),
     id,
     labelId,
     menuId,
@@ -538,6 +709,51 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
       return (item as any).disabled;
     },
   });
+  /**
+   * Select the items of the values that are typed or pasted in a creatable
+   * `FilterableMultiSelect`, creating the values that are not in `items`, and
+   * return the values that are not valid so that they stay in the input
+   */
+  function commitValues(text: string): string {
+    const options = { itemToString, locale };
+    const newItems: ItemType[] = [];
+    const invalidValues: string[] = [];
+
+    splitValues(text).forEach((value) => {
+      if (!validateValue(value)) {
+        invalidValues.push(value);
+        return;
+      }
+      if (
+        findItemByText(
+          [...controlledSelectedItems, ...newItems],
+          value,
+          options
+        )
+      ) {
+        return;
+      }
+      const item = findItemByText(items, value, options);
+      if (!item) {
+        newItems.push(createItem(value));
+      } else if (!item['disabled']) {
+        newItems.push(item);
+      }
+    });
+
+    addItems(newItems);
+    return invalidValues.join(', ');
+  }
+
+  // A group option selects or deselects all of the items of its group
+  function selectItem(item) {
+    if (isGroupOption(item)) {
+      onGroupChange(item.items);
+    } else {
+      onItemChange(item);
+    }
+  }
+
   function stateReducer(state, actionAndChanges) {
     const { type, props, changes } = actionAndChanges;
     const { highlightedIndex } = changes;
@@ -545,17 +761,28 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
     if (changes.isOpen && !isOpen) {
       setTopItems(controlledSelectedItems);
     }
+
+    if (
+      creatableItem &&
+      changes.selectedItem === creatableItem &&
+      (type === InputKeyDownEnter || type === ItemClick)
+    ) {
+      onItemChange(creatableItem);
+      setInputValue('');
+      return { ...changes, inputValue: '', highlightedIndex: -1 };
+    }
+
     switch (type) {
       case InputKeyDownEnter:
         if (changes.selectedItem && changes.selectedItem.disabled !== true) {
-          onItemChange(changes.selectedItem);
+          selectItem(changes.selectedItem);
         }
         setHighlightedIndex(changes.selectedItem);
 
         return { ...changes, highlightedIndex: state.highlightedIndex };
       case ItemClick:
         if (changes.selectedItem) {
-          onItemChange(changes.selectedItem);
+          selectItem(changes.selectedItem);
         }
         setHighlightedIndex(changes.selectedItem);
         return changes;
@@ -571,13 +798,19 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
         }
 
         return { ...changes, highlightedIndex: null };
-      case InputChange:
+      case InputChange: {
+        let inputValue = changes.inputValue ?? '';
+        // A comma ends a value, like in a list of email recipients
+        if (creatable && /[,\r\n]/.test(inputValue)) {
+          inputValue = commitValues(inputValue);
+        }
         if (onInputValueChange) {
-          onInputValueChange(changes.inputValue);
+          onInputValueChange(inputValue);
         }
-        setInputValue(changes.inputValue ?? '');
+        setInputValue(inputValue);
         setIsOpen(true);
-        return { ...changes, highlightedIndex: 0 };
+        return { ...changes, inputValue, highlightedIndex: 0 };
+      }
 
       case InputClick:
         validateHighlightFocus();
@@ -688,6 +921,7 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
       [`${prefix}--multi-select--selected`]:
         controlledSelectedItems?.length > 0,
       [`${prefix}--multi-select--filterable--input-focused`]: inputFocused,
+      [`${prefix}--multi-select--creatable`]: creatable,
     }
   );
 
@@ -740,6 +974,21 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
           handleMenuChange(true);
         }
 
+        // Remove the last tag instead of the whole selection
+        if (creatable && match(event, keys.Backspace) && !$value) {
+          if (!disabled && controlledSelectedItems.length > 0) {
+            onItemChange(
+              controlledSelectedItems[controlledSelectedItems.length - 1]
+            );
+          }
+          (
+            event as KeyboardEvent<HTMLElement> & {
+              preventDownshiftDefault: boolean;
+            }
+          ).preventDownshiftDefault = true;
+          return;
+        }
+
         if (!disabled) {
           if (match(event, keys.Delete) || match(event, keys.Escape)) {
             if (isOpen) {
@@ -766,6 +1015,26 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
           $input.setSelectionRange($value.length, $value.length);
         }
       },
+      onPaste(event: ClipboardEvent<HTMLInputElement>) {
+        const text = event.clipboardData.getData('text');
+        if (!creatable || !/[,\r\n]/.test(text)) {
+          return;
+        }
+        event.preventDefault();
+        // The text is pasted at the caret, or over the selected text, like it
+        // would be without splitting it into values
+        const { selectionStart, selectionEnd } = event.currentTarget;
+        const rest = commitValues(
+          inputValue.slice(0, selectionStart ?? inputValue.length) +
+            text +
+            inputValue.slice(selectionEnd ?? inputValue.length)
+        );
+        if (onInputValueChange) {
+          // Like for `InputChange`, the handler receives the input value
+          onInputValueChange(rest);
+        }
+        setInputValue(rest);
+      },
       onFocus: () => setInputFocused(true),
       onBlur: () => {
         !isOpen && setInputFocused(false);
@@ -774,6 +1043,63 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
     })
   );
 
+  // The option is rendered outside of `ListBoxMatchContext`, as the input value
+  // does not need to be highlighted in it
+  let createOption;
+  if (isOpen && creatableItem) {
+    const itemProps = getItemProps({ item: creatableItem, index: 0 });
+    const value = inputValue.trim();
+    const text = createText ? createText(value) : t('create.item', { value });
+    createOption = (
+      <ListBox.MenuItem
+        key={itemProps.id}
+        className={`${prefix}--list-box__menu-item--create`}
+        isHighlighted={highlightedIndex === 0}
+        title={text}
+        {...itemProps}>
+        {text}
+      </ListBox.MenuItem>
+    );
+  }
+
+  // The option of a group is checked when all of the enabled items of the group
+  // are selected, and indeterminate when some of them are
+  const renderGroupOption = (option: GroupOption<ItemType>, index: number) => {
+    const groupItems = option.items.filter((item) => !item['disabled']);
+    const selectedCount = groupItems.filter((item) =>
+      controlledSelectedItems.some((selected) => isEqual(selected, item))
+    ).length;
+    const isChecked =
+      groupItems.length > 0 && selectedCount === groupItems.length;
+    const itemProps = getItemProps({
+      item: option as ItemType,
+      ['aria-selected']: isChecked,
+    });
+    const { 'aria-disabled': disabled, ...modifiedItemProps } = itemProps;
+
+    return (
+      <ListBox.MenuItem
+        key={itemProps.id}
+        className={`${prefix}--list-box__menu-group__option`}
+        aria-label={option.label}
+        isHighlighted={highlightedIndex === index + (creatableItem ? 1 : 0)}
+        title={option.label}
+        disabled={disabled}
+        {...modifiedItemProps}>
+        <div className={`${prefix}--checkbox-wrapper`}>
+          <span
+            className={`${prefix}--checkbox-label`}
+            data-contained-checkbox-state={
+              selectedCount > 0 && !isChecked ? 'mixed' : isChecked
+            }
+            id={`${itemProps.id}-item`}>
+            {option.label}
+          </span>
+        </div>
+      </ListBox.MenuItem>
+    );
+  };
+
   // Memoize the value of getMenuProps to avoid an infinite loop
   const menuProps = useMemo(
     () =>
@@ -836,19 +1162,38 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
         <div
           className={`${prefix}--list-box__field`}
           ref={autoAlign ? refs.setReference : null}>
-          {controlledSelectedItems.length > 0 && (
-            <ListBoxSelection
-              clearSelection={() => {
-                clearSelection();
-                if (textInput.current) {
-                  textInput.current.focus();
-                }
-              }}
-              selectionCount={controlledSelectedItems.length}
-              translateWithId={translateWithId}
-              disabled={disabled}
-            />
-          )}
+          {creatable
+            ? controlledSelectedItems.map((item) => {
+                const itemText = itemToString(item);
+                return (
+                  <DismissibleTag
+                    key={itemText}
+                    className={`${prefix}--multi-select__tag`}
+                    size="sm"
+                    type="high-contrast"
+                    text={itemText}
+                    title={t('remove.item', { value: itemText })}
+                    disabled={disabled}
+                    onClose={() => {
+                      onItemChange(item);
+                      textInput.current?.focus();
+                    }}
+                  />
+                );
+              })
+            : controlledSelectedItems.length > 0 && (
+                <ListBoxSelection
+                  clearSelection={() => {
+                    clearSelection();
+                    if (textInput.current) {
+                      textInput.current.focus();
+                    }
+                  }}
+                  selectionCount={controlledSelectedItems.length}
+                  translateWithId={translateWithId}
+                  disabled={disabled}
+                />
+              )}
           <input
             className={inputClasses}
             {...inputProps}
@@ -886,54 +1231,63 @@ const FilterableMultiSelect = React.forwardRef(function FilterableMultiSelect<
         {normalizedSlug}
 
         <ListBox.Menu {...menuProps}>
-          {isOpen
-            ? sortedItems.map((item, index) => {
-                const isChecked =
-                  controlledSelectedItems.filter((selected) =>
-                    isEqual(selected, item)
-                  ).length > 0;
-                const itemProps = getItemProps({
-                  item,
-                  ['aria-selected']: isChecked,
-                });
-                const itemText = itemToString(item);
-
-                // The initial implementation using <Downshift> would place the disabled attribute
-                // on disabled menu items. Conversely, useCombobox places aria-disabled instead.
-                // To avoid any potential breaking changes, we avoid placing aria-disabled and
-                // instead match the old behavior of placing the disabled attribute.
-                const disabled = itemProps['aria-disabled'];
-                const {
-                  'aria-disabled': unusedAriaDisabled, // eslint-disable-line @typescript-eslint/no-unused-vars
-                  ...modifiedItemProps
-                } = itemProps;
-
-                return (
-                  <ListBox.MenuItem
-                    key={itemProps.id}
-                    aria-label={itemText}
-                    isActive={isChecked}
-                    isHighlighted={highlightedIndex === index}
-                    title={itemText}
-                    disabled={disabled}
-                    {...modifiedItemProps}>
-                    <div className={`${prefix}--checkbox-wrapper`}>
-                      <span
-                        title={useTitleInItem ? itemText : undefined}
-                        className={`${prefix}--checkbox-label`}
-                        data-contained-checkbox-state={isChecked}
-                        id={`${itemProps.id}-item`}>
-                        {ItemToElement ? (
-                          <ItemToElement key={itemProps.id} {...item} />
-                        ) : (
-                          itemText
-                        )}
-                      </span>
-                    </div>
-                  </ListBox.MenuItem>
-                );
-              })
-            : null}
+          {createOption}
+          <ListBoxMatchContext.Provider value={matchContext}>
+            {isOpen
+              ? mapItemGroups(sortedItems, itemToGroup, (item, index) => {
+                  if (isGroupOption(item)) {
+                    return renderGroupOption(item, index);
+                  }
+
+                  const isChecked =
+                    controlledSelectedItems.filter((selected) =>
+                      isEqual(selected, item)
+                    ).length > 0;
+                  const itemProps = getItemProps({
+                    item,
+                    ['aria-selected']: isChecked,
+                  });
+                  const itemText = itemToString(item);
+
+                  // The initial implementation using <Downshift> would place the disabled attribute
+                  // on disabled menu items. Conversely, useCombobox places aria-disabled instead.
+                  // To avoid any potential breaking changes, we avoid placing aria-disabled and
+                  // instead match the old behavior of placing the disabled attribute.
+                  const disabled = itemProps['aria-disabled'];
+                  const {
+                    'aria-disabled': unusedAriaDisabled, // eslint-disable-line @typescript-eslint/no-unused-vars
+                    ...modifiedItemProps
+                  } = itemProps;
+
+                  return (
+                    <ListBox.MenuItem
+                      key={itemProps.id}
+                      aria-label={itemText}
+                      isActive={isChecked}
+                      isHighlighted={
+                        highlightedIndex === index + (creatableItem ? 1 : 0)
+                      }
+                      title={itemText}
+                      disabled={disabled}
+                      {...modifiedItemProps}>
+                      <div className={`${prefix}--checkbox-wrapper`}>
+                        <span
+                          title={useTitleInItem ? itemText : undefined}
+                          className={`${prefix}--checkbox-label`}
+                          data-contained-checkbox-state={isChecked}
+                          id={`${itemProps.id}-item`}>
+                          {ItemToElement ? (
+                            <ItemToElement key={itemProps.id} {...item} />
+                          ) : (
+                            <ListBoxMatch>{itemText}</ListBoxMatch>
+                          )}
+                        </span>
+                      </div>
+                    </ListBox.MenuItem>
+                  );
+                })
+              : null}
+          </ListBoxMatchContext.Provider>
         </ListBox.Menu>
       </ListBox>
       {!inline && !invalid && !warn ? helper : null}
@@ -983,6 +1337,27 @@ FilterableMultiSelect.propTypes = {
    */
   clearSelectionText: PropTypes.string,
 
+  /**
+   * Specify whether the user can create items that are not in `items` by
+   * typing or pasting them. The selected items are rendered as tags in the
+   * field.
+   */
+  creatable: PropTypes.bool,
+
+  /**
+   * Optionally provide a function that creates an item from a value entered
+   * in a creatable `FilterableMultiSelect`. By default, the item is
+   * `{ id: value, label: value }`.
+   */
+  createItem: PropTypes.func,
+
+  /**
+   * Optionally provide a function that returns the text of the option that
+   * creates an item from the input value. Defaults to the `create.item`
+   * message of `translateWithId`.
+   */
+  createText: PropTypes.func,
+
   /**
    * Specify the direction of the multiselect dropdown. Can be either top or bottom.
    */
@@ -1036,6 +1411,13 @@ FilterableMultiSelect.propTypes = {
    */
   itemToElement: PropTypes.func,
 
+  /**
+   * Optionally return the label of the group of an item to render the items
+   * in labelled sections. The heading of each group selects or deselects all
+   * of the items of the group.
+   */
+  itemToGroup: PropTypes.func,
+
   /**
    * Helper function passed to downshift that allows the library to render a
    * given item to a string label. By default, it extracts the `label` field
@@ -1060,10 +1442,21 @@ FilterableMultiSelect.propTypes = {
 
   /**
    * Specify the locale of the control. Used for the default `compareItems`
-   * used for sorting the list of items in the control.
+   * used for sorting the list of items in the control, and for matching the
+   * items against the input value.
    */
   locale: PropTypes.string,
 
+  /**
+   * Provide a function that matches an item against the input value. It
+   * receives the text of the item, the input value and `{ locale }`, and
+   * returns `null` when the item does not match, or `{ score, ranges }` where
+   * items with a higher `score` are listed first and `ranges` are the
+   * `[start, end]` ranges of the text to highlight. The default matcher is
+   * accent insensitive and tolerates typos.
+   */
+  matcher: PropTypes.func,
+
   /**
    * `onChange` is a utility for this controlled component to communicate to a
    * consuming component what kind of internal state changes are occurring.
@@ -1120,7 +1513,9 @@ FilterableMultiSelect.propTypes = {
   titleText: PropTypes.node,
 
   /**
-   * Callback function for translating ListBoxMenuIcon SVG title
+   * Callback function for translating ListBoxMenuIcon SVG title, the option
+   * that creates an item and the title of the tags of a creatable
+   * `FilterableMultiSelect`
    */
   translateWithId: PropTypes.func,
 
@@ -1129,6 +1524,12 @@ FilterableMultiSelect.propTypes = {
    */
   useTitleInItem: PropTypes.bool,
 
+  /**
+   * Optionally provide a function that returns whether a value entered in a
+   * creatable `FilterableMultiSelect` can be created, like an email address
+   */
+  validateValue: PropTypes.func,
+
   /**
    * Specify whether the control is currently in warning state
    */
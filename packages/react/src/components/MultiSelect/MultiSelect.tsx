@@ -24,9 +24,15 @@ import React, {
   useLayoutEffect,
 } from 'react';
 import ListBox, {
+  addGroupOptions,
+  type GroupOption,
+  isGroupOption,
+  type ItemToGroup,
   ListBoxSize,
   ListBoxType,
+  mapItemGroups,
   PropTypes as ListBoxPropTypes,
+  sortItemsByGroup,
 } from '../ListBox';
 import {
   MultiSelectSortingProps,
@@ -185,6 +191,13 @@ export interface MultiSelectProps<ItemType>
    */
   itemToElement?: React.JSXElementConstructor<ItemType>;
 
+  /**
+   * Optionally return the label of the group of an item to render the items
+   * in labelled sections. The heading of each group selects or deselects all
+   * of the items of the group.
+   */
+  itemToGroup?: ItemToGroup<ItemType>;
+
   /**
    * Helper function passed to downshift that allows the library to render a
    * given item to a string label. By default, it extracts the `label` field
@@ -298,6 +311,7 @@ const MultiSelect = React.forwardRef(
       id,
       items,
       itemToElement,
+      itemToGroup,
       itemToString = defaultItemToString,
       titleText = false,
       hideLabel,
@@ -409,6 +423,7 @@ const MultiSelect = React.forwardRef(
     const {
       selectedItems: controlledSelectedItems,
       onItemChange,
+      onGroupChange,
       clearSelection,
     } = useSelection({
       disabled,
@@ -426,6 +441,27 @@ const MultiSelect = React.forwardRef(
       locale,
     };
 
+    if (selectionFeedback === 'fixed') {
+      sortOptions.selectedItems = [];
+    } else if (selectionFeedback === 'top-after-reopen') {
+      sortOptions.selectedItems = topItems;
+    }
+
+    const sortedItems = sortItems!(
+      filteredItems,
+      sortOptions as SortItemsOptions<ItemType>
+    );
+
+    // The items of a group are next to each other, after an option that
+    // selects all of them, so downshift gets the items in the order of the
+    // menu for keyboard navigation to follow it
+    const menuItems: Array<ItemType | GroupOption<ItemType>> = itemToGroup
+      ? addGroupOptions(
+          sortItemsByGroup(sortedItems, itemToGroup, items),
+          itemToGroup
+        )
+      : sortedItems;
+
     const selectProps: UseSelectProps<ItemType> = {
       stateReducer,
       isOpen,
@@ -441,7 +477,9 @@ const MultiSelect = React.forwardRef(
         );
       },
       selectedItem: controlledSelectedItems,
-      items: filteredItems as ItemType[],
+      items: itemToGroup
+        ? (menuItems as ItemType[])
+        : (filteredItems as ItemType[]),
       isItemDisabled(item, _index) {
         return (item as any).disabled;
       },
@@ -559,10 +597,13 @@ const MultiSelect = React.forwardRef(
     // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
     const ItemToElement = itemToElement!;
 
-    if (selectionFeedback === 'fixed') {
-      sortOptions.selectedItems = [];
-    } else if (selectionFeedback === 'top-after-reopen') {
-      sortOptions.selectedItems = topItems;
+    // A group option selects or deselects all of the items of its group
+    function selectItem(item) {
+      if (isGroupOption(item)) {
+        onGroupChange(item.items);
+      } else {
+        onItemChange(item);
+      }
     }
 
     function stateReducer(state, actionAndChanges) {
@@ -582,7 +623,7 @@ const MultiSelect = React.forwardRef(
           if (Array.isArray(changes.selectedItem)) {
             break;
           }
-          onItemChange(changes.selectedItem);
+          selectItem(changes.selectedItem);
           return { ...changes, highlightedIndex: state.highlightedIndex };
         case ToggleButtonBlur:
         case ToggleButtonKeyDownEscape:
@@ -597,7 +638,7 @@ const MultiSelect = React.forwardRef(
           };
         case ItemClick:
           setHighlightedIndex(changes.selectedItem);
-          onItemChange(changes.selectedItem);
+          selectItem(changes.selectedItem);
           return { ...changes, highlightedIndex: state.highlightedIndex };
         case MenuMouseLeave:
           return { ...changes, highlightedIndex: state.highlightedIndex };
@@ -610,7 +651,7 @@ const MultiSelect = React.forwardRef(
           } else {
             return {
               ...changes,
-              highlightedIndex: filteredItems.indexOf(highlightedIndex),
+              highlightedIndex: props.items.indexOf(highlightedIndex),
             };
           }
         case ToggleButtonKeyDownArrowDown:
@@ -685,6 +726,45 @@ const MultiSelect = React.forwardRef(
       ? selectedItems.filter((item: any) => !item.isSelectAll).length
       : selectedItems.length;
 
+    // The option of a group is checked when all of the enabled items of the
+    // group are selected, and indeterminate when some of them are
+    const renderGroupOption = (
+      option: GroupOption<ItemType>,
+      index: number
+    ) => {
+      const groupItems = option.items.filter((item) => !item['disabled']);
+      const selectedCount = groupItems.filter((item) =>
+        selectedItems.some((selected) => isEqual(selected, item))
+      ).length;
+      const isChecked =
+        groupItems.length > 0 && selectedCount === groupItems.length;
+      const itemProps = getItemProps({
+        item: option as ItemType,
+        ['aria-selected']: isChecked,
+      });
+
+      return (
+        <ListBox.MenuItem
+          key={itemProps.id}
+          className={`${prefix}--list-box__menu-group__option`}
+          aria-label={option.label}
+          isHighlighted={highlightedIndex === index}
+          title={option.label}
+          disabled={itemProps['aria-disabled']}
+          {...itemProps}>
+          <div className={`${prefix}--checkbox-wrapper`}>
+            <Checkbox
+              id={`${itemProps.id}__checkbox`}
+              labelText={option.label}
+              checked={isChecked}
+              indeterminate={selectedCount > 0 && !isChecked}
+              disabled={disabled}
+            />
+          </div>
+        </ListBox.MenuItem>
+      );
+    };
+
     // Memoize the value of getMenuProps to avoid an infinite loop
     const menuProps = useMemo(
       () =>
@@ -767,10 +847,11 @@ const MultiSelect = React.forwardRef(
           </div>
           <ListBox.Menu {...menuProps}>
             {isOpen &&
-              sortItems!(
-                filteredItems,
-                sortOptions as SortItemsOptions<ItemType>
-              ).map((item, index) => {
+              mapItemGroups(menuItems, itemToGroup, (item, index) => {
+                if (isGroupOption(item)) {
+                  return renderGroupOption(item, index);
+                }
+
                 const isChecked =
                   selectedItems.filter((selected) => isEqual(selected, item))
                     .length > 0;
@@ -934,6 +1015,13 @@ MultiSelect.propTypes = {
    */
   itemToElement: PropTypes.func,
 
+  /**
+   * Optionally return the label of the group of an item to render the items
+   * in labelled sections. The heading of each group selects or deselects all
+   * of the items of the group.
+   */
+  itemToGroup: PropTypes.func,
+
   /**
    * Helper function passed to downshift that allows the library to render a
    * given item to a string label. By default, it extracts the `label` field
@@ -142,6 +142,70 @@ describe('FilterableMultiSelect', () => {
     expect(screen.getAllByRole('option').length).toBe(1);
   });
 
+  it('should rank the items that match the input value, ignoring accents and typos', async () => {
+    const items = ['Pineapple', 'Crème brûlée', 'Apple pie', 'Apple'].map(
+      (label, index) => ({ id: `item-${index}`, label })
+    );
+    render(
+      <FilterableMultiSelect {...mockProps} items={items} placeholder="test" />
+    );
+    await waitForPosition();
+
+    await userEvent.type(screen.getByPlaceholderText('test'), 'apple');
+    expect(
+      screen.getAllByRole('option').map((option) => option.textContent)
+    ).toEqual(['Apple', 'Apple pie', 'Pineapple']);
+
+    await userEvent.clear(screen.getByPlaceholderText('test'));
+    await userEvent.type(screen.getByPlaceholderText('test'), 'creme brulee');
+    expect(
+      screen.getAllByRole('option').map((option) => option.textContent)
+    ).toEqual(['Crème brûlée']);
+
+    await userEvent.clear(screen.getByPlaceholderText('test'));
+    await userEvent.type(screen.getByPlaceholderText('test'), 'pinaple');
+    expect(
+      screen.getAllByRole('option').map((option) => option.textContent)
+    ).toEqual(['Pineapple']);
+  });
+
+  it('should highlight the parts of the items that match the input value', async () => {
+    render(<FilterableMultiSelect {...mockProps} placeholder="test" />);
+    await waitForPosition();
+
+    await userEvent.type(screen.getByPlaceholderText('test'), 'item 3');
+    const marks = screen
+      .getByRole('option')
+      .querySelectorAll(`mark.${prefix}--list-box__menu-item__match`);
+    expect(Array.from(marks).map((mark) => mark.textContent)).toEqual([
+      'Item 3',
+    ]);
+  });
+
+  it('should support a custom `matcher` with the `locale`', async () => {
+    const matcher = jest.fn((text, query) =>
+      text.endsWith(query)
+        ? { score: 1, ranges: [[text.length - query.length, text.length]] }
+        : null
+    );
+    render(
+      <FilterableMultiSelect
+        {...mockProps}
+        locale="fr"
+        matcher={matcher}
+        placeholder="test"
+      />
+    );
+    await waitForPosition();
+
+    await userEvent.type(screen.getByPlaceholderText('test'), '4');
+    expect(screen.getByRole('option')).toHaveTextContent('Item 4');
+    expect(matcher).toHaveBeenCalledWith('Item 4', '4', { locale: 'fr' });
+    expect(screen.getByRole('option').querySelector('mark')).toHaveTextContent(
+      '4'
+    );
+  });
+
   it('should call `onChange` with each update to selected items', async () => {
     render(<FilterableMultiSelect {...mockProps} selectionFeedback="top" />);
     await waitForPosition();
@@ -243,4 +307,297 @@ describe('FilterableMultiSelect', () => {
 
     expect(document.querySelector(`.${prefix}--list-box`).id).toBe('custom-id');
   });
+
+  describe('itemToGroup', () => {
+    const items = [
+      { label: 'Frankfurt', region: 'Europe' },
+      { label: 'Dallas', region: 'Americas' },
+      { label: 'London', region: 'Europe' },
+    ];
+    const itemToGroup = (item) => item.region;
+
+    it('should keep the groups of the filtered items', async () => {
+      render(
+        <FilterableMultiSelect
+          {...mockProps}
+          items={items}
+          itemToGroup={itemToGroup}
+        />
+      );
+      await openMenu();
+      await userEvent.type(screen.getByRole('combobox'), 'a');
+
+      expect(
+        screen.getAllByRole('option').map((option) => option.textContent)
+      ).toEqual(['Europe', 'Frankfurt', 'Americas', 'Dallas']);
+      expect(screen.getByRole('group', { name: 'Americas' })).toHaveTextContent(
+        'Dallas'
+      );
+    });
+
+    it('should select the items of a group with its option', async () => {
+      render(
+        <FilterableMultiSelect
+          {...mockProps}
+          items={items}
+          itemToGroup={itemToGroup}
+        />
+      );
+      await openMenu();
+      await userEvent.click(screen.getByRole('option', { name: 'Europe' }));
+
+      expect(mockProps.onChange).toHaveBeenLastCalledWith({
+        selectedItems: [items[0], items[2]],
+      });
+      expect(screen.getByRole('option', { name: 'Europe' })).toHaveAttribute(
+        'aria-selected',
+        'true'
+      );
+      expect(screen.getByRole('combobox')).toHaveFocus();
+    });
+
+    it('should select the items of a group with the keyboard', async () => {
+      render(
+        <FilterableMultiSelect
+          {...mockProps}
+          items={items}
+          itemToGroup={itemToGroup}
+        />
+      );
+      await userEvent.click(screen.getByRole('combobox'));
+      await userEvent.keyboard('[ArrowDown][ArrowDown][ArrowDown][ArrowDown]');
+      expect(screen.getByRole('option', { name: 'Americas' })).toHaveClass(
+        `${prefix}--list-box__menu-item--highlighted`
+      );
+
+      await userEvent.keyboard('[Enter]');
+      expect(mockProps.onChange).toHaveBeenLastCalledWith({
+        selectedItems: [items[1]],
+      });
+    });
+  });
+
+  describe('creatable', () => {
+    const isEmail = (value) => /^[^@\s]+@[^@\s]+$/.test(value);
+    const getTags = () =>
+      Array.from(
+        document.querySelectorAll(
+          `.${prefix}--multi-select__tag .${prefix}--tag__label`
+        ),
+        (tag) => tag.textContent
+      );
+
+    it('should offer to create the input value', async () => {
+      render(<FilterableMultiSelect {...mockProps} creatable />);
+      await openMenu();
+      await userEvent.type(screen.getByRole('combobox'), 'New item');
+
+      const options = screen.getAllByRole('option');
+      expect(options[0]).toHaveTextContent('Create "New item"');
+      expect(options[0]).toHaveClass(
+        `${prefix}--list-box__menu-item--highlighted`
+      );
+
+      await userEvent.keyboard('[Enter]');
+      expect(mockProps.onChange).toHaveBeenLastCalledWith({
+        selectedItems: [{ id: 'New item', label: 'New item' }],
+      });
+      expect(screen.getByRole('combobox')).toHaveDisplayValue('');
+      expect(getTags()).toEqual(['New item']);
+    });
+
+    it('should not offer to create an item that exists', async () => {
+      render(<FilterableMultiSelect {...mockProps} creatable />);
+      await openMenu();
+      await userEvent.type(screen.getByRole('combobox'), 'item 1');
+
+      expect(screen.queryByText(/^Create/)).not.toBeInTheDocument();
+    });
+
+    it('should create items with `createItem` and `createText`', async () => {
+      render(
+        <FilterableMultiSelect
+          {...mockProps}
+          items={[]}
+          creatable
+          createItem={(value) => ({ label: value.toLowerCase() })}
+          createText={(value) => `Add ${value}`}
+        />
+      );
+      await openMenu();
+      await userEvent.type(screen.getByRole('combobox'), 'Label');
+      await userEvent.click(screen.getByText('Add Label'));
+
+      expect(mockProps.onChange).toHaveBeenLastCalledWith({
+        selectedItems: [{ label: 'label' }],
+      });
+    });
+
+    it('should translate the create option and the tags with `translateWithId`', async () => {
+      const translateWithId = (id, args) =>
+        ({
+          'create.item': `Créer « ${args?.value} »`,
+          'remove.item': `Supprimer ${args?.value}`,
+        }[id]);
+      render(
+        <FilterableMultiSelect
+          {...mockProps}
+          creatable
+          initialSelectedItems={[mockProps.items[0]]}
+          translateWithId={translateWithId}
+        />
+      );
+      expect(
+        screen.getByRole('button', { name: 'Supprimer Item 0' })
+      ).toBeInTheDocument();
+
+      await openMenu();
+      await userEvent.type(screen.getByRole('combobox'), 'New item');
+      expect(screen.getByText('Créer « New item »')).toBeInTheDocument();
+    });
+
+    it('should create the values that are typed before a comma', async () => {
+      render(<FilterableMultiSelect {...mockProps} items={[]} creatable />);
+      await openMenu();
+      await userEvent.type(screen.getByRole('combobox'), 'one,two,');
+
+      expect(getTags()).toEqual(['one', 'two']);
+      expect(screen.getByRole('combobox')).toHaveDisplayValue('');
+    });
+
+    it('should split, validate and deduplicate pasted values', async () => {
+      render(
+        <FilterableMultiSelect
+          {...mockProps}
+          items={[{ id: 'ada', label: 'ada@example.com' }]}
+          creatable
+          validateValue={isEmail}
+        />
+      );
+      await userEvent.click(screen.getByRole('combobox'));
+      await userEvent.paste(
+        'ADA@example.com, grace@example.com\nnot an email\ngrace@example.com'
+      );
+
+      expect(mockProps.onChange).toHaveBeenLastCalledWith({
+        selectedItems: [
+          { id: 'ada', label: 'ada@example.com' },
+          { id: 'grace@example.com', label: 'grace@example.com' },
+        ],
+      });
+      expect(screen.getByRole('combobox')).toHaveDisplayValue('not an email');
+    });
+
+    it('should paste values at the caret and over the selected text', async () => {
+      const onInputValueChange = jest.fn();
+      render(
+        <FilterableMultiSelect
+          {...mockProps}
+          items={[]}
+          creatable
+          validateValue={isEmail}
+          onInputValueChange={onInputValueChange}
+        />
+      );
+      const input = screen.getByRole('combobox');
+      await userEvent.type(input, '@example.com');
+      input.setSelectionRange(0, 0);
+      await userEvent.paste('ada@example.com, grace');
+
+      expect(getTags()).toEqual(['ada@example.com', 'grace@example.com']);
+      expect(input).toHaveDisplayValue('');
+
+      await userEvent.type(input, 'not an email');
+      input.setSelectionRange(0, input.value.length);
+      await userEvent.paste('alan@example.com, ');
+
+      expect(getTags()).toEqual([
+        'ada@example.com',
+        'grace@example.com',
+        'alan@example.com',
+      ]);
+      expect(input).toHaveDisplayValue('');
+      expect(onInputValueChange).toHaveBeenLastCalledWith('');
+    });
+
+    it('should not offer to create an invalid value', async () => {
+      render(
+        <FilterableMultiSelect
+          {...mockProps}
+          items={[]}
+          creatable
+          validateValue={isEmail}
+        />
+      );
+      await openMenu();
+      await userEvent.type(screen.getByRole('combobox'), 'grace');
+      expect(screen.queryByText(/^Create/)).not.toBeInTheDocument();
+
+      await userEvent.type(screen.getByRole('combobox'), '@example.com');
+      expect(
+        screen.getByText('Create "grace@example.com"')
+      ).toBeInTheDocument();
+    });
+
+    it('should remove a tag with its close button or with Backspace', async () => {
+      render(
+        <FilterableMultiSelect
+          {...mockProps}
+          creatable
+          initialSelectedItems={mockProps.items.slice(0, 3)}
+        />
+      );
+      expect(getTags()).toEqual(['Item 0', 'Item 1', 'Item 2']);
+
+      await userEvent.click(
+        screen.getAllByRole('button', { name: 'Remove Item 0' })[0]
+      );
+      expect(getTags()).toEqual(['Item 1', 'Item 2']);
+      expect(screen.getByRole('combobox')).toHaveFocus();
+
+      await userEvent.keyboard('[Backspace]');
+      expect(getTags()).toEqual(['Item 1']);
+      expect(mockProps.onChange).toHaveBeenLastCalledWith({
+        selectedItems: [mockProps.items[1]],
+      });
+
+      await userEvent.type(screen.getByRole('combobox'), 'x');
+      await userEvent.keyboard('[Backspace]');
+      expect(getTags()).toEqual(['Item 1']);
+    });
+
+    it('should select the items in a controlled `FilterableMultiSelect`', async () => {
+      const onChange = jest.fn();
+      const { rerender } = render(
+        <FilterableMultiSelect
+          {...mockProps}
+          items={[]}
+          creatable
+          selectedItems={[]}
+          onChange={onChange}
+        />
+      );
+      await userEvent.click(screen.getByRole('combobox'));
+      await userEvent.paste('one, two');
+
+      expect(onChange).toHaveBeenLastCalledWith({
+        selectedItems: [
+          { id: 'one', label: 'one' },
+          { id: 'two', label: 'two' },
+        ],
+      });
+      expect(getTags()).toEqual([]);
+
+      rerender(
+        <FilterableMultiSelect
+          {...mockProps}
+          items={[]}
+          creatable
+          selectedItems={onChange.mock.lastCall[0].selectedItems}
+          onChange={onChange}
+        />
+      );
+      expect(getTags()).toEqual(['one', 'two']);
+    });
+  });
 });
@@ -321,6 +321,176 @@ describe('MultiSelect', () => {
     ).toBeFalsy();
   });
 
+  describe('itemToGroup', () => {
+    const items = [
+      { label: 'Frankfurt', region: 'Europe' },
+      { label: 'Dallas', region: 'Americas' },
+      { label: 'London', region: 'Europe' },
+      { label: 'Paris', region: 'Europe', disabled: true },
+    ];
+    const itemToGroup = (item) => item.region;
+
+    it('should render the items of each group in a labelled group', async () => {
+      render(
+        <MultiSelect
+          id="test"
+          label="Field"
+          items={items}
+          itemToGroup={itemToGroup}
+          selectionFeedback="fixed"
+        />
+      );
+      await userEvent.click(screen.getByRole('combobox'));
+
+      expect(
+        screen.getAllByRole('option').map((option) => option.textContent)
+      ).toEqual([
+        'Europe',
+        'Frankfurt',
+        'London',
+        'Paris',
+        'Americas',
+        'Dallas',
+      ]);
+      expect(screen.getByRole('group', { name: 'Americas' })).toHaveTextContent(
+        'Dallas'
+      );
+    });
+
+    it('should not render interactive content in the heading of a group', async () => {
+      render(
+        <MultiSelect
+          id="test"
+          label="Field"
+          items={items}
+          itemToGroup={itemToGroup}
+        />
+      );
+      await userEvent.click(screen.getByRole('combobox'));
+
+      // eslint-disable-next-line testing-library/no-node-access
+      const headings = document.querySelectorAll('[aria-hidden="true"]');
+      for (const heading of headings) {
+        // eslint-disable-next-line testing-library/no-node-access
+        expect(heading.querySelector('input, button, [tabindex]')).toBeNull();
+      }
+    });
+
+    it('should select and deselect the items of a group with its option', async () => {
+      const onChange = jest.fn();
+      render(
+        <MultiSelect
+          id="test"
+          label="Field"
+          items={items}
+          itemToGroup={itemToGroup}
+          initialSelectedItems={[items[2]]}
+          onChange={onChange}
+          selectionFeedback="fixed"
+        />
+      );
+      await userEvent.click(screen.getByRole('combobox'));
+
+      const option = screen.getByRole('option', { name: 'Europe' });
+      const checkbox = screen.getByRole('checkbox', {
+        name: 'Europe',
+        hidden: true,
+      });
+      expect(checkbox).toBePartiallyChecked();
+
+      await userEvent.click(option);
+      expect(onChange).toHaveBeenLastCalledWith({
+        selectedItems: [items[2], items[0]],
+      });
+      expect(checkbox).toBeChecked();
+      expect(option).toHaveAttribute('aria-selected', 'true');
+      expect(screen.getByRole('listbox')).toBeInTheDocument();
+
+      await userEvent.click(option);
+      expect(onChange).toHaveBeenLastCalledWith({ selectedItems: [] });
+    });
+
+    it('should select the items of a group with the keyboard', async () => {
+      const onChange = jest.fn();
+      render(
+        <MultiSelect
+          id="test"
+          label="Field"
+          items={items}
+          itemToGroup={itemToGroup}
+          onChange={onChange}
+          selectionFeedback="fixed"
+        />
+      );
+      await userEvent.tab();
+      await userEvent.keyboard('[ArrowDown]');
+      expect(screen.getByRole('option', { name: 'Europe' })).toHaveClass(
+        `${prefix}--list-box__menu-item--highlighted`
+      );
+
+      await userEvent.keyboard('[Enter]');
+      expect(onChange).toHaveBeenLastCalledWith({
+        selectedItems: [items[0], items[2]],
+      });
+
+      await userEvent.keyboard('[Space]');
+      expect(onChange).toHaveBeenLastCalledWith({ selectedItems: [] });
+    });
+
+    it('should update the select all option when a group is selected', async () => {
+      const onChange = jest.fn();
+      const selectAllItem = { label: 'All', isSelectAll: true };
+      render(
+        <MultiSelect
+          id="test"
+          label="Field"
+          items={[selectAllItem, ...items]}
+          itemToGroup={itemToGroup}
+          onChange={onChange}
+          selectionFeedback="fixed"
+        />
+      );
+      await userEvent.click(screen.getByRole('combobox'));
+      await userEvent.click(screen.getByRole('option', { name: 'Dallas' }));
+      await userEvent.click(screen.getByRole('option', { name: 'Europe' }));
+
+      expect(onChange).toHaveBeenLastCalledWith({
+        selectedItems: [selectAllItem, items[1], items[0], items[2]],
+      });
+      expect(screen.getByRole('option', { name: 'All' })).toHaveAttribute(
+        'aria-selected',
+        'true'
+      );
+
+      await userEvent.click(screen.getByRole('option', { name: 'Europe' }));
+      expect(onChange).toHaveBeenLastCalledWith({ selectedItems: [items[1]] });
+      expect(screen.getByRole('option', { name: 'All' })).toHaveAttribute(
+        'aria-selected',
+        'false'
+      );
+    });
+
+    it('should move the highlight across groups in the order of the menu', async () => {
+      const onChange = jest.fn();
+      render(
+        <MultiSelect
+          id="test"
+          label="Field"
+          items={items}
+          itemToGroup={itemToGroup}
+          onChange={onChange}
+        />
+      );
+      await userEvent.tab();
+      await userEvent.keyboard('[ArrowDown][ArrowDown][ArrowDown][ArrowDown]');
+      expect(screen.getByRole('option', { name: 'Americas' })).toHaveClass(
+        `${prefix}--list-box__menu-item--highlighted`
+      );
+      await userEvent.keyboard('[ArrowDown][Enter]');
+      expect(onChange).toHaveBeenLastCalledWith({ selectedItems: [items[1]] });
+    });
+  });
+
   describe('Component API', () => {
     it('should set the default selected items with the `initialSelectedItems` prop', async () => {
       const items = generateItems(4, generateGenericItem);
@@ -0,0 +1,38 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { findItemByText, splitValues } from '../creatable';
+
+describe('splitValues', () => {
+  it('should split on commas and newlines', () => {
+    expect(splitValues('a@example.com, b@example.com\nc@example.com')).toEqual([
+      'a@example.com',
+      'b@example.com',
+      'c@example.com',
+    ]);
+    expect(splitValues('one\r\ntwo')).toEqual(['one', 'two']);
+  });
+
+  it('should drop empty values', () => {
+    expect(splitValues(', one,,  ,two,')).toEqual(['one', 'two']);
+    expect(splitValues('')).toEqual([]);
+  });
+});
+
+describe('findItemByText', () => {
+  const items = [{ label: 'Apple' }, { label: 'Crème brûlée' }];
+  const options = { itemToString: (item) => item.label, locale: 'en' };
+
+  it('should find an item regardless of case and surrounding whitespace', () => {
+    expect(findItemByText(items, '  apple ', options)).toBe(items[0]);
+    expect(findItemByText(items, 'CRÈME BRÛLÉE', options)).toBe(items[1]);
+  });
+
+  it('should return undefined when no item has the text', () => {
+    expect(findItemByText(items, 'apples', options)).toBeUndefined();
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Split text that is typed or pasted in a creatable `FilterableMultiSelect`
+ * into values, on commas and newlines. Values are trimmed and empty values are
+ * dropped.
+ */
+export function splitValues(text: string): string[] {
+  return text
+    .split(/[,\r\n]+/)
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Find the item whose text is the given value, regardless of case and of the
+ * whitespace around it
+ */
+export function findItemByText<ItemType>(
+  items: readonly ItemType[],
+  value: string,
+  {
+    itemToString,
+    locale,
+  }: { itemToString: (item: ItemType) => string; locale?: string }
+): ItemType | undefined {
+  const normalize = (text: string) => text.trim().toLocaleLowerCase(locale);
+  const text = normalize(value);
+  return items.find((item) => normalize(itemToString(item)) === text);
+}
@@ -81,6 +81,21 @@ export const withAILabel = () => (
     />
   </div>
 );
+export const WithLocale = () => (
+  <NumberInput
+    id="carbon-number-locale"
+    locale="de-DE"
+    formatOptions={{ style: 'currency', currency: 'EUR' }}
+    min={0}
+    max={10000}
+    step={0.5}
+    defaultValue={1234.5}
+    label="NumberInput label"
+    helperText="Optional helper text."
+    invalidText="Number is not valid"
+  />
+);
+
 export const Skeleton = () => <NumberInputSkeleton />;
 export const Playground = ({ ...args }) => {
   const [value, setValue] = React.useState(50);
@@ -16,6 +16,7 @@ import React, {
   useEffect,
   FC,
 } from 'react';
+import { keys, match } from '../../internal/keyboard';
 import { useMergedRefs } from '../../internal/useMergedRefs';
 import { useNormalizedInputProps as normalize } from '../../internal/useNormalizedInputProps';
 import { usePrefix } from '../../internal/usePrefix';
@@ -23,6 +24,7 @@ import deprecate from '../../prop-types/deprecate';
 import { FormContext } from '../FluidForm';
 import { Text } from '../Text';
 import { TranslateWithId } from '../../types/common';
+import { addStep, formatNumber, parseNumber } from './tools/numberFormat';
 
 export const translationIds = {
   'increment.number': 'increment.number',
@@ -78,6 +80,14 @@ export interface NumberInputProps
    */
   disabled?: boolean;
 
+  /**
+   * Provide the `Intl.NumberFormat` options used to format the value, like
+   * `{ style: 'currency', currency: 'EUR' }`. When `locale` or `formatOptions`
+   * is set, the value is displayed formatted and the input is parsed back to a
+   * number.
+   */
+  formatOptions?: Intl.NumberFormatOptions;
+
   /**
    * Provide text that is used alongside the control label for additional help
    */
@@ -127,6 +137,13 @@ export interface NumberInputProps
    */
   light?: boolean;
 
+  /**
+   * Specify the locale used to format the value and to parse the input, like
+   * `de-DE`. When `locale` or `formatOptions` is set, the value is displayed
+   * formatted and the input is parsed back to a number.
+   */
+  locale?: string;
+
   /**
    * The maximum value.
    */
@@ -204,6 +221,7 @@ const NumberInput = React.forwardRef<HTMLInputElement, NumberInputProps>(
       disabled = false,
       disableWheel: disableWheelProp = false,
       defaultValue = 0,
+      formatOptions,
       helperText = '',
       hideLabel = false,
       hideSteppers,
@@ -213,6 +231,7 @@ const NumberInput = React.forwardRef<HTMLInputElement, NumberInputProps>(
       invalid = false,
       invalidText,
       light,
+      locale,
       max,
       min,
       onChange,
@@ -245,6 +264,10 @@ const NumberInput = React.forwardRef<HTMLInputElement, NumberInputProps>(
     });
     const [prevControlledValue, setPrevControlledValue] =
       useState(controlledValue);
+    // The text typed in a formatted input, or `null` when the input displays
+    // the formatted value
+    const [inputText, setInputText] = useState<string | null>(null);
+    const isFormatted = locale !== undefined || formatOptions !== undefined;
     const inputRef = useRef<HTMLInputElement>(null);
     const ref = useMergedRefs<HTMLInputElement>([forwardRef, inputRef]);
     const numberInputClasses = cx({
@@ -290,6 +313,15 @@ const NumberInput = React.forwardRef<HTMLInputElement, NumberInputProps>(
       // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
       setValue(controlledValue!);
       setPrevControlledValue(controlledValue);
+      // Keep the typed text while it is the new value, so that formatting does
+      // not get in the way of typing, like removing the trailing zero of `1.50`
+      if (
+        inputText !== null &&
+        Number(controlledValue) !==
+          parseNumber(inputText, locale, formatOptions)
+      ) {
+        setInputText(null);
+      }
     }
 
     let ariaDescribedBy: string | undefined = undefined;
@@ -308,6 +340,26 @@ const NumberInput = React.forwardRef<HTMLInputElement, NumberInputProps>(
         return;
       }
 
+      if (isFormatted) {
+        const text = event.target.value;
+        const newValue =
+          allowEmpty && text.trim() === ''
+            ? ''
+            : parseNumber(text, locale, formatOptions);
+        setInputText(text);
+        setValue(newValue);
+
+        // Text that is not a number yet marks the input as invalid, but is not
+        // reported as a value
+        if (onChange && !Number.isNaN(newValue)) {
+          onChange(event, {
+            value: newValue,
+            direction: value < newValue ? 'up' : 'down',
+          });
+        }
+        return;
+      }
+
       const state = {
         value:
           allowEmpty && event.target.value === ''
@@ -343,11 +395,15 @@ const NumberInput = React.forwardRef<HTMLInputElement, NumberInputProps>(
 
     const Icon = normalizedProps.icon as any;
 
-    function handleStepperClick(event, direction) {
+    function handleStep(event, direction) {
       if (inputRef.current) {
-        const currentValue = Number(inputRef.current.value);
-        let newValue =
-          direction === 'up' ? currentValue + step : currentValue - step;
+        const currentValue = isFormatted
+          ? parseNumber(inputRef.current.value, locale, formatOptions)
+          : Number(inputRef.current.value);
+        let newValue = addStep(
+          Number.isNaN(currentValue) ? 0 : currentValue,
+          direction === 'up' ? step : -step
+        );
         if (min !== undefined) {
           newValue = Math.max(newValue, min);
         }
@@ -365,14 +421,20 @@ const NumberInput = React.forwardRef<HTMLInputElement, NumberInputProps>(
           direction: direction,
         };
         setValue(state.value);
+        setInputText(null);
 
         if (onChange) {
           onChange(event, state);
         }
 
-        if (onClick) {
-          onClick(event, state);
-        }
+        return state;
+      }
+    }
+
+    function handleStepperClick(event, direction) {
+      const state = handleStep(event, direction);
+      if (state && onClick) {
+        onClick(event, state);
       }
     }
 
@@ -393,9 +455,44 @@ const NumberInput = React.forwardRef<HTMLInputElement, NumberInputProps>(
     useEffect(() => {
       if (!isRevertActive && slug && defaultValue) {
         setValue(defaultValue);
+        setInputText(null);
       }
     }, [defaultValue, isRevertActive, slug]);
 
+    // A formatted value can not be displayed by an `<input type="number">`, so
+    // a text input is used instead, with the semantics of a spin button
+    let inputProps: React.InputHTMLAttributes<HTMLInputElement> = {
+      max,
+      min,
+      pattern: '[0-9]*',
+      step,
+      type: 'number',
+      value,
+    };
+    if (isFormatted) {
+      let displayValue = inputText;
+      if (displayValue === null) {
+        displayValue =
+          value === ''
+            ? ''
+            : formatNumber(Number(value), locale, formatOptions);
+      }
+      inputProps = {
+        'aria-valuemax': max,
+        'aria-valuemin': min,
+        'aria-valuenow':
+          value === '' || Number.isNaN(Number(value))
+            ? undefined
+            : Number(value),
+        'aria-valuetext': displayValue,
+        autoComplete: 'off',
+        inputMode: 'decimal',
+        role: 'spinbutton',
+        type: 'text',
+        value: displayValue,
+      };
+    }
+
     return (
       <div
         className={outerElementClasses}
@@ -420,10 +517,24 @@ const NumberInput = React.forwardRef<HTMLInputElement, NumberInputProps>(
               disabled={normalizedProps.disabled}
               ref={ref}
               id={id}
-              max={max}
-              min={min}
+              {...inputProps}
               onClick={onClick}
               onChange={handleOnChange}
+              onKeyDown={(e) => {
+                // Stepping with the arrow keys is built into number inputs only
+                if (
+                  isFormatted &&
+                  !readOnly &&
+                  (match(e, keys.ArrowUp) || match(e, keys.ArrowDown))
+                ) {
+                  e.preventDefault();
+                  handleStep(e, match(e, keys.ArrowUp) ? 'up' : 'down');
+                }
+
+                if (rest.onKeyDown) {
+                  rest.onKeyDown(e);
+                }
+              }}
               onKeyUp={onKeyUp}
               onFocus={(e) => {
                 if (disableWheelProp) {
@@ -439,15 +550,16 @@ const NumberInput = React.forwardRef<HTMLInputElement, NumberInputProps>(
                   e.target.removeEventListener('wheel', disableWheel);
                 }
 
+                // Format the typed text once it is a number
+                if (isFormatted && !Number.isNaN(value)) {
+                  setInputText(null);
+                }
+
                 if (rest.onBlur) {
                   rest.onBlur(e);
                 }
               }}
-              pattern="[0-9]*"
               readOnly={readOnly}
-              step={step}
-              type="number"
-              value={value}
             />
             {normalizedSlug}
             {Icon ? <Icon className={iconClasses} /> : null}
@@ -520,6 +632,14 @@ NumberInput.propTypes = {
    */
   disabled: PropTypes.bool,
 
+  /**
+   * Provide the `Intl.NumberFormat` options used to format the value, like
+   * `{ style: 'currency', currency: 'EUR' }`. When `locale` or `formatOptions`
+   * is set, the value is displayed formatted and the input is parsed back to a
+   * number.
+   */
+  formatOptions: PropTypes.object,
+
   /**
    * Provide text that is used alongside the control label for additional help
    */
@@ -570,6 +690,13 @@ NumberInput.propTypes = {
       'been deprecated in v11 in favor of the new `Layer` component. It will be moved in the next major release.'
   ),
 
+  /**
+   * Specify the locale used to format the value and to parse the input, like
+   * `de-DE`. When `locale` or `formatOptions` is set, the value is displayed
+   * formatted and the input is parsed back to a number.
+   */
+  locale: PropTypes.string,
+
   /**
    * The maximum value.
    */
@@ -699,7 +826,7 @@ HelperText.propTypes = {
 /**
  * Determine if the given value is invalid based on the given max, min and
  * conditions like `allowEmpty`. If `invalid` is passed through, it will default
- * to false.
+ * to false. Text that could not be parsed to a number is `NaN` and invalid.
  *
  * @param {object} config
  * @param {boolean} config.allowEmpty
@@ -710,7 +837,7 @@ HelperText.propTypes = {
  * @returns {boolean}
  */
 function getInputValidity({ allowEmpty, invalid, value, max, min }) {
-  if (invalid) {
+  if (invalid || Number.isNaN(value)) {
     return false;
   }
 
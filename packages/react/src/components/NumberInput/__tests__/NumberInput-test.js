@@ -437,4 +437,159 @@ describe('NumberInput', () => {
       })
     );
   });
+
+  describe('locale formatting', () => {
+    it('should display the value formatted for the `locale` and `formatOptions`', () => {
+      render(
+        <NumberInput
+          label="test-label"
+          id="test"
+          invalidText="test-invalid-text"
+          locale="de-DE"
+          formatOptions={{ style: 'currency', currency: 'EUR' }}
+          value={1234.5}
+        />
+      );
+      const input = screen.getByRole('spinbutton');
+      expect(input).toHaveAttribute('type', 'text');
+      expect(input).toHaveValue('1.234,50\u00a0€');
+      expect(input).toHaveAttribute('aria-valuenow', '1234.5');
+    });
+
+    it('should parse the input with the separators of the locale', async () => {
+      const onChange = jest.fn();
+      render(
+        <NumberInput
+          label="test-label"
+          id="test"
+          invalidText="test-invalid-text"
+          locale="de-DE"
+          defaultValue={0}
+          onChange={onChange}
+        />
+      );
+      const input = screen.getByRole('spinbutton');
+
+      await userEvent.clear(input);
+      await userEvent.type(input, '1.234,56');
+      expect(input).toHaveValue('1.234,56');
+      expect(onChange).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          target: expect.any(Object),
+        }),
+        expect.objectContaining({
+          value: 1234.56,
+          direction: 'up',
+        })
+      );
+
+      await userEvent.tab();
+      expect(input).toHaveValue('1.234,56');
+    });
+
+    it('should format the input on blur', async () => {
+      render(
+        <NumberInput
+          label="test-label"
+          id="test"
+          invalidText="test-invalid-text"
+          locale="en-US"
+          formatOptions={{ style: 'percent' }}
+          defaultValue={0}
+        />
+      );
+      const input = screen.getByRole('spinbutton');
+
+      await userEvent.clear(input);
+      await userEvent.type(input, '25');
+      expect(input).toHaveValue('25');
+      expect(input).toHaveAttribute('aria-valuenow', '0.25');
+
+      await userEvent.tab();
+      expect(input).toHaveValue('25%');
+    });
+
+    it('should be invalid while the input is not a number', async () => {
+      const onChange = jest.fn();
+      render(
+        <NumberInput
+          label="test-label"
+          id="test"
+          invalidText="test-invalid-text"
+          locale="en-US"
+          defaultValue={1}
+          onChange={onChange}
+        />
+      );
+      const input = screen.getByRole('spinbutton');
+
+      await userEvent.clear(input);
+      await userEvent.type(input, 'abc');
+      expect(onChange).not.toHaveBeenCalled();
+      expect(input).toHaveAttribute('data-invalid');
+      expect(screen.getByText('test-invalid-text')).toBeInTheDocument();
+
+      await userEvent.tab();
+      expect(input).toHaveValue('abc');
+    });
+
+    it('should step the parsed value with the steppers and arrow keys', async () => {
+      const onClick = jest.fn();
+      render(
+        <NumberInput
+          label="test-label"
+          id="test"
+          invalidText="test-invalid-text"
+          locale="de-DE"
+          defaultValue={0.1}
+          step={0.2}
+          max={1}
+          onClick={onClick}
+          translateWithId={translateWithId}
+        />
+      );
+      const input = screen.getByRole('spinbutton');
+
+      await userEvent.click(screen.getByLabelText('increment'));
+      expect(input).toHaveValue('0,3');
+      expect(onClick).toHaveBeenCalledTimes(1);
+
+      input.focus();
+      await userEvent.keyboard('{ArrowUp}{ArrowUp}{ArrowUp}');
+      expect(input).toHaveValue('0,9');
+
+      await userEvent.keyboard('{ArrowUp}');
+      expect(input).toHaveValue('1');
+
+      await userEvent.keyboard('{ArrowDown}');
+      expect(input).toHaveValue('0,8');
+      expect(onClick).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the typed text when the controlled value follows it', async () => {
+      function ControlledNumberInput() {
+        const [value, setValue] = React.useState(1);
+        return (
+          <NumberInput
+            label="test-label"
+            id="test"
+            invalidText="test-invalid-text"
+            locale="en-US"
+            value={value}
+            onChange={(event, state) => setValue(state.value)}
+          />
+        );
+      }
+      render(<ControlledNumberInput />);
+      const input = screen.getByRole('spinbutton');
+
+      await userEvent.clear(input);
+      await userEvent.type(input, '1,500.50');
+      expect(input).toHaveValue('1,500.50');
+      expect(input).toHaveAttribute('aria-valuenow', '1500.5');
+
+      await userEvent.tab();
+      expect(input).toHaveValue('1,500.5');
+    });
+  });
 });
@@ -0,0 +1,67 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { addStep, formatNumber, parseNumber } from '../numberFormat';
+
+describe('formatNumber', () => {
+  it('should format a number for the locale and options', () => {
+    expect(formatNumber(1234.56, 'de-DE')).toBe('1.234,56');
+    expect(
+      formatNumber(1234.5, 'en-US', { style: 'currency', currency: 'USD' })
+    ).toBe('$1,234.50');
+    expect(formatNumber(0.25, 'en-US', { style: 'percent' })).toBe('25%');
+  });
+});
+
+describe('parseNumber', () => {
+  it('should parse the grouping and decimal separators of the locale', () => {
+    expect(parseNumber('1,234.56', 'en-US')).toBe(1234.56);
+    expect(parseNumber('1.234,56', 'de-DE')).toBe(1234.56);
+    expect(parseNumber('1 234,56', 'fr-FR')).toBe(1234.56);
+    expect(parseNumber('1234,5', 'de-DE')).toBe(1234.5);
+  });
+
+  it('should parse negative numbers', () => {
+    expect(parseNumber('-1,234.5', 'en-US')).toBe(-1234.5);
+    expect(parseNumber('−12', 'en-US')).toBe(-12);
+  });
+
+  it('should ignore the text around the number', () => {
+    const currency = { style: 'currency', currency: 'EUR' };
+    expect(parseNumber('1.234,50 €', 'de-DE', currency)).toBe(1234.5);
+    expect(parseNumber('1234,5', 'de-DE', currency)).toBe(1234.5);
+    expect(
+      parseNumber('12 km', 'en-US', { style: 'unit', unit: 'kilometer' })
+    ).toBe(12);
+  });
+
+  it('should divide percentages by 100', () => {
+    expect(parseNumber('25%', 'en-US', { style: 'percent' })).toBe(0.25);
+    expect(parseNumber('25', 'en-US', { style: 'percent' })).toBe(0.25);
+  });
+
+  it('should parse the digits of the numbering system of the locale', () => {
+    expect(parseNumber('١٢٣', 'ar-EG')).toBe(123);
+  });
+
+  it('should return NaN for text that is not a number', () => {
+    expect(parseNumber('', 'en-US')).toBeNaN();
+    expect(parseNumber('abc', 'en-US')).toBeNaN();
+    expect(parseNumber('1.2.3', 'en-US')).toBeNaN();
+    expect(parseNumber('12abc', 'en-US')).toBeNaN();
+  });
+});
+
+describe('addStep', () => {
+  it('should round the result to the decimal places of the value and step', () => {
+    expect(addStep(0.1, 0.2)).toBe(0.3);
+    expect(addStep(1.1, -0.1)).toBe(1);
+    expect(addStep(0.7, 0.1)).toBe(0.8);
+    expect(addStep(1e-7, 1e-7)).toBe(2e-7);
+    expect(addStep(5, 5)).toBe(10);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+interface NumberSymbols {
+  decimal: string;
+  digits: string[];
+  group: string;
+  isPercent: boolean;
+  literals: string[];
+}
+
+const numberParts = new Set([
+  'decimal',
+  'fraction',
+  'group',
+  'integer',
+  'minusSign',
+  'plusSign',
+]);
+
+/**
+ * Get the symbols that a number formatted for the given locale and options is
+ * made of: the grouping and decimal separators, the digits of the numbering
+ * system and the text around the number, like currency or unit names
+ */
+function getNumberSymbols(
+  locale?: string,
+  formatOptions?: Intl.NumberFormatOptions
+): NumberSymbols {
+  const formatter = new Intl.NumberFormat(locale, formatOptions);
+  // The separators are read from a formatter without the options, as some of
+  // them do not show any, like `useGrouping: false` or currencies without
+  // minor units
+  const separators = new Intl.NumberFormat(locale)
+    .formatToParts(12345.6)
+    .reduce<Record<string, string>>((acc, part) => {
+      acc[part.type] = part.value;
+      return acc;
+    }, {});
+  const digits = Array.from(
+    new Intl.NumberFormat(locale, { useGrouping: false }).format(9876543210)
+  ).reverse();
+  const literals = new Set<string>();
+  for (const value of [12345.6, -12345.6]) {
+    for (const part of formatter.formatToParts(value)) {
+      if (!numberParts.has(part.type) && part.value.trim()) {
+        literals.add(part.value.trim());
+      }
+    }
+  }
+
+  return {
+    decimal: separators.decimal,
+    digits,
+    group: separators.group,
+    isPercent: formatOptions?.style === 'percent',
+    // Longer literals are removed first, so that `US$` is not left as `US`
+    literals: [...literals].sort((a, b) => b.length - a.length),
+  };
+}
+
+/**
+ * Format a number for the given locale and `Intl.NumberFormat` options
+ */
+export function formatNumber(
+  value: number,
+  locale?: string,
+  formatOptions?: Intl.NumberFormatOptions
+): string {
+  return new Intl.NumberFormat(locale, formatOptions).format(value);
+}
+
+/**
+ * Parse text that is formatted for the given locale and `Intl.NumberFormat`
+ * options back to a number. Grouping separators, whitespace and the text
+ * around the number are ignored, and percentages are divided by 100. Returns
+ * `NaN` when the text is not a number.
+ */
+export function parseNumber(
+  text: string,
+  locale?: string,
+  formatOptions?: Intl.NumberFormatOptions
+): number {
+  const { decimal, digits, group, isPercent, literals } = getNumberSymbols(
+    locale,
+    formatOptions
+  );
+  let normalized = Array.from(text)
+    .map((character) => {
+      const digit = digits.indexOf(character);
+      return digit === -1 ? character : String(digit);
+    })
+    .join('');
+
+  for (const literal of literals) {
+    normalized = normalized.split(literal).join('');
+  }
+  normalized = normalized.replace(/\s/g, '');
+  if (group && group.trim()) {
+    normalized = normalized.split(group).join('');
+  }
+  normalized = normalized.split(decimal).join('.').replace(/−/g, '-');
+
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(normalized)) {
+    return NaN;
+  }
+
+  const number = Number(normalized);
+  return isPercent ? number / 100 : number;
+}
+
+/**
+ * Get the number of decimal places of a number, including numbers that are
+ * written with an exponent like `1e-7`
+ */
+function getDecimalCount(value: number): number {
+  const [coefficient, exponent = '0'] = String(value).toLowerCase().split('e');
+  const decimals = (coefficient.split('.')[1] || '').length;
+  return Math.max(0, decimals - Number(exponent));
+}
+
+/**
+ * Add a step to a value, rounding the result to the decimal places of the
+ * value and of the step so that `0.1 + 0.2` is `0.3`
+ */
+export function addStep(value: number, step: number): number {
+  const precision = Math.max(getDecimalCount(value), getDecimalCount(step));
+  return Number((value + step).toFixed(Math.min(precision, 100)));
+}
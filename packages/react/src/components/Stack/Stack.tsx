@@ -11,6 +11,11 @@ import PropTypes from 'prop-types';
 import { spacing } from '@carbon/layout';
 
 import { usePrefix } from '../../internal/usePrefix';
+import {
+  type ResponsiveValue,
+  useResponsiveValue,
+} from '../../internal/useBreakpoint';
+import { responsiveValue } from '../../prop-types/responsiveValue';
 
 /**
  * The steps in the spacing scale
@@ -22,6 +27,8 @@ const SPACING_STEPS = Array.from({ length: spacing.length - 1 }).map(
   }
 );
 
+type StackGap = string | (typeof SPACING_STEPS)[number];
+
 export interface StackProps extends React.HTMLAttributes<HTMLElement> {
   /**
    * Provide a custom element type to render as the outermost element in
@@ -44,9 +51,10 @@ export interface StackProps extends React.HTMLAttributes<HTMLElement> {
 
   /**
    * Provide either a custom value or a step from the spacing scale to be used
-   * as the gap in the layout
+   * as the gap in the layout. Provide an object like `{ sm: 3, lg: 5 }` to use
+   * a different gap at each breakpoint
    */
-  gap?: string | (typeof SPACING_STEPS)[number];
+  gap?: StackGap | ResponsiveValue<StackGap>;
 
   /**
    * Specify the orientation of them items in the Stack
@@ -79,11 +87,12 @@ const Stack = React.forwardRef<React.ReactNode, StackProps>(function Stack(
     as: BaseComponent = 'div',
     children,
     className: customClassName,
-    gap,
+    gap: gapProp,
     orientation = 'vertical',
     ...rest
   } = props;
   const prefix = usePrefix();
+  const gap = useResponsiveValue(gapProp);
   const className = cx(customClassName, {
     [`${prefix}--stack-${orientation}`]: true,
     [`${prefix}--stack-scale-${gap}`]: typeof gap === 'number',
@@ -124,9 +133,12 @@ Stack.propTypes = {
 
   /**
    * Provide either a custom value or a step from the spacing scale to be used
-   * as the gap in the layout
+   * as the gap in the layout. Provide an object like `{ sm: 3, lg: 5 }` to use
+   * a different gap at each breakpoint
    */
-  gap: PropTypes.oneOfType([PropTypes.string, PropTypes.oneOf(SPACING_STEPS)]),
+  gap: responsiveValue(
+    PropTypes.oneOfType([PropTypes.string, PropTypes.oneOf(SPACING_STEPS)])
+  ),
 
   /**
    * Specify the orientation of them items in the Stack
@@ -58,6 +58,32 @@ describe('Stack', () => {
     expect(ref).toHaveBeenCalledWith(container.firstChild);
   });
 
+  it('should support a gap for each breakpoint', () => {
+    const { container, unmount } = render(
+      <Stack gap={{ sm: 3, lg: 7 }}>
+        <article>one</article>
+        <article>two</article>
+      </Stack>
+    );
+    expect(container.firstChild).toHaveClass('cds--stack-scale-3');
+    unmount();
+
+    window.matchMedia = jest.fn().mockImplementation((media) => ({
+      matches: true,
+      media,
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+    }));
+    const { container: wide } = render(
+      <Stack gap={{ sm: '1rem', lg: '2rem' }}>
+        <article>one</article>
+        <article>two</article>
+      </Stack>
+    );
+    expect(wide.firstChild).toHaveStyle('--cds-stack-gap: 2rem');
+    delete window.matchMedia;
+  });
+
   describe('HStack', () => {
     it('should forward the given ref to the outermost element', () => {
       const ref = jest.fn();
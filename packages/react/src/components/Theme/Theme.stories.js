@@ -11,7 +11,16 @@ import React, { useEffect } from 'react';
 import { WithLayer } from '../../../.storybook/templates/WithLayer';
 import { VStack } from '../Stack';
 
-import { GlobalTheme, Theme, usePrefersDarkScheme, useTheme } from '../Theme';
+import { Header, HeaderGlobalBar, HeaderName } from '../UIShell';
+import {
+  GlobalTheme,
+  Theme,
+  ThemePreferenceProvider,
+  ThemePreferenceToggle,
+  usePrefersDarkScheme,
+  useTheme,
+  useThemePreference,
+} from '../Theme';
 import mdx from './Theme.mdx';
 
 export default {
@@ -147,8 +156,52 @@ export const UsePrefersDarkScheme = () => {
 };
 UsePrefersDarkScheme.storyName = 'usePrefersDarkScheme';
 
+const ThemePreferenceContent = () => {
+  const { preference, setPreference, theme } = useThemePreference();
+
+  return (
+    <Theme theme={theme}>
+      <Header aria-label="IBM Platform Name">
+        <HeaderName href="#" prefix="IBM">
+          [Platform]
+        </HeaderName>
+        <HeaderGlobalBar>
+          <ThemePreferenceToggle />
+        </HeaderGlobalBar>
+      </Header>
+      <section className="theme-section theme-preference-section">
+        <p>
+          The preference is `{preference}` and the theme is `{theme}`.{' '}
+          <button type="button" onClick={() => setPreference('system')}>
+            Use the system preference
+          </button>
+        </p>
+      </section>
+    </Theme>
+  );
+};
+
+export const ThemePreference = () => {
+  return (
+    <ThemePreferenceProvider
+      applyToDocument={false}
+      lightTheme="g10"
+      darkTheme="g100"
+      storageKey="carbon-storybook-theme-preference">
+      <ThemePreferenceContent />
+    </ThemePreferenceProvider>
+  );
+};
+
 export const _WithLayer = () => {
-  const themes = ['white', 'g10', 'g90', 'g100'];
+  const themes = [
+    'white',
+    'g10',
+    'g90',
+    'g100',
+    'white-high-contrast',
+    'g100-high-contrast',
+  ];
 
   return (
     <VStack gap={7}>
@@ -0,0 +1,34 @@
+/**
+ * Copyright IBM Corp. 2016, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+
+export const themes = [
+  'white',
+  'g10',
+  'g90',
+  'g100',
+  'white-high-contrast',
+  'g100-high-contrast',
+] as const;
+
+export type ThemeName = (typeof themes)[number];
+
+export const darkThemes: ReadonlyArray<string> = [
+  'g90',
+  'g100',
+  'g100-high-contrast',
+];
+
+export interface ThemeContextValue {
+  theme?: ThemeName;
+  isDark?: boolean;
+}
+
+export const ThemeContext = React.createContext<ThemeContextValue>({
+  theme: 'white',
+});
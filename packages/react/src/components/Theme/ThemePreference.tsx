@@ -0,0 +1,397 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from 'prop-types';
+import React, { useContext, useMemo, useState } from 'react';
+import { useControllableState } from '../../internal/useControllableState';
+import { useWindowEvent } from '../../internal/useEvent';
+import useIsomorphicEffect from '../../internal/useIsomorphicEffect';
+import { useMatchMedia } from '../../internal/useMatchMedia';
+import { usePrefix } from '../../internal/usePrefix';
+import {
+  ThemeContext,
+  darkThemes,
+  themes,
+  type ThemeName,
+} from './ThemeContext';
+
+export const preferences = ['light', 'dark', 'system'] as const;
+
+export type ThemePreference = (typeof preferences)[number];
+
+export interface ThemePreferenceContextValue {
+  /**
+   * The preference of the user
+   */
+  preference: ThemePreference;
+
+  /**
+   * Change the preference of the user
+   */
+  setPreference: (preference: ThemePreference) => void;
+
+  /**
+   * The preference of the operating system or browser, used when the
+   * preference is `system`
+   */
+  systemPreference: 'light' | 'dark';
+
+  /**
+   * The theme for the preference
+   */
+  theme: ThemeName;
+
+  /**
+   * Specify whether the theme is a dark theme
+   */
+  isDark: boolean;
+}
+
+const ThemePreferenceContext = React.createContext<ThemePreferenceContextValue>(
+  {
+    preference: 'system',
+    setPreference: () => {},
+    systemPreference: 'light',
+    theme: 'white',
+    isDark: false,
+  }
+);
+
+const isThemePreference = (value: unknown): value is ThemePreference =>
+  preferences.includes(value as ThemePreference);
+
+function getStorage(): Storage | null {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    // Accessing `localStorage` throws when storage is disabled
+    return null;
+  }
+}
+
+function readPreference(storageKey: string): ThemePreference | null {
+  try {
+    const value = getStorage()?.getItem(storageKey);
+    return isThemePreference(value) ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function writePreference(storageKey: string, preference: ThemePreference) {
+  try {
+    getStorage()?.setItem(storageKey, preference);
+  } catch (error) {
+    // Writing to storage throws when the quota is exceeded, the preference is
+    // still applied for the current page
+  }
+}
+
+interface ThemePreferenceProviderProps {
+  /**
+   * Specify whether the class of the theme should be set on the root element
+   * of the document, `<html>`, so that the whole page uses the theme
+   */
+  applyToDocument?: boolean;
+
+  /**
+   * Provide child elements to be rendered inside of the provider, this is
+   * typically the root of your app
+   */
+  children?: React.ReactNode;
+
+  /**
+   * Specify the theme used when the preference is `dark`
+   */
+  darkTheme?: ThemeName;
+
+  /**
+   * Specify the preference used when no preference is controlled or persisted
+   */
+  defaultPreference?: ThemePreference;
+
+  /**
+   * Specify the theme used when the preference is `light`
+   */
+  lightTheme?: ThemeName;
+
+  /**
+   * Optionally provide a handler that is called when the preference changes,
+   * including when a persisted preference is restored
+   */
+  onChange?: (preference: ThemePreference) => void;
+
+  /**
+   * Specify the preference to control it, instead of using the persisted
+   * preference
+   */
+  preference?: ThemePreference;
+
+  /**
+   * Provide a key to persist the preference in `localStorage`. The preference
+   * is not persisted when no key is provided
+   */
+  storageKey?: string;
+}
+
+/**
+ * Choose between a light and a dark theme from the preference of the user,
+ * which is either `light`, `dark`, or `system` to follow the color scheme of
+ * the operating system
+ */
+export function ThemePreferenceProvider({
+  applyToDocument = true,
+  children,
+  darkTheme = 'g100',
+  defaultPreference = 'system',
+  lightTheme = 'white',
+  onChange,
+  preference: controlledPreference,
+  storageKey,
+}: ThemePreferenceProviderProps) {
+  const prefix = usePrefix();
+  const prefersDark = useMatchMedia('(prefers-color-scheme: dark)');
+  const [isMounted, setIsMounted] = useState(false);
+  const [preference, setState] = useControllableState({
+    name: 'ThemePreferenceProvider',
+    defaultValue: defaultPreference,
+    onChange,
+    value: controlledPreference,
+  });
+
+  // The persisted preference and the system preference are only read after
+  // hydration so that the markup of the server and of the first render on the
+  // client are the same. The class on the document is set before paint by
+  // `ThemePreferenceScript`.
+  useIsomorphicEffect(() => {
+    setIsMounted(true);
+  }, []);
+
+  useIsomorphicEffect(() => {
+    if (!storageKey || controlledPreference !== undefined) {
+      return;
+    }
+    const persisted = readPreference(storageKey);
+    if (persisted && persisted !== preference) {
+      setState(persisted);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [storageKey]);
+
+  // Keep the preference in sync with other tabs and windows
+  useWindowEvent('storage', (event: StorageEvent) => {
+    if (
+      storageKey &&
+      controlledPreference === undefined &&
+      event.key === storageKey &&
+      isThemePreference(event.newValue)
+    ) {
+      setState(event.newValue);
+    }
+  });
+
+  function setPreference(nextPreference: ThemePreference) {
+    if (storageKey) {
+      writePreference(storageKey, nextPreference);
+    }
+    setState(nextPreference);
+  }
+
+  const systemPreference = isMounted && prefersDark ? 'dark' : 'light';
+  const resolved = preference === 'system' ? systemPreference : preference;
+  const theme: ThemeName = resolved === 'dark' ? darkTheme : lightTheme;
+  const isDark = darkThemes.includes(theme);
+
+  useIsomorphicEffect(() => {
+    if (!applyToDocument) {
+      return;
+    }
+    const { classList, style } = document.documentElement;
+    themes.forEach((name) => {
+      classList.remove(`${prefix}--${name}`);
+    });
+    classList.add(`${prefix}--${theme}`);
+    style.colorScheme = isDark ? 'dark' : 'light';
+    return () => {
+      classList.remove(`${prefix}--${theme}`);
+      style.colorScheme = '';
+    };
+  }, [applyToDocument, isDark, prefix, theme]);
+
+  const value: ThemePreferenceContextValue = {
+    preference,
+    setPreference,
+    systemPreference,
+    theme,
+    isDark,
+  };
+  const themeValue = useMemo(() => ({ theme, isDark }), [theme, isDark]);
+
+  return (
+    <ThemePreferenceContext.Provider value={value}>
+      <ThemeContext.Provider value={themeValue}>
+        {children}
+      </ThemeContext.Provider>
+    </ThemePreferenceContext.Provider>
+  );
+}
+
+ThemePreferenceProvider.propTypes = {
+  /**
+   * Specify whether the class of the theme should be set on the root element
+   * of the document, `<html>`, so that the whole page uses the theme
+   */
+  applyToDocument: PropTypes.bool,
+
+  /**
+   * Provide child elements to be rendered inside of the provider, this is
+   * typically the root of your app
+   */
+  children: PropTypes.node,
+
+  /**
+   * Specify the theme used when the preference is `dark`
+   */
+  darkTheme: PropTypes.oneOf(themes),
+
+  /**
+   * Specify the preference used when no preference is controlled or persisted
+   */
+  defaultPreference: PropTypes.oneOf(preferences),
+
+  /**
+   * Specify the theme used when the preference is `light`
+   */
+  lightTheme: PropTypes.oneOf(themes),
+
+  /**
+   * Optionally provide a handler that is called when the preference changes,
+   * including when a persisted preference is restored
+   */
+  onChange: PropTypes.func,
+
+  /**
+   * Specify the preference to control it, instead of using the persisted
+   * preference
+   */
+  preference: PropTypes.oneOf(preferences),
+
+  /**
+   * Provide a key to persist the preference in `localStorage`. The preference
+   * is not persisted when no key is provided
+   */
+  storageKey: PropTypes.string,
+};
+
+interface ThemePreferenceScriptProps {
+  /**
+   * Specify the theme used when the preference is `dark`
+   */
+  darkTheme?: ThemeName;
+
+  /**
+   * Specify the preference used when no preference is persisted
+   */
+  defaultPreference?: ThemePreference;
+
+  /**
+   * Specify the theme used when the preference is `light`
+   */
+  lightTheme?: ThemeName;
+
+  /**
+   * Provide a nonce for a Content Security Policy that restricts inline scripts
+   */
+  nonce?: string;
+
+  /**
+   * Provide the key used by `ThemePreferenceProvider` to persist the preference
+   */
+  storageKey?: string;
+}
+
+const serialize = (value: unknown) =>
+  JSON.stringify(value).replace(/</g, '\\u003c');
+
+/**
+ * Render an inline script that sets the class of the theme on the document
+ * before the page is painted. Render it in the `<head>` of a server rendered
+ * page with the same options as `ThemePreferenceProvider`, to avoid a flash of
+ * the default theme when the persisted or system preference is different.
+ */
+export function ThemePreferenceScript({
+  darkTheme = 'g100',
+  defaultPreference = 'system',
+  lightTheme = 'white',
+  nonce,
+  storageKey,
+}: ThemePreferenceScriptProps) {
+  const prefix = usePrefix();
+  const script = `(function () {
+  var preference = ${serialize(defaultPreference)};
+  try {
+    var key = ${serialize(storageKey ?? null)};
+    var persisted = key && window.localStorage.getItem(key);
+    if (${serialize(preferences)}.indexOf(persisted) !== -1) {
+      preference = persisted;
+    }
+  } catch (error) {}
+  var isDark =
+    preference === 'dark' ||
+    (preference === 'system' &&
+      window.matchMedia('(prefers-color-scheme: dark)').matches);
+  var theme = isDark ? ${serialize(darkTheme)} : ${serialize(lightTheme)};
+  var root = document.documentElement;
+  root.classList.add(${serialize(prefix)} + '--' + theme);
+  root.style.colorScheme = ${serialize(darkThemes)}.indexOf(theme) !== -1
+    ? 'dark'
+    : 'light';
+})();`;
+
+  return (
+    <script
+      nonce={nonce}
+      // eslint-disable-next-line react/no-danger
+      dangerouslySetInnerHTML={{ __html: script }}
+    />
+  );
+}
+
+ThemePreferenceScript.propTypes = {
+  /**
+   * Specify the theme used when the preference is `dark`
+   */
+  darkTheme: PropTypes.oneOf(themes),
+
+  /**
+   * Specify the preference used when no preference is persisted
+   */
+  defaultPreference: PropTypes.oneOf(preferences),
+
+  /**
+   * Specify the theme used when the preference is `light`
+   */
+  lightTheme: PropTypes.oneOf(themes),
+
+  /**
+   * Provide a nonce for a Content Security Policy that restricts inline scripts
+   */
+  nonce: PropTypes.string,
+
+  /**
+   * Provide the key used by `ThemePreferenceProvider` to persist the preference
+   */
+  storageKey: PropTypes.string,
+};
+
+/**
+ * Get the theme preference of the user from the closest
+ * `ThemePreferenceProvider`, and change it
+ */
+export function useThemePreference() {
+  return useContext(ThemePreferenceContext);
+}
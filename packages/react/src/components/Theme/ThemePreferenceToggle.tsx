@@ -0,0 +1,81 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { Asleep, Light } from '@carbon/icons-react';
+import PropTypes from 'prop-types';
+import React from 'react';
+import HeaderGlobalAction from '../UIShell/HeaderGlobalAction';
+import { useThemePreference } from './ThemePreference';
+
+interface ThemePreferenceToggleProps {
+  /**
+   * Optionally provide a custom class name that is applied to the underlying
+   * button
+   */
+  className?: string;
+
+  /**
+   * Provide the accessibility label of the button when the dark theme is used
+   */
+  darkLabel?: string;
+
+  /**
+   * Provide the accessibility label of the button when the light theme is used
+   */
+  lightLabel?: string;
+
+  /**
+   * Specify the alignment of the tooltip to the icon-only button.
+   * Can be one of: start, center, or end.
+   */
+  tooltipAlignment?: 'start' | 'center' | 'end';
+}
+
+/**
+ * A `HeaderGlobalAction` that switches between the light and dark theme of the
+ * closest `ThemePreferenceProvider`
+ */
+export function ThemePreferenceToggle({
+  darkLabel = 'Switch to light theme',
+  lightLabel = 'Switch to dark theme',
+  ...rest
+}: ThemePreferenceToggleProps) {
+  const { isDark, setPreference } = useThemePreference();
+
+  return (
+    <HeaderGlobalAction
+      {...rest}
+      aria-label={isDark ? darkLabel : lightLabel}
+      onClick={() => setPreference(isDark ? 'light' : 'dark')}>
+      {isDark ? <Light size={20} /> : <Asleep size={20} />}
+    </HeaderGlobalAction>
+  );
+}
+
+ThemePreferenceToggle.propTypes = {
+  /**
+   * Optionally provide a custom class name that is applied to the underlying
+   * button
+   */
+  className: PropTypes.string,
+
+  /**
+   * Provide the accessibility label of the button when the dark theme is used
+   */
+  darkLabel: PropTypes.string,
+
+  /**
+   * Provide the accessibility label of the button when the light theme is used
+   */
+  lightLabel: PropTypes.string,
+
+  /**
+   * Specify the alignment of the tooltip to the icon-only button.
+   * Can be one of: start, center, or end.
+   */
+  tooltipAlignment: PropTypes.oneOf(['start', 'center', 'end']),
+};
@@ -91,3 +91,19 @@ describe('usePrefersDarkScheme', () => {
     expect(screen.getByTestId('default')).toHaveTextContent('dark');
   });
 });
+
+describe('high contrast themes', () => {
+  it.each([
+    ['white-high-contrast', 'light'],
+    ['g100-high-contrast', 'dark'],
+  ])('should support the %s theme', (theme, scheme) => {
+    render(
+      <Theme theme={theme} data-testid="theme">
+        <DarkTestComponent id="scheme" />
+      </Theme>
+    );
+
+    expect(screen.getByTestId('theme')).toHaveClass(`cds--${theme}`);
+    expect(screen.getByTestId('scheme')).toHaveTextContent(scheme);
+  });
+});
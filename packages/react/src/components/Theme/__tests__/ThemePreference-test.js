@@ -0,0 +1,259 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import {
+  ThemePreferenceProvider,
+  ThemePreferenceScript,
+  ThemePreferenceToggle,
+  useTheme,
+  useThemePreference,
+} from '../../Theme';
+import * as hooks from '../../../internal/useMatchMedia';
+
+function PreferenceText() {
+  const { preference, theme, isDark } = useThemePreference();
+  const context = useTheme();
+  return (
+    <span data-testid="preference">
+      {`${preference} ${theme} ${isDark ? 'dark' : 'light'} ${context.theme}`}
+    </span>
+  );
+}
+
+function PreferenceButtons() {
+  const { setPreference } = useThemePreference();
+  return (
+    <>
+      <button type="button" onClick={() => setPreference('light')}>
+        light
+      </button>
+      <button type="button" onClick={() => setPreference('dark')}>
+        dark
+      </button>
+      <button type="button" onClick={() => setPreference('system')}>
+        system
+      </button>
+    </>
+  );
+}
+
+describe('ThemePreferenceProvider', () => {
+  let prefersDark;
+
+  beforeEach(() => {
+    prefersDark = false;
+    jest.spyOn(hooks, 'useMatchMedia').mockImplementation(() => prefersDark);
+    window.localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    document.documentElement.className = '';
+    document.documentElement.style.colorScheme = '';
+  });
+
+  it('should follow the system preference by default', () => {
+    prefersDark = true;
+    render(
+      <ThemePreferenceProvider>
+        <PreferenceText />
+      </ThemePreferenceProvider>
+    );
+
+    expect(screen.getByTestId('preference')).toHaveTextContent(
+      'system g100 dark g100'
+    );
+    expect(document.documentElement).toHaveClass('cds--g100');
+    expect(document.documentElement.style.colorScheme).toBe('dark');
+  });
+
+  it('should hydrate before following a dark system preference', () => {
+    // The markup of the server, where the system preference is unknown
+    const container = document.createElement('div');
+    container.innerHTML =
+      '<span data-testid="preference">system white light white</span>';
+    document.body.appendChild(container);
+
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    prefersDark = true;
+    render(
+      <ThemePreferenceProvider>
+        <PreferenceText />
+      </ThemePreferenceProvider>,
+      { container, hydrate: true }
+    );
+
+    expect(error).not.toHaveBeenCalled();
+    expect(screen.getByTestId('preference')).toHaveTextContent(
+      'system g100 dark g100'
+    );
+  });
+
+  it('should use the configured pairing of themes', async () => {
+    render(
+      <ThemePreferenceProvider lightTheme="g10" darkTheme="g90">
+        <PreferenceText />
+        <PreferenceButtons />
+      </ThemePreferenceProvider>
+    );
+
+    expect(screen.getByTestId('preference')).toHaveTextContent(
+      'system g10 light g10'
+    );
+    expect(document.documentElement).toHaveClass('cds--g10');
+
+    await userEvent.click(screen.getByText('dark'));
+    expect(screen.getByTestId('preference')).toHaveTextContent(
+      'dark g90 dark g90'
+    );
+    expect(document.documentElement).toHaveClass('cds--g90');
+    expect(document.documentElement).not.toHaveClass('cds--g10');
+  });
+
+  it('should persist the preference when a storage key is provided', async () => {
+    const { unmount } = render(
+      <ThemePreferenceProvider storageKey="theme">
+        <PreferenceText />
+        <PreferenceButtons />
+      </ThemePreferenceProvider>
+    );
+
+    await userEvent.click(screen.getByText('dark'));
+    expect(window.localStorage.getItem('theme')).toBe('dark');
+    unmount();
+
+    render(
+      <ThemePreferenceProvider storageKey="theme">
+        <PreferenceText />
+      </ThemePreferenceProvider>
+    );
+    expect(screen.getByTestId('preference')).toHaveTextContent(
+      'dark g100 dark g100'
+    );
+  });
+
+  it('should ignore invalid persisted values', () => {
+    window.localStorage.setItem('theme', 'sepia');
+    render(
+      <ThemePreferenceProvider storageKey="theme" defaultPreference="dark">
+        <PreferenceText />
+      </ThemePreferenceProvider>
+    );
+    expect(screen.getByTestId('preference')).toHaveTextContent('dark g100');
+  });
+
+  it('should sync the preference with other windows', () => {
+    render(
+      <ThemePreferenceProvider storageKey="theme">
+        <PreferenceText />
+      </ThemePreferenceProvider>
+    );
+
+    act(() => {
+      window.dispatchEvent(
+        new StorageEvent('storage', { key: 'theme', newValue: 'dark' })
+      );
+    });
+    expect(screen.getByTestId('preference')).toHaveTextContent('dark g100');
+  });
+
+  it('should support a controlled preference', async () => {
+    const onChange = jest.fn();
+    window.localStorage.setItem('theme', 'dark');
+    render(
+      <ThemePreferenceProvider
+        preference="light"
+        onChange={onChange}
+        storageKey="theme">
+        <PreferenceText />
+        <PreferenceButtons />
+      </ThemePreferenceProvider>
+    );
+    expect(screen.getByTestId('preference')).toHaveTextContent('light white');
+
+    await userEvent.click(screen.getByText('dark'));
+    expect(onChange).toHaveBeenCalledWith('dark');
+    expect(screen.getByTestId('preference')).toHaveTextContent('light white');
+  });
+
+  it('should not change the document when applyToDocument is false', () => {
+    render(
+      <ThemePreferenceProvider applyToDocument={false}>
+        <PreferenceText />
+      </ThemePreferenceProvider>
+    );
+    expect(document.documentElement.className).toBe('');
+  });
+});
+
+describe('ThemePreferenceScript', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+    document.documentElement.className = '';
+    document.documentElement.style.colorScheme = '';
+  });
+
+  function runScript(element) {
+    const { container } = render(element);
+    // eslint-disable-next-line no-new-func
+    new Function(container.querySelector('script').innerHTML)();
+  }
+
+  it('should set the theme of the persisted preference on the document', () => {
+    window.localStorage.setItem('theme', 'dark');
+    runScript(
+      <ThemePreferenceScript
+        storageKey="theme"
+        lightTheme="g10"
+        darkTheme="g100-high-contrast"
+      />
+    );
+    expect(document.documentElement).toHaveClass('cds--g100-high-contrast');
+    expect(document.documentElement.style.colorScheme).toBe('dark');
+  });
+
+  it('should fall back to the default preference', () => {
+    runScript(
+      <ThemePreferenceScript storageKey="theme" defaultPreference="light" />
+    );
+    expect(document.documentElement).toHaveClass('cds--white');
+    expect(document.documentElement.style.colorScheme).toBe('light');
+  });
+});
+
+describe('ThemePreferenceToggle', () => {
+  beforeEach(() => {
+    jest.spyOn(hooks, 'useMatchMedia').mockImplementation(() => false);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    document.documentElement.className = '';
+  });
+
+  it('should switch between the light and dark theme', async () => {
+    render(
+      <ThemePreferenceProvider>
+        <ThemePreferenceToggle />
+        <PreferenceText />
+      </ThemePreferenceProvider>
+    );
+
+    await userEvent.click(
+      screen.getByRole('button', { name: 'Switch to dark theme' })
+    );
+    expect(screen.getByTestId('preference')).toHaveTextContent('dark g100');
+
+    await userEvent.click(
+      screen.getByRole('button', { name: 'Switch to light theme' })
+    );
+    expect(screen.getByTestId('preference')).toHaveTextContent('light white');
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment node
+ */
+
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import {
+  ThemePreferenceProvider,
+  ThemePreferenceScript,
+  useThemePreference,
+} from '../../Theme';
+
+describe('ThemePreference SSR', () => {
+  it('should render with the default preference on the server', () => {
+    function Test() {
+      const { preference, theme } = useThemePreference();
+      return <span>{`${preference} ${theme}`}</span>;
+    }
+    const view = renderToString(
+      <ThemePreferenceProvider
+        storageKey="theme"
+        defaultPreference="dark"
+        darkTheme="g90">
+        <Test />
+      </ThemePreferenceProvider>
+    );
+    expect(view).toBe('<span>dark g90</span>');
+  });
+
+  it('should escape values in the script', () => {
+    const view = renderToString(
+      <ThemePreferenceScript storageKey="</script><script>alert(1)" />
+    );
+    expect(view).toContain('\\u003c/script>');
+    expect(view).not.toContain('</script><script>');
+  });
+});
@@ -12,16 +12,20 @@ import { usePrefix } from '../../internal/usePrefix';
 import { PolymorphicProps } from '../../types/common';
 import { LayerContext } from '../Layer/LayerContext';
 import { useMatchMedia } from '../../internal/useMatchMedia';
+import {
+  ThemeContext,
+  darkThemes,
+  themes,
+  type ThemeName,
+} from './ThemeContext';
+
+export { ThemeContext };
 
 interface GlobalThemeProps {
-  theme?: 'white' | 'g10' | 'g90' | 'g100';
+  theme?: ThemeName;
   children?: React.ReactNode;
 }
 
-export const ThemeContext = React.createContext<GlobalThemeProps>({
-  theme: 'white',
-});
-
 export const GlobalTheme = React.forwardRef(function GlobalTheme(
   { children, theme }: PropsWithChildren<GlobalThemeProps>,
   ref: React.Ref<unknown>
@@ -54,7 +58,7 @@ GlobalTheme.propTypes = {
   /**
    * Specify the global theme for your app
    */
-  theme: PropTypes.oneOf(['white', 'g10', 'g90', 'g100']),
+  theme: PropTypes.oneOf(themes),
 };
 
 type ThemeBaseProps = GlobalThemeProps & {
@@ -74,14 +78,11 @@ export function Theme<E extends ElementType = 'div'>({
 }: ThemeProps<E>) {
   const prefix = usePrefix();
   const className = cx(customClassName, {
-    [`${prefix}--white`]: theme === 'white',
-    [`${prefix}--g10`]: theme === 'g10',
-    [`${prefix}--g90`]: theme === 'g90',
-    [`${prefix}--g100`]: theme === 'g100',
+    [`${prefix}--${theme}`]: theme && themes.includes(theme),
     [`${prefix}--layer-one`]: true,
   });
   const value = React.useMemo(() => {
-    const isDark = theme && ['g90', 'g100'].includes(theme);
+    const isDark = theme && darkThemes.includes(theme);
 
     return {
       theme,
@@ -124,7 +125,7 @@ Theme.propTypes = {
   /**
    * Specify the theme
    */
-  theme: PropTypes.oneOf(['white', 'g10', 'g90', 'g100']),
+  theme: PropTypes.oneOf(themes),
 };
 
 /**
@@ -137,3 +138,11 @@ export function useTheme() {
 export function usePrefersDarkScheme() {
   return useMatchMedia('(prefers-color-scheme: dark)');
 }
+
+export {
+  ThemePreferenceProvider,
+  ThemePreferenceScript,
+  useThemePreference,
+  type ThemePreference,
+} from './ThemePreference';
+export { ThemePreferenceToggle } from './ThemePreferenceToggle';
@@ -0,0 +1,69 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import { transition } from '@carbon/motion';
+import Button from '../Button';
+import { Transition } from '../Transition';
+import mdx from './Transition.mdx';
+
+export default {
+  title: 'Components/Transition',
+  component: Transition,
+  parameters: {
+    docs: {
+      page: mdx,
+    },
+  },
+  argTypes: {
+    children: {
+      table: {
+        disable: true,
+      },
+    },
+    open: {
+      table: {
+        disable: true,
+      },
+    },
+  },
+  args: {
+    appear: false,
+    mode: 'productive',
+  },
+};
+
+export const Default = (args) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <>
+      <Button kind="tertiary" onClick={() => setOpen(!open)}>
+        {open ? 'Hide' : 'Show'}
+      </Button>
+      <Transition {...args} open={open}>
+        {({ isVisible, status }) => (
+          <div
+            style={{
+              marginTop: '1rem',
+              padding: '1rem',
+              background: 'var(--cds-layer-01)',
+              opacity: isVisible ? 1 : 0,
+              transform: isVisible ? 'none' : 'translateY(1rem)',
+              transition: transition(
+                ['opacity', 'transform'],
+                status === 'exiting' ? 'exit' : 'enter',
+                args.mode
+              ),
+            }}>
+            The status of the transition is {status}
+          </div>
+        )}
+      </Transition>
+    </>
+  );
+};
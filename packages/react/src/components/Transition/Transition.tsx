@@ -0,0 +1,90 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from 'prop-types';
+import React from 'react';
+import {
+  usePresence,
+  type Presence,
+  type PresenceOptions,
+} from './usePresence';
+
+export interface TransitionProps extends PresenceOptions {
+  /**
+   * Provide a function that renders the element from the state of the
+   * transition. It is only called while the element is mounted
+   */
+  children: (presence: Presence) => React.ReactNode;
+
+  /**
+   * Specify whether the element is open
+   */
+  open: boolean;
+}
+
+/**
+ * Mount an element when it opens, and unmount it once it has animated out.
+ * Use the `isVisible` and `status` of the transition to set the styles of the
+ * element, for example the `is-visible` class of `Modal` or `Popover`.
+ */
+export function Transition({ children, open, ...options }: TransitionProps) {
+  const presence = usePresence(open, options);
+
+  if (!presence.isMounted) {
+    return null;
+  }
+
+  return <>{children(presence)}</>;
+}
+
+Transition.propTypes = {
+  /**
+   * Specify whether the element should animate when it is open on the first
+   * render
+   */
+  appear: PropTypes.bool,
+
+  /**
+   * Provide a function that renders the element from the state of the
+   * transition. It is only called while the element is mounted
+   */
+  children: PropTypes.func.isRequired,
+
+  /**
+   * Provide the duration of the enter and exit transitions in milliseconds.
+   * By default, the durations of the `enter` and `exit` presets of
+   * `@carbon/motion` are used
+   */
+  duration: PropTypes.oneOfType([
+    PropTypes.number,
+    PropTypes.shape({
+      enter: PropTypes.number,
+      exit: PropTypes.number,
+    }),
+  ]),
+
+  /**
+   * Specify the mode of the motion presets
+   */
+  mode: PropTypes.oneOf(['productive', 'expressive']),
+
+  /**
+   * Optionally provide a handler that is called when the enter transition ends
+   */
+  onEntered: PropTypes.func,
+
+  /**
+   * Optionally provide a handler that is called when the exit transition ends
+   * and the element is unmounted
+   */
+  onExited: PropTypes.func,
+
+  /**
+   * Specify whether the element is open
+   */
+  open: PropTypes.bool.isRequired,
+};
@@ -0,0 +1,222 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { act, render, renderHook, screen } from '@testing-library/react';
+import { Transition, usePresence, useReducedMotion } from '../../Transition';
+import * as hooks from '../../../internal/useMatchMedia';
+
+function renderTransition(props) {
+  return render(
+    <Transition {...props}>
+      {({ isVisible, status }) => (
+        <div data-testid="element" data-visible={isVisible}>
+          {status}
+        </div>
+      )}
+    </Transition>
+  );
+}
+
+describe('Transition', () => {
+  let reducedMotion;
+
+  beforeEach(() => {
+    reducedMotion = false;
+    jest.useFakeTimers();
+    jest.spyOn(hooks, 'useMatchMedia').mockImplementation(() => reducedMotion);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should not render children when closed', () => {
+    renderTransition({ open: false });
+    expect(screen.queryByTestId('element')).not.toBeInTheDocument();
+  });
+
+  it('should render children as entered when open on the first render', () => {
+    renderTransition({ open: true });
+    expect(screen.getByTestId('element')).toHaveTextContent('entered');
+    expect(screen.getByTestId('element')).toHaveAttribute(
+      'data-visible',
+      'true'
+    );
+  });
+
+  it('should mount, animate and unmount the element', () => {
+    const onEntered = jest.fn();
+    const onExited = jest.fn();
+    const { rerender } = renderTransition({ open: false });
+
+    const renderWith = (open) =>
+      rerender(
+        <Transition open={open} onEntered={onEntered} onExited={onExited}>
+          {({ isVisible, status }) => (
+            <div data-testid="element" data-visible={isVisible}>
+              {status}
+            </div>
+          )}
+        </Transition>
+      );
+
+    renderWith(true);
+    expect(screen.getByTestId('element')).toHaveTextContent('entering');
+    expect(screen.getByTestId('element')).toHaveAttribute(
+      'data-visible',
+      'false'
+    );
+
+    // The element becomes visible after the hidden styles are painted
+    act(() => {
+      jest.advanceTimersByTime(32);
+    });
+    expect(screen.getByTestId('element')).toHaveAttribute(
+      'data-visible',
+      'true'
+    );
+    expect(onEntered).not.toHaveBeenCalled();
+
+    // The `enter` preset of productive motion lasts 150ms
+    act(() => {
+      jest.advanceTimersByTime(150);
+    });
+    expect(screen.getByTestId('element')).toHaveTextContent('entered');
+    expect(onEntered).toHaveBeenCalledTimes(1);
+
+    renderWith(false);
+    expect(screen.getByTestId('element')).toHaveTextContent('exiting');
+    expect(screen.getByTestId('element')).toHaveAttribute(
+      'data-visible',
+      'false'
+    );
+
+    // The `exit` preset of productive motion lasts 110ms
+    act(() => {
+      jest.advanceTimersByTime(110);
+    });
+    expect(screen.queryByTestId('element')).not.toBeInTheDocument();
+    expect(onExited).toHaveBeenCalledTimes(1);
+  });
+
+  it('should animate on the first render with `appear`', () => {
+    renderTransition({ open: true, appear: true });
+    expect(screen.getByTestId('element')).toHaveTextContent('entering');
+
+    act(() => {
+      jest.runAllTimers();
+    });
+    expect(screen.getByTestId('element')).toHaveTextContent('entered');
+  });
+
+  it('should switch without animating when the user prefers reduced motion', () => {
+    reducedMotion = true;
+    const onExited = jest.fn();
+    const { rerender } = renderTransition({ open: true });
+
+    rerender(
+      <Transition open={false} onExited={onExited}>
+        {() => <div data-testid="element" />}
+      </Transition>
+    );
+    expect(screen.queryByTestId('element')).not.toBeInTheDocument();
+    expect(onExited).toHaveBeenCalledTimes(1);
+  });
+
+  it('should finish a transition when the reduced motion preference changes', () => {
+    const { rerender } = renderTransition({ open: false });
+    rerender(
+      <Transition open>
+        {({ status }) => <div data-testid="element">{status}</div>}
+      </Transition>
+    );
+    expect(screen.getByTestId('element')).toHaveTextContent('entering');
+
+    reducedMotion = true;
+    rerender(
+      <Transition open>
+        {({ status }) => <div data-testid="element">{status}</div>}
+      </Transition>
+    );
+    expect(screen.getByTestId('element')).toHaveTextContent('entering');
+
+    act(() => {
+      jest.runAllTimers();
+    });
+    expect(screen.getByTestId('element')).toHaveTextContent('entered');
+
+    rerender(
+      <Transition open={false}>
+        {({ status }) => <div data-testid="element">{status}</div>}
+      </Transition>
+    );
+    expect(screen.queryByTestId('element')).not.toBeInTheDocument();
+  });
+});
+
+describe('usePresence', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(hooks, 'useMatchMedia').mockImplementation(() => false);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should support a custom duration', () => {
+    const { result, rerender } = renderHook(
+      ({ open }) => usePresence(open, { duration: { exit: 500 } }),
+      { initialProps: { open: true } }
+    );
+
+    rerender({ open: false });
+    act(() => {
+      jest.advanceTimersByTime(499);
+    });
+    expect(result.current.status).toBe('exiting');
+
+    act(() => {
+      jest.advanceTimersByTime(1);
+    });
+    expect(result.current.status).toBe('exited');
+    expect(result.current.isMounted).toBe(false);
+  });
+
+  it('should reopen while the element is exiting', () => {
+    const { result, rerender } = renderHook(
+      ({ open }) => usePresence(open, { mode: 'expressive' }),
+      { initialProps: { open: true } }
+    );
+
+    rerender({ open: false });
+    expect(result.current.status).toBe('exiting');
+
+    rerender({ open: true });
+    act(() => {
+      jest.runAllTimers();
+    });
+    expect(result.current.status).toBe('entered');
+    expect(result.current.isVisible).toBe(true);
+  });
+});
+
+describe('useReducedMotion', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should match the reduced motion media query', () => {
+    const spy = jest.spyOn(hooks, 'useMatchMedia').mockReturnValue(true);
+    const { result } = renderHook(() => useReducedMotion());
+    expect(result.current).toBe(true);
+    expect(spy).toHaveBeenCalledWith('(prefers-reduced-motion: reduce)');
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+export { Transition, type TransitionProps } from './Transition';
+export {
+  usePresence,
+  type MotionMode,
+  type Presence,
+  type PresenceOptions,
+  type PresenceStatus,
+} from './usePresence';
+export { useReducedMotion } from './useReducedMotion';
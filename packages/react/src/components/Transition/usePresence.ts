@@ -0,0 +1,191 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { getPreset } from '@carbon/motion';
+import { useEffect, useRef, useState } from 'react';
+import { useSavedCallback } from '../../internal/useSavedCallback';
+import { useReducedMotion } from './useReducedMotion';
+
+export type PresenceStatus = 'exited' | 'entering' | 'entered' | 'exiting';
+
+export type MotionMode = 'productive' | 'expressive';
+
+export interface PresenceOptions {
+  /**
+   * Specify whether the element should animate when it is present on the
+   * first render
+   */
+  appear?: boolean;
+
+  /**
+   * Provide the duration of the enter and exit transitions in milliseconds.
+   * By default, the durations of the `enter` and `exit` presets of
+   * `@carbon/motion` are used
+   */
+  duration?: number | { enter?: number; exit?: number };
+
+  /**
+   * Specify the mode of the motion presets
+   */
+  mode?: MotionMode;
+
+  /**
+   * Optionally provide a handler that is called when the enter transition ends
+   */
+  onEntered?: () => void;
+
+  /**
+   * Optionally provide a handler that is called when the exit transition ends
+   * and the element is unmounted
+   */
+  onExited?: () => void;
+}
+
+export interface Presence {
+  /**
+   * Specify whether the element should be rendered
+   */
+  isMounted: boolean;
+
+  /**
+   * Specify whether the element should have its visible styles. This is
+   * `false` for the first frames of the enter transition so that the
+   * transition starts from the hidden styles
+   */
+  isVisible: boolean;
+
+  /**
+   * The status of the transition
+   */
+  status: PresenceStatus;
+
+  /**
+   * Specify whether the user prefers reduced motion
+   */
+  reducedMotion: boolean;
+}
+
+function getDuration(
+  name: 'enter' | 'exit',
+  mode: MotionMode,
+  duration: PresenceOptions['duration']
+): number {
+  if (typeof duration === 'number') {
+    return duration;
+  }
+  if (typeof duration?.[name] === 'number') {
+    return duration[name] as number;
+  }
+  return parseInt(getPreset(name, mode).duration, 10);
+}
+
+/**
+ * Keep an element mounted while it animates in and out. When `isPresent`
+ * becomes `true`, the element is mounted with its hidden styles and becomes
+ * visible on the next frames. When `isPresent` becomes `false`, the element
+ * loses its visible styles and is unmounted once the exit transition ends.
+ * Transitions are skipped when the user prefers reduced motion.
+ */
+export function usePresence(
+  isPresent: boolean,
+  {
+    appear = false,
+    duration,
+    mode = 'productive',
+    onEntered,
+    onExited,
+  }: PresenceOptions = {}
+): Presence {
+  const reducedMotion = useReducedMotion();
+  const [status, setStatus] = useState<PresenceStatus>(() => {
+    if (!isPresent) {
+      return 'exited';
+    }
+    return appear && !reducedMotion ? 'entering' : 'entered';
+  });
+  const [isVisible, setIsVisible] = useState(
+    isPresent && (!appear || reducedMotion)
+  );
+  const savedOnEntered = useSavedCallback(onEntered);
+  const savedOnExited = useSavedCallback(onExited);
+  const enterDuration = getDuration('enter', mode, duration);
+  const exitDuration = getDuration('exit', mode, duration);
+  const initialRender = useRef(true);
+
+  // The preference is read when `isPresent` changes, so that a change of the
+  // preference doesn't restart a transition
+  const savedReducedMotion = useRef(reducedMotion);
+  useEffect(() => {
+    savedReducedMotion.current = reducedMotion;
+  });
+
+  useEffect(() => {
+    const isInitialRender = initialRender.current;
+    initialRender.current = false;
+
+    if (isInitialRender && (!isPresent || !appear)) {
+      return;
+    }
+
+    if (savedReducedMotion.current) {
+      setIsVisible(isPresent);
+      setStatus(isPresent ? 'entered' : 'exited');
+      if (isInitialRender) {
+        return;
+      }
+      if (isPresent) {
+        savedOnEntered();
+      } else {
+        savedOnExited();
+      }
+      return;
+    }
+
+    let frame: number | null = null;
+    let timeoutId: ReturnType<typeof setTimeout> | null = null;
+
+    if (isPresent) {
+      setStatus('entering');
+      // Wait for two frames so that the hidden styles are applied before the
+      // visible styles, otherwise the browser would skip the transition
+      frame = requestAnimationFrame(() => {
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          setIsVisible(true);
+          timeoutId = setTimeout(() => {
+            setStatus('entered');
+            savedOnEntered();
+          }, enterDuration);
+        });
+      });
+    } else {
+      setStatus((current) => (current === 'exited' ? current : 'exiting'));
+      setIsVisible(false);
+      timeoutId = setTimeout(() => {
+        setStatus('exited');
+        savedOnExited();
+      }, exitDuration);
+    }
+
+    return () => {
+      if (frame !== null) {
+        cancelAnimationFrame(frame);
+      }
+      if (timeoutId !== null) {
+        clearTimeout(timeoutId);
+      }
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isPresent]);
+
+  return {
+    isMounted: status !== 'exited',
+    isVisible,
+    status,
+    reducedMotion,
+  };
+}
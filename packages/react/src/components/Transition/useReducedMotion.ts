@@ -0,0 +1,17 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { reducedMotionQuery } from '@carbon/motion';
+import { useMatchMedia } from '../../internal/useMatchMedia';
+
+/**
+ * Check if the user prefers reduced motion. Components should change without
+ * moving, for example by using a duration of `0ms`, when this is `true`.
+ */
+export function useReducedMotion(): boolean {
+  return useMatchMedia(reducedMotionQuery);
+}
@@ -43,6 +43,8 @@ export {
   TableExpandHeader,
   TableExpandRow,
   TableExpandedRow,
+  TableFooter,
+  TableGroupRow,
   TableHead,
   TableHeader,
   TableRow,
@@ -51,9 +53,17 @@ export {
   TableSlugRow,
   TableToolbar,
   TableToolbarAction,
+  TableToolbarColumnChooser,
   TableToolbarContent,
+  TableToolbarExport,
+  TableToolbarFilter,
   TableToolbarSearch,
   TableToolbarMenu,
+  TableVirtualBody,
+  serializeColumnFilters,
+  deserializeColumnFilters,
+  exportTableData,
+  downloadTableData,
 } from './components/DataTable';
 export { DatePicker } from './components/DatePicker';
 export { DatePickerInput } from './components/DatePickerInput';
@@ -86,6 +96,7 @@ export {
 export { IdPrefix } from './components/IdPrefix';
 export { InlineLoading } from './components/InlineLoading';
 export { Link } from './components/Link';
+export { ListBoxMatch, fuzzyMatcher } from './components/ListBox';
 export { ListItem } from './components/ListItem';
 export { Loading } from './components/Loading';
 export {
@@ -237,6 +248,7 @@ export {
   useFeatureFlag as unstable_useFeatureFlag,
   useFeatureFlags as unstable_useFeatureFlags,
 } from './components/FeatureFlags';
+export { FeatureFlagsPanel as unstable_FeatureFlagsPanel } from './components/FeatureFlags/FeatureFlagsPanel';
 export {
   FluidComboBox as unstable__FluidComboBox,
   FluidComboBoxSkeleton as unstable__FluidComboBoxSkeleton,
@@ -304,11 +316,25 @@ export { DefinitionTooltip } from './components/Tooltip/DefinitionTooltip';
 export {
   GlobalTheme,
   Theme,
+  ThemePreferenceProvider,
+  ThemePreferenceScript,
+  ThemePreferenceToggle,
   usePrefersDarkScheme,
   useTheme,
+  useThemePreference,
 } from './components/Theme';
 export { usePrefix } from './internal/usePrefix';
 export { useIdPrefix } from './internal/useIdPrefix';
+export {
+  useBreakpoint,
+  useBreakpointUp,
+  useResponsiveValue,
+} from './internal/useBreakpoint';
+export {
+  Transition,
+  usePresence,
+  useReducedMotion,
+} from './components/Transition';
 
 export { AILabel, AILabelContent, AILabelActions } from './components/AILabel';
 // Keep until V12
@@ -45,6 +45,17 @@ export * from './components/Icon/Icon.Skeleton';
 export * from './components/IdPrefix';
 export * from './components/InlineLoading';
 export * from './components/Link';
+export {
+  ListBoxMatch,
+  fuzzyMatcher,
+  type ItemGroup,
+  type ItemToGroup,
+  type ListBoxMatchProps,
+  type Matcher,
+  type MatcherOptions,
+  type MatchRange,
+  type MatchResult,
+} from './components/ListBox';
 export * from './components/ListItem';
 export * from './components/Loading';
 export * from './components/Menu';
@@ -104,6 +115,7 @@ export {
   useFeatureFlag as unstable_useFeatureFlag,
   useFeatureFlags as unstable_useFeatureFlags,
 } from './components/FeatureFlags';
+export { FeatureFlagsPanel as unstable_FeatureFlagsPanel } from './components/FeatureFlags/FeatureFlagsPanel';
 export {
   FluidComboBox as unstable__FluidComboBox,
   FluidComboBoxSkeleton as unstable__FluidComboBoxSkeleton,
@@ -189,3 +201,11 @@ export * from './components/Tooltip/DefinitionTooltip';
 export * from './components/Theme';
 export * from './internal/usePrefix';
 export { useIdPrefix } from './internal/useIdPrefix';
+export {
+  useBreakpoint,
+  useBreakpointUp,
+  useResponsiveValue,
+  type BreakpointName,
+  type ResponsiveValue,
+} from './internal/useBreakpoint';
+export * from './components/Transition';
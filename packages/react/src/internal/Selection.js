@@ -96,6 +96,82 @@ export function useSelection({
     [disabled, selectedItems, filteredItems, selectAll, isControlled]
   );
 
+  // Select all enabled items of a group, or deselect them when they are all
+  // selected already
+  const onGroupChange = useCallback(
+    (groupItems) => {
+      if (disabled) {
+        return;
+      }
+
+      const selectableItems = groupItems.filter((item) => !item.disabled);
+      const isSelected = (item) =>
+        selectedItems.some((selectedItem) => isEqual(selectedItem, item));
+
+      let newSelectedItems;
+      if (selectableItems.every(isSelected)) {
+        // The 'select All' option is deselected with the items of the group
+        newSelectedItems = selectedItems.filter(
+          (selectedItem) =>
+            !selectedItem.isSelectAll &&
+            !selectableItems.some((item) => isEqual(selectedItem, item))
+        );
+      } else {
+        newSelectedItems = selectedItems.concat(
+          selectableItems.filter((item) => !isSelected(item))
+        );
+        // Like in `onItemChange`, the 'select All' option is selected as well
+        // when all items are selected
+        const disabledItemCount = filteredItems.filter(
+          (item) => item.disabled
+        ).length;
+        if (
+          selectAll &&
+          filteredItems.length - 1 ===
+            newSelectedItems.length + disabledItemCount
+        ) {
+          newSelectedItems = filteredItems.filter((item) => !item.disabled);
+        }
+      }
+
+      callOnChangeHandler({
+        isControlled,
+        isMounted: isMounted.current,
+        onChangeHandlerControlled: savedOnChange.current,
+        onChangeHandlerUncontrolled: setUncontrolledItems,
+        selectedItems: newSelectedItems,
+      });
+    },
+    [disabled, selectedItems, filteredItems, selectAll, isControlled]
+  );
+
+  // Add the items that are not selected yet, like the items that are created
+  // from the values that are pasted in a creatable list box
+  const addItems = useCallback(
+    (items) => {
+      if (disabled) {
+        return;
+      }
+
+      const newItems = items.filter(
+        (item) =>
+          !selectedItems.some((selectedItem) => isEqual(selectedItem, item))
+      );
+      if (newItems.length === 0) {
+        return;
+      }
+
+      callOnChangeHandler({
+        isControlled,
+        isMounted: isMounted.current,
+        onChangeHandlerControlled: savedOnChange.current,
+        onChangeHandlerUncontrolled: setUncontrolledItems,
+        selectedItems: selectedItems.concat(newItems),
+      });
+    },
+    [disabled, selectedItems, isControlled]
+  );
+
   const clearSelection = useCallback(() => {
     if (disabled) {
       return;
@@ -129,6 +205,8 @@ export function useSelection({
   return {
     selectedItems,
     onItemChange,
+    onGroupChange,
+    addItems,
     clearSelection,
   };
 }
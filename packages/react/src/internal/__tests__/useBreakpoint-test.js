@@ -0,0 +1,186 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { render, screen } from '@testing-library/react';
+import React from 'react';
+import { act } from 'react';
+import {
+  getResponsiveValue,
+  isResponsiveValue,
+  useBreakpoint,
+  useBreakpointUp,
+  useResponsiveValue,
+} from '../useBreakpoint';
+
+describe('useBreakpoint', () => {
+  let Browser;
+  let listeners;
+
+  beforeEach(() => {
+    listeners = new Set();
+    Browser = {
+      width: 320,
+      setDimensions(width) {
+        Browser.width = width;
+
+        for (const { listener, match } of listeners) {
+          listener({ matches: match() });
+        }
+      },
+    };
+
+    Object.defineProperty(window, 'matchMedia', {
+      writable: true,
+      value: jest.fn().mockImplementation((query) => {
+        const [, rawWidth] = query.match(/\(min-width: ([\d.]+)rem\)/);
+        const width = parseFloat(rawWidth) * 16;
+
+        function match() {
+          return Browser.width >= width;
+        }
+
+        return {
+          get matches() {
+            return match();
+          },
+          media: query,
+          addEventListener: (eventType, listener) => {
+            listeners.add({ listener, match });
+          },
+          removeEventListener: (eventType, listener) => {
+            for (const entry of listeners) {
+              if (entry.listener === listener) {
+                listeners.delete(entry);
+              }
+            }
+          },
+        };
+      }),
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    listeners.clear();
+    delete window.matchMedia;
+  });
+
+  it('should return the current breakpoint', () => {
+    Browser.setDimensions(800);
+
+    function Test() {
+      return <span data-testid="breakpoint">{useBreakpoint()}</span>;
+    }
+    render(<Test />);
+    expect(screen.getByTestId('breakpoint')).toHaveTextContent('md');
+
+    act(() => {
+      Browser.setDimensions(1600);
+    });
+    expect(screen.getByTestId('breakpoint')).toHaveTextContent('max');
+
+    act(() => {
+      Browser.setDimensions(200);
+    });
+    expect(screen.getByTestId('breakpoint')).toHaveTextContent('sm');
+  });
+
+  it('should hydrate with the smallest breakpoint', () => {
+    Browser.setDimensions(1600);
+
+    // The markup of the server, where the breakpoint is unknown
+    const container = document.createElement('div');
+    container.innerHTML = '<span data-testid="breakpoint">sm</span>';
+    document.body.appendChild(container);
+
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    function Test() {
+      return <span data-testid="breakpoint">{useBreakpoint()}</span>;
+    }
+    render(<Test />, { container, hydrate: true });
+
+    expect(error).not.toHaveBeenCalled();
+    expect(screen.getByTestId('breakpoint')).toHaveTextContent('max');
+  });
+
+  it('should share one media query list per breakpoint', () => {
+    function Test() {
+      useBreakpoint();
+      useBreakpointUp('lg');
+      return null;
+    }
+    const { unmount } = render(
+      <>
+        <Test />
+        <Test />
+      </>
+    );
+    expect(window.matchMedia).toHaveBeenCalledTimes(5);
+    expect(listeners.size).toBe(5);
+
+    unmount();
+    expect(listeners.size).toBe(0);
+  });
+
+  it('should check if the viewport is wider than a breakpoint', () => {
+    Browser.setDimensions(1056);
+
+    function Test() {
+      const isLg = useBreakpointUp('lg');
+      const isXlg = useBreakpointUp('xlg');
+      return <span data-testid="up">{`${isLg} ${isXlg}`}</span>;
+    }
+    render(<Test />);
+    expect(screen.getByTestId('up')).toHaveTextContent('true false');
+  });
+
+  it('should return the value for the current breakpoint', () => {
+    Browser.setDimensions(1400);
+
+    function Test({ value }) {
+      return <span data-testid="value">{useResponsiveValue(value)}</span>;
+    }
+    const { rerender } = render(<Test value={{ sm: 1, lg: 3 }} />);
+    expect(screen.getByTestId('value')).toHaveTextContent('3');
+
+    act(() => {
+      Browser.setDimensions(700);
+    });
+    expect(screen.getByTestId('value')).toHaveTextContent('1');
+
+    rerender(<Test value={5} />);
+    expect(screen.getByTestId('value')).toHaveTextContent('5');
+  });
+
+  it('should not listen for values that are not responsive', () => {
+    function Test() {
+      useResponsiveValue(3);
+      return null;
+    }
+    render(<Test />);
+    expect(window.matchMedia).not.toHaveBeenCalled();
+  });
+});
+
+describe('getResponsiveValue', () => {
+  it('should use the value of the closest smaller breakpoint', () => {
+    const value = { md: 'a', xlg: 'b' };
+    expect(getResponsiveValue(value, 'sm')).toBeUndefined();
+    expect(getResponsiveValue(value, 'md')).toBe('a');
+    expect(getResponsiveValue(value, 'lg')).toBe('a');
+    expect(getResponsiveValue(value, 'max')).toBe('b');
+    expect(getResponsiveValue(false, 'max')).toBe(false);
+  });
+
+  it('should only treat objects with breakpoint keys as responsive', () => {
+    expect(isResponsiveValue({ sm: 1, lg: 2 })).toBe(true);
+    expect(isResponsiveValue({ sm: 1, width: 2 })).toBe(false);
+    expect(isResponsiveValue({})).toBe(false);
+    expect(isResponsiveValue(['sm'])).toBe(false);
+    expect(isResponsiveValue(null)).toBe(false);
+  });
+});
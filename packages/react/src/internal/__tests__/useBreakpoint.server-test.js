@@ -0,0 +1,23 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment node
+ */
+
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { useBreakpoint, useResponsiveValue } from '../useBreakpoint';
+
+describe('useBreakpoint SSR', () => {
+  it('should use the smallest breakpoint on the server', () => {
+    function Test() {
+      const breakpoint = useBreakpoint();
+      const value = useResponsiveValue({ sm: 'small', lg: 'large' });
+      return <span>{`${breakpoint} ${value}`}</span>;
+    }
+    expect(renderToString(<Test />)).toBe('<span>sm small</span>');
+  });
+});
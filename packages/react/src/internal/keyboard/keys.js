@@ -37,6 +37,13 @@ export const Space = {
   code: 'Space',
 };
 
+export const F2 = {
+  key: 'F2',
+  which: 113,
+  keyCode: 113,
+  code: 'F2',
+};
+
 export const PageUp = {
   key: 'PageUp',
   which: 33,
@@ -93,6 +100,13 @@ export const ArrowDown = {
   code: 'ArrowDown',
 };
 
+export const Backspace = {
+  key: 'Backspace',
+  which: 8,
+  keyCode: 8,
+  code: 'Backspace',
+};
+
 export const Delete = {
   key: 'Delete',
   which: 8 || 46,
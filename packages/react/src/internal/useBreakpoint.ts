@@ -0,0 +1,183 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { breakpoints } from '@carbon/layout';
+import { useState } from 'react';
+import { canUseDOM } from './environment';
+import useIsomorphicEffect from './useIsomorphicEffect';
+
+export type BreakpointName = 'sm' | 'md' | 'lg' | 'xlg' | 'max';
+
+/**
+ * A value for each breakpoint, where the value of a breakpoint is used up to
+ * the next breakpoint with a value, like mobile-first styles
+ */
+export type ResponsiveValue<T> = Partial<Record<BreakpointName, T>>;
+
+export const breakpointNames = Object.keys(breakpoints) as BreakpointName[];
+
+const mediaQueries = breakpointNames.map(
+  (name) => `(min-width: ${breakpoints[name].width})`
+);
+
+// Every hook shares one media query list per breakpoint, and one change
+// listener on each of them while at least one component is subscribed
+let mediaQueryLists: MediaQueryList[] | null = null;
+const listeners = new Set<() => void>();
+
+function canMatchMedia() {
+  return canUseDOM && typeof window.matchMedia === 'function';
+}
+
+function getMediaQueryLists(): MediaQueryList[] {
+  if (!mediaQueryLists) {
+    mediaQueryLists = mediaQueries.map((query) => window.matchMedia(query));
+  }
+  return mediaQueryLists;
+}
+
+/**
+ * Get the current breakpoint. The smallest breakpoint is used on the server,
+ * and in environments without `matchMedia`
+ */
+function getBreakpoint(): BreakpointName {
+  if (!canMatchMedia()) {
+    return breakpointNames[0];
+  }
+  const lists = getMediaQueryLists();
+  for (let i = lists.length - 1; i > 0; i--) {
+    if (lists[i].matches) {
+      return breakpointNames[i];
+    }
+  }
+  return breakpointNames[0];
+}
+
+function onChange() {
+  listeners.forEach((listener) => listener());
+}
+
+function subscribe(listener: () => void) {
+  if (!canMatchMedia()) {
+    return () => {};
+  }
+
+  if (listeners.size === 0) {
+    getMediaQueryLists().forEach((mediaQueryList) => {
+      // Support fallback to `addListener` for broader browser support
+      if (mediaQueryList.addEventListener) {
+        mediaQueryList.addEventListener('change', onChange);
+      } else {
+        mediaQueryList.addListener(onChange);
+      }
+    });
+  }
+  listeners.add(listener);
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size > 0 || !mediaQueryLists) {
+      return;
+    }
+    mediaQueryLists.forEach((mediaQueryList) => {
+      if (mediaQueryList.removeEventListener) {
+        mediaQueryList.removeEventListener('change', onChange);
+      } else {
+        mediaQueryList.removeListener(onChange);
+      }
+    });
+    mediaQueryLists = null;
+  };
+}
+
+function useBreakpointState(enabled: boolean): BreakpointName {
+  // The first render uses the smallest breakpoint, like the server, so that
+  // hydration matches. The breakpoint is read before the browser paints.
+  const [breakpoint, setBreakpoint] = useState<BreakpointName>(
+    breakpointNames[0]
+  );
+
+  useIsomorphicEffect(() => {
+    if (!enabled) {
+      return;
+    }
+    function listener() {
+      setBreakpoint(getBreakpoint());
+    }
+    const unsubscribe = subscribe(listener);
+    // Make sure the breakpoint is in sync after subscribing
+    listener();
+    return unsubscribe;
+  }, [enabled]);
+
+  return breakpoint;
+}
+
+/**
+ * Check if a value is an object with a value for one or more breakpoints
+ */
+export function isResponsiveValue<T>(
+  value: T | ResponsiveValue<T>
+): value is ResponsiveValue<T> {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  return (
+    keys.length > 0 &&
+    keys.every((key) => breakpointNames.includes(key as BreakpointName))
+  );
+}
+
+/**
+ * Get the value of a responsive value at a breakpoint
+ */
+export function getResponsiveValue<T>(
+  value: T | ResponsiveValue<T>,
+  breakpoint: BreakpointName
+): T | undefined {
+  if (!isResponsiveValue(value)) {
+    return value;
+  }
+  for (let i = breakpointNames.indexOf(breakpoint); i >= 0; i--) {
+    const name = breakpointNames[i];
+    if (value[name] !== undefined) {
+      return value[name];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Get the name of the current breakpoint from `@carbon/layout`, like `md`. The
+ * smallest breakpoint, `sm`, is used on the server and while hydrating.
+ */
+export function useBreakpoint(): BreakpointName {
+  return useBreakpointState(true);
+}
+
+/**
+ * Check if the viewport is as wide as, or wider than, the given breakpoint
+ */
+export function useBreakpointUp(name: BreakpointName): boolean {
+  const breakpoint = useBreakpointState(true);
+  return breakpointNames.indexOf(breakpoint) >= breakpointNames.indexOf(name);
+}
+
+/**
+ * Get the value for the current breakpoint from an object like
+ * `{ sm: 3, lg: 5 }`. A breakpoint without a value uses the value of the
+ * closest smaller breakpoint. Values that are not responsive are returned as
+ * they are, without listening for changes of the breakpoint.
+ */
+export function useResponsiveValue<T>(
+  value: T | ResponsiveValue<T>
+): T | undefined {
+  const responsive = isResponsiveValue(value);
+  const breakpoint = useBreakpointState(responsive);
+  return getResponsiveValue(value, breakpoint);
+}
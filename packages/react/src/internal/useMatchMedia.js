@@ -8,9 +8,13 @@
 import { useState, useEffect } from 'react';
 import { canUseDOM } from './environment';
 
+function canMatchMedia() {
+  return canUseDOM && typeof window.matchMedia === 'function';
+}
+
 export function useMatchMedia(mediaQueryString) {
   const [matches, setMatches] = useState(() => {
-    if (canUseDOM) {
+    if (canMatchMedia()) {
       const mediaQueryList = window.matchMedia(mediaQueryString);
       return mediaQueryList.matches;
     }
@@ -18,6 +22,11 @@ export function useMatchMedia(mediaQueryString) {
   });
 
   useEffect(() => {
+    // Environments like jsdom do not implement `matchMedia`
+    if (!canMatchMedia()) {
+      return;
+    }
+
     function listener(event) {
       setMatches(event.matches);
     }
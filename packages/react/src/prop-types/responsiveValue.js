@@ -0,0 +1,27 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from 'prop-types';
+
+/**
+ * @param {PropTypes.Validator<any>} propType The type checker of the value at
+ *   each breakpoint
+ * @returns {PropTypes.Requireable<any>} The type checker of the value, or of
+ *   an object with a value for one or more breakpoints, like `{ sm: 3, lg: 5 }`
+ */
+export function responsiveValue(propType) {
+  return PropTypes.oneOfType([
+    propType,
+    PropTypes.exact({
+      sm: propType,
+      md: propType,
+      lg: propType,
+      xlg: propType,
+      max: propType,
+    }),
+  ]);
+}
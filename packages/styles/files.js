@@ -218,6 +218,7 @@ const files = [
   'scss/utilities/_convert.scss',
   'scss/utilities/_custom-property.scss',
   'scss/utilities/_focus-outline.scss',
+  'scss/utilities/_forced-colors.scss',
   'scss/utilities/_hide-at-breakpoint.scss',
   'scss/utilities/_high-contrast-mode.scss',
   'scss/utilities/_index.scss',
@@ -30,6 +30,8 @@ describe('@carbon/styles/scss/themes', () => {
         "g10",
         "g90",
         "g100",
+        "white-high-contrast",
+        "g100-high-contrast",
       ]
     `);
   });
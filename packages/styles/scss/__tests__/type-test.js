@@ -33,6 +33,7 @@ describe('@carbon/styles/scss/type', () => {
         ),
         functions: (
           font-weight: meta.function-exists('font-family', 'type'),
+          fluid-scale: meta.function-exists('fluid-scale', 'type'),
         ),
       ));
     `);
@@ -40,6 +41,7 @@ describe('@carbon/styles/scss/type', () => {
     const { value: api } = get('api');
     expect(api.functions).toEqual({
       'font-weight': true,
+      'fluid-scale': true,
     });
     expect(api.mixins).toEqual({
       reset: true,
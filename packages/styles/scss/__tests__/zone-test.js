@@ -20,7 +20,16 @@ describe('zone', () => {
     const { get, result } = await render(`
       @use '../themes';
       @use '../components/button/tokens';
-      @use '../zone';
+      @use '../zone' with (
+        $zones: (
+          white: themes.$white,
+          g10: themes.$g10,
+          g90: themes.$g90,
+          g100: themes.$g100,
+          white-high-contrast: themes.$white-high-contrast,
+          g100-high-contrast: themes.$g100-high-contrast,
+        ),
+      );
 
       $_: get('themes', (
         white: themes.$white,
@@ -50,11 +59,19 @@ describe('zone', () => {
       }
     }
 
-    // When including the `_zone.scss` file, we generate a stylesheet with four
-    // classes, one per theme.
+    // The high contrast themes use the component tokens of the theme that they
+    // are based on
+    tokensByTheme.set('white-high-contrast', tokensByTheme.get('white'));
+    tokensByTheme.set('g100-high-contrast', tokensByTheme.get('g100'));
+
+    // When including the `_zone.scss` file, we generate a stylesheet with one
+    // class per theme
     const { stylesheet } = css.parse(result.css.toString());
+    const rules = stylesheet.rules.filter((rule) => rule.type === 'rule');
+    expect(rules).toHaveLength(6);
+    expect(stylesheet.rules.some((rule) => rule.type === 'media')).toBe(false);
 
-    for (const rule of stylesheet.rules) {
+    for (const rule of rules) {
       // For each selector, we check that every button token that we have
       // defined for this theme is emitted in CSS with the expected value
       const [_prefix, theme] = rule.selectors[0].split('--');
@@ -73,4 +90,42 @@ describe('zone', () => {
       expect(includesComponentTokens).toBe(true);
     }
   });
+
+  it('should not emit the zones of the high contrast themes by default', async () => {
+    const { result } = await render(`
+      @use '../zone';
+    `);
+    const { stylesheet } = css.parse(result.css.toString());
+    const selectors = stylesheet.rules
+      .filter((rule) => rule.type === 'rule')
+      .map((rule) => rule.selectors[0]);
+
+    expect(selectors).toEqual([
+      '.cds--white',
+      '.cds--g10',
+      '.cds--g90',
+      '.cds--g100',
+    ]);
+  });
+
+  it('should map the tokens of a zone to system colors for forced colors', async () => {
+    const { result } = await render(`
+      @use '../config' with (
+        $css--forced-colors: true,
+      );
+      @use '../zone';
+    `);
+    const { stylesheet } = css.parse(result.css.toString());
+    const media = stylesheet.rules.filter((rule) => rule.type === 'media');
+
+    expect(media).toHaveLength(4);
+    expect(media[0].media).toBe('(forced-colors: active)');
+    expect(media[0].rules[0].selectors).toEqual(['.cds--white']);
+    expect(media[0].rules[0].declarations).toContainEqual(
+      expect.objectContaining({
+        property: '--cds-background',
+        value: 'Canvas',
+      })
+    );
+  });
 });
@@ -0,0 +1,92 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment node
+ */
+
+'use strict';
+
+const { SassRenderer } = require('@carbon/test-utils/scss');
+const css = require('css');
+
+const { render } = SassRenderer.create(__dirname);
+
+describe('scss/utilities/forced-colors', () => {
+  it('should map a token to a system color', async () => {
+    const { unwrap } = await render(`
+      @use '../forced-colors';
+
+      $_: get('focus', forced-colors.get('focus'));
+      $_: get('link', forced-colors.get(link-primary));
+    `);
+    expect(unwrap('focus')).toBe('Highlight');
+    expect(unwrap('link')).toBe('LinkText');
+  });
+
+  it('should throw for unknown tokens', async () => {
+    await expect(
+      render(`
+        @use '../forced-colors';
+
+        $_: forced-colors.get('unknown-token');
+      `)
+    ).rejects.toThrow('Unable to find a system color for the token');
+  });
+
+  it('should emit the tokens when forced colors are active', async () => {
+    const { result } = await render(`
+      @use '../../config' with (
+        $prefix: 'cds',
+      );
+      @use '../forced-colors';
+
+      :root {
+        @include forced-colors.tokens((
+          background: Canvas,
+          text-primary: CanvasText,
+        ));
+      }
+
+      .test {
+        @include forced-colors.active {
+          fill: ButtonText;
+        }
+      }
+    `);
+    const { stylesheet } = css.parse(result.css.toString());
+    const [tokens, active] = stylesheet.rules;
+
+    expect(tokens.media).toBe('(forced-colors: active)');
+    expect(tokens.rules[0].selectors).toEqual([':root']);
+    expect(
+      tokens.rules[0].declarations.map(({ property, value }) => [
+        property,
+        value,
+      ])
+    ).toEqual([
+      ['--cds-background', 'Canvas'],
+      ['--cds-text-primary', 'CanvasText'],
+    ]);
+    expect(active.media).toBe('(forced-colors: active)');
+    expect(active.rules[0].declarations[0]).toMatchObject({
+      property: 'fill',
+      value: 'ButtonText',
+    });
+  });
+
+  it('should only map tokens that exist in the themes', async () => {
+    const { get } = await render(`
+      @use 'sass:map';
+      @use '../../themes';
+      @use '../forced-colors';
+
+      $_: get('missing', (
+        white: map.keys(map.remove(forced-colors.$system-colors, map.keys(themes.$white)...)),
+      ));
+    `);
+    expect(get('missing').value).toEqual({ white: [] });
+  });
+});
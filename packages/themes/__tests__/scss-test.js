@@ -63,11 +63,14 @@ describe('@carbon/themes/scss', () => {
       $_: get('themes.$g10', themes.$g10);
       $_: get('themes.$g90', themes.$g90);
       $_: get('themes.$g100', themes.$g100);
+      $_: get('themes.$white-high-contrast', themes.$white-high-contrast);
+      $_: get('themes.$g100-high-contrast', themes.$g100-high-contrast);
     `);
 
     // Themes should be available
     for (const theme of Object.keys(themes)) {
-      expect(unwrap(`themes.$${theme}`)).toBeDefined();
+      const name = theme.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+      expect(unwrap(`themes.$${name}`)).toBeDefined();
     }
   });
 
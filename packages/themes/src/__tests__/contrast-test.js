@@ -0,0 +1,116 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment node
+ */
+
+import {
+  auditTheme,
+  contrastPairs,
+  createTheme,
+  getAPCAContrast,
+  getContrastRatio,
+  getRelativeLuminance,
+  white,
+} from '../';
+import { blend } from '../contrast';
+
+describe('contrast', () => {
+  it('should get the relative luminance of a color', () => {
+    expect(getRelativeLuminance('#000000')).toBe(0);
+    expect(getRelativeLuminance('#ffffff')).toBe(1);
+    expect(getRelativeLuminance('#0f62fe')).toBeCloseTo(0.1599, 4);
+  });
+
+  it('should get the WCAG 2.x contrast ratio of two colors', () => {
+    expect(getContrastRatio('#000000', '#ffffff')).toBe(21);
+    expect(getContrastRatio('#ffffff', '#000000')).toBe(21);
+    expect(getContrastRatio('#161616', '#161616')).toBe(1);
+    expect(getContrastRatio('#0f62fe', '#ffffff')).toBeCloseTo(5, 2);
+  });
+
+  it('should blend a translucent foreground over the background', () => {
+    expect(blend('rgba(0, 0, 0, 0.5)', '#ffffff').hex()).toBe('#808080');
+    expect(getContrastRatio('rgba(22, 22, 22, 0)', '#ffffff')).toBe(1);
+  });
+
+  it('should get the APCA lightness contrast of two colors', () => {
+    expect(getAPCAContrast('#000000', '#ffffff')).toBeCloseTo(106.04, 2);
+    expect(getAPCAContrast('#ffffff', '#000000')).toBeCloseTo(-107.88, 2);
+    expect(getAPCAContrast('#888888', '#ffffff')).toBeCloseTo(63.06, 2);
+    expect(getAPCAContrast('#ffffff', '#ffffff')).toBe(0);
+  });
+});
+
+describe('auditTheme', () => {
+  it('should check every declared pairing', () => {
+    const report = auditTheme(white);
+    expect(report.passed).toBe(true);
+    expect(report.failures).toEqual([]);
+    expect(report.results).toHaveLength(contrastPairs.length);
+    expect(report.results[0]).toEqual({
+      foreground: 'text-primary',
+      background: 'background',
+      usage: 'text',
+      ratio: 18.1,
+      target: 4.5,
+      passed: true,
+    });
+  });
+
+  it('should report pairings below their target', () => {
+    const theme = createTheme({ overrides: { textSecondary: '#a8a8a8' } });
+    const report = auditTheme(theme);
+    expect(report.passed).toBe(false);
+    expect(report.failures.map(({ background }) => background)).toEqual([
+      'background',
+      'layer-01',
+      'layer-02',
+      'layer-03',
+    ]);
+    expect(report.failures[0]).toMatchObject({
+      foreground: 'text-secondary',
+      ratio: 2.38,
+    });
+  });
+
+  it('should support custom pairings and APCA', () => {
+    const report = auditTheme(white, {
+      apca: true,
+      pairs: [
+        { foreground: 'text-primary', background: 'layer-01', usage: 'text' },
+        {
+          foreground: 'border-strong-01',
+          background: 'background',
+          usage: 'non-text',
+        },
+      ],
+    });
+    expect(report.results).toHaveLength(2);
+    expect(report.results[0]).toMatchObject({
+      apcaTarget: 75,
+      passed: true,
+    });
+    expect(report.results[0].apca).toBeGreaterThan(75);
+  });
+
+  it('should throw for unknown tokens and usages', () => {
+    expect(() =>
+      auditTheme(white, {
+        pairs: [{ foreground: 'text-unknown', background: 'layer-01' }],
+      })
+    ).toThrow(
+      'Unable to find the tokens `text-unknown` and `layer-01` in the theme'
+    );
+    expect(() =>
+      auditTheme(white, {
+        pairs: [
+          { foreground: 'text-primary', background: 'layer-01', usage: 'body' },
+        ],
+      })
+    ).toThrow('Unknown contrast usage: `body`');
+  });
+});
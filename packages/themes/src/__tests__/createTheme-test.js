@@ -0,0 +1,129 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment node
+ */
+
+import { purple } from '@carbon/colors';
+import { createTheme, formatThemeModule, g100, white } from '../';
+import { deriveStateColor } from '../createTheme';
+
+describe('createTheme', () => {
+  it('should default to a copy of the white theme', () => {
+    const theme = createTheme();
+    expect(theme).toEqual({ ...white });
+    expect(theme).not.toBe(white);
+  });
+
+  it('should start from the given base theme', () => {
+    expect(createTheme({ base: 'g100' })).toEqual({ ...g100 });
+    expect(createTheme({ base: g100 }).background).toBe(g100.background);
+  });
+
+  it('should replace the blue of the base theme with a palette', () => {
+    const theme = createTheme({ palette: 'purple' });
+    expect(theme.backgroundBrand).toBe(purple[60]);
+    expect(theme.focus).toBe(purple[60]);
+    expect(theme.linkPrimaryHover).not.toBe(white.linkPrimaryHover);
+    expect(theme.aiAuraStart).toBe('rgba(165, 110, 255, 0.1)');
+    expect(theme.background).toBe(white.background);
+
+    expect(createTheme({ palette: { ...purple } })).toEqual(theme);
+  });
+
+  it('should apply overrides in camel case or kebab case', () => {
+    const theme = createTheme({
+      overrides: { backgroundBrand: '#8a3ffc', 'link-primary': '#6929c4' },
+    });
+    expect(theme.backgroundBrand).toBe('#8a3ffc');
+    expect(theme.linkPrimary).toBe('#6929c4');
+  });
+
+  it('should derive the states of tokens that changed', () => {
+    const theme = createTheme({
+      overrides: { linkPrimary: '#8a3ffc', textPrimary: '#121619' },
+    });
+    expect(theme.linkPrimaryHover).toBe('#6402f7');
+    expect(theme.textDisabled).toBe('rgba(18, 22, 25, 0.25)');
+    expect(theme.layerHover01).toBe(white.layerHover01);
+  });
+
+  it('should derive nested states and keep overridden states', () => {
+    const theme = createTheme({
+      overrides: { layer01: '#f2f4f8', layerHover01: '#dde1e6' },
+    });
+    expect(theme.layerHover01).toBe('#dde1e6');
+    expect(theme.layerSelected01).not.toBe(white.layerSelected01);
+    expect(theme.layerSelectedHover01).not.toBe(white.layerSelectedHover01);
+  });
+
+  it('should keep translucent overlays', () => {
+    const theme = createTheme({ overrides: { background: '#f2f4f8' } });
+    expect(theme.backgroundHover).toBe(white.backgroundHover);
+  });
+
+  it('should throw for unknown base themes, palettes and tokens', () => {
+    expect(() => createTheme({ base: 'g80' })).toThrow(
+      'Unable to find a base theme with the name: `g80`'
+    );
+    expect(() => createTheme({ palette: 'pink' })).toThrow(
+      'Unable to find a palette with the name: `pink`'
+    );
+    expect(() => createTheme({ overrides: { buttonPrimary: 'red' } })).toThrow(
+      'Unable to find a color token with the name: `buttonPrimary`'
+    );
+    expect(() => createTheme({ overrides: { spacing01: '1px' } })).toThrow(
+      'Unable to find a color token with the name: `spacing01`'
+    );
+  });
+});
+
+describe('deriveStateColor', () => {
+  it('should apply the lightness difference of the base theme', () => {
+    expect(
+      deriveStateColor({ base: '#ffffff', state: '#e8e8e8', value: '#ffffff' })
+    ).toBe('#e8e8e8');
+    expect(
+      deriveStateColor({ base: '#262626', state: '#333333', value: '#161616' })
+    ).toBe('#242424');
+  });
+});
+
+describe('formatThemeModule', () => {
+  const theme = createTheme({ overrides: { background: '#f2f4f8' } });
+
+  it('should format a Sass module', () => {
+    const scss = formatThemeModule({ name: 'brand', theme });
+    expect(scss).toContain(`@use '@carbon/themes/scss/utilities';`);
+    expect(scss).toContain('$brand: (\n');
+    expect(scss).toContain('  background: #f2f4f8,\n');
+    expect(scss).toContain('  background-hover: rgba(141, 141, 141, 0.12),\n');
+    expect(scss).not.toContain('spacing-01');
+    expect(scss).toContain('$brand: utilities.merge(');
+  });
+
+  it('should use the given utilities module', () => {
+    const scss = formatThemeModule({
+      name: 'brand',
+      theme,
+      utilities: '../utilities',
+    });
+    expect(scss).toContain(`@use '../utilities';`);
+    expect(scss).not.toContain('@carbon/themes');
+  });
+
+  it('should format a JavaScript module', () => {
+    const js = formatThemeModule({ name: 'brand', theme, format: 'js' });
+    expect(js).toContain(`export const background = "#f2f4f8";\n`);
+    expect(js).toContain(`export const spacing01 = "0.125rem";\n`);
+  });
+
+  it('should throw for unknown formats', () => {
+    expect(() =>
+      formatThemeModule({ name: 'brand', theme, format: 'css' })
+    ).toThrow('Unsupported theme module format: css');
+  });
+});
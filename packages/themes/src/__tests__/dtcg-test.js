@@ -0,0 +1,137 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment node
+ */
+
+import {
+  createTheme,
+  formatThemeModule,
+  fromDesignTokens,
+  g100,
+  themes,
+  toDesignTokens,
+  white,
+} from '../';
+import { DTCG_EXTENSION } from '../dtcg';
+
+describe('toDesignTokens', () => {
+  it('should group color tokens like the token groups', () => {
+    const tokens = toDesignTokens(white);
+    expect(tokens.layer['layer-01']).toEqual({
+      $type: 'color',
+      $value: '{color.gray.10}',
+    });
+    expect(tokens.layer['layer-hover-01']).toEqual({
+      $type: 'color',
+      $value: '#e8e8e8',
+    });
+    expect(tokens.interactive).toEqual({
+      $type: 'color',
+      $value: '{color.blue.60}',
+    });
+    expect(tokens.text['text-disabled']).toEqual({
+      $type: 'color',
+      $value: '#16161640',
+    });
+  });
+
+  it('should include the colors that tokens refer to', () => {
+    const tokens = toDesignTokens(g100);
+    expect(tokens.color.$type).toBe('color');
+    expect(tokens.color['cool-gray'][10]).toEqual({ $value: '#f2f4f8' });
+    expect(tokens.background.background.$value).toBe('{color.gray.100}');
+  });
+
+  it('should include type, layout and motion tokens', () => {
+    const tokens = toDesignTokens(white);
+    expect(tokens.type['productive-heading-02']).toEqual({
+      $type: 'typography',
+      $value: {
+        fontSize: '1rem',
+        fontWeight: 600,
+        lineHeight: 1.375,
+        letterSpacing: 0,
+      },
+    });
+    expect(
+      tokens.type['expressive-heading-04'].$extensions[DTCG_EXTENSION]
+    ).toEqual({ breakpoints: white.expressiveHeading04.breakpoints });
+    expect(tokens.layout['spacing-05']).toEqual({
+      $type: 'dimension',
+      $value: '1rem',
+    });
+    expect(tokens.motion.duration['fast-01']).toEqual({
+      $type: 'duration',
+      $value: '70ms',
+    });
+    expect(tokens.motion.easing['standard-productive']).toEqual({
+      $type: 'cubicBezier',
+      $value: [0.2, 0, 0.38, 0.9],
+    });
+  });
+});
+
+describe('fromDesignTokens', () => {
+  it.each(Object.entries(themes))(
+    'should convert the %s theme back to a theme',
+    (_name, theme) => {
+      const tokens = JSON.parse(JSON.stringify(toDesignTokens(theme)));
+      const result = fromDesignTokens(tokens);
+      Object.keys(result).forEach((key) => {
+        const expected =
+          typeof theme[key] === 'string' && theme[key].startsWith('#')
+            ? theme[key].toLowerCase()
+            : theme[key];
+        expect(result[key]).toEqual(expected);
+      });
+      expect(Object.keys(result)).toContain('expressiveHeading04');
+      expect(Object.keys(result)).toContain('spacing05');
+    }
+  );
+
+  it('should resolve aliases and inherit the type of groups', () => {
+    const theme = fromDesignTokens({
+      brand: {
+        $type: 'color',
+        primary: { $value: '#8a3ffc' },
+        muted: { $value: '{brand.primary}' },
+      },
+      theme: {
+        $type: 'color',
+        'link-primary': { $value: '{brand.muted}' },
+        'text-disabled': { $value: '#16161640' },
+        'unknown-token': { $value: '#000000' },
+      },
+    });
+    expect(theme).toEqual({
+      linkPrimary: '#8a3ffc',
+      textDisabled: 'rgba(22, 22, 22, 0.25)',
+    });
+  });
+
+  it('should throw for aliases that cannot be resolved', () => {
+    expect(() =>
+      fromDesignTokens({ interactive: { $value: '{color.unknown}' } })
+    ).toThrow('Unable to find a token with the path: `color.unknown`');
+    expect(() =>
+      fromDesignTokens({
+        a: { $value: '{b}' },
+        b: { $value: '{a}' },
+        interactive: { $type: 'color', $value: '{a}' },
+      })
+    ).toThrow('Unable to resolve a circular alias: `a -> b -> a`');
+  });
+
+  it('should create a theme that can be formatted as a module', () => {
+    const theme = fromDesignTokens(
+      toDesignTokens(createTheme({ palette: 'purple' }))
+    );
+    const scss = formatThemeModule({ name: 'custom', theme });
+    expect(scss).toContain('interactive: #8a3ffc,');
+    expect(scss).toContain('layout.$spacing');
+  });
+});
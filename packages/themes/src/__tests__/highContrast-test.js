@@ -0,0 +1,58 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @jest-environment node
+ */
+
+import {
+  auditTheme,
+  g100,
+  g100HighContrast,
+  white,
+  whiteHighContrast,
+} from '../';
+import { TokenFormat, highContrast } from '../tokens';
+
+const toScssName = (name) =>
+  TokenFormat.convert({ name, format: TokenFormat.formats.scss });
+
+describe.each([
+  ['whiteHighContrast', whiteHighContrast, white],
+  ['g100HighContrast', g100HighContrast, g100],
+])('%s', (_name, theme, base) => {
+  it('should only change the tokens of the high contrast set', () => {
+    const changed = Object.keys(theme).filter(
+      (key) => theme[key] !== base[key]
+    );
+    expect(changed.length).toBeGreaterThan(0);
+    changed.forEach((key) => {
+      expect(highContrast.hasToken(toScssName(key))).toBe(true);
+    });
+  });
+
+  it('should meet every contrast target', () => {
+    expect(auditTheme(theme).failures).toEqual([]);
+  });
+
+  it('should meet the enhanced contrast target for text on the background and first layer', () => {
+    const { results } = auditTheme(theme);
+    results
+      .filter(
+        (result) =>
+          result.usage === 'text' &&
+          ['background', 'layer-01'].includes(result.background)
+      )
+      .forEach((result) => {
+        expect(result.ratio).toBeGreaterThanOrEqual(7);
+      });
+  });
+
+  it('should use opaque colors for text and icons', () => {
+    ['textPlaceholder', 'textDisabled', 'iconDisabled'].forEach((key) => {
+      expect(theme[key]).toMatch(/^#[0-9a-f]{6}$/);
+    });
+  });
+});
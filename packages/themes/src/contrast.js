@@ -0,0 +1,198 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { getContrastRatio, getLuminance } from '@carbon/colors';
+import Color from 'color';
+import { TokenFormat } from './tokens';
+
+export { getContrastRatio, getLuminance as getRelativeLuminance };
+
+/**
+ * The minimum WCAG 2.x contrast ratio for each usage of a foreground token
+ * @see https://www.w3.org/TR/WCAG21/#contrast-minimum
+ * @see https://www.w3.org/TR/WCAG21/#non-text-contrast
+ */
+export const contrastTargets = {
+  text: 4.5,
+  'large-text': 3,
+  'non-text': 3,
+};
+
+/**
+ * The minimum absolute APCA lightness contrast for each usage of a foreground
+ * token, following the bronze simple mode of APCA
+ */
+export const apcaTargets = {
+  text: 75,
+  'large-text': 60,
+  'non-text': 45,
+};
+
+/**
+ * Composite a translucent color over an opaque background, so that tokens like
+ * `text-placeholder` are measured as they appear on screen
+ * @param {string} foreground
+ * @param {string} background
+ * @returns {Color}
+ */
+export function blend(foreground, background) {
+  const top = Color(foreground).rgb();
+  const bottom = Color(background).rgb();
+  const alpha = top.alpha();
+  if (alpha === 1) {
+    return top;
+  }
+  return Color.rgb(
+    ['red', 'green', 'blue'].map(
+      (channel) => top[channel]() * alpha + bottom[channel]() * (1 - alpha)
+    )
+  );
+}
+
+/**
+ * Get the APCA lightness contrast (Lc) of a text color on a background color,
+ * using the constants of APCA 0.0.98G. Unlike the WCAG 2.x ratio, the result
+ * depends on which color is the text: it is positive for dark text on a light
+ * background and negative for light text on a dark background.
+ * @see https://github.com/Myndex/SAPC-APCA
+ * @param {string} text
+ * @param {string} background
+ * @returns {number} a number from about -108 to 106
+ */
+export function getAPCAContrast(text, background) {
+  const getY = (color) => {
+    const [r, g, b] = Color(color)
+      .rgb()
+      .array()
+      .map((channel) => Math.pow(channel / 255, 2.4));
+    const y = 0.2126729 * r + 0.7151522 * g + 0.072175 * b;
+    // Soft clamp colors near black
+    return y < 0.022 ? y + Math.pow(0.022 - y, 1.414) : y;
+  };
+
+  const textY = getY(blend(text, background));
+  const backgroundY = getY(background);
+  if (Math.abs(backgroundY - textY) < 0.0005) {
+    return 0;
+  }
+
+  if (backgroundY > textY) {
+    const contrast =
+      (Math.pow(backgroundY, 0.56) - Math.pow(textY, 0.57)) * 1.14;
+    return contrast < 0.1 ? 0 : (contrast - 0.027) * 100;
+  }
+
+  const contrast = (Math.pow(backgroundY, 0.65) - Math.pow(textY, 0.62)) * 1.14;
+  return contrast > -0.1 ? 0 : (contrast + 0.027) * 100;
+}
+
+const layers = [
+  { background: 'background', border: 'border-strong-01' },
+  { background: 'layer-01', border: 'border-strong-02' },
+  { background: 'layer-02', border: 'border-strong-03' },
+  { background: 'layer-03' },
+];
+
+/**
+ * The foreground and background token pairings of every theme, with the usage
+ * that decides their contrast target. Text and icons are checked on the
+ * background and on each layer, and the strong border of each layer against
+ * the background that the layer is placed on.
+ */
+export const contrastPairs = [
+  ...layers.flatMap(({ background, border }) => [
+    { foreground: 'text-primary', background, usage: 'text' },
+    { foreground: 'text-secondary', background, usage: 'text' },
+    { foreground: 'text-error', background, usage: 'text' },
+    { foreground: 'link-primary', background, usage: 'text' },
+    { foreground: 'icon-primary', background, usage: 'non-text' },
+    { foreground: 'icon-secondary', background, usage: 'non-text' },
+    ...(border ? [{ foreground: border, background, usage: 'non-text' }] : []),
+  ]),
+  { foreground: 'text-primary', background: 'field-01', usage: 'text' },
+  { foreground: 'text-primary', background: 'field-02', usage: 'text' },
+  {
+    foreground: 'text-inverse',
+    background: 'background-inverse',
+    usage: 'text',
+  },
+  {
+    foreground: 'link-inverse',
+    background: 'background-inverse',
+    usage: 'text',
+  },
+  {
+    foreground: 'text-on-color',
+    background: 'background-brand',
+    usage: 'text',
+  },
+  { foreground: 'focus', background: 'background', usage: 'non-text' },
+  { foreground: 'interactive', background: 'background', usage: 'non-text' },
+];
+
+const toJavaScriptName = (name) =>
+  TokenFormat.convert({ name, format: TokenFormat.formats.js });
+
+/**
+ * Check the contrast of every foreground and background token pairing of a
+ * theme against its WCAG 2.x target, and optionally its APCA target.
+ *
+ * @param {object} theme a theme, like `white` or the result of `createTheme`
+ * @param {object} [options]
+ * @param {Array<object>} [options.pairs] the pairings to check, defaults to
+ * `contrastPairs`
+ * @param {boolean} [options.apca] also check the APCA lightness contrast
+ * @returns {{ passed: boolean, results: Array<object>, failures: Array<object> }}
+ */
+export function auditTheme(
+  theme,
+  { pairs = contrastPairs, apca = false } = {}
+) {
+  const results = pairs.map(({ foreground, background, usage }) => {
+    const foregroundValue = theme[toJavaScriptName(foreground)];
+    const backgroundValue = theme[toJavaScriptName(background)];
+    if (foregroundValue === undefined || backgroundValue === undefined) {
+      throw new Error(
+        `Unable to find the tokens \`${foreground}\` and \`${background}\` in the theme`
+      );
+    }
+    if (!contrastTargets[usage]) {
+      throw new Error(
+        `Unknown contrast usage: \`${usage}\`. Expected one of: ${Object.keys(
+          contrastTargets
+        ).join(', ')}`
+      );
+    }
+
+    const ratio = getContrastRatio(foregroundValue, backgroundValue);
+    const result = {
+      foreground,
+      background,
+      usage,
+      ratio: Math.round(ratio * 100) / 100,
+      target: contrastTargets[usage],
+      passed: ratio >= contrastTargets[usage],
+    };
+
+    if (apca) {
+      const lightness = getAPCAContrast(foregroundValue, backgroundValue);
+      result.apca = Math.round(lightness * 10) / 10;
+      result.apcaTarget = apcaTargets[usage];
+      result.passed =
+        result.passed && Math.abs(lightness) >= apcaTargets[usage];
+    }
+
+    return result;
+  });
+
+  const failures = results.filter((result) => !result.passed);
+  return {
+    passed: failures.length === 0,
+    results,
+    failures,
+  };
+}
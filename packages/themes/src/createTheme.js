@@ -0,0 +1,299 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { blue, colors } from '@carbon/colors';
+import Color from 'color';
+import * as white from './white';
+import * as g10 from './g10';
+import * as g90 from './g90';
+import * as g100 from './g100';
+import * as whiteHighContrast from './whiteHighContrast';
+import * as g100HighContrast from './g100HighContrast';
+import { TokenFormat, group, unstable_metadata } from './tokens';
+
+const baseThemes = {
+  white,
+  g10,
+  g90,
+  g100,
+  whiteHighContrast,
+  g100HighContrast,
+};
+
+const toJavaScriptName = (name) =>
+  name.includes('-')
+    ? TokenFormat.convert({ name, format: TokenFormat.formats.js })
+    : name;
+
+const toScssName = (name) =>
+  TokenFormat.convert({ name, format: TokenFormat.formats.scss });
+
+function parseColor(value) {
+  try {
+    return Color(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatColor(color) {
+  if (color.alpha() === 1) {
+    return color.round().hex().toLowerCase();
+  }
+  return color.rgb().round().string();
+}
+
+/**
+ * Swap the blue of a value for the same step of the given palette, keeping its
+ * alpha so that translucent tokens like `ai-aura-start` follow the palette.
+ * @param {string} value
+ * @param {object} palette
+ * @returns {string}
+ */
+function mapToPalette(value, palette) {
+  const color = parseColor(value);
+  if (!color) {
+    return value;
+  }
+  const hex = color.alpha(1).hex().toLowerCase();
+  const step = Object.keys(blue).find((key) => blue[key] === hex);
+  if (!step || !palette[step]) {
+    return value;
+  }
+  return formatColor(Color(palette[step]).alpha(color.alpha()));
+}
+
+/**
+ * Derive the value of a state token for a new base color. The difference in
+ * saturation, lightness and alpha between the base token and the state token
+ * of the base theme is applied to the new color, so that hover, active,
+ * selected and disabled states keep their contrast with the base token.
+ * @param {object} options
+ * @param {string} options.base the base token in the base theme
+ * @param {string} options.state the state token in the base theme
+ * @param {string} options.value the new value of the base token
+ * @returns {string}
+ */
+export function deriveStateColor({ base, state, value }) {
+  const baseColor = parseColor(base);
+  const stateColor = parseColor(state);
+  const color = parseColor(value);
+  if (!baseColor || !stateColor || !color) {
+    return state;
+  }
+
+  // A translucent state of an opaque token is either the same color with less
+  // opacity, like `text-disabled`, or an overlay that works for any base
+  // color, like `background-hover`
+  if (stateColor.alpha() < 1 && baseColor.alpha() === 1) {
+    if (stateColor.alpha(1).hex() === baseColor.hex()) {
+      return formatColor(color.alpha(stateColor.alpha()));
+    }
+    return state;
+  }
+
+  const from = baseColor.hsl().object();
+  const to = stateColor.hsl().object();
+  const next = color.hsl().object();
+  const clamp = (number) => Math.min(Math.max(number, 0), 100);
+
+  return formatColor(
+    Color.hsl(
+      next.h,
+      clamp(next.s + (to.s - from.s)),
+      clamp(next.l + (to.l - from.l))
+    ).alpha((color.alpha() * stateColor.alpha()) / baseColor.alpha())
+  );
+}
+
+/**
+ * Create a theme from one of the base themes. Values are applied in order: the
+ * palette replaces the blue of the base theme, the overrides replace single
+ * tokens, and the hover, active, selected and disabled variants of every token
+ * that changed are derived again, unless they are overridden themselves.
+ *
+ * @param {object} [options]
+ * @param {string|object} [options.base] the theme to start from, by name like
+ * `g10` or `whiteHighContrast`, or as a theme object
+ * @param {object} [options.overrides] token values by name, in camel case like
+ * `linkPrimary` or kebab case like `link-primary`
+ * @param {string|object} [options.palette] the name of a palette of
+ * `@carbon/colors`, like `purple`, or an object with the colors of each step
+ * from `10` to `100`
+ * @returns {object} a theme with the same shape as `white`, `g10`, `g90` and
+ * `g100`
+ */
+export function createTheme({ base = 'white', overrides = {}, palette } = {}) {
+  const baseTheme = typeof base === 'string' ? baseThemes[base] : base;
+  if (!baseTheme) {
+    throw new Error(
+      `Unable to find a base theme with the name: \`${base}\`. Expected one of: ${Object.keys(
+        baseThemes
+      ).join(', ')}`
+    );
+  }
+
+  const brand = typeof palette === 'string' ? colors[palette] : palette;
+  if (palette && !brand) {
+    throw new Error(`Unable to find a palette with the name: \`${palette}\``);
+  }
+
+  const colorTokens = unstable_metadata.v11.filter(
+    (token) =>
+      token.type === 'color' && toJavaScriptName(token.name) in baseTheme
+  );
+
+  const tokenOverrides = {};
+  Object.keys(overrides).forEach((name) => {
+    const key = toJavaScriptName(name);
+    if (!(key in baseTheme) || !group.getToken(toScssName(key))) {
+      throw new Error(
+        `Unable to find a color token with the name: \`${name}\``
+      );
+    }
+    tokenOverrides[key] = overrides[name];
+  });
+
+  const theme = { ...baseTheme };
+  if (brand) {
+    colorTokens.forEach((token) => {
+      const key = toJavaScriptName(token.name);
+      theme[key] = mapToPalette(baseTheme[key], brand);
+    });
+  }
+  Object.assign(theme, tokenOverrides);
+
+  // Every state token is derived from the token with the same name without its
+  // state, like `layer-hover-01` from `layer-01` and `layer-selected-hover-01`
+  // from `layer-selected-01`, or from its primary variant, like `text-disabled`
+  // from `text-primary`
+  const stateTokens = new Map();
+  colorTokens
+    .filter((token) => token.state)
+    .forEach((token) => {
+      const baseName = token.name.replace(`-${token.state}`, '');
+      const baseKey = [baseName, `${baseName}-primary`]
+        .map(toJavaScriptName)
+        .find((key) => key in baseTheme);
+      if (baseName !== token.name && baseKey) {
+        stateTokens.set(toJavaScriptName(token.name), baseKey);
+      }
+    });
+
+  const resolved = new Set();
+  const resolve = (key) => {
+    const baseKey = stateTokens.get(key);
+    if (!baseKey || resolved.has(key)) {
+      return;
+    }
+    resolved.add(key);
+    resolve(baseKey);
+    if (key in tokenOverrides || theme[baseKey] === baseTheme[baseKey]) {
+      return;
+    }
+    theme[key] = deriveStateColor({
+      base: baseTheme[baseKey],
+      state: baseTheme[key],
+      value: theme[baseKey],
+    });
+  };
+  stateTokens.forEach((_, key) => resolve(key));
+
+  return theme;
+}
+
+/**
+ * Format the value of a token as Sass. The theme modules generated for this
+ * package go through the same function, see `tasks/builders/shared.js`.
+ * @param {string|number} value
+ * @returns {string}
+ */
+export function formatScssValue(value) {
+  if (typeof value === 'number') {
+    return `${value}`;
+  }
+  if (
+    value[0] === '#' ||
+    value.endsWith('px') ||
+    value.endsWith('em') ||
+    value.endsWith('%') ||
+    value.endsWith('vw') ||
+    value.endsWith('vh') ||
+    value.startsWith('rgb') ||
+    value === '0'
+  ) {
+    return value;
+  }
+  return `unquote("${value}")`;
+}
+
+/**
+ * Get the name and Sass value of every token of a theme that is part of the
+ * Sass map of a theme
+ * @param {object} theme
+ * @returns {Array<[string, string]>}
+ */
+export function getScssThemeProperties(theme) {
+  return Object.keys(theme)
+    .filter((key) => group.getToken(toScssName(key)))
+    .map((key) => [toScssName(key), formatScssValue(theme[key])]);
+}
+
+/**
+ * Format a theme as the source of a module, in the same shape as the modules
+ * that are generated for the themes of this package: a Sass map of the color
+ * tokens merged with the layout and type tokens, or a JavaScript module with a
+ * named export for every token.
+ *
+ * @param {object} options
+ * @param {string} options.name the name of the theme
+ * @param {object} options.theme a theme, like the result of `createTheme`
+ * @param {'scss'|'js'} [options.format]
+ * @param {string} [options.utilities] the Sass module that provides `merge`,
+ * which is `../utilities` for the modules generated inside of this package
+ * @returns {string}
+ */
+export function formatThemeModule({
+  name,
+  theme,
+  format = 'scss',
+  utilities = '@carbon/themes/scss/utilities',
+}) {
+  if (format === 'js') {
+    return Object.entries(theme)
+      .map(
+        ([key, value]) => `export const ${key} = ${JSON.stringify(value)};\n`
+      )
+      .join('');
+  }
+
+  if (format !== 'scss') {
+    throw new Error(`Unsupported theme module format: ${format}`);
+  }
+
+  const properties = getScssThemeProperties(theme).map(
+    ([key, value]) => `  ${key}: ${value},`
+  );
+
+  return [
+    `@use 'sass:map';`,
+    `@use '@carbon/layout';`,
+    `@use '@carbon/type';`,
+    `@use '${utilities}';`,
+    '',
+    `$${name}: (`,
+    ...properties,
+    `) !default;`,
+    `$${name}: utilities.merge(`,
+    `  $${name},`,
+    `  layout.$spacing,`,
+    `  layout.$fluid-spacing,`,
+    `  type.$tokens`,
+    `);`,
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,273 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { colors } from '@carbon/colors';
+import * as motion from '@carbon/motion';
+import Color from 'color';
+import { TokenFormat, group } from './tokens';
+import { layout } from './tokens/layout';
+import { type } from './tokens/type';
+
+/**
+ * The key of the `$extensions` of a token for values that have no equivalent in
+ * the Design Tokens format, like the breakpoints of a type style
+ */
+export const DTCG_EXTENSION = 'com.ibm.carbon';
+
+const durations = [
+  'fast-01',
+  'fast-02',
+  'moderate-01',
+  'moderate-02',
+  'slow-01',
+  'slow-02',
+];
+
+const toJavaScriptName = (name) =>
+  TokenFormat.convert({ name, format: TokenFormat.formats.js });
+
+const toGroupName = (name) => name.toLowerCase();
+
+const toKebabCase = (name) =>
+  name.replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase();
+
+/**
+ * Format a color as a hex string, with an alpha channel for translucent colors
+ * like `#16161640`
+ * @param {string} value
+ * @returns {string}
+ */
+function formatColor(value) {
+  const color = Color(value);
+  const hex = color.alpha(1).hex().toLowerCase();
+  if (color.alpha() === 1) {
+    return hex;
+  }
+  const alpha = Math.round(color.alpha() * 255)
+    .toString(16)
+    .padStart(2, '0');
+  return `${hex}${alpha}`;
+}
+
+/**
+ * Parse a hex string with an optional alpha channel in the format of the
+ * theme modules, where translucent colors are `rgba()` strings
+ * @param {string} value
+ * @returns {string}
+ */
+function parseColor(value) {
+  const color = Color(value);
+  if (color.alpha() === 1) {
+    return color.hex().toLowerCase();
+  }
+  return color
+    .rgb()
+    .alpha(Math.round(color.alpha() * 100) / 100)
+    .string();
+}
+
+function getPaletteGroup() {
+  const palette = { $type: 'color' };
+  const aliases = new Map();
+  Object.entries(colors).forEach(([swatch, grades]) => {
+    const name = toKebabCase(swatch);
+    palette[name] = {};
+    Object.entries(grades).forEach(([grade, value]) => {
+      palette[name][grade] = { $value: value };
+      if (!aliases.has(value)) {
+        aliases.set(value, `{color.${name}.${grade}}`);
+      }
+    });
+  });
+  return { palette, aliases };
+}
+
+function getTypeToken(value) {
+  const { breakpoints, ...style } = value;
+  const token = {
+    $type: 'typography',
+    $value: style,
+  };
+  if (breakpoints) {
+    token.$extensions = {
+      [DTCG_EXTENSION]: { breakpoints },
+    };
+  }
+  return token;
+}
+
+function getTokenGroup(tokenGroup, getToken) {
+  const result = {};
+  tokenGroup.children.forEach((child) => {
+    if (child.kind === 'TokenGroup') {
+      const children = getTokenGroup(child, getToken);
+      if (Object.keys(children).length > 0) {
+        result[toGroupName(child.name)] = children;
+      }
+      return;
+    }
+    const token = getToken(child.name);
+    if (token) {
+      result[child.name.toLowerCase()] = token;
+    }
+  });
+  return result;
+}
+
+/**
+ * Convert a theme to the format of the Design Tokens Community Group. Color
+ * tokens are grouped like the `TokenGroup` of the theme tokens, and reference
+ * the colors of `@carbon/colors` in the `color` group when they have the same
+ * value. The type, layout and motion tokens are added in the `type`, `layout`
+ * and `motion` groups.
+ *
+ * @see https://tr.designtokens.org/format/
+ * @param {object} theme a theme, like `white` or the result of `createTheme`
+ * @returns {object}
+ */
+export function toDesignTokens(theme) {
+  const { palette, aliases } = getPaletteGroup();
+
+  const colorTokens = getTokenGroup(group, (name) => {
+    const value = theme[toJavaScriptName(name)];
+    if (typeof value !== 'string') {
+      return null;
+    }
+    const hex = formatColor(value);
+    return {
+      $type: 'color',
+      $value: aliases.get(hex) ?? hex,
+    };
+  });
+
+  const typeTokens = getTokenGroup(type, (name) => {
+    const value = theme[toJavaScriptName(name)];
+    return value ? getTypeToken(value) : null;
+  });
+
+  const layoutTokens = getTokenGroup(layout, (name) => {
+    const value = theme[toJavaScriptName(name)];
+    return value === undefined ? null : { $type: 'dimension', $value: value };
+  });
+
+  return {
+    color: palette,
+    ...colorTokens,
+    type: typeTokens,
+    layout: layoutTokens,
+    motion: {
+      duration: Object.fromEntries(
+        durations.map((name) => [
+          name,
+          { $type: 'duration', $value: motion[toJavaScriptName(name)] },
+        ])
+      ),
+      easing: Object.fromEntries(
+        Object.entries(motion.easings).flatMap(([name, modes]) =>
+          Object.entries(modes).map(([mode, value]) => [
+            `${name}-${mode}`,
+            {
+              $type: 'cubicBezier',
+              $value: value.match(/-?[\d.]+/g).map(Number),
+            },
+          ])
+        )
+      ),
+    },
+  };
+}
+
+const isToken = (node) =>
+  node !== null && typeof node === 'object' && '$value' in node;
+
+/**
+ * Find a token in a Design Tokens file by its path, like `color.blue.60`
+ * @param {object} tokens
+ * @param {string} path
+ * @returns {object}
+ */
+function getTokenByPath(tokens, path) {
+  const token = path
+    .split('.')
+    .reduce((node, key) => (node ? node[key] : undefined), tokens);
+  if (!isToken(token)) {
+    throw new Error(`Unable to find a token with the path: \`${path}\``);
+  }
+  return token;
+}
+
+function resolveValue(tokens, value, visited = []) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const match = value.match(/^\{(.+)\}$/);
+  if (!match) {
+    return value;
+  }
+  const path = match[1];
+  if (visited.includes(path)) {
+    throw new Error(
+      `Unable to resolve a circular alias: \`${visited
+        .concat(path)
+        .join(' -> ')}\``
+    );
+  }
+  return resolveValue(
+    tokens,
+    getTokenByPath(tokens, path).$value,
+    visited.concat(path)
+  );
+}
+
+/**
+ * Convert a file in the format of the Design Tokens Community Group back to a
+ * theme, with the same shape as `white`, `g10`, `g90` and `g100`. Tokens are
+ * found by name anywhere in the file, so that groups can be moved around, and
+ * aliases are resolved. Tokens that are not part of a theme, like the colors
+ * of `@carbon/colors` and motion tokens, are ignored.
+ *
+ * @param {object} tokens the parsed contents of a `.tokens.json` file
+ * @returns {object}
+ */
+export function fromDesignTokens(tokens) {
+  const names = new Set(
+    [group, type, layout].flatMap((tokenGroup) =>
+      tokenGroup.getTokens().map((token) => token.name.toLowerCase())
+    )
+  );
+  const theme = {};
+
+  const visit = (node, inheritedType) => {
+    Object.entries(node).forEach(([key, child]) => {
+      if (key.startsWith('$') || child === null || typeof child !== 'object') {
+        return;
+      }
+      const $type = child.$type ?? inheritedType;
+      if (!isToken(child)) {
+        visit(child, $type);
+        return;
+      }
+      if (!names.has(key)) {
+        return;
+      }
+
+      const value = resolveValue(tokens, child.$value, []);
+      const name = toJavaScriptName(key);
+      if ($type === 'color') {
+        theme[name] = parseColor(value);
+      } else if ($type === 'typography') {
+        const breakpoints = child.$extensions?.[DTCG_EXTENSION]?.breakpoints;
+        theme[name] = breakpoints ? { ...value, breakpoints } : { ...value };
+      } else {
+        theme[name] = value;
+      }
+    });
+  };
+  visit(tokens);
+
+  return theme;
+}
@@ -0,0 +1,87 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  // Blue
+  blue20,
+  blue30,
+  blue40,
+
+  // Gray
+  gray20,
+  gray30,
+  gray40,
+  gray50,
+  gray60,
+
+  // Support
+  red30,
+  red40,
+  purple30,
+
+  // Constants
+  white,
+} from '@carbon/colors';
+
+// The g100 high contrast theme only changes the tokens of the high contrast
+// token set, every other token comes from the g100 theme
+export * from './g100';
+
+// Border
+export const borderSubtle00 = gray50;
+export const borderSubtle01 = gray50;
+export const borderSubtleSelected01 = gray40;
+export const borderSubtle02 = gray50;
+export const borderSubtleSelected02 = gray40;
+export const borderSubtle03 = gray50;
+export const borderSubtleSelected03 = gray40;
+
+export const borderStrong01 = gray30;
+export const borderStrong02 = gray30;
+export const borderStrong03 = gray30;
+
+export const borderTile01 = gray50;
+export const borderTile02 = gray50;
+export const borderTile03 = gray50;
+
+export const borderInteractive = blue40;
+
+// Text
+export const textPrimary = white;
+export const textSecondary = gray20;
+export const textPlaceholder = gray30;
+export const textHelper = gray30;
+export const textError = red30;
+export const textDisabled = gray60;
+
+// Link
+export const linkPrimary = blue30;
+export const linkPrimaryHover = blue20;
+export const linkSecondary = blue20;
+export const linkVisited = purple30;
+
+// Icon
+export const iconPrimary = white;
+export const iconSecondary = gray20;
+export const iconDisabled = gray60;
+export const iconInteractive = white;
+
+// Support
+export const supportError = red40;
+export const supportInfo = blue40;
+
+// Focus
+export const focus = white;
+
+// Misc
+export const interactive = blue40;
+export const toggleOff = gray50;
+
+// Chat button tokens
+export const chatButton = linkPrimary;
+export const chatButtonTextHover = linkPrimaryHover;
+export const chatButtonTextSelected = textSecondary;
@@ -9,11 +9,24 @@ import * as white from './white';
 import * as g10 from './g10';
 import * as g90 from './g90';
 import * as g100 from './g100';
+import * as whiteHighContrast from './whiteHighContrast';
+import * as g100HighContrast from './g100HighContrast';
 import * as v10 from './v10';
 import * as buttonTokens from './component-tokens/button';
 import * as tagTokens from './component-tokens/tag';
 import * as notificationTokens from './component-tokens/notification';
 import { formatTokenName } from './tools';
+import { createTheme, formatThemeModule } from './createTheme';
+import {
+  apcaTargets,
+  auditTheme,
+  contrastPairs,
+  contrastTargets,
+  getAPCAContrast,
+  getContrastRatio,
+  getRelativeLuminance,
+} from './contrast';
+import { fromDesignTokens, toDesignTokens } from './dtcg';
 import { unstable_metadata } from './tokens';
 
 const themes = {
@@ -21,6 +34,8 @@ const themes = {
   g10,
   g90,
   g100,
+  whiteHighContrast,
+  g100HighContrast,
 };
 
 export * from './white';
@@ -29,6 +44,8 @@ export {
   g10,
   g90,
   g100,
+  whiteHighContrast,
+  g100HighContrast,
   themes,
   v10,
   buttonTokens,
@@ -36,4 +53,15 @@ export {
   notificationTokens,
   unstable_metadata,
   formatTokenName,
+  createTheme,
+  formatThemeModule,
+  auditTheme,
+  contrastPairs,
+  contrastTargets,
+  apcaTargets,
+  getContrastRatio,
+  getRelativeLuminance,
+  getAPCAContrast,
+  toDesignTokens,
+  fromDesignTokens,
 };
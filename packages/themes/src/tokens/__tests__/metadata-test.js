@@ -567,18 +567,22 @@ test('metadata', () => {
         },
         Object {
           "name": "background-active",
+          "state": "active",
           "type": "color",
         },
         Object {
           "name": "background-selected",
+          "state": "selected",
           "type": "color",
         },
         Object {
           "name": "background-selected-hover",
+          "state": "hover",
           "type": "color",
         },
         Object {
           "name": "background-hover",
+          "state": "hover",
           "type": "color",
         },
         Object {
@@ -591,6 +595,7 @@ test('metadata', () => {
         },
         Object {
           "name": "background-inverse-hover",
+          "state": "hover",
           "type": "color",
         },
         Object {
@@ -599,18 +604,22 @@ test('metadata', () => {
         },
         Object {
           "name": "layer-active-01",
+          "state": "active",
           "type": "color",
         },
         Object {
           "name": "layer-hover-01",
+          "state": "hover",
           "type": "color",
         },
         Object {
           "name": "layer-selected-01",
+          "state": "selected",
           "type": "color",
         },
         Object {
           "name": "layer-selected-hover-01",
+          "state": "hover",
           "type": "color",
         },
         Object {
@@ -619,18 +628,22 @@ test('metadata', () => {
         },
         Object {
           "name": "layer-active-02",
+          "state": "active",
           "type": "color",
         },
         Object {
           "name": "layer-hover-02",
+          "state": "hover",
           "type": "color",
         },
         Object {
           "name": "layer-selected-02",
+          "state": "selected",
           "type": "color",
         },
         Object {
           "name": "layer-selected-hover-02",
+          "state": "hover",
           "type": "color",
         },
         Object {
@@ -639,18 +652,22 @@ test('metadata', () => {
         },
         Object {
           "name": "layer-active-03",
+          "state": "active",
           "type": "color",
         },
         Object {
           "name": "layer-hover-03",
+          "state": "hover",
           "type": "color",
         },
         Object {
           "name": "layer-selected-03",
+          "state": "selected",
           "type": "color",
         },
         Object {
           "name": "layer-selected-hover-03",
+          "state": "hover",
           "type": "color",
         },
         Object {
@@ -659,6 +676,7 @@ test('metadata', () => {
         },
         Object {
           "name": "layer-selected-disabled",
+          "state": "disabled",
           "type": "color",
         },
         Object {
@@ -667,10 +685,12 @@ test('metadata', () => {
         },
         Object {
           "name": "layer-accent-active-01",
+          "state": "active",
           "type": "color",
         },
         Object {
           "name": "layer-accent-hover-01",
+          "state": "hover",
           "type": "color",
         },
         Object {
@@ -679,10 +699,12 @@ test('metadata', () => {
         },
         Object {
           "name": "layer-accent-active-02",
+          "state": "active",
           "type": "color",
         },
         Object {
           "name": "layer-accent-hover-02",
+          "state": "hover",
           "type": "color",
         },
         Object {
@@ -691,10 +713,12 @@ test('metadata', () => {
         },
         Object {
           "name": "layer-accent-active-03",
+          "state": "active",
           "type": "color",
         },
         Object {
           "name": "layer-accent-hover-03",
+          "state": "hover",
           "type": "color",
         },
         Object {
@@ -703,6 +727,7 @@ test('metadata', () => {
         },
         Object {
           "name": "field-hover-01",
+          "state": "hover",
           "type": "color",
         },
         Object {
@@ -711,6 +736,7 @@ test('metadata', () => {
         },
         Object {
           "name": "field-hover-02",
+          "state": "hover",
           "type": "color",
         },
         Object {
@@ -719,6 +745,7 @@ test('metadata', () => {
         },
         Object {
           "name": "field-hover-03",
+          "state": "hover",
           "type": "color",
         },
         Object {
@@ -735,6 +762,7 @@ test('metadata', () => {
         },
         Object {
           "name": "border-subtle-selected-01",
+          "state": "selected",
           "type": "color",
         },
         Object {
@@ -743,6 +771,7 @@ test('metadata', () => {
         },
         Object {
           "name": "border-subtle-selected-02",
+          "state": "selected",
           "type": "color",
         },
         Object {
@@ -751,6 +780,7 @@ test('metadata', () => {
         },
         Object {
           "name": "border-subtle-selected-03",
+          "state": "selected",
           "type": "color",
         },
         Object {
@@ -787,6 +817,7 @@ test('metadata', () => {
         },
         Object {
           "name": "border-disabled",
+          "state": "disabled",
           "type": "color",
         },
         Object {
@@ -819,10 +850,12 @@ test('metadata', () => {
         },
         Object {
           "name": "text-on-color-disabled",
+          "state": "disabled",
           "type": "color",
         },
         Object {
           "name": "text-disabled",
+          "state": "disabled",
           "type": "color",
         },
         Object {
@@ -831,6 +864,7 @@ test('metadata', () => {
         },
         Object {
           "name": "link-primary-hover",
+          "state": "hover",
           "type": "color",
         },
         Object {
@@ -839,6 +873,7 @@ test('metadata', () => {
         },
         Object {
           "name": "link-inverse-visited",
+          "state": "visited",
           "type": "color",
         },
         Object {
@@ -875,10 +910,12 @@ test('metadata', () => {
         },
         Object {
           "name": "icon-on-color-disabled",
+          "state": "disabled",
           "type": "color",
         },
         Object {
           "name": "icon-disabled",
+          "state": "disabled",
           "type": "color",
         },
         Object {
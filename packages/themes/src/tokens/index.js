@@ -10,21 +10,25 @@ import { TokenFormat } from './TokenFormat';
 import { TokenGroup } from './TokenGroup';
 import { TokenSet } from './TokenSet';
 import { group, contextual } from './v11TokenGroup';
-import { set } from './v11TokenSet';
+import { set, highContrast } from './v11TokenSet';
 import * as components from './components';
 import { type } from './type';
 import { layout } from './layout';
 import { v10 } from './v10';
 
-export { Token, TokenFormat, TokenGroup, TokenSet, group, set };
+export { Token, TokenFormat, TokenGroup, TokenSet, group, set, highContrast };
 
 const v11 = [
-  // Base color tokens
+  // Base color tokens, with the interaction state of the token if it has one
   ...group.getTokens().map((token) => {
-    return {
+    const metadata = {
       name: token.name,
       type: 'color',
     };
+    if (token.state) {
+      metadata.state = token.state;
+    }
+    return metadata;
   }),
 
   // Contextual tokens
@@ -6,7 +6,19 @@
  */
 
 import { TokenSet } from './TokenSet';
-import { background, border, field, layer } from './v11TokenGroup';
+import {
+  ai,
+  background,
+  border,
+  field,
+  focus,
+  group,
+  icon,
+  layer,
+  link,
+  support,
+  text,
+} from './v11TokenGroup';
 
 export const set = TokenSet.create({
   name: 'All',
@@ -89,3 +101,55 @@ export const set = TokenSet.create({
     }),
   ],
 });
+
+/**
+ * The tokens that the high contrast themes change from the theme that they are
+ * based on. Every other token keeps the value of the base theme.
+ */
+export const highContrast = TokenSet.create({
+  name: 'High contrast set',
+  tokens: [
+    border.getToken('border-subtle-00'),
+    border.getToken('border-subtle-01'),
+    border.getToken('border-subtle-selected-01'),
+    border.getToken('border-subtle-02'),
+    border.getToken('border-subtle-selected-02'),
+    border.getToken('border-subtle-03'),
+    border.getToken('border-subtle-selected-03'),
+    border.getToken('border-strong-01'),
+    border.getToken('border-strong-02'),
+    border.getToken('border-strong-03'),
+    border.getToken('border-tile-01'),
+    border.getToken('border-tile-02'),
+    border.getToken('border-tile-03'),
+    border.getToken('border-interactive'),
+
+    text.getToken('text-primary'),
+    text.getToken('text-secondary'),
+    text.getToken('text-placeholder'),
+    text.getToken('text-helper'),
+    text.getToken('text-error'),
+    text.getToken('text-disabled'),
+
+    link.getToken('link-primary'),
+    link.getToken('link-primary-hover'),
+    link.getToken('link-secondary'),
+    link.getToken('link-visited'),
+
+    icon.getToken('icon-primary'),
+    icon.getToken('icon-secondary'),
+    icon.getToken('icon-disabled'),
+    icon.getToken('icon-interactive'),
+
+    support.getToken('support-error'),
+    support.getToken('support-info'),
+
+    focus.getToken('focus'),
+    group.getToken('interactive'),
+    group.getToken('toggle-off'),
+
+    ai.getToken('chat-button'),
+    ai.getToken('chat-button-text-hover'),
+    ai.getToken('chat-button-text-selected'),
+  ],
+});
@@ -0,0 +1,84 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  // Blue
+  blue70,
+  blue80,
+
+  // Gray
+  gray50,
+  gray60,
+  gray70,
+  gray80,
+
+  // Support
+  red70,
+  purple70,
+
+  // Constants
+  black,
+} from '@carbon/colors';
+
+// The white high contrast theme only changes the tokens of the high contrast
+// token set, every other token comes from the white theme
+export * from './white';
+
+// Border
+export const borderSubtle00 = gray60;
+export const borderSubtle01 = gray60;
+export const borderSubtleSelected01 = gray70;
+export const borderSubtle02 = gray60;
+export const borderSubtleSelected02 = gray70;
+export const borderSubtle03 = gray60;
+export const borderSubtleSelected03 = gray70;
+
+export const borderStrong01 = gray80;
+export const borderStrong02 = gray80;
+export const borderStrong03 = gray80;
+
+export const borderTile01 = gray60;
+export const borderTile02 = gray60;
+export const borderTile03 = gray60;
+
+export const borderInteractive = blue70;
+
+// Text
+export const textPrimary = black;
+export const textSecondary = gray80;
+export const textPlaceholder = gray70;
+export const textHelper = gray70;
+export const textError = red70;
+export const textDisabled = gray50;
+
+// Link
+export const linkPrimary = blue70;
+export const linkPrimaryHover = blue80;
+export const linkSecondary = blue80;
+export const linkVisited = purple70;
+
+// Icon
+export const iconPrimary = black;
+export const iconSecondary = gray80;
+export const iconDisabled = gray50;
+export const iconInteractive = blue70;
+
+// Support
+export const supportError = red70;
+export const supportInfo = blue80;
+
+// Focus
+export const focus = blue70;
+
+// Misc
+export const interactive = blue70;
+export const toggleOff = gray70;
+
+// Chat button tokens
+export const chatButton = linkPrimary;
+export const chatButtonTextHover = linkPrimaryHover;
+export const chatButtonTextSelected = textSecondary;
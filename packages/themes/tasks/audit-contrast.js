@@ -0,0 +1,79 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/* eslint-disable no-console */
+
+'use strict';
+
+const { reporter } = require('@carbon/cli-reporter');
+const { themes } = require('../src');
+const { auditTheme } = require('../src/contrast');
+
+// Pairings of the built-in themes that are below their contrast target today.
+// The audit fails when any other pairing is below its target, so that changes
+// to the themes cannot make contrast worse. Remove an entry once it is fixed.
+const knownIssues = {
+  white: [],
+  g10: [],
+  g90: [
+    'link-primary on layer-02',
+    'text-secondary on layer-03',
+    'text-error on layer-03',
+    'link-primary on layer-03',
+    'icon-secondary on layer-03',
+  ],
+  g100: ['text-error on layer-03', 'link-primary on layer-03'],
+  whiteHighContrast: [],
+  g100HighContrast: [],
+};
+
+function auditContrast() {
+  reporter.info('Auditing the contrast of themes...');
+
+  const regressions = [];
+  const fixed = [];
+
+  for (const [name, theme] of Object.entries(themes)) {
+    const { results } = auditTheme(theme);
+    const issues = new Set(knownIssues[name]);
+
+    for (const result of results) {
+      const id = `${result.foreground} on ${result.background}`;
+      if (!result.passed && !issues.has(id)) {
+        regressions.push(
+          `${name}: ${id} has a contrast ratio of ${result.ratio}, expected at least ${result.target}`
+        );
+      }
+      if (result.passed && issues.has(id)) {
+        fixed.push(`${name}: ${id}`);
+      }
+    }
+  }
+
+  for (const issue of fixed) {
+    reporter.info(
+      `${issue} now meets its contrast target and can be removed from the known issues`
+    );
+  }
+
+  if (regressions.length > 0) {
+    throw new Error(
+      `The following token pairings are below their contrast target:\n${regressions.join(
+        '\n'
+      )}`
+    );
+  }
+
+  reporter.success('Done! 🎉');
+}
+
+try {
+  auditContrast();
+} catch (error) {
+  console.error(error);
+  process.exit(1);
+}
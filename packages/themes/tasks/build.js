@@ -20,6 +20,7 @@ const buildModulesTokensFile = require('./builders/modules-tokens');
 const buildModulesButtonTokens = require('./builders/modules-button-tokens');
 const buildModulesTagTokens = require('./builders/modules-tag-tokens');
 const buildModulesNotificationTokens = require('./builders/modules-notification-tokens');
+const buildDesignTokensFiles = require('./builders/dtcg');
 
 async function build() {
   reporter.info('Building scss files for themes...');
@@ -78,6 +79,15 @@ async function build() {
     await fs.writeFile(filepath, code);
   }
 
+  reporter.info('Building design tokens files for themes...');
+
+  const DTCG_DIR = path.resolve(__dirname, '../dtcg/generated');
+  await fs.ensureDir(DTCG_DIR);
+
+  for (const { filename, code } of buildDesignTokensFiles()) {
+    await fs.writeFile(path.join(DTCG_DIR, filename), code);
+  }
+
   reporter.success('Done! 🎉');
 }
 
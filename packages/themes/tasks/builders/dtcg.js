@@ -0,0 +1,27 @@
+/**
+ * Copyright IBM Corp. 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const { themes } = require('../../src');
+const { toDesignTokens } = require('../../src/dtcg');
+
+/**
+ * Build a Design Tokens Community Group file for every theme, with the color,
+ * type, layout and motion tokens of the theme
+ * @returns {Array<{ filename: string, code: string }>}
+ */
+function buildDesignTokensFiles() {
+  return Object.entries(themes).map(([name, theme]) => {
+    return {
+      filename: `${name}.tokens.json`,
+      code: `${JSON.stringify(toDesignTokens(theme), null, 2)}\n`,
+    };
+  });
+}
+
+module.exports = buildDesignTokensFiles;
@@ -8,9 +8,9 @@
 'use strict';
 
 const { types: t } = require('@carbon/scss-generator');
-const { TokenFormat, group } = require('../../src/tokens');
 const { themes } = require('../../src');
-const { FILE_BANNER, primitive } = require('./shared');
+const { getScssThemeProperties } = require('../../src/createTheme');
+const { FILE_BANNER } = require('./shared');
 
 function buildThemesFile() {
   const imports = [
@@ -19,28 +19,18 @@ function buildThemesFile() {
     t.SassModule('@carbon/type'),
     t.SassModule('../utilities'),
   ];
-  const variables = Object.entries(themes).flatMap(([key, theme]) => {
+  const variables = Object.entries(themes).flatMap(([name, theme]) => {
+    // Themes like `whiteHighContrast` are emitted as `$white-high-contrast`
+    const key = name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
     return [
       t.Newline(),
       t.Assignment({
         id: t.Identifier(key),
+        // The same properties as the Sass modules of `formatThemeModule`
         init: t.SassMap({
-          properties: Object.entries(theme)
-            .filter(([token]) => {
-              return group.getToken(
-                TokenFormat.convert({
-                  name: token,
-                  format: TokenFormat.formats.scss,
-                })
-              );
-            })
-            .map(([token, value]) => {
-              const id = TokenFormat.convert({
-                name: token,
-                format: TokenFormat.formats.scss,
-              });
-              return t.SassMapProperty(t.Identifier(id), primitive(value));
-            }),
+          properties: getScssThemeProperties(theme).map(([id, value]) =>
+            t.SassMapProperty(t.Identifier(id), t.SassValue(value))
+          ),
         }),
         default: true,
       }),
@@ -7,6 +7,7 @@
 
 const { types: t } = require('@carbon/scss-generator');
 const { formatTokenName } = require('../../lib');
+const { formatScssValue } = require('../../src/createTheme');
 
 const FILE_BANNER = t.Comment(` Code generated by @carbon/themes. DO NOT EDIT.
 
@@ -18,21 +19,9 @@ const FILE_BANNER = t.Comment(` Code generated by @carbon/themes. DO NOT EDIT.
 
 function primitive(value) {
   if (typeof value === 'string') {
-    if (value[0] === '#') {
-      return t.SassColor(value);
-    }
-    if (
-      value.endsWith('px') ||
-      value.endsWith('em') ||
-      value.endsWith('%') ||
-      value.endsWith('vw') ||
-      value.endsWith('vh') ||
-      value.startsWith('rgb') ||
-      value === '0'
-    ) {
-      return t.SassValue(value);
-    }
-    return t.SassValue(`unquote("${value}")`);
+    return value[0] === '#'
+      ? t.SassColor(value)
+      : t.SassValue(formatScssValue(value));
   }
   if (typeof value === 'number') {
     return t.SassNumber(value);
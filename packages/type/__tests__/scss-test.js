@@ -68,4 +68,39 @@ describe('@carbon/type', () => {
       );
     }
   });
+
+  it('should emit a single clamp() for fluid styles in the clamp mode', async () => {
+    const { result } = await render(`
+        @import '../index';
+
+        .selector {
+          @include type-style('display-04', true, $fluid-mode: clamp);
+          margin-block-end: fluid-scale(1rem, 48px);
+        }
+      `);
+    const { stylesheet } = css.parse(result.css.toString());
+    const [rule, ...mediaQueries] = stylesheet.rules;
+    const fontSizes = rule.declarations.filter(
+      ({ property }) => property === 'font-size'
+    );
+
+    expect(fontSizes).toEqual([
+      expect.objectContaining({
+        value: 'clamp(2.625rem, 0.8212rem + 9.019vw, 9.75rem)',
+      }),
+    ]);
+    expect(rule.declarations).toContainEqual(
+      expect.objectContaining({
+        property: 'margin-block-end',
+        value: 'clamp(1rem, 0.4937rem + 2.5316vw, 3rem)',
+      })
+    );
+    expect(mediaQueries).toHaveLength(4);
+    for (const mediaQuery of mediaQueries) {
+      const [{ declarations }] = mediaQuery.rules;
+      expect(declarations.map(({ property }) => property)).not.toContain(
+        'font-size'
+      );
+    }
+  });
 });
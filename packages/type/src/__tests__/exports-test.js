@@ -14,6 +14,7 @@ describe('type', () => {
     expect(Object.keys(CarbonType)).toMatchInlineSnapshot(`
       Array [
         "fluid",
+        "fluidScale",
         "fontFamilies",
         "fontFamily",
         "fontWeight",
@@ -7,7 +7,8 @@
  * @jest-environment node
  */
 
-import { fluid } from '../fluid';
+import { spacing05, spacing09 } from '@carbon/layout';
+import { fluid, fluidScale } from '../fluid';
 import { display04 } from '../styles';
 
 describe('fluid', () => {
@@ -68,4 +69,66 @@ describe('fluid', () => {
       }
     `);
   });
+
+  it('should compute a single clamp() with the clamp mode', () => {
+    expect(fluid(display04, { mode: 'clamp' })).toMatchInlineSnapshot(`
+      Object {
+        "@media (min-width: 42rem)": Object {
+          "lineHeight": 1.15,
+        },
+        "@media (min-width: 66rem)": Object {
+          "letterSpacing": "-0.64px",
+          "lineHeight": 1.11,
+        },
+        "@media (min-width: 82rem)": Object {
+          "letterSpacing": "-0.64px",
+          "lineHeight": 1.07,
+        },
+        "@media (min-width: 99rem)": Object {
+          "letterSpacing": "-0.96px",
+          "lineHeight": 1.05,
+        },
+        "fontSize": "clamp(2.625rem, 0.8212rem + 9.019vw, 9.75rem)",
+        "fontWeight": 300,
+        "letterSpacing": 0,
+        "lineHeight": 1.19,
+      }
+    `);
+  });
+
+  it('should throw for an unknown mode', () => {
+    expect(() => fluid(display04, { mode: 'min' })).toThrow(
+      'Unknown fluid mode: `min`. Expected `calc` or `clamp`'
+    );
+  });
+});
+
+describe('fluidScale', () => {
+  it('should scale a value between the sm and max breakpoints', () => {
+    expect(fluidScale(spacing05, spacing09)).toBe(
+      'clamp(1rem, 0.4937rem + 2.5316vw, 3rem)'
+    );
+  });
+
+  it('should support other breakpoints, px values and smaller max values', () => {
+    expect(fluidScale('48px', '1rem', { from: 'md', to: 'lg' })).toBe(
+      'clamp(1rem, 6.5rem - 8.3333vw, 3rem)'
+    );
+  });
+
+  it('should return the value when the values are the same', () => {
+    expect(fluidScale('16px', '1rem')).toBe('1rem');
+  });
+
+  it('should throw for invalid breakpoints or values', () => {
+    expect(() => fluidScale('1rem', '2rem', { to: 'xl' })).toThrow(
+      'Unable to find the breakpoints `sm` and `xl`'
+    );
+    expect(() => fluidScale('1rem', '2rem', { from: 'lg', to: 'md' })).toThrow(
+      'Expected the breakpoint `lg` to be smaller than `md`'
+    );
+    expect(() => fluidScale('1em', '2rem')).toThrow(
+      'Unable to convert `1em` to rem, expected a value in px or rem'
+    );
+  });
 });
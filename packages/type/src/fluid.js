@@ -5,7 +5,7 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import { breakpoint as bp, breakpoints } from '@carbon/layout';
+import { baseFontSize, breakpoint as bp, breakpoints } from '@carbon/layout';
 
 const breakpointNames = Object.keys(breakpoints);
 
@@ -13,7 +13,19 @@ function next(name) {
   return breakpointNames[breakpointNames.indexOf(name) + 1];
 }
 
-export function fluid(selector) {
+/**
+ * Compute the fluid styles of a type style. By default, the `font-size` is a
+ * `calc()` expression for each breakpoint of the type style. With the `clamp`
+ * mode, the `font-size` is a single `clamp()` expression that scales from the
+ * `sm` breakpoint to the last breakpoint of the type style, and the other
+ * properties of each breakpoint are kept in media queries.
+ *
+ * @param {object} selector a type style, like `display04`
+ * @param {object} [options]
+ * @param {'calc' | 'clamp'} [options.mode]
+ * @returns {object}
+ */
+export function fluid(selector, { mode = 'calc' } = {}) {
   const { breakpoints: fluidBreakpoints, ...styles } = selector;
 
   if (typeof fluidBreakpoints !== 'object') {
@@ -25,6 +37,16 @@ export function fluid(selector) {
     return styles;
   }
 
+  if (mode === 'clamp') {
+    return fluidClamp(styles, fluidBreakpoints);
+  }
+
+  if (mode !== 'calc') {
+    throw new Error(
+      `Unknown fluid mode: \`${mode}\`. Expected \`calc\` or \`clamp\``
+    );
+  }
+
   styles.fontSize = fluidTypeSize(styles, 'sm', fluidBreakpoints);
 
   fluidBreakpointNames.forEach((name) => {
@@ -84,3 +106,104 @@ function fluidTypeSize(defaultStyles, fluidBreakpointName, fluidBreakpoints) {
 function subtract(a, b) {
   return parseFloat(a) - parseFloat(b);
 }
+
+function fluidClamp(styles, fluidBreakpoints) {
+  const names = breakpointNames.filter((name) => fluidBreakpoints[name]);
+  const last = [...names]
+    .reverse()
+    .find((name) => fluidBreakpoints[name].fontSize);
+
+  if (last) {
+    styles.fontSize = fluidScale(
+      styles.fontSize,
+      fluidBreakpoints[last].fontSize,
+      { from: 'sm', to: last }
+    );
+  }
+
+  names.forEach((name) => {
+    // eslint-disable-next-line no-unused-vars
+    const { fontSize, ...rest } = fluidBreakpoints[name];
+    if (Object.keys(rest).length > 0) {
+      styles[bp(name)] = rest;
+    }
+  });
+
+  return styles;
+}
+
+/**
+ * Convert a length in `px` or `rem` to a number of `rem`
+ * @param {string | number} value
+ * @returns {number}
+ */
+function toRem(value) {
+  if (value === 0 || value === '0') {
+    return 0;
+  }
+  const match = `${value}`.match(/^(-?[\d.]+)(px|rem)$/);
+  if (!match) {
+    throw new Error(
+      `Unable to convert \`${value}\` to rem, expected a value in px or rem`
+    );
+  }
+  const [, amount, unit] = match;
+  return unit === 'px' ? parseFloat(amount) / baseFontSize : parseFloat(amount);
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Scale a length, like a font size or a spacing token from `@carbon/layout`,
+ * with the width of the viewport. The value is `min` at the `from` breakpoint
+ * and smaller viewports, `max` at the `to` breakpoint and larger viewports, and
+ * grows linearly in between.
+ *
+ * @example
+ * fluidScale(spacing05, spacing09);
+ * // clamp(1rem, 0.4937rem + 2.5316vw, 3rem)
+ *
+ * @param {string | number} min the value at the `from` breakpoint
+ * @param {string | number} max the value at the `to` breakpoint
+ * @param {object} [options]
+ * @param {string} [options.from] the name of a breakpoint, `sm` by default
+ * @param {string} [options.to] the name of a breakpoint, `max` by default
+ * @returns {string}
+ */
+export function fluidScale(min, max, { from = 'sm', to = 'max' } = {}) {
+  if (!breakpoints[from] || !breakpoints[to]) {
+    throw new Error(
+      `Unable to find the breakpoints \`${from}\` and \`${to}\`, expected one of: ${breakpointNames.join(
+        ', '
+      )}`
+    );
+  }
+
+  if (breakpointNames.indexOf(from) >= breakpointNames.indexOf(to)) {
+    throw new Error(
+      `Expected the breakpoint \`${from}\` to be smaller than \`${to}\``
+    );
+  }
+
+  const minValue = toRem(min);
+  const maxValue = toRem(max);
+  const minWidth = toRem(breakpoints[from].width);
+  const maxWidth = toRem(breakpoints[to].width);
+
+  if (minValue === maxValue) {
+    return `${minValue}rem`;
+  }
+
+  const slope = (maxValue - minValue) / (maxWidth - minWidth);
+  const intercept = minValue - slope * minWidth;
+  const rate = round(slope * 100);
+  const preferred = `${round(intercept)}rem ${rate < 0 ? '-' : '+'} ${Math.abs(
+    rate
+  )}vw`;
+  const lower = Math.min(minValue, maxValue);
+  const upper = Math.max(minValue, maxValue);
+
+  return `clamp(${lower}rem, ${preferred}, ${upper}rem)`;
+}